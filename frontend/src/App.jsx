@@ -11,8 +11,11 @@ import {
 import CreateProject from './components/CreateProject';
 import ProjectList from './components/ProjectList';
 import ProjectDetail from './components/ProjectDetail';
+import DisputeDetail from './components/DisputeDetail';
 import MyProjects from './components/MyProjects';
 import AdminDashboard from './components/AdminDashboard';
+import UserProfile from './components/UserProfile';
+import WithdrawableBalance from './components/WithdrawableBalance';
 
 function App() {
   const [account, setAccount] = useState('');
@@ -99,11 +102,14 @@ function App() {
 
               <div>
                 {account ? (
-                  <div className="flex items-center space-x-3 bg-green-50 px-4 py-2 rounded-lg">
-                    <Wallet className="w-5 h-5 text-green-600" />
-                    <span className="text-sm font-medium text-green-900">
-                      {formatAddress(account)}
-                    </span>
+                  <div className="flex items-center space-x-3">
+                    <WithdrawableBalance account={account} />
+                    <div className="flex items-center space-x-3 bg-green-50 px-4 py-2 rounded-lg">
+                      <Wallet className="w-5 h-5 text-green-600" />
+                      <span className="text-sm font-medium text-green-900">
+                        {formatAddress(account)}
+                      </span>
+                    </div>
                   </div>
                 ) : (
                   <button
@@ -164,6 +170,10 @@ function App() {
                 path="/project/:id"
                 element={<ProjectDetail account={account} />}
               />
+              <Route
+                path="/dispute/:id"
+                element={<DisputeDetail account={account} />}
+              />
               <Route
                 path="/my-projects"
                 element={<MyProjects account={account} />}
@@ -172,6 +182,10 @@ function App() {
                 path="/admin"
                 element={<AdminDashboard account={account} />}
               />
+              <Route
+                path="/user/:address"
+                element={<UserProfile account={account} />}
+              />
             </Routes>
           )}
         </main>
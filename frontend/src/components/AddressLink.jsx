@@ -0,0 +1,38 @@
+import { Link, useNavigate } from 'react-router-dom';
+import { formatAddress } from '../utils/web3';
+
+// Cards that are themselves links can't contain another <a>, so nested
+// renderings navigate from a click handler instead
+function AddressLink({ address, nested = false, className = 'font-mono' }) {
+  const navigate = useNavigate();
+  const to = `/user/${address}`;
+  const linkClass = `${className} text-blue-600 hover:underline`;
+
+  if (nested) {
+    const open = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      navigate(to);
+    };
+    return (
+      <span
+        role="link"
+        tabIndex={0}
+        className={`${linkClass} cursor-pointer`}
+        onClick={open}
+        onKeyDown={(e) => e.key === 'Enter' && open(e)}
+        title={address}
+      >
+        {formatAddress(address)}
+      </span>
+    );
+  }
+
+  return (
+    <Link to={to} className={linkClass} title={address}>
+      {formatAddress(address)}
+    </Link>
+  );
+}
+
+export default AddressLink;
@@ -1,84 +1,241 @@
 import { useState, useEffect } from 'react';
-import { Shield, Users, AlertCircle, CheckCircle, Pause, Play, UserPlus, UserMinus, Loader } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import {
+  Shield,
+  Users,
+  AlertCircle,
+  CheckCircle,
+  Pause,
+  Play,
+  UserPlus,
+  UserMinus,
+  Loader,
+  ChevronRight,
+  Gavel,
+  Percent,
+} from 'lucide-react';
 import {
   getContract,
   getReadOnlyContract,
+  getReadOnlyLensContract,
+  getDisputesContract,
+  getReadOnlyDisputesContract,
+  getReadOnlyTimelockContract,
+  scheduleTimelockCall,
   waitForTransaction,
   formatEther,
+  parseEther,
   formatAddress,
   formatDate,
 } from '../utils/web3';
+import { loadProjectCache } from '../utils/projectCache';
+import { getContractAddress } from '../contracts/deployments';
+import VotingCountdown from './VotingCountdown.jsx';
+import DisputePanel from './DisputePanel.jsx';
+import AddressLink from './AddressLink.jsx';
+import GovernanceProposals from './GovernanceProposals.jsx';
+
+const DAY = 24 * 60 * 60;
+const OUTCOME_RULES = ['Mean', 'Median'];
+const FALLBACK_RULES = ['Escalate to owner', 'Default split'];
+const BOND_RECIPIENTS = ['Other party', 'Arbitrators who voted'];
+
+const formatDelay = (seconds) => {
+  const days = Math.floor(seconds / DAY);
+  const hours = Math.floor((seconds % DAY) / 3600);
+  return days > 0 ? `${days}d ${hours}h` : `${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+// Escrow roles in the order the role panel lists them
+const ROLES = [
+  {
+    key: 'roleAdmin',
+    getter: 'DEFAULT_ADMIN_ROLE',
+    label: 'Role Admins',
+    description: 'Grant and revoke every role, including this one, and unpause the escrow',
+  },
+  {
+    key: 'arbiter',
+    getter: 'ARBITER_ROLE',
+    label: 'Arbiters',
+    description: 'Sit on the panels of disputes raised while they hold the role',
+  },
+  {
+    key: 'pauser',
+    getter: 'PAUSER_ROLE',
+    label: 'Pausers',
+    description: 'Pause the escrow at once in an emergency',
+  },
+  {
+    key: 'feeManager',
+    getter: 'FEE_MANAGER_ROLE',
+    label: 'Fee Managers',
+    description: 'Set the platform fee taken from milestone payouts',
+  },
+];
 
 function AdminDashboard({ account }) {
-  const [isAdmin, setIsAdmin] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
-  const [adminList, setAdminList] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [timelock, setTimelock] = useState({ minDelay: 0, isProposer: false });
+  const [proposalsVersion, setProposalsVersion] = useState(0);
+  const [platformFee, setPlatformFee] = useState(0);
+  const [newPlatformFee, setNewPlatformFee] = useState('');
   const [disputes, setDisputes] = useState([]);
+  const [isOwner, setIsOwner] = useState(false);
+  const [ownerIsTimelock, setOwnerIsTimelock] = useState(false);
+  const [arbitration, setArbitration] = useState(null);
+  const [arbitrationForm, setArbitrationForm] = useState(null);
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState(false);
-  const [newAdminAddress, setNewAdminAddress] = useState('');
+  const [newMemberAddress, setNewMemberAddress] = useState('');
+  const [newMemberRole, setNewMemberRole] = useState(ROLES[1].key);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
   useEffect(() => {
-    checkAdminStatus();
     loadData();
   }, [account]);
 
-  const checkAdminStatus = async () => {
-    try {
-      const contract = await getReadOnlyContract();
-      const adminStatus = await contract.isAdmin(account);
-      setIsAdmin(adminStatus);
-    } catch (error) {
-      console.error('Error checking admin status:', error);
-    }
+  const can = Object.fromEntries(roles.map((role) => [role.key, role.held]));
+
+  // How the account can take an action needing a role: directly if it holds
+  // the role, or as a timelock proposal if the timelock holds it
+  const via = (roleKey) => {
+    if (can[roleKey]) return 'direct';
+    const role = roles.find((r) => r.key === roleKey);
+    return role?.timelockHeld && timelock.isProposer ? 'timelock' : null;
   };
 
+  // The same for owner-only calls, which go through the timelock once it
+  // owns the escrow
+  const ownerVia = isOwner ? 'direct' : ownerIsTimelock && timelock.isProposer ? 'timelock' : null;
+
   const loadData = async () => {
     try {
       setLoading(true);
       const contract = await getReadOnlyContract();
 
-      // Load admin list
-      const admins = await contract.getAdminList();
-      setAdminList(admins);
+      // Load every role with its members
+      const rolesData = await Promise.all(
+        ROLES.map(async (role) => {
+          const id = await contract[role.getter]();
+          const count = Number(await contract.getRoleMemberCount(id));
+          const members = await Promise.all(
+            Array.from({ length: count }, (_, idx) => contract.getRoleMember(id, idx))
+          );
+          return {
+            ...role,
+            id,
+            members,
+            held: members.some((m) => m.toLowerCase() === account.toLowerCase()),
+            timelockHeld: members.some(
+              (m) => m.toLowerCase() === getContractAddress('EscrowTimelock').toLowerCase()
+            ),
+          };
+        })
+      );
+      setRoles(rolesData);
+
+      const timelockContract = await getReadOnlyTimelockContract();
+      const [minDelay, proposerRole] = await Promise.all([
+        timelockContract.getMinDelay(),
+        timelockContract.PROPOSER_ROLE(),
+      ]);
+      setTimelock({
+        minDelay: Number(minDelay),
+        isProposer: await timelockContract.hasRole(proposerRole, account),
+      });
 
-      // Load pause status
-      const paused = await contract.paused();
+      // Load pause status and fee
+      const [paused, fee] = await Promise.all([contract.paused(), contract.platformFeePercent()]);
       setIsPaused(paused);
+      setPlatformFee(Number(fee));
+      setNewPlatformFee(String(fee));
 
-      // Load disputes
-      const disputeCounter = await contract.disputeCounter();
-      const count = Number(disputeCounter);
+      // Load arbitration settings
+      const resolver = await getReadOnlyDisputesContract();
+      const [
+        owner,
+        quorum,
+        votingPeriod,
+        outcomeRule,
+        fallbackRule,
+        defaultSplit,
+        appealPeriod,
+        appealQuorum,
+        appealBond,
+        disputeBond,
+        bondRecipient,
+      ] = await Promise.all([
+        contract.owner(),
+        resolver.quorum(),
+        resolver.votingPeriod(),
+        resolver.outcomeRule(),
+        resolver.fallbackRule(),
+        resolver.defaultSplitPercentage(),
+        resolver.appealPeriod(),
+        resolver.appealQuorum(),
+        resolver.appealBond(),
+        resolver.disputeBond(),
+        resolver.forfeitedBondRecipient(),
+      ]);
+      const settings = {
+        quorum: Number(quorum),
+        votingPeriodDays: Number(votingPeriod) / DAY,
+        outcomeRule: Number(outcomeRule),
+        fallbackRule: Number(fallbackRule),
+        defaultSplit: Number(defaultSplit),
+        appealPeriodDays: Number(appealPeriod) / DAY,
+        appealQuorum: Number(appealQuorum),
+        appealBond: formatEther(appealBond),
+        disputeBond: formatEther(disputeBond),
+        bondRecipient: Number(bondRecipient),
+      };
+      setIsOwner(owner.toLowerCase() === account.toLowerCase());
+      setOwnerIsTimelock(owner.toLowerCase() === getContractAddress('EscrowTimelock').toLowerCase());
+      setArbitration(settings);
+      setArbitrationForm(settings);
 
-      const disputesData = [];
-      for (let i = 0; i < count; i++) {
-        try {
-          const dispute = await contract.disputes(i);
-          const [voteCount, resolved, voters, percentages] = await contract.getDisputeVotes(i);
-          
-          const project = await contract.projects(dispute.projectId);
-
-          disputesData.push({
-            id: i,
-            projectId: Number(dispute.projectId),
-            milestoneId: Number(dispute.milestoneId),
-            initiator: dispute.initiator,
-            reason: dispute.reason,
-            isResolved: dispute.isResolved,
-            createdAt: Number(dispute.createdAt),
-            voteCount: Number(voteCount),
-            voters: voters,
-            percentages: percentages.map(p => Number(p)),
-            projectTitle: project.title,
-          });
-        } catch (err) {
-          console.error(`Error loading dispute ${i}:`, err);
-        }
-      }
+      // Open disputes come from the lens in a single call so votes are
+      // current; resolved ones are history and can come from the cache
+      const lens = await getReadOnlyLensContract();
+      const openDisputes = (await lens.getOpenDisputes()).map((dispute) => ({
+        id: Number(dispute.id),
+        projectId: Number(dispute.projectId),
+        milestoneId: Number(dispute.milestoneId),
+        projectTitle: dispute.projectTitle,
+        initiator: dispute.initiator,
+        reason: dispute.reason,
+        isResolved: false,
+        createdAt: Number(dispute.createdAt),
+        votingDeadline: Number(dispute.votingDeadline),
+        isEscalated: dispute.isEscalated,
+        voteCount: Number(dispute.voteCount),
+        requiredVotes: Number(dispute.requiredVotes),
+        voters: [...dispute.voters],
+        percentages: dispute.percentages.map((p) => Number(p)),
+        panel: [...dispute.panel],
+        recused: [...dispute.recused],
+        decidedPercentage: Number(dispute.decidedPercentage),
+        appealDeadline: Number(dispute.appealDeadline),
+        isAppealed: dispute.isAppealed,
+        isAppeal: dispute.isAppeal,
+        appealedDispute: Number(dispute.appealedDispute),
+      }));
+      setDisputes(openDisputes);
+      setLoading(false);
 
-      setDisputes(disputesData);
+      await loadProjectCache(({ projects, disputes: cachedDisputes }) => {
+        const resolvedDisputes = cachedDisputes
+          .filter((dispute) => dispute.isResolved)
+          .map((dispute) => ({
+            ...dispute,
+            projectTitle: projects.find((p) => p.id === dispute.projectId)?.title || '',
+          }));
+
+        setDisputes([...openDisputes, ...resolvedDisputes]);
+      });
     } catch (error) {
       console.error('Error loading data:', error);
     } finally {
@@ -86,98 +243,215 @@ function AdminDashboard({ account }) {
     }
   };
 
-  const handleAddAdmin = async () => {
-    if (!newAdminAddress) {
+  // Run a call directly or as a timelock proposal, returning whether it was
+  // queued on the timelock rather than applied
+  const sendCall = async (how, getSigned, getReadOnly, fn, args, overrides = {}) => {
+    if (how === 'direct') {
+      const contract = await getSigned();
+      const tx = await contract[fn](...args, overrides);
+      await waitForTransaction(tx);
+      return false;
+    }
+
+    const tx = await scheduleTimelockCall(await getReadOnly(), fn, args);
+    await waitForTransaction(tx);
+    setProposalsVersion((version) => version + 1);
+    return true;
+  };
+
+  const sendEscrowCall = (roleKey, fn, args, overrides) =>
+    sendCall(via(roleKey), getContract, getReadOnlyContract, fn, args, overrides);
+
+  const sendResolverCall = (fn, args) =>
+    sendCall(ownerVia, getDisputesContract, getReadOnlyDisputesContract, fn, args);
+
+  const doneMessage = (queued, label) =>
+    queued
+      ? `⏳ ${label} queued. It can be executed in ${formatDelay(timelock.minDelay)}.`
+      : `✅ ${label} done!`;
+
+  const handleGrantRole = async () => {
+    if (!newMemberAddress) {
       setError('Please enter an address');
       return;
     }
 
     // Validate Ethereum address format
-    if (!/^0x[a-fA-F0-9]{40}$/.test(newAdminAddress)) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(newMemberAddress)) {
       setError('Invalid Ethereum address format. Must start with 0x followed by 40 hex characters');
       return;
     }
 
+    const role = roles.find((r) => r.key === newMemberRole);
     setActionLoading(true);
     setError('');
     setSuccess('');
 
     try {
-      const contract = await getContract();
-      const tx = await contract.addAdmin(newAdminAddress, { gasLimit: 150000 });
-      await waitForTransaction(tx);
-      setSuccess('✅ Admin added successfully!');
-      setNewAdminAddress('');
+      const queued = await sendEscrowCall('roleAdmin', 'grantRole', [role.id, newMemberAddress], {
+        gasLimit: 150000,
+      });
+      setSuccess(
+        doneMessage(queued, `Adding ${formatAddress(newMemberAddress)} to ${role.label.toLowerCase()}`)
+      );
+      setNewMemberAddress('');
       await loadData();
     } catch (err) {
-      console.error('Add admin error:', err);
-      setError(err.message || 'Failed to add admin');
+      console.error('Grant role error:', err);
+      setError(err.message || 'Failed to grant role');
     } finally {
       setActionLoading(false);
     }
   };
 
-  const handleRemoveAdmin = async (adminAddress) => {
-    if (!confirm(`Remove ${formatAddress(adminAddress)} as admin?`)) return;
+  const handleRevokeRole = async (role, member) => {
+    if (!confirm(`Remove ${formatAddress(member)} from ${role.label.toLowerCase()}?`)) return;
 
     setActionLoading(true);
     setError('');
     setSuccess('');
 
     try {
-      const contract = await getContract();
-      const tx = await contract.removeAdmin(adminAddress, { gasLimit: 150000 });
-      await waitForTransaction(tx);
-      setSuccess('✅ Admin removed successfully!');
+      const queued = await sendEscrowCall('roleAdmin', 'revokeRole', [role.id, member], {
+        gasLimit: 150000,
+      });
+      setSuccess(
+        doneMessage(queued, `Removing ${formatAddress(member)} from ${role.label.toLowerCase()}`)
+      );
       await loadData();
     } catch (err) {
-      console.error('Remove admin error:', err);
-      setError(err.message || 'Failed to remove admin');
+      console.error('Revoke role error:', err);
+      setError(err.message || 'Failed to revoke role');
     } finally {
       setActionLoading(false);
     }
   };
 
-  const handlePauseToggle = async () => {
+  const handleUpdatePlatformFee = async () => {
+    const fee = Number(newPlatformFee);
+    if (!Number.isInteger(fee) || fee < 0 || fee > 10) {
+      setError('Platform fee must be a whole percentage between 0 and 10');
+      return;
+    }
+
     setActionLoading(true);
     setError('');
     setSuccess('');
 
     try {
-      const contract = await getContract();
-      
-      // Add gas limit to prevent estimation errors
-      const gasLimit = 100000;
-      
-      const tx = isPaused 
-        ? await contract.unpause({ gasLimit }) 
-        : await contract.pause({ gasLimit });
-      
-      await waitForTransaction(tx);
-      setSuccess(isPaused ? '▶️ Contract unpaused!' : '⏸️ Contract paused!');
+      const queued = await sendEscrowCall('feeManager', 'setPlatformFee', [fee]);
+      setSuccess(doneMessage(queued, `Setting the platform fee to ${fee}%`));
       await loadData();
     } catch (err) {
-      console.error('Pause toggle error:', err);
-      setError(err.message || 'Failed to toggle pause');
+      console.error('Update platform fee error:', err);
+      setError(err.message || 'Failed to update platform fee');
     } finally {
       setActionLoading(false);
     }
   };
 
-  const handleVoteDispute = async (disputeId, percentage) => {
+  const handleUpdateArbitration = async () => {
+    const { quorum, votingPeriodDays, outcomeRule, fallbackRule, defaultSplit } = arbitrationForm;
+    if (quorum < 1 || votingPeriodDays <= 0 || votingPeriodDays > 30) {
+      setError('Quorum must be at least 1 and the voting period between 1 and 30 days');
+      return;
+    }
+    if (defaultSplit < 0 || defaultSplit > 100) {
+      setError('Default split must be between 0 and 100');
+      return;
+    }
+
     setActionLoading(true);
     setError('');
     setSuccess('');
 
     try {
-      const contract = await getContract();
-      const tx = await contract.voteOnDispute(disputeId, percentage, { gasLimit: 200000 });
-      await waitForTransaction(tx);
-      setSuccess('✅ Vote submitted successfully!');
+      const queued = await sendResolverCall('setArbitrationConfig', [
+        quorum,
+        Math.round(votingPeriodDays * DAY),
+        outcomeRule,
+        fallbackRule,
+        defaultSplit,
+      ]);
+      setSuccess(doneMessage(queued, 'Updating the arbitration settings'));
       await loadData();
     } catch (err) {
-      console.error('Vote error:', err);
-      setError(err.message || 'Failed to vote');
+      console.error('Update arbitration error:', err);
+      setError(err.message || 'Failed to update arbitration settings');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleUpdateAppeals = async () => {
+    const { appealPeriodDays, appealQuorum, appealBond } = arbitrationForm;
+    if (appealQuorum < 1 || appealPeriodDays < 0 || appealPeriodDays > 30) {
+      setError('Appeal quorum must be at least 1 and the appeal period between 0 and 30 days');
+      return;
+    }
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const queued = await sendResolverCall('setAppealConfig', [
+        Math.round(appealPeriodDays * DAY),
+        appealQuorum,
+        parseEther(appealBond),
+      ]);
+      setSuccess(doneMessage(queued, 'Updating the appeal settings'));
+      await loadData();
+    } catch (err) {
+      console.error('Update appeal settings error:', err);
+      setError(err.message || 'Failed to update appeal settings');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleUpdateDisputeBond = async () => {
+    const { disputeBond, bondRecipient } = arbitrationForm;
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const queued = await sendResolverCall('setDisputeBondConfig', [
+        parseEther(disputeBond),
+        bondRecipient,
+      ]);
+      setSuccess(doneMessage(queued, 'Updating the dispute bond'));
+      await loadData();
+    } catch (err) {
+      console.error('Update dispute bond error:', err);
+      setError(err.message || 'Failed to update dispute bond');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handlePauseToggle = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // Add gas limit to prevent estimation errors
+      const gasLimit = 100000;
+
+      if (isPaused) {
+        const queued = await sendEscrowCall('roleAdmin', 'unpause', [], { gasLimit });
+        setSuccess(queued ? doneMessage(true, 'Unpausing') : '▶️ Contract unpaused!');
+      } else {
+        await sendEscrowCall('pauser', 'pause', [], { gasLimit });
+        setSuccess('⏸️ Contract paused!');
+      }
+      await loadData();
+    } catch (err) {
+      console.error('Pause toggle error:', err);
+      setError(err.message || 'Failed to toggle pause');
     } finally {
       setActionLoading(false);
     }
@@ -192,12 +466,12 @@ function AdminDashboard({ account }) {
     );
   }
 
-  if (!isAdmin) {
+  if (!isOwner && !timelock.isProposer && !roles.some((role) => role.held)) {
     return (
       <div className="text-center py-20">
         <Shield className="w-16 h-16 text-gray-400 mx-auto mb-4" />
         <h2 className="text-2xl font-bold text-gray-900 mb-2">Access Denied</h2>
-        <p className="text-gray-600">You must be an admin to access this page.</p>
+        <p className="text-gray-600">You need a platform role to access this page.</p>
       </div>
     );
   }
@@ -210,6 +484,21 @@ function AdminDashboard({ account }) {
           <h1 className="text-3xl font-bold text-gray-900">Admin Dashboard</h1>
         </div>
         <p className="text-gray-600">Manage platform settings and resolve disputes</p>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {isOwner && (
+            <span className="px-2 py-1 bg-gray-100 text-gray-800 text-xs rounded-full">Owner</span>
+          )}
+          {roles
+            .filter((role) => role.held)
+            .map((role) => (
+              <span
+                key={role.key}
+                className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full"
+              >
+                {role.label.replace(/s$/, '')}
+              </span>
+            ))}
+        </div>
       </div>
 
       {/* Alerts */}
@@ -250,74 +539,386 @@ function AdminDashboard({ account }) {
             </div>
           </div>
           
-          <button
-            onClick={handlePauseToggle}
-            disabled={actionLoading}
-            className={`px-6 py-2 rounded-lg font-medium transition disabled:opacity-50 ${
-              isPaused
-                ? 'bg-green-600 text-white hover:bg-green-700'
-                : 'bg-red-600 text-white hover:bg-red-700'
-            }`}
-          >
-            {isPaused ? 'Unpause Contract' : 'Pause Contract'}
-          </button>
-        </div>
-      </div>
-
-      {/* Admin Management */}
-      <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Admin Management</h2>
-        
-        <div className="mb-4">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Add New Admin
-          </label>
-          <div className="flex space-x-2">
-            <input
-              type="text"
-              value={newAdminAddress}
-              onChange={(e) => setNewAdminAddress(e.target.value)}
-              placeholder="0x..."
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            />
+          {via(isPaused ? 'roleAdmin' : 'pauser') && (
             <button
-              onClick={handleAddAdmin}
+              onClick={handlePauseToggle}
               disabled={actionLoading}
-              className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              className={`px-6 py-2 rounded-lg font-medium transition disabled:opacity-50 ${
+                isPaused
+                  ? 'bg-green-600 text-white hover:bg-green-700'
+                  : 'bg-red-600 text-white hover:bg-red-700'
+              }`}
             >
-              <UserPlus className="w-5 h-5" />
-              <span>Add</span>
+              {isPaused
+                ? via('roleAdmin') === 'timelock'
+                  ? 'Propose Unpause'
+                  : 'Unpause Contract'
+                : 'Pause Contract'}
             </button>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-4 pt-4 border-t">
+          <div className="flex items-center space-x-3">
+            <Percent className="w-6 h-6 text-gray-600" />
+            <div>
+              <p className="text-sm font-medium text-gray-900">Platform fee: {platformFee}%</p>
+              <p className="text-xs text-gray-600">Taken from each released milestone payment</p>
+            </div>
           </div>
+
+          {via('feeManager') && (
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={newPlatformFee}
+                onChange={(e) => setNewPlatformFee(e.target.value)}
+                className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                onClick={handleUpdatePlatformFee}
+                disabled={actionLoading || Number(newPlatformFee) === platformFee}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {via('feeManager') === 'timelock' ? 'Propose Fee' : 'Set Fee'}
+              </button>
+            </div>
+          )}
         </div>
+      </div>
 
-        <div className="space-y-2">
-          <p className="text-sm font-medium text-gray-700 mb-2">Current Admins ({adminList.length})</p>
-          {adminList.map((admin, index) => (
-            <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-              <div className="flex items-center space-x-3">
-                <Shield className="w-5 h-5 text-blue-600" />
-                <span className="font-mono text-sm">{formatAddress(admin)}</span>
-                {admin.toLowerCase() === account.toLowerCase() && (
-                  <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">You</span>
-                )}
+      {/* Role Management */}
+      <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+        <h2 className="flex items-center text-xl font-semibold text-gray-900 mb-4">
+          <Users className="w-5 h-5 mr-2" />
+          Roles
+        </h2>
+
+        {via('roleAdmin') && (
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Grant Role
+              {via('roleAdmin') === 'timelock' &&
+                ` (queued through the timelock for ${formatDelay(timelock.minDelay)})`}
+            </label>
+            <div className="flex space-x-2">
+              <select
+                value={newMemberRole}
+                onChange={(e) => setNewMemberRole(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {ROLES.map((role) => (
+                  <option key={role.key} value={role.key}>
+                    {role.label.replace(/s$/, '')}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={newMemberAddress}
+                onChange={(e) => setNewMemberAddress(e.target.value)}
+                placeholder="0x..."
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={handleGrantRole}
+                disabled={actionLoading}
+                className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                <UserPlus className="w-5 h-5" />
+                <span>Grant</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-2 gap-4">
+          {roles.map((role) => (
+            <div key={role.key} className="border border-gray-200 rounded-lg p-4">
+              <p className="text-sm font-medium text-gray-900">
+                {role.label} ({role.members.length})
+              </p>
+              <p className="text-xs text-gray-500 mb-3">{role.description}</p>
+              <div className="space-y-2">
+                {role.members.map((member) => (
+                  <div
+                    key={member}
+                    className="flex items-center justify-between p-2 bg-gray-50 rounded-lg"
+                  >
+                    <div className="flex items-center space-x-3">
+                      <Shield className="w-4 h-4 text-blue-600" />
+                      <AddressLink address={member} className="font-mono text-sm" />
+                      {member.toLowerCase() === account.toLowerCase() && (
+                        <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">You</span>
+                      )}
+                      {member.toLowerCase() === getContractAddress('EscrowTimelock').toLowerCase() && (
+                        <span className="text-xs bg-gray-200 text-gray-800 px-2 py-1 rounded">
+                          Timelock
+                        </span>
+                      )}
+                    </div>
+
+                    {/* The escrow refuses to drop the last role admin */}
+                    {via('roleAdmin') && (role.key !== 'roleAdmin' || role.members.length > 1) && (
+                      <button
+                        onClick={() => handleRevokeRole(role, member)}
+                        disabled={actionLoading}
+                        className="flex items-center space-x-1 text-red-600 hover:text-red-700 text-sm disabled:opacity-50"
+                      >
+                        <UserMinus className="w-4 h-4" />
+                        <span>Remove</span>
+                      </button>
+                    )}
+                  </div>
+                ))}
               </div>
-              
-              {adminList.length > 1 && (
-                <button
-                  onClick={() => handleRemoveAdmin(admin)}
-                  disabled={actionLoading}
-                  className="flex items-center space-x-1 text-red-600 hover:text-red-700 text-sm disabled:opacity-50"
-                >
-                  <UserMinus className="w-4 h-4" />
-                  <span>Remove</span>
-                </button>
-              )}
             </div>
           ))}
         </div>
       </div>
 
+      <GovernanceProposals
+        key={proposalsVersion}
+        account={account}
+        roles={roles}
+        onExecuted={loadData}
+      />
+
+      {/* Arbitration Settings */}
+      {arbitration && (
+        <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+          <h2 className="flex items-center text-xl font-semibold text-gray-900 mb-4">
+            <Gavel className="w-5 h-5 mr-2" />
+            Arbitration Settings
+          </h2>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+            <div>
+              <p className="text-gray-600">Quorum</p>
+              <p className="font-medium">{arbitration.quorum} votes</p>
+            </div>
+            <div>
+              <p className="text-gray-600">Voting period</p>
+              <p className="font-medium">{arbitration.votingPeriodDays} days</p>
+            </div>
+            <div>
+              <p className="text-gray-600">Outcome</p>
+              <p className="font-medium">{OUTCOME_RULES[arbitration.outcomeRule]} of votes</p>
+            </div>
+            <div>
+              <p className="text-gray-600">Without quorum</p>
+              <p className="font-medium">
+                {FALLBACK_RULES[arbitration.fallbackRule]}
+                {arbitration.fallbackRule === 1 && ` (${arbitration.defaultSplit}% to freelancer)`}
+              </p>
+            </div>
+            <div className="col-span-2 md:col-span-4">
+              <p className="text-gray-600">Appeals</p>
+              <p className="font-medium">
+                {arbitration.appealPeriodDays === 0
+                  ? 'Off (decisions pay out immediately)'
+                  : `${arbitration.appealPeriodDays} day window · ${arbitration.appealQuorum} votes · ${arbitration.appealBond} POL bond`}
+              </p>
+            </div>
+            <div className="col-span-2 md:col-span-4">
+              <p className="text-gray-600">Dispute bond</p>
+              <p className="font-medium">
+                {Number(arbitration.disputeBond) === 0
+                  ? 'None (disputes are free to raise)'
+                  : `${arbitration.disputeBond} POL · forfeited to ${BOND_RECIPIENTS[
+                      arbitration.bondRecipient
+                    ].toLowerCase()}`}
+              </p>
+            </div>
+          </div>
+
+          {ownerVia && (
+            <div className="pt-4 border-t">
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                <label className="text-xs text-gray-600">
+                  Quorum
+                  <input
+                    type="number"
+                    min="1"
+                    value={arbitrationForm.quorum}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, quorum: Number(e.target.value) })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Voting period (days)
+                  <input
+                    type="number"
+                    min="1"
+                    max="30"
+                    value={arbitrationForm.votingPeriodDays}
+                    onChange={(e) =>
+                      setArbitrationForm({
+                        ...arbitrationForm,
+                        votingPeriodDays: Number(e.target.value),
+                      })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Outcome
+                  <select
+                    value={arbitrationForm.outcomeRule}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, outcomeRule: Number(e.target.value) })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {OUTCOME_RULES.map((rule, idx) => (
+                      <option key={rule} value={idx}>{rule}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-gray-600">
+                  Without quorum
+                  <select
+                    value={arbitrationForm.fallbackRule}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, fallbackRule: Number(e.target.value) })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {FALLBACK_RULES.map((rule, idx) => (
+                      <option key={rule} value={idx}>{rule}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-xs text-gray-600">
+                  Default split (% to freelancer)
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={arbitrationForm.defaultSplit}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, defaultSplit: Number(e.target.value) })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Quorum and outcome apply to open disputes too; the voting period only to new ones.
+              </p>
+              <button
+                onClick={handleUpdateArbitration}
+                disabled={actionLoading}
+                className="mt-3 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {ownerVia === 'timelock' ? 'Propose Settings' : 'Save Settings'}
+              </button>
+
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4">
+                <label className="text-xs text-gray-600">
+                  Appeal period (days, 0 = off)
+                  <input
+                    type="number"
+                    min="0"
+                    max="30"
+                    value={arbitrationForm.appealPeriodDays}
+                    onChange={(e) =>
+                      setArbitrationForm({
+                        ...arbitrationForm,
+                        appealPeriodDays: Number(e.target.value),
+                      })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Appeal quorum
+                  <input
+                    type="number"
+                    min="1"
+                    value={arbitrationForm.appealQuorum}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, appealQuorum: Number(e.target.value) })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Appeal bond (POL)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={arbitrationForm.appealBond}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, appealBond: e.target.value })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Decisions other than an even split are held for the appeal period. The losing side can
+                post the bond to have arbiters who did not vote on the decision vote again with the
+                appeal quorum, so appeals need at least that many other arbiters.
+              </p>
+              <button
+                onClick={handleUpdateAppeals}
+                disabled={actionLoading}
+                className="mt-3 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {ownerVia === 'timelock' ? 'Propose Appeal Settings' : 'Save Appeal Settings'}
+              </button>
+
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mt-4">
+                <label className="text-xs text-gray-600">
+                  Dispute bond (POL, 0 = none)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={arbitrationForm.disputeBond}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, disputeBond: e.target.value })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Forfeited bonds go to
+                  <select
+                    value={arbitrationForm.bondRecipient}
+                    onChange={(e) =>
+                      setArbitrationForm({ ...arbitrationForm, bondRecipient: Number(e.target.value) })
+                    }
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {BOND_RECIPIENTS.map((recipient, idx) => (
+                      <option key={recipient} value={idx}>{recipient}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                The initiator gets the bond back when the decision goes at least partly their way or the
+                parties settle. Applies to disputes raised from now on.
+              </p>
+              <button
+                onClick={handleUpdateDisputeBond}
+                disabled={actionLoading}
+                className="mt-3 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {ownerVia === 'timelock' ? 'Propose Dispute Bond' : 'Save Dispute Bond'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Disputes */}
       <div className="bg-white rounded-lg shadow-sm border p-6">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">
@@ -338,64 +939,90 @@ function AdminDashboard({ account }) {
                         <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full">
                           Resolved
                         </span>
+                      ) : dispute.isAppealed ? (
+                        <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs rounded-full">
+                          Under appeal
+                        </span>
+                      ) : dispute.appealDeadline > 0 ? (
+                        <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                          Decided
+                        </span>
+                      ) : dispute.isEscalated ? (
+                        <span className="px-2 py-1 bg-red-100 text-red-800 text-xs rounded-full">
+                          Escalated
+                        </span>
                       ) : (
                         <span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs rounded-full">
                           Pending
                         </span>
                       )}
+                      {dispute.isAppeal && (
+                        <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs rounded-full">
+                          Appeal of #{dispute.appealedDispute}
+                        </span>
+                      )}
                     </div>
                     <p className="text-sm text-gray-600">Project: {dispute.projectTitle}</p>
                     <p className="text-xs text-gray-500">
-                      Raised by: {formatAddress(dispute.initiator)} on {formatDate(dispute.createdAt)}
+                      Raised by: <AddressLink address={dispute.initiator} /> on {formatDate(dispute.createdAt)}
                     </p>
                   </div>
                 </div>
 
-                <div className="bg-gray-50 rounded p-3 mb-3">
-                  <p className="text-sm font-medium text-gray-700 mb-1">Reason:</p>
-                  <p className="text-sm text-gray-600">{dispute.reason}</p>
-                </div>
+                <p className="text-sm text-gray-600 mb-3 line-clamp-2">{dispute.reason}</p>
 
                 {/* Voting Status */}
-                {dispute.voteCount > 0 && (
-                  <div className="mb-3">
-                    <p className="text-sm font-medium text-gray-700 mb-2">
-                      Votes: {dispute.voteCount}/{2} required
+                {!dispute.isResolved && dispute.appealDeadline > 0 && (
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Decided: {dispute.decidedPercentage}% to freelancer ·{' '}
+                    {dispute.isAppealed
+                      ? 'a larger panel is re-voting on appeal'
+                      : `appeal window ends ${formatDate(dispute.appealDeadline)}`}
+                  </p>
+                )}
+                {!dispute.isResolved && dispute.appealDeadline === 0 && (
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-sm font-medium text-gray-700">
+                      Votes: {dispute.voteCount}/{dispute.requiredVotes} required
                     </p>
-                    <div className="space-y-1">
-                      {dispute.voters.map((voter, idx) => (
-                        <div key={idx} className="flex items-center justify-between text-xs">
-                          <span className="font-mono">{formatAddress(voter)}</span>
-                          <span className="font-medium">{dispute.percentages[idx]}% to freelancer</span>
-                        </div>
-                      ))}
-                    </div>
+                    <VotingCountdown
+                      deadline={dispute.votingDeadline}
+                      isEscalated={dispute.isEscalated}
+                    />
                   </div>
                 )}
+                <div className="mb-3">
+                  <p className="text-xs font-medium text-gray-500 mb-1">
+                    Panel ({dispute.panel.length})
+                  </p>
+                  <DisputePanel
+                    panel={dispute.panel}
+                    recused={dispute.recused}
+                    voters={dispute.voters}
+                    percentages={dispute.percentages}
+                    account={account}
+                  />
+                </div>
 
-                {/* Vote Actions */}
-                {!dispute.isResolved && !dispute.voters.includes(account) && (
-                  <div className="space-y-2">
-                    <p className="text-sm font-medium text-gray-700">Cast Your Vote:</p>
-                    <div className="grid grid-cols-5 gap-2">
-                      {[0, 25, 50, 75, 100].map((percentage) => (
-                        <button
-                          key={percentage}
-                          onClick={() => handleVoteDispute(dispute.id, percentage)}
-                          disabled={actionLoading}
-                          className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition disabled:opacity-50 text-sm"
-                        >
-                          {percentage}%
-                        </button>
-                      ))}
-                    </div>
-                    <p className="text-xs text-gray-500">% to freelancer (rest goes to client)</p>
-                  </div>
-                )}
+                <Link
+                  to={`/dispute/${dispute.id}`}
+                  className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+                >
+                  {dispute.isResolved
+                    ? 'View timeline & evidence'
+                    : can.arbiter
+                    ? 'Review evidence & vote'
+                    : 'Review evidence'}
+                  <ChevronRight className="w-4 h-4 ml-1" />
+                </Link>
 
                 {!dispute.isResolved && dispute.voters.includes(account) && (
-                  <p className="text-sm text-green-600">✓ You have already voted on this dispute</p>
+                  <p className="text-sm text-green-600 mt-2">✓ You have already voted on this dispute</p>
                 )}
+                {!dispute.isResolved &&
+                  !dispute.panel.some((m) => m.toLowerCase() === account.toLowerCase()) && (
+                    <p className="text-sm text-gray-500 mt-2">You are not on this dispute's panel</p>
+                  )}
               </div>
             ))}
           </div>
@@ -41,7 +41,7 @@ function AutoApproveTimer({ projectId, milestoneId, submittedAt, onAutoApprove }
       if (onAutoApprove) {
         onAutoApprove();
       }
-      alert('✅ Milestone auto-approved! Payment released to freelancer.');
+      alert('✅ Milestone auto-approved! Payment credited to freelancer.');
     } catch (error) {
       console.error('Auto-approve error:', error);
       alert(error.message || 'Failed to auto-approve');
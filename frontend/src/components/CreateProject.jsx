@@ -1,10 +1,20 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { PlusCircle, Trash2, Calendar, DollarSign, AlertCircle } from 'lucide-react';
-import { getContract, parseEther, waitForTransaction } from '../utils/web3';
+import { PlusCircle, Trash2, Calendar, DollarSign, AlertCircle, Coins, Lock, Users } from 'lucide-react';
+import {
+  getContract,
+  parseTokenAmount,
+  isNativeToken,
+  isValidAddress,
+  ensureTokenAllowance,
+  waitForTransaction,
+  getPaymentTokens,
+} from '../utils/web3';
+import { storeText, isContentShared } from '../utils/contentStore';
 
 function CreateProject({ account }) {
   const navigate = useNavigate();
+  const paymentTokens = getPaymentTokens();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -12,8 +22,15 @@ function CreateProject({ account }) {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
+    paymentToken: paymentTokens[0].address,
+    visibility: 'public',
+    invitees: '',
+    hiring: 'instant',
   });
 
+  const selectedToken =
+    paymentTokens.find((t) => t.address === formData.paymentToken) || paymentTokens[0];
+
   const [milestones, setMilestones] = useState([
     {
       description: '',
@@ -84,26 +101,81 @@ function CreateProject({ account }) {
         throw new Error('Total amount must be greater than 0');
       }
 
+      const inviteOnly = formData.visibility === 'invite';
+      const invitees = formData.invitees.split(/[\s,]+/).filter(Boolean);
+      if (inviteOnly) {
+        if (invitees.length === 0) {
+          throw new Error('Invite-only projects need at least one freelancer address');
+        }
+        const invalid = invitees.find((address) => !isValidAddress(address));
+        if (invalid) {
+          throw new Error(`Invalid freelancer address: ${invalid}`);
+        }
+        if (invitees.some((address) => address.toLowerCase() === account.toLowerCase())) {
+          throw new Error('You cannot invite yourself');
+        }
+      }
+
       const contract = await getContract();
 
-      const descriptionHash = `ipfs://description-${Date.now()}`;
+      // Only the CID of the description goes on-chain
+      const descriptionHash = await storeText(formData.description);
       const milestoneDescriptions = milestones.map((m) => m.description);
-      const milestoneAmounts = milestones.map((m) => parseEther(m.amount));
+      const milestoneAmounts = milestones.map((m) =>
+        parseTokenAmount(m.amount, selectedToken.decimals)
+      );
       const milestoneDeadlines = milestones.map((m) => {
         return Math.floor(new Date(m.deadline).getTime() / 1000);
       });
+      const totalAmount = milestoneAmounts.reduce((sum, a) => sum + a, 0n);
 
-      console.log('Creating project...');
-      const tx = await contract.createProject(
-        formData.title,
-        descriptionHash,
-        milestoneDescriptions,
-        milestoneAmounts,
-        milestoneDeadlines,
-        {
-          value: parseEther(total.toString()),
-        }
-      );
+      const isNative = isNativeToken(selectedToken.address);
+      if (!isNative) {
+        setSuccess(`Step 1/2: Approving ${selectedToken.symbol} for escrow...`);
+        await ensureTokenAllowance(selectedToken.address, account, totalAmount);
+        setSuccess('Step 2/2: Creating project and depositing funds...');
+      }
+
+      const requiresApplication = formData.hiring === 'applications';
+
+      let tx;
+      if (inviteOnly || requiresApplication) {
+        console.log('Creating project with hiring options...');
+        tx = await contract.createProjectWithOptions(
+          formData.title,
+          descriptionHash,
+          milestoneDescriptions,
+          milestoneAmounts,
+          milestoneDeadlines,
+          selectedToken.address,
+          inviteOnly ? invitees : [],
+          requiresApplication,
+          {
+            value: isNative ? totalAmount : 0n,
+          }
+        );
+      } else if (isNative) {
+        console.log('Creating project...');
+        tx = await contract.createProject(
+          formData.title,
+          descriptionHash,
+          milestoneDescriptions,
+          milestoneAmounts,
+          milestoneDeadlines,
+          {
+            value: totalAmount,
+          }
+        );
+      } else {
+        tx = await contract.createTokenProject(
+          formData.title,
+          descriptionHash,
+          milestoneDescriptions,
+          milestoneAmounts,
+          milestoneDeadlines,
+          selectedToken.address
+        );
+      }
 
       setSuccess('Transaction submitted! Waiting for confirmation...');
       await waitForTransaction(tx);
@@ -179,6 +251,86 @@ function CreateProject({ account }) {
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 required
               />
+              {!isContentShared() && (
+                <p className="flex items-start text-xs text-amber-700 mt-2">
+                  <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                  Descriptions can only be stored in this browser, so freelancers couldn&apos;t read
+                  it. Configure IPFS storage to post projects.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <Coins className="w-4 h-4 inline mr-1" />
+                Payment Currency *
+              </label>
+              <select
+                name="paymentToken"
+                value={formData.paymentToken}
+                onChange={handleInputChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {paymentTokens.map((token) => (
+                  <option key={token.address} value={token.address}>
+                    {token.symbol} - {token.name}
+                  </option>
+                ))}
+              </select>
+              {!isNativeToken(selectedToken.address) && (
+                <p className="text-xs text-gray-500 mt-1">
+                  You will be asked to approve {selectedToken.symbol} spending first, then to
+                  create the project.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <Lock className="w-4 h-4 inline mr-1" />
+                Visibility *
+              </label>
+              <select
+                name="visibility"
+                value={formData.visibility}
+                onChange={handleInputChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="public">Public - any freelancer can accept</option>
+                <option value="invite">Invite only - only the freelancers you list can accept</option>
+              </select>
+              {formData.visibility === 'invite' && (
+                <textarea
+                  name="invitees"
+                  value={formData.invitees}
+                  onChange={handleInputChange}
+                  placeholder="Freelancer wallet addresses (0x...), one per line or comma separated"
+                  rows="3"
+                  className="mt-2 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
+                />
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <Users className="w-4 h-4 inline mr-1" />
+                Hiring *
+              </label>
+              <select
+                name="hiring"
+                value={formData.hiring}
+                onChange={handleInputChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="instant">Instant - the first eligible freelancer takes the project</option>
+                <option value="applications">Applications - review bids and select a freelancer</option>
+              </select>
+              {formData.hiring === 'applications' && (
+                <p className="text-sm text-gray-500 mt-2">
+                  Freelancers can bid up to your budget. If you select a lower bid, milestone
+                  amounts are scaled down and the difference is credited back to you.
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -233,7 +385,7 @@ function CreateProject({ account }) {
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         <DollarSign className="w-4 h-4 inline mr-1" />
-                        Amount (POL) *
+                        Amount ({selectedToken.symbol}) *
                       </label>
                       <input
                         type="number"
@@ -278,7 +430,7 @@ function CreateProject({ account }) {
             </div>
             <div className="text-right">
               <p className="text-3xl font-bold text-blue-600">{calculateTotal().toFixed(2)}</p>
-              <p className="text-sm text-gray-600">POL</p>
+              <p className="text-sm text-gray-600">{selectedToken.symbol}</p>
             </div>
           </div>
         </div>
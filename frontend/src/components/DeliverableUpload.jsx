@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { UploadCloud, X, File, AlertTriangle } from 'lucide-react';
+import { formatFileSize } from '../utils/deliverables';
+import { isContentShared } from '../utils/contentStore';
+
+function DeliverableUpload({ files, onChange, disabled }) {
+  const [dragging, setDragging] = useState(false);
+
+  const addFiles = (fileList) => {
+    const added = [...fileList].filter(
+      (file) => !files.some((f) => f.name === file.name && f.size === file.size)
+    );
+    onChange([...files, ...added]);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="space-y-2">
+      {!isContentShared() && (
+        <p className="flex items-start text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+          <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+          Files can only be stored in this browser, so no one else could download them. Configure
+          IPFS storage to submit files.
+        </p>
+      )}
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center px-4 py-6 border-2 border-dashed rounded-lg cursor-pointer transition ${
+          dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400'
+        } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+      >
+        <UploadCloud className="w-8 h-8 text-gray-400 mb-2" />
+        <span className="text-sm text-gray-600">Drag files here or click to browse</span>
+        <span className="text-xs text-gray-400 mt-1">
+          Files are hashed in your browser; only the hash goes on-chain
+        </span>
+        <input
+          type="file"
+          multiple
+          disabled={disabled}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+      </label>
+
+      {files.length > 0 && (
+        <ul className="space-y-1">
+          {files.map((file, idx) => (
+            <li
+              key={`${file.name}-${file.size}`}
+              className="flex items-center justify-between text-sm bg-gray-50 rounded px-3 py-2"
+            >
+              <span className="flex items-center truncate">
+                <File className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+                <span className="truncate">{file.name}</span>
+                <span className="ml-2 text-xs text-gray-400">{formatFileSize(file.size)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onChange(files.filter((_, i) => i !== idx))}
+                disabled={disabled}
+                className="text-gray-400 hover:text-red-600"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DeliverableUpload;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { Download, ShieldCheck, ShieldAlert, Loader, Unlock, Lock } from 'lucide-react';
+import {
+  downloadDeliverable,
+  decryptDeliverable,
+  saveFile,
+  formatFileSize,
+} from '../utils/deliverables';
+
+function DeliverableVerifier({ deliverableHash, decryptionKey }) {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState('');
+  const [error, setError] = useState('');
+
+  const handleVerify = async () => {
+    setLoading('verify');
+    setError('');
+    setResult(null);
+
+    try {
+      const deliverable = await downloadDeliverable(deliverableHash);
+      setResult(deliverable);
+      deliverable.files.filter((f) => f.verified).forEach(saveFile);
+    } catch (err) {
+      console.error('Error verifying deliverable:', err);
+      setError(err.message || 'Failed to download deliverable');
+    } finally {
+      setLoading('');
+    }
+  };
+
+  const handleDecrypt = async () => {
+    setLoading('decrypt');
+    setError('');
+
+    try {
+      const files = await decryptDeliverable(deliverableHash, decryptionKey);
+      files.forEach(saveFile);
+    } catch (err) {
+      console.error('Error decrypting deliverable:', err);
+      setError(err.message || 'Failed to decrypt deliverable');
+    } finally {
+      setLoading('');
+    }
+  };
+
+  const renderFile = (file, encrypted) => (
+    <p key={file.cid} className="flex items-center justify-between text-xs text-gray-600">
+      <span className="flex items-center truncate">
+        {encrypted && <Lock className="w-3 h-3 mr-1 flex-shrink-0" />}
+        {file.name} ({formatFileSize(file.size)})
+      </span>
+      <span className={file.verified ? 'text-green-700' : 'text-red-700'}>
+        {file.verified ? '✓ verified' : file.bytes ? '✗ mismatch' : '✗ missing'}
+      </span>
+    </p>
+  );
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center space-x-4">
+        <button
+          onClick={handleVerify}
+          disabled={Boolean(loading)}
+          className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+        >
+          {loading === 'verify' ? (
+            <Loader className="w-4 h-4 mr-1 animate-spin" />
+          ) : (
+            <Download className="w-4 h-4 mr-1" />
+          )}
+          {loading === 'verify' ? 'Downloading...' : 'Download & verify'}
+        </button>
+
+        {decryptionKey && (
+          <button
+            onClick={handleDecrypt}
+            disabled={Boolean(loading)}
+            className="flex items-center text-sm font-medium text-green-700 hover:text-green-800 disabled:opacity-50"
+          >
+            {loading === 'decrypt' ? (
+              <Loader className="w-4 h-4 mr-1 animate-spin" />
+            ) : (
+              <Unlock className="w-4 h-4 mr-1" />
+            )}
+            {loading === 'decrypt' ? 'Decrypting...' : 'Download & decrypt'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+      {result && (
+        <div className="mt-2 space-y-1">
+          {result.verified ? (
+            <p className="flex items-center text-sm text-green-700">
+              <ShieldCheck className="w-4 h-4 mr-1" />
+              All files match the on-chain hash
+            </p>
+          ) : (
+            <p className="flex items-center text-sm text-red-700">
+              <ShieldAlert className="w-4 h-4 mr-1" />
+              Downloaded content does not match the on-chain hash. Do not approve.
+            </p>
+          )}
+          {result.files.map((file) => renderFile(file, false))}
+          {result.encryptedFiles.map((file) => renderFile(file, true))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeliverableVerifier;
@@ -0,0 +1,660 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  AlertTriangle,
+  CheckCircle,
+  FileText,
+  Gavel,
+  Loader,
+  MessageSquare,
+  Send,
+  Timer,
+} from 'lucide-react';
+import {
+  getReadOnlyContract,
+  getDisputesContract,
+  getReadOnlyDisputesContract,
+  getEvidenceContract,
+  getReadOnlyEvidenceContract,
+  getReadOnlyTimelockContract,
+  scheduleTimelockCall,
+  getTokenInfo,
+  formatTokenAmount,
+  formatAddress,
+  formatDate,
+  waitForTransaction,
+} from '../utils/web3';
+import { packageDeliverable } from '../utils/deliverables';
+import { getContractAddress } from '../contracts/deployments';
+import DeliverableUpload from './DeliverableUpload.jsx';
+import DeliverableVerifier from './DeliverableVerifier.jsx';
+import VotingCountdown from './VotingCountdown.jsx';
+import DisputePanel from './DisputePanel.jsx';
+
+function DisputeDetail({ account }) {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [dispute, setDispute] = useState(null);
+  const [project, setProject] = useState(null);
+  const [evidence, setEvidence] = useState([]);
+  // How the account can decide escalated disputes: as the escrow owner, or
+  // as a timelock proposer once the timelock owns it
+  const [ownerVia, setOwnerVia] = useState(null);
+  const [requiredVotes, setRequiredVotes] = useState(0);
+  const [ownerPercentage, setOwnerPercentage] = useState(50);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [statement, setStatement] = useState('');
+  const [evidenceFiles, setEvidenceFiles] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadDispute = useCallback(async () => {
+    try {
+      setLoading(true);
+      const contract = await getReadOnlyContract();
+      const resolver = await getReadOnlyDisputesContract();
+      const evidenceContract = await getReadOnlyEvidenceContract();
+
+      const disputeData = await resolver.disputes(id);
+      const [voteCount, isResolved, voters, percentages] = await resolver.getDisputeVotes(id);
+      const projectId = Number(disputeData.projectId);
+      const milestoneId = Number(disputeData.milestoneId);
+      const [
+        projectData,
+        milestonesData,
+        evidenceData,
+        [panel, recused],
+        owner,
+        required,
+        ruling,
+        isAppeal,
+        appealedDispute,
+      ] = await Promise.all([
+        contract.projects(projectId),
+        contract.getProjectMilestones(projectId),
+        evidenceContract.getEvidence(id),
+        resolver.getDisputePanel(id),
+        contract.owner(),
+        resolver.requiredVotes(id),
+        resolver.rulings(id),
+        resolver.isAppeal(id),
+        resolver.appealedDispute(id),
+      ]);
+      const token = await getTokenInfo(projectData.paymentToken);
+      const milestone = milestonesData[milestoneId];
+
+      setProject({
+        id: projectId,
+        title: projectData.title,
+        client: projectData.client,
+        freelancer: projectData.freelancer,
+        tokenSymbol: token.symbol,
+        milestoneDescription: milestone.description,
+        milestoneAmount: formatTokenAmount(milestone.amount, token.decimals),
+        deliverableHash: milestone.deliverableHash,
+      });
+      setDispute({
+        id: Number(id),
+        milestoneId,
+        initiator: disputeData.initiator,
+        reason: disputeData.reason,
+        createdAt: Number(disputeData.createdAt),
+        votingDeadline: Number(disputeData.votingDeadline),
+        isEscalated: disputeData.isEscalated,
+        percentageToFreelancer: Number(disputeData.percentageToFreelancer),
+        isResolved,
+        voteCount: Number(voteCount),
+        voters: [...voters],
+        percentages: percentages.map((p) => Number(p)),
+        panel: [...panel],
+        recused: [...recused],
+        // A decision held for appeal; null until the panel decides
+        ruling:
+          ruling.appealDeadline > 0n
+            ? {
+                percentageToFreelancer: Number(ruling.percentageToFreelancer),
+                appealDeadline: Number(ruling.appealDeadline),
+                isAppealed: ruling.isAppealed,
+                appealId: Number(ruling.appealId),
+              }
+            : null,
+        isAppeal,
+        appealedDispute: Number(appealedDispute),
+      });
+      setEvidence(
+        evidenceData.map((e, idx) => ({
+          id: idx,
+          submitter: e.submitter,
+          statement: e.statement,
+          fileHashes: [...e.fileHashes],
+          submittedAt: Number(e.submittedAt),
+        }))
+      );
+      if (owner.toLowerCase() === account.toLowerCase()) {
+        setOwnerVia('direct');
+      } else if (owner.toLowerCase() === getContractAddress('EscrowTimelock').toLowerCase()) {
+        const timelock = await getReadOnlyTimelockContract();
+        const isProposer = await timelock.hasRole(await timelock.PROPOSER_ROLE(), account);
+        setOwnerVia(isProposer ? 'timelock' : null);
+      } else {
+        setOwnerVia(null);
+      }
+      setRequiredVotes(Number(required));
+    } catch (err) {
+      console.error('Error loading dispute:', err);
+      setError('Failed to load dispute');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, account]);
+
+  useEffect(() => {
+    loadDispute();
+  }, [loadDispute]);
+
+  const handleSubmitEvidence = async () => {
+    if (!statement && evidenceFiles.length === 0) {
+      setError('Add a statement or at least one file');
+      return;
+    }
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // Each file gets its own manifest so its name survives and it can be
+      // verified on its own
+      const fileHashes = [];
+      if (evidenceFiles.length > 0) {
+        setSuccess('Hashing and uploading files...');
+        for (const file of evidenceFiles) {
+          fileHashes.push(await packageDeliverable([file]));
+        }
+      }
+
+      const evidenceContract = await getEvidenceContract();
+      const tx = await evidenceContract.submitEvidence(id, statement, fileHashes);
+      setSuccess('Submitting evidence...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Evidence submitted!');
+      setStatement('');
+      setEvidenceFiles([]);
+      await loadDispute();
+    } catch (err) {
+      console.error('Error submitting evidence:', err);
+      setError(err.message || 'Failed to submit evidence');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleVote = async (percentage) => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.voteOnDispute(id, percentage, { gasLimit: 300000 });
+      await waitForTransaction(tx);
+      setSuccess('✅ Vote submitted successfully!');
+      await loadDispute();
+    } catch (err) {
+      console.error('Vote error:', err);
+      setError(err.message || 'Failed to vote');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRecuse = async () => {
+    if (!confirm('Recuse yourself from this dispute? You will not be able to vote on it.')) return;
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.recuse(id, { gasLimit: 300000 });
+      await waitForTransaction(tx);
+      setSuccess('✅ You have recused yourself from this dispute');
+      await loadDispute();
+    } catch (err) {
+      console.error('Recuse error:', err);
+      setError(err.message || 'Failed to recuse');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleFinalize = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.finalizeExpiredDispute(id);
+      await waitForTransaction(tx);
+      setSuccess('✅ Dispute finalized!');
+      await loadDispute();
+    } catch (err) {
+      console.error('Finalize error:', err);
+      setError(err.message || 'Failed to finalize dispute');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleFinalizeRuling = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.finalizeRuling(id);
+      await waitForTransaction(tx);
+      setSuccess('✅ Decision paid out!');
+      await loadDispute();
+    } catch (err) {
+      console.error('Finalize ruling error:', err);
+      setError(err.message || 'Failed to pay out decision');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleResolveEscalated = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      if (ownerVia === 'timelock') {
+        const tx = await scheduleTimelockCall(
+          await getReadOnlyDisputesContract(),
+          'resolveEscalatedDispute',
+          [id, ownerPercentage]
+        );
+        await waitForTransaction(tx);
+        setSuccess('⏳ Decision queued. It can be executed from the admin dashboard once the delay has passed.');
+      } else {
+        const resolver = await getDisputesContract();
+        const tx = await resolver.resolveEscalatedDispute(id, ownerPercentage);
+        await waitForTransaction(tx);
+        setSuccess('✅ Dispute resolved!');
+      }
+      await loadDispute();
+    } catch (err) {
+      console.error('Resolve error:', err);
+      setError(err.message || 'Failed to resolve dispute');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <Loader className="w-8 h-8 animate-spin text-blue-600" />
+        <span className="ml-3 text-gray-600">Loading dispute...</span>
+      </div>
+    );
+  }
+
+  if (!dispute || !project) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-600">{error || 'Dispute not found'}</p>
+      </div>
+    );
+  }
+
+  const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const partyLabel = (address) =>
+    sameAddress(address, project.client)
+      ? 'Client'
+      : sameAddress(address, project.freelancer)
+      ? 'Freelancer'
+      : 'Unknown';
+  const isParticipant =
+    sameAddress(account, project.client) || sameAddress(account, project.freelancer);
+  const hasVoted = dispute.voters.some((voter) => sameAddress(voter, account));
+  const panelIdx = dispute.panel.findIndex((member) => sameAddress(member, account));
+  const isPanelist = panelIdx >= 0 && !dispute.recused[panelIdx];
+  const isDecided = !dispute.isResolved && dispute.ruling !== null;
+  const votingOpen =
+    !dispute.isResolved &&
+    !isDecided &&
+    !dispute.isEscalated &&
+    Math.floor(Date.now() / 1000) <= dispute.votingDeadline;
+  const canFinalize = !dispute.isResolved && !isDecided && !dispute.isEscalated && !votingOpen;
+  const canFinalizeRuling =
+    isDecided &&
+    !dispute.ruling.isAppealed &&
+    Math.floor(Date.now() / 1000) > dispute.ruling.appealDeadline;
+
+  // Votes carry no timestamp on-chain, so the timeline covers the dispute
+  // itself and the evidence; the vote breakdown is listed separately
+  const timeline = [
+    {
+      key: 'raised',
+      at: dispute.createdAt,
+      actor: dispute.initiator,
+      title: 'Dispute raised',
+      statement: dispute.reason,
+      fileHashes: [],
+    },
+    ...evidence.map((e) => ({
+      key: `evidence-${e.id}`,
+      at: e.submittedAt,
+      actor: e.submitter,
+      title: 'Evidence submitted',
+      statement: e.statement,
+      fileHashes: e.fileHashes,
+    })),
+  ].sort((a, b) => a.at - b.at);
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <button
+        onClick={() => navigate(-1)}
+        className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeft className="w-5 h-5" />
+        <span>Back</span>
+      </button>
+
+      {error && (
+        <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4 flex items-start space-x-3">
+          <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-red-900">Error</p>
+            <p className="text-sm text-red-700 mt-1">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4">
+          <p className="text-sm text-green-800">{success}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+        <div className="flex items-center space-x-3 mb-2">
+          <h1 className="text-3xl font-bold text-gray-900">Dispute #{dispute.id}</h1>
+          {dispute.isResolved ? (
+            <span className="px-3 py-1 bg-green-100 text-green-800 text-sm rounded-full">
+              Resolved
+            </span>
+          ) : isDecided ? (
+            <span className="px-3 py-1 bg-blue-100 text-blue-800 text-sm rounded-full">
+              {dispute.ruling.isAppealed ? 'Under appeal' : 'Decided'}
+            </span>
+          ) : dispute.isEscalated ? (
+            <span className="px-3 py-1 bg-red-100 text-red-800 text-sm rounded-full">
+              Escalated
+            </span>
+          ) : (
+            <span className="px-3 py-1 bg-yellow-100 text-yellow-800 text-sm rounded-full">
+              Pending
+            </span>
+          )}
+          {dispute.isAppeal && (
+            <Link
+              to={`/dispute/${dispute.appealedDispute}`}
+              className="px-3 py-1 bg-purple-100 text-purple-800 text-sm rounded-full hover:bg-purple-200"
+            >
+              Appeal of #{dispute.appealedDispute}
+            </Link>
+          )}
+        </div>
+        <p className="text-gray-600">
+          <Link to={`/project/${project.id}`} className="text-blue-600 hover:text-blue-700">
+            {project.title}
+          </Link>{' '}
+          · Milestone {dispute.milestoneId + 1}: {project.milestoneDescription} ·{' '}
+          {project.milestoneAmount} {project.tokenSymbol}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 mt-4 border-t text-sm">
+          <div>
+            <p className="text-gray-600">Client</p>
+            <p className="font-mono">{formatAddress(project.client)}</p>
+          </div>
+          <div>
+            <p className="text-gray-600">Freelancer</p>
+            <p className="font-mono">{formatAddress(project.freelancer)}</p>
+          </div>
+        </div>
+
+        {project.deliverableHash && (
+          <div className="bg-gray-50 rounded-lg p-4 mt-4">
+            <p className="text-sm font-medium text-gray-700 mb-1">Disputed deliverable</p>
+            <p className="text-xs text-gray-600 font-mono break-all">{project.deliverableHash}</p>
+            <DeliverableVerifier deliverableHash={project.deliverableHash} />
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Timeline</h2>
+          <ol className="space-y-4">
+            {timeline.map((entry) => (
+              <li key={entry.key} className="border-l-2 border-gray-200 pl-4">
+                <div className="flex items-center space-x-2 mb-1">
+                  <MessageSquare className="w-4 h-4 text-gray-400" />
+                  <span className="text-sm font-medium text-gray-900">{entry.title}</span>
+                  <span
+                    className={`px-2 py-0.5 text-xs rounded-full ${
+                      partyLabel(entry.actor) === 'Client'
+                        ? 'bg-blue-100 text-blue-800'
+                        : 'bg-purple-100 text-purple-800'
+                    }`}
+                  >
+                    {partyLabel(entry.actor)}
+                  </span>
+                  <span className="text-xs text-gray-500">{formatDate(entry.at)}</span>
+                </div>
+                {entry.statement && (
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{entry.statement}</p>
+                )}
+                {entry.fileHashes.map((hash) => (
+                  <div key={hash} className="mt-2 bg-gray-50 rounded p-3">
+                    <p className="flex items-center text-xs text-gray-600 font-mono break-all">
+                      <FileText className="w-3 h-3 mr-1 flex-shrink-0" />
+                      {hash}
+                    </p>
+                    <DeliverableVerifier deliverableHash={hash} />
+                  </div>
+                ))}
+              </li>
+            ))}
+            {dispute.ruling && (
+              <li className="border-l-2 border-blue-300 pl-4">
+                <div className="flex items-center space-x-2">
+                  <Gavel className="w-4 h-4 text-blue-600" />
+                  <span className="text-sm font-medium text-gray-900">
+                    Panel decided: {dispute.ruling.percentageToFreelancer}% to freelancer
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {dispute.ruling.isAppealed ? (
+                    <Link
+                      to={`/dispute/${dispute.ruling.appealId}`}
+                      className="text-purple-600 hover:text-purple-700"
+                    >
+                      Appealed · see appeal #{dispute.ruling.appealId} →
+                    </Link>
+                  ) : (
+                    `Appeal window ends ${formatDate(dispute.ruling.appealDeadline)}`
+                  )}
+                </p>
+              </li>
+            )}
+            {dispute.isResolved && (
+              <li className="border-l-2 border-green-300 pl-4">
+                <div className="flex items-center space-x-2">
+                  <CheckCircle className="w-4 h-4 text-green-600" />
+                  <span className="text-sm font-medium text-gray-900">
+                    Resolved: {dispute.percentageToFreelancer}% to freelancer
+                  </span>
+                </div>
+              </li>
+            )}
+          </ol>
+
+          {isParticipant && !dispute.isResolved && (
+            <div className="mt-6 pt-6 border-t space-y-3">
+              <h3 className="font-semibold text-gray-900">Add Evidence</h3>
+              <textarea
+                placeholder="Explain your side, reference messages, scope documents..."
+                value={statement}
+                onChange={(e) => setStatement(e.target.value)}
+                rows="3"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <DeliverableUpload
+                files={evidenceFiles}
+                onChange={setEvidenceFiles}
+                disabled={actionLoading}
+              />
+              <button
+                onClick={handleSubmitEvidence}
+                disabled={actionLoading}
+                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center space-x-2"
+              >
+                <Send className="w-4 h-4" />
+                <span>{actionLoading ? 'Submitting...' : 'Submit Evidence'}</span>
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border p-6 h-fit">
+          <h2 className="flex items-center text-xl font-semibold text-gray-900 mb-4">
+            <Gavel className="w-5 h-5 mr-2" />
+            Votes
+          </h2>
+          <div className="flex items-center justify-between mb-3">
+            <p className="text-sm text-gray-600">
+              {dispute.voteCount}/{requiredVotes} required
+            </p>
+            {!dispute.isResolved && !isDecided && (
+              <VotingCountdown
+                deadline={dispute.votingDeadline}
+                isEscalated={dispute.isEscalated}
+              />
+            )}
+          </div>
+          <p className="text-xs font-medium text-gray-500 mb-1">
+            Panel ({dispute.panel.length})
+          </p>
+          <DisputePanel
+            panel={dispute.panel}
+            recused={dispute.recused}
+            voters={dispute.voters}
+            percentages={dispute.percentages}
+            account={account}
+          />
+
+          {isPanelist && votingOpen && !hasVoted && (
+            <div className="mt-6 pt-4 border-t space-y-2">
+              <p className="text-sm font-medium text-gray-700">Cast Your Vote:</p>
+              <div className="grid grid-cols-5 gap-2">
+                {[0, 25, 50, 75, 100].map((percentage) => (
+                  <button
+                    key={percentage}
+                    onClick={() => handleVote(percentage)}
+                    disabled={actionLoading}
+                    className="px-2 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition disabled:opacity-50 text-sm"
+                  >
+                    {percentage}%
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">% to freelancer (rest goes to client)</p>
+              <button
+                onClick={handleRecuse}
+                disabled={actionLoading}
+                className="w-full text-sm text-gray-600 hover:text-gray-900 underline disabled:opacity-50"
+              >
+                Recuse myself (conflict of interest)
+              </button>
+            </div>
+          )}
+
+          {isPanelist && !dispute.isResolved && hasVoted && (
+            <p className="mt-4 text-sm text-green-600">✓ You have already voted on this dispute</p>
+          )}
+
+          {canFinalize && (
+            <div className="mt-6 pt-4 border-t space-y-2">
+              <p className="text-xs text-gray-500">
+                Voting closed without a decision. Anyone can finalize the dispute, which
+                applies the fallback rule.
+              </p>
+              <button
+                onClick={handleFinalize}
+                disabled={actionLoading}
+                className="w-full flex items-center justify-center space-x-2 bg-orange-600 text-white py-2 rounded-lg hover:bg-orange-700 transition disabled:opacity-50"
+              >
+                <Timer className="w-4 h-4" />
+                <span>Finalize Dispute</span>
+              </button>
+            </div>
+          )}
+
+          {canFinalizeRuling && (
+            <div className="mt-6 pt-4 border-t space-y-2">
+              <p className="text-xs text-gray-500">
+                Nobody appealed the decision in time. Anyone can now pay it out.
+              </p>
+              <button
+                onClick={handleFinalizeRuling}
+                disabled={actionLoading}
+                className="w-full flex items-center justify-center space-x-2 bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+              >
+                <CheckCircle className="w-4 h-4" />
+                <span>Pay Out Decision</span>
+              </button>
+            </div>
+          )}
+
+          {ownerVia && dispute.isEscalated && !dispute.isResolved && !isDecided && (
+            <div className="mt-6 pt-4 border-t space-y-2">
+              <p className="text-sm font-medium text-gray-700">Decide Escalated Dispute:</p>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={ownerPercentage}
+                  onChange={(e) => setOwnerPercentage(Number(e.target.value))}
+                  className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <span className="text-sm text-gray-600">% to freelancer</span>
+              </div>
+              <button
+                onClick={handleResolveEscalated}
+                disabled={actionLoading || ownerPercentage < 0 || ownerPercentage > 100}
+                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {ownerVia === 'timelock' ? 'Propose Decision' : 'Resolve Dispute'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DisputeDetail;
@@ -0,0 +1,40 @@
+import { Shield } from 'lucide-react';
+import { formatAddress } from '../utils/web3';
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+function DisputePanel({ panel, recused, voters, percentages, account }) {
+  if (panel.length === 0) {
+    return <p className="text-xs text-gray-500">No eligible arbitrators on this panel</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      {panel.map((member, idx) => {
+        const voteIdx = voters.findIndex((voter) => sameAddress(voter, member));
+        return (
+          <div key={member} className="flex items-center justify-between text-xs">
+            <span className="flex items-center font-mono">
+              <Shield className="w-3 h-3 mr-1 text-blue-600" />
+              {formatAddress(member)}
+              {sameAddress(member, account) && (
+                <span className="ml-2 font-sans bg-blue-100 text-blue-800 px-1.5 py-0.5 rounded">
+                  You
+                </span>
+              )}
+            </span>
+            {voteIdx >= 0 ? (
+              <span className="font-medium">{percentages[voteIdx]}% to freelancer</span>
+            ) : recused[idx] ? (
+              <span className="text-gray-500">Recused</span>
+            ) : (
+              <span className="text-yellow-700">Awaiting vote</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DisputePanel;
@@ -0,0 +1,272 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { Clock, Landmark, Loader } from 'lucide-react';
+import {
+  getReadOnlyContract,
+  getReadOnlyDisputesContract,
+  getTimelockContract,
+  getReadOnlyTimelockContract,
+  formatAddress,
+  waitForTransaction,
+} from '../utils/web3';
+import { getDeployment, getContractAddress } from '../contracts/deployments';
+
+const LOG_CHUNK_SIZE = 2000; // public Amoy RPC caps eth_getLogs ranges
+const DONE_TIMESTAMP = 1; // TimelockController marks executed operations with 1
+
+const proxyAdminInterface = new ethers.Interface([
+  'function upgrade(address proxy, address implementation)',
+]);
+
+const STATUS_STYLES = {
+  Queued: 'bg-yellow-100 text-yellow-800',
+  Ready: 'bg-blue-100 text-blue-800',
+  Executed: 'bg-green-100 text-green-800',
+  Cancelled: 'bg-gray-100 text-gray-800',
+};
+
+function TimeLeft({ until }) {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60000); // Update every minute
+    return () => clearInterval(interval);
+  }, []);
+
+  const secondsLeft = Math.max(0, until - now);
+  const daysLeft = Math.floor(secondsLeft / (24 * 60 * 60));
+  const hoursLeft = Math.floor((secondsLeft % (24 * 60 * 60)) / (60 * 60));
+  const minutesLeft = Math.floor((secondsLeft % (60 * 60)) / 60);
+
+  return (
+    <span className="inline-flex items-center text-xs text-gray-600">
+      <Clock className="w-3 h-3 mr-1" />
+      {daysLeft}d {hoursLeft}h {minutesLeft}m until executable
+    </span>
+  );
+}
+
+// Human-readable summary of a queued escrow or dispute resolver call, or
+// escrow upgrade
+const describeCall = (escrowInterface, resolverInterface, target, data, roles) => {
+  if (target.toLowerCase() === getContractAddress('ProxyAdmin').toLowerCase()) {
+    const upgrade = proxyAdminInterface.parseTransaction({ data });
+    return upgrade
+      ? `Upgrade the escrow to implementation ${formatAddress(upgrade.args.implementation)}`
+      : 'Unknown ProxyAdmin call';
+  }
+  if (target.toLowerCase() === getContractAddress('DisputeResolver').toLowerCase()) {
+    const call = resolverInterface.parseTransaction({ data });
+    return call
+      ? `Dispute resolver: ${call.name}(${call.args.join(', ')})`
+      : 'Unknown dispute resolver call';
+  }
+  if (target.toLowerCase() !== getContractAddress('ProjectEscrow').toLowerCase()) {
+    return `Call to ${formatAddress(target)}`;
+  }
+
+  const call = escrowInterface.parseTransaction({ data });
+  if (!call) return 'Unknown escrow call';
+
+  const roleLabel = (id) => roles.find((r) => r.id === id)?.label.replace(/s$/, '') || id;
+  switch (call.name) {
+    case 'setPlatformFee':
+      return `Set the platform fee to ${call.args[0]}%`;
+    case 'grantRole':
+      return `Grant ${roleLabel(call.args[0])} to ${formatAddress(call.args[1])}`;
+    case 'revokeRole':
+      return `Revoke ${roleLabel(call.args[0])} from ${formatAddress(call.args[1])}`;
+    case 'unpause':
+      return 'Unpause the escrow';
+    default:
+      return `${call.name}(${call.args.join(', ')})`;
+  }
+};
+
+function GovernanceProposals({ account, roles, onExecuted }) {
+  const [proposals, setProposals] = useState([]);
+  const [permissions, setPermissions] = useState({ executor: false, canceller: false });
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadProposals = useCallback(async () => {
+    try {
+      const timelock = await getReadOnlyTimelockContract();
+      const escrow = await getReadOnlyContract();
+      const resolver = await getReadOnlyDisputesContract();
+      const provider = timelock.runner;
+      const latestBlock = await provider.getBlockNumber();
+
+      const [executorRole, cancellerRole] = await Promise.all([
+        timelock.EXECUTOR_ROLE(),
+        timelock.CANCELLER_ROLE(),
+      ]);
+      const [isExecutor, anyoneExecutes, isCanceller] = await Promise.all([
+        timelock.hasRole(executorRole, account),
+        timelock.hasRole(executorRole, ethers.ZeroAddress),
+        timelock.hasRole(cancellerRole, account),
+      ]);
+      setPermissions({ executor: isExecutor || anyoneExecutes, canceller: isCanceller });
+
+      const scheduledTopic = timelock.interface.getEvent('CallScheduled').topicHash;
+      const scheduled = [];
+      for (let start = getDeployment().deployBlock ?? 0; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+        const logs = await provider.getLogs({
+          address: await timelock.getAddress(),
+          topics: [scheduledTopic],
+          fromBlock: start,
+          toBlock: Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock),
+        });
+        scheduled.push(...logs);
+      }
+
+      const proposalsData = await Promise.all(
+        scheduled.map(async (log) => {
+          const event = timelock.interface.parseLog(log);
+          const { id, target, value, data, predecessor } = event.args;
+          // The event carries no salt, so it is read back from the schedule
+          // transaction; proposals scheduled through another contract can't
+          // be executed from here
+          const tx = await provider.getTransaction(log.transactionHash);
+          const call = tx && timelock.interface.parseTransaction(tx);
+          const timestamp = Number(await timelock.getTimestamp(id));
+          const now = Math.floor(Date.now() / 1000);
+
+          return {
+            id,
+            block: log.blockNumber,
+            description: describeCall(escrow.interface, resolver.interface, target, data, roles),
+            call:
+              call && call.name === 'schedule'
+                ? { target, value, data, predecessor, salt: call.args.salt }
+                : null,
+            readyAt: timestamp,
+            status:
+              timestamp === 0
+                ? 'Cancelled'
+                : timestamp === DONE_TIMESTAMP
+                ? 'Executed'
+                : timestamp <= now
+                ? 'Ready'
+                : 'Queued',
+          };
+        })
+      );
+      setProposals(proposalsData.sort((a, b) => b.block - a.block));
+    } catch (err) {
+      console.error('Error loading proposals:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [account, roles]);
+
+  useEffect(() => {
+    loadProposals();
+  }, [loadProposals]);
+
+  const handleExecute = async (proposal) => {
+    setActionLoading(true);
+    setError('');
+
+    try {
+      const { target, value, data, predecessor, salt } = proposal.call;
+      const timelock = await getTimelockContract();
+      const tx = await timelock.execute(target, value, data, predecessor, salt, { value });
+      await waitForTransaction(tx);
+      await loadProposals();
+      if (onExecuted) onExecuted();
+    } catch (err) {
+      console.error('Execute proposal error:', err);
+      setError(err.message || 'Failed to execute proposal');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleCancel = async (proposal) => {
+    if (!confirm(`Cancel "${proposal.description}"?`)) return;
+
+    setActionLoading(true);
+    setError('');
+
+    try {
+      const timelock = await getTimelockContract();
+      const tx = await timelock.cancel(proposal.id);
+      await waitForTransaction(tx);
+      await loadProposals();
+    } catch (err) {
+      console.error('Cancel proposal error:', err);
+      setError(err.message || 'Failed to cancel proposal');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+      <h2 className="flex items-center text-xl font-semibold text-gray-900 mb-4">
+        <Landmark className="w-5 h-5 mr-2" />
+        Governance Proposals
+      </h2>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {loading ? (
+        <div className="flex items-center text-sm text-gray-400">
+          <Loader className="w-4 h-4 mr-2 animate-spin" />
+          Loading proposals...
+        </div>
+      ) : proposals.length === 0 ? (
+        <p className="text-sm text-gray-500">No proposals have been queued yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {proposals.map((proposal) => (
+            <div
+              key={proposal.id}
+              className="flex items-center justify-between p-3 bg-gray-50 rounded-lg"
+            >
+              <div>
+                <div className="flex items-center space-x-2">
+                  <p className="text-sm font-medium text-gray-900">{proposal.description}</p>
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                      STATUS_STYLES[proposal.status]
+                    }`}
+                  >
+                    {proposal.status}
+                  </span>
+                </div>
+                {proposal.status === 'Queued' && <TimeLeft until={proposal.readyAt} />}
+              </div>
+
+              <div className="flex space-x-3">
+                {proposal.status === 'Ready' && permissions.executor && proposal.call && (
+                  <button
+                    onClick={() => handleExecute(proposal)}
+                    disabled={actionLoading}
+                    className="bg-blue-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-blue-700 transition disabled:opacity-50"
+                  >
+                    Execute
+                  </button>
+                )}
+                {(proposal.status === 'Queued' || proposal.status === 'Ready') &&
+                  permissions.canceller && (
+                    <button
+                      onClick={() => handleCancel(proposal)}
+                      disabled={actionLoading}
+                      className="text-red-600 hover:text-red-700 text-sm disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GovernanceProposals;
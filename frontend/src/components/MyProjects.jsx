@@ -1,16 +1,21 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Briefcase, FileText, DollarSign, Calendar, Loader } from 'lucide-react';
+import { Briefcase, FileText, DollarSign, Calendar, Loader, Send } from 'lucide-react';
 import {
-  getReadOnlyContract,
-  formatEther,
+  getReadOnlyApplicationsContract,
+  formatTokenAmount,
+  getTokenInfo,
   ProjectStatus,
+  ApplicationStatus,
   getStatusColor,
   formatDate,
 } from '../utils/web3';
+import { loadProjectCache, getCachedState } from '../utils/projectCache';
+import AddressLink from './AddressLink.jsx';
 
 function MyProjects({ account }) {
   const [projects, setProjects] = useState([]);
+  const [applications, setApplications] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('all');
 
@@ -21,42 +26,83 @@ function MyProjects({ account }) {
   const loadMyProjects = async () => {
     try {
       setLoading(true);
-      const contract = await getReadOnlyContract();
+      const applicationsContract = await getReadOnlyApplicationsContract();
 
-      const projectIds = await contract.getUserProjects(account);
-      
-      const projectsData = [];
-      for (let i = 0; i < projectIds.length; i++) {
-        try {
-          const projectId = Number(projectIds[i]);
-          const project = await contract.projects(projectId);
-          const milestones = await contract.getProjectMilestones(projectId);
+      await loadProjectCache(async ({ projects: cachedProjects }) => {
+        const myProjects = cachedProjects.filter(
+          (p) =>
+            p.client.toLowerCase() === account.toLowerCase() ||
+            p.freelancer.toLowerCase() === account.toLowerCase()
+        );
+
+        const projectsData = [];
+        for (const project of myProjects) {
+          try {
+            const token = await getTokenInfo(project.paymentToken);
+            const completedMilestones = project.milestones.filter((m) => m.status === 2).length;
+
+            const isClient = project.client.toLowerCase() === account.toLowerCase();
+            let pendingApplications = 0;
+            if (isClient && project.requiresApplication && project.status === 0) {
+              const projectApplications = await applicationsContract.getProjectApplications(project.id);
+              pendingApplications = projectApplications.filter((a) => Number(a.status) === 0).length;
+            }
+
+            projectsData.push({
+              id: project.id,
+              title: project.title,
+              client: project.client,
+              freelancer: project.freelancer,
+              totalAmount: formatTokenAmount(project.totalAmount, token.decimals),
+              tokenSymbol: token.symbol,
+              status: project.status,
+              statusText: ProjectStatus[project.status],
+              createdAt: project.createdAt,
+              acceptedAt: project.acceptedAt,
+              milestoneCount: project.milestones.length,
+              completedMilestones,
+              cancellationProposer: project.cancellationProposer,
+              requiresApplication: project.requiresApplication,
+              pendingApplications,
+              role: isClient ? 'client' : 'freelancer',
+            });
+          } catch (err) {
+            console.error(`Error loading project ${project.id}:`, err);
+          }
+        }
 
-          const completedMilestones = milestones.filter(
-            (m) => Number(m.status) === 2
-          ).length;
+        setProjects(projectsData);
+        setLoading(false);
+      });
 
-          projectsData.push({
-            id: projectId,
+      const { projects: cachedProjects } = await getCachedState();
+      const appliedProjectIds = await applicationsContract.getFreelancerApplications(account);
+      const applicationsData = [];
+      for (let i = 0; i < appliedProjectIds.length; i++) {
+        try {
+          const projectId = Number(appliedProjectIds[i]);
+          const project = cachedProjects.find((p) => p.id === projectId);
+          const application = await applicationsContract.getApplication(projectId, account);
+          const token = await getTokenInfo(project.paymentToken);
+
+          applicationsData.push({
+            projectId,
             title: project.title,
-            client: project.client,
-            freelancer: project.freelancer,
-            totalAmount: formatEther(project.totalAmount),
-            status: Number(project.status),
-            statusText: ProjectStatus[Number(project.status)],
-            createdAt: Number(project.createdAt),
-            acceptedAt: Number(project.acceptedAt),
-            milestoneCount: milestones.length,
-            completedMilestones,
-            role:
-              project.client.toLowerCase() === account.toLowerCase() ? 'client' : 'freelancer',
+            projectStatus: project.status,
+            budget: formatTokenAmount(project.totalAmount, token.decimals),
+            proposedPrice: formatTokenAmount(application.proposedPrice, token.decimals),
+            proposedDays: Math.ceil(Number(application.proposedDuration) / 86400),
+            tokenSymbol: token.symbol,
+            appliedAt: Number(application.appliedAt),
+            status: Number(application.status),
+            statusText: ApplicationStatus[Number(application.status)],
           });
         } catch (err) {
-          console.error(`Error loading project ${i}:`, err);
+          console.error(`Error loading application ${i}:`, err);
         }
       }
 
-      setProjects(projectsData);
+      setApplications(applicationsData);
     } catch (error) {
       console.error('Error loading projects:', error);
     } finally {
@@ -148,10 +194,96 @@ function MyProjects({ account }) {
           >
             As Freelancer ({stats.asFreelancer})
           </button>
+          <button
+            onClick={() => setActiveTab('applications')}
+            className={`flex-1 px-6 py-3 text-sm font-medium transition ${
+              activeTab === 'applications'
+                ? 'text-blue-600 border-b-2 border-blue-600'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            My Applications ({applications.length})
+          </button>
         </div>
       </div>
 
-      {filteredProjects.length === 0 ? (
+      {activeTab === 'applications' ? (
+        applications.length === 0 ? (
+          <div className="text-center py-20 bg-white rounded-lg shadow-sm border">
+            <Send className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500 mb-4">You haven't applied to any projects yet</p>
+            <Link
+              to="/"
+              className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+            >
+              Browse Available Projects
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {applications.map((application) => {
+              const notSelected = application.status === 0 && application.projectStatus !== 0;
+              return (
+                <Link
+                  key={application.projectId}
+                  to={`/project/${application.projectId}`}
+                  className="block bg-white rounded-lg shadow-sm border hover:shadow-md transition-shadow"
+                >
+                  <div className="p-6">
+                    <div className="flex items-start justify-between mb-4">
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-3 mb-2">
+                          <h3 className="text-xl font-semibold text-gray-900">{application.title}</h3>
+                          <span
+                            className={`px-3 py-1 rounded-full text-xs font-medium ${
+                              notSelected
+                                ? 'bg-gray-100 text-gray-800'
+                                : getStatusColor(application.statusText)
+                            }`}
+                          >
+                            {notSelected ? 'Not Selected' : application.statusText}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-600">Project ID: #{application.projectId}</p>
+                      </div>
+                      <div className="text-right ml-4">
+                        <p className="text-sm text-gray-600 mb-1">Your Bid</p>
+                        <p className="text-2xl font-bold text-green-600">
+                          {parseFloat(application.proposedPrice).toFixed(2)}
+                        </p>
+                        <p className="text-xs text-gray-600">
+                          of {parseFloat(application.budget).toFixed(2)} {application.tokenSymbol}
+                        </p>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4 pt-4 border-t">
+                      <div>
+                        <div className="flex items-center text-sm text-gray-600 mb-1">
+                          <Calendar className="w-4 h-4 mr-2" />
+                          Applied
+                        </div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {formatDate(application.appliedAt)}
+                        </p>
+                      </div>
+                      <div>
+                        <div className="flex items-center text-sm text-gray-600 mb-1">
+                          <FileText className="w-4 h-4 mr-2" />
+                          Timeline
+                        </div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {application.proposedDays} days
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+                </Link>
+              );
+            })}
+          </div>
+        )
+      ) : filteredProjects.length === 0 ? (
         <div className="text-center py-20 bg-white rounded-lg shadow-sm border">
           <Briefcase className="w-16 h-16 text-gray-400 mx-auto mb-4" />
           <p className="text-gray-500 mb-4">
@@ -207,15 +339,33 @@ function MyProjects({ account }) {
                       >
                         {project.role === 'client' ? 'Client' : 'Freelancer'}
                       </span>
+                      {project.cancellationProposer && (
+                        <span className="px-3 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          Cancellation Proposed
+                        </span>
+                      )}
                     </div>
-                    <p className="text-sm text-gray-600">Project ID: #{project.id}</p>
+                    <p className="text-sm text-gray-600">
+                      Project ID: #{project.id}
+                      {project.role === 'freelancer' ? (
+                        <>
+                          {' · '}Client <AddressLink address={project.client} nested />
+                        </>
+                      ) : (
+                        project.freelancer !== '0x0000000000000000000000000000000000000000' && (
+                          <>
+                            {' · '}Freelancer <AddressLink address={project.freelancer} nested />
+                          </>
+                        )
+                      )}
+                    </p>
                   </div>
                   <div className="text-right ml-4">
                     <p className="text-sm text-gray-600 mb-1">Total Budget</p>
                     <p className="text-2xl font-bold text-green-600">
                       {parseFloat(project.totalAmount).toFixed(2)}
                     </p>
-                    <p className="text-xs text-gray-600">POL</p>
+                    <p className="text-xs text-gray-600">{project.tokenSymbol}</p>
                   </div>
                 </div>
 
@@ -276,11 +426,24 @@ function MyProjects({ account }) {
                 </div>
 
                 <div className="mt-4 pt-4 border-t">
-                  {project.role === 'client' && project.status === 0 && (
+                  {project.cancellationProposer &&
+                    project.cancellationProposer.toLowerCase() !== account.toLowerCase() && (
+                      <p className="text-sm text-yellow-700 mb-1">
+                        ⚠ The other party proposed cancelling this project. Click to respond →
+                      </p>
+                    )}
+                  {project.role === 'client' && project.status === 0 && !project.requiresApplication && (
                     <p className="text-sm text-blue-600">
                       ⏳ Waiting for freelancer to accept
                     </p>
                   )}
+                  {project.role === 'client' && project.status === 0 && project.requiresApplication && (
+                    <p className="text-sm text-blue-600">
+                      {project.pendingApplications > 0
+                        ? `📨 ${project.pendingApplications} application(s) to review →`
+                        : '⏳ Waiting for freelancers to apply'}
+                    </p>
+                  )}
                   {project.role === 'freelancer' && project.status === 1 && (
                     <p className="text-sm text-blue-600">
                       📝 Click to submit milestones →
@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldAlert, Loader } from 'lucide-react';
+import { fetchText, parseContentUri, isContentShared } from '../utils/contentStore';
+
+// Why a content URI didn't resolve. Content missing from IPFS was most
+// likely stored with the local backend, in its author's browser only
+const unavailableMessage = (descriptionHash, failed) => {
+  if (!parseContentUri(descriptionHash)) return 'No description stored for this project';
+  if (failed) return 'Description could not be loaded from the content store';
+  return isContentShared()
+    ? "Description not found on IPFS. It was probably only stored in its author's browser"
+    : "Description isn't stored in this browser and IPFS isn't configured to look it up";
+};
+
+function ProjectDescription({ descriptionHash, compact = false }) {
+  const [content, setContent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setFailed(false);
+      try {
+        const result = await fetchText(descriptionHash);
+        if (!cancelled) setContent(result);
+      } catch (error) {
+        console.error('Error loading description:', error);
+        if (!cancelled) {
+          setContent(null);
+          setFailed(true);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [descriptionHash]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center text-sm text-gray-400">
+        <Loader className="w-4 h-4 mr-2 animate-spin" />
+        Loading description...
+      </div>
+    );
+  }
+
+  if (!content) {
+    return (
+      <p className="text-sm text-gray-400 italic">{unavailableMessage(descriptionHash, failed)}</p>
+    );
+  }
+
+  const badge = content.verified ? (
+    <span
+      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700"
+      title={descriptionHash}
+    >
+      <ShieldCheck className="w-3 h-3 mr-1" />
+      Verified
+    </span>
+  ) : (
+    <span
+      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700"
+      title="The stored content does not match the on-chain hash"
+    >
+      <ShieldAlert className="w-3 h-3 mr-1" />
+      Hash mismatch
+    </span>
+  );
+
+  if (compact) {
+    return (
+      <div>
+        <p className="text-sm text-gray-600 line-clamp-3 mb-1">{content.text}</p>
+        {badge}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-gray-700 whitespace-pre-wrap mb-2">{content.text}</p>
+      {badge}
+    </div>
+  );
+}
+
+export default ProjectDescription;
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ethers } from 'ethers';
 import {
   ArrowLeft,
   CheckCircle,
@@ -9,19 +10,41 @@ import {
   DollarSign,
   Calendar,
   User,
+  RotateCcw,
+  Clock,
+  XCircle,
+  Lock,
+  UserPlus,
+  FileText,
+  Unlock,
 } from 'lucide-react';
 import AutoApproveTimer from './AutoApproveButton.jsx';
+import ProjectDescription from './ProjectDescription.jsx';
+import DeliverableUpload from './DeliverableUpload.jsx';
+import DeliverableVerifier from './DeliverableVerifier.jsx';
+import ProjectReviews from './ProjectReviews.jsx';
+import UserRating from './UserRating.jsx';
+import AddressLink from './AddressLink.jsx';
 import {
   getContract,
+  getDisputesContract,
   getReadOnlyContract,
-  formatEther,
-  formatAddress,
+  getApplicationsContract,
+  getReadOnlyApplicationsContract,
+  getReadOnlyLensContract,
+  getReadOnlyDisputesContract,
+  formatTokenAmount,
+  parseTokenAmount,
+  getTokenInfo,
+  isValidAddress,
   ProjectStatus,
   MilestoneStatus,
+  ApplicationStatus,
   getStatusColor,
   formatDate,
   waitForTransaction,
 } from '../utils/web3';
+import { packageDeliverable, deriveDeliverableKey } from '../utils/deliverables';
 
 function ProjectDetail({ account }) {
   const { id } = useParams();
@@ -32,8 +55,34 @@ function ProjectDetail({ account }) {
   const [actionLoading, setActionLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [deliverableHash, setDeliverableHash] = useState('');
+  const [deliverableFiles, setDeliverableFiles] = useState([]);
+  const [previewFiles, setPreviewFiles] = useState([]);
+  const [encryptDeliverable, setEncryptDeliverable] = useState(false);
   const [disputeReason, setDisputeReason] = useState('');
+  const [rejectionFeedback, setRejectionFeedback] = useState('');
+  const [maxRevisionRounds, setMaxRevisionRounds] = useState(0);
+  const [disputeWindow, setDisputeWindow] = useState(0);
+  const [gracePeriod, setGracePeriod] = useState(0);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [cancellationProposal, setCancellationProposal] = useState(null);
+  const [cancelPercentage, setCancelPercentage] = useState(50);
+  const [invitees, setInvitees] = useState([]);
+  const [disputeIds, setDisputeIds] = useState({});
+  const [settlementOffers, setSettlementOffers] = useState({});
+  const [settlementPercentage, setSettlementPercentage] = useState(50);
+  const [rulings, setRulings] = useState({});
+  const [appealBond, setAppealBond] = useState(0n);
+  const [appealReason, setAppealReason] = useState('');
+  const [disputeBond, setDisputeBond] = useState({ amount: 0n, toArbitrators: false });
+  const [newInvitee, setNewInvitee] = useState('');
+  const [activeTab, setActiveTab] = useState('milestones');
+  const [ratingsVersion, setRatingsVersion] = useState(0);
+  const [applications, setApplications] = useState([]);
+  const [applicationForm, setApplicationForm] = useState({
+    price: '',
+    days: '',
+    coverNoteHash: '',
+  });
 
   useEffect(() => {
     loadProject();
@@ -52,29 +101,155 @@ function ProjectDetail({ account }) {
 
       const projectData = await contract.projects(id);
       const milestonesData = await contract.getProjectMilestones(id);
+      const token = await getTokenInfo(projectData.paymentToken);
+      setInvitees(projectData.isPrivate ? await contract.getProjectInvitees(id) : []);
+      const maxRounds = await contract.MAX_REVISION_ROUNDS();
+      setMaxRevisionRounds(Number(maxRounds));
+      setDisputeWindow(Number(await contract.DISPUTE_TIMEOUT()));
+      setGracePeriod(Number(await contract.DEADLINE_GRACE_PERIOD()));
+      setNow(Math.floor(Date.now() / 1000));
+
+      const proposal = await contract.cancellationProposals(id);
+      setCancellationProposal(
+        proposal.isActive
+          ? {
+              proposer: proposal.proposer,
+              percentageToFreelancer: Number(proposal.percentageToFreelancer),
+              proposedAt: Number(proposal.proposedAt),
+            }
+          : null
+      );
+
+      const applicationsContract = await getReadOnlyApplicationsContract();
+      const applicationsData = await applicationsContract.getProjectApplications(id);
+      setApplications(
+        applicationsData.map((a, index) => ({
+          id: index,
+          freelancer: a.freelancer,
+          proposedPrice: formatTokenAmount(a.proposedPrice, token.decimals),
+          proposedDays: Math.ceil(Number(a.proposedDuration) / 86400),
+          coverNoteHash: a.coverNoteHash,
+          appliedAt: Number(a.appliedAt),
+          status: Number(a.status),
+          statusText: ApplicationStatus[Number(a.status)],
+        }))
+      );
+
+      // Open disputes are keyed by milestone so disputed cards can link to them
+      const openDisputes =
+        Number(projectData.status) === 4
+          ? await (await getReadOnlyLensContract()).getOpenDisputes()
+          : [];
+      const projectDisputes = openDisputes.filter((d) => Number(d.projectId) === Number(id));
+      setDisputeIds(
+        Object.fromEntries(projectDisputes.map((d) => [Number(d.milestoneId), Number(d.id)]))
+      );
+
+      // Shown in the Raise Dispute panel before the participant signs
+      if (Number(projectData.status) === 1) {
+        const resolver = await getReadOnlyDisputesContract();
+        const [bondAmount, bondRecipient] = await Promise.all([
+          resolver.disputeBond(),
+          resolver.forfeitedBondRecipient(),
+        ]);
+        setDisputeBond({ amount: bondAmount, toArbitrators: Number(bondRecipient) === 1 });
+      }
+
+      // Decisions held for appeal, keyed by milestone like the disputes
+      const decided = projectDisputes.filter((d) => d.appealDeadline > 0n);
+      setRulings(
+        Object.fromEntries(
+          decided.map((d) => [
+            Number(d.milestoneId),
+            {
+              disputeId: Number(d.id),
+              percentageToFreelancer: Number(d.decidedPercentage),
+              appealDeadline: Number(d.appealDeadline),
+              isAppealed: d.isAppealed,
+            },
+          ])
+        )
+      );
+
+      // Each party's standing settlement offer on the disputes still being
+      // argued; decided ones can only be appealed or paid out
+      const resolver = projectDisputes.length > 0 ? await getReadOnlyDisputesContract() : null;
+      if (decided.length > 0) setAppealBond(await resolver.appealBond());
+      const toOffer = (offer) =>
+        offer.isActive
+          ? {
+              percentageToFreelancer: Number(offer.percentageToFreelancer),
+              proposedAt: Number(offer.proposedAt),
+            }
+          : null;
+      const offersData = {};
+      for (const d of projectDisputes.filter((d) => d.appealDeadline === 0n)) {
+        const [clientOffer, freelancerOffer] = await Promise.all([
+          resolver.settlementOffers(d.id, projectData.client),
+          resolver.settlementOffers(d.id, projectData.freelancer),
+        ]);
+        offersData[Number(d.milestoneId)] = {
+          client: toOffer(clientOffer),
+          freelancer: toOffer(freelancerOffer),
+        };
+      }
+      setSettlementOffers(offersData);
+
+      const rejectionsData = [];
+      const keyData = [];
+      for (let i = 0; i < milestonesData.length; i++) {
+        rejectionsData.push(await contract.getMilestoneRejections(id, i));
+        const [commitment, held, revealedKey, revealDeadline] = await Promise.all([
+          contract.keyCommitments(id, i),
+          contract.heldPayments(id, i),
+          contract.revealedKeys(id, i),
+          contract.revealDeadlines(id, i),
+        ]);
+        keyData.push({ commitment, held, revealedKey, revealDeadline });
+      }
 
       setProject({
         id: Number(id),
         title: projectData.title,
+        descriptionHash: projectData.descriptionHash,
         client: projectData.client,
         freelancer: projectData.freelancer,
-        totalAmount: formatEther(projectData.totalAmount),
+        totalAmount: formatTokenAmount(projectData.totalAmount, token.decimals),
+        tokenSymbol: token.symbol,
+        tokenDecimals: token.decimals,
         status: Number(projectData.status),
         statusText: ProjectStatus[Number(projectData.status)],
         createdAt: Number(projectData.createdAt),
         acceptedAt: Number(projectData.acceptedAt),
+        isPrivate: projectData.isPrivate,
+        requiresApplication: projectData.requiresApplication,
       });
 
       setMilestones(
         milestonesData.map((m, index) => ({
           id: index,
           description: m.description,
-          amount: formatEther(m.amount),
+          amount: formatTokenAmount(m.amount, token.decimals),
           deadline: Number(m.deadline),
           status: Number(m.status),
           statusText: MilestoneStatus[Number(m.status)],
           deliverableHash: m.deliverableHash,
           submittedAt: Number(m.submittedAt),
+          revisionCount: Number(m.revisionCount),
+          isEncrypted: keyData[index].commitment !== ethers.ZeroHash,
+          keyCommitment: keyData[index].commitment,
+          heldPayment:
+            keyData[index].held > 0n
+              ? formatTokenAmount(keyData[index].held, token.decimals)
+              : null,
+          revealDeadline: Number(keyData[index].revealDeadline),
+          revealedKey:
+            keyData[index].revealedKey !== ethers.ZeroHash ? keyData[index].revealedKey : null,
+          rejections: rejectionsData[index].map((r) => ({
+            feedback: r.feedback,
+            deliverableHash: r.deliverableHash,
+            rejectedAt: Number(r.rejectedAt),
+          })),
         }))
       );
     } catch (error) {
@@ -105,9 +280,81 @@ function ProjectDetail({ account }) {
     }
   };
 
-  const handleSubmitMilestone = async (milestoneId) => {
-    if (!deliverableHash) {
-      setError('Please enter deliverable hash');
+  const handleApply = async () => {
+    if (!applicationForm.price || !applicationForm.days || !applicationForm.coverNoteHash) {
+      setError('Please enter your price, timeline and cover note hash');
+      return;
+    }
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getApplicationsContract();
+      const tx = await contract.applyToProject(
+        id,
+        parseTokenAmount(applicationForm.price, project.tokenDecimals),
+        Math.round(parseFloat(applicationForm.days) * 86400),
+        applicationForm.coverNoteHash
+      );
+      setSuccess('Submitting application...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Application submitted! The client will review it.');
+      setApplicationForm({ price: '', days: '', coverNoteHash: '' });
+      await loadProject();
+    } catch (err) {
+      console.error('Error applying to project:', err);
+      setError(err.message || 'Failed to submit application');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleWithdrawApplication = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getApplicationsContract();
+      const tx = await contract.withdrawApplication(id);
+      setSuccess('Withdrawing application...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Application withdrawn');
+      await loadProject();
+    } catch (err) {
+      console.error('Error withdrawing application:', err);
+      setError(err.message || 'Failed to withdraw application');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSelectApplicant = async (applicationId) => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getApplicationsContract();
+      const tx = await contract.selectApplicant(id, applicationId);
+      setSuccess('Hiring freelancer...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Freelancer hired! The project is now active.');
+      setActiveTab('milestones');
+      await loadProject();
+    } catch (err) {
+      console.error('Error selecting applicant:', err);
+      setError(err.message || 'Failed to select applicant');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleInviteFreelancer = async () => {
+    if (!isValidAddress(newInvitee)) {
+      setError('Please enter a valid freelancer address');
       return;
     }
 
@@ -117,11 +364,53 @@ function ProjectDetail({ account }) {
 
     try {
       const contract = await getContract();
-      const tx = await contract.submitMilestone(id, milestoneId, deliverableHash);
+      const tx = await contract.inviteFreelancer(id, newInvitee);
+      setSuccess('Inviting freelancer...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Freelancer invited!');
+      setNewInvitee('');
+      await loadProject();
+    } catch (err) {
+      console.error('Error inviting freelancer:', err);
+      setError(err.message || 'Failed to invite freelancer');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSubmitMilestone = async (milestone) => {
+    if (deliverableFiles.length === 0) {
+      setError('Please add your deliverable files');
+      return;
+    }
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      let tx;
+      if (encryptDeliverable) {
+        setSuccess('Sign the message in your wallet to derive the encryption key...');
+        const { key, commitment } = await deriveDeliverableKey(
+          id,
+          milestone.id,
+          milestone.revisionCount
+        );
+        setSuccess('Encrypting and uploading files...');
+        const previewHash = await packageDeliverable(deliverableFiles, { previewFiles, key });
+        tx = await contract.submitEncryptedMilestone(id, milestone.id, previewHash, commitment);
+      } else {
+        setSuccess('Hashing and uploading files...');
+        const deliverableHash = await packageDeliverable(deliverableFiles);
+        tx = await contract.submitMilestone(id, milestone.id, deliverableHash);
+      }
       setSuccess('Submitting milestone...');
       await waitForTransaction(tx);
       setSuccess('✅ Milestone submitted successfully!');
-      setDeliverableHash('');
+      setDeliverableFiles([]);
+      setPreviewFiles([]);
       await loadProject();
     } catch (err) {
       console.error('Error submitting milestone:', err);
@@ -141,7 +430,7 @@ function ProjectDetail({ account }) {
       const tx = await contract.approveMilestone(id, milestoneId);
       setSuccess('Approving milestone and releasing payment...');
       await waitForTransaction(tx);
-      setSuccess('✅ Milestone approved and payment released!');
+      setSuccess('✅ Milestone approved! Payment credited to the freelancer.');
       await loadProject();
     } catch (err) {
       console.error('Error approving milestone:', err);
@@ -151,6 +440,282 @@ function ProjectDetail({ account }) {
     }
   };
 
+  const handleRejectMilestone = async (milestoneId) => {
+    if (!rejectionFeedback) {
+      setError('Please enter feedback for the freelancer');
+      return;
+    }
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      const tx = await contract.rejectMilestone(id, milestoneId, rejectionFeedback);
+      setSuccess('Requesting revision...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Milestone sent back for revision!');
+      setRejectionFeedback('');
+      await loadProject();
+    } catch (err) {
+      console.error('Error rejecting milestone:', err);
+      setError(err.message || 'Failed to reject milestone');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRevealKey = async (milestone) => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // A rejection bumps revisionCount after submission, so a disputed
+      // rejected milestone was encrypted under the previous revision
+      setSuccess('Sign the message in your wallet to re-derive the encryption key...');
+      let derived = await deriveDeliverableKey(id, milestone.id, milestone.revisionCount);
+      if (derived.commitment !== milestone.keyCommitment && milestone.revisionCount > 0) {
+        derived = await deriveDeliverableKey(id, milestone.id, milestone.revisionCount - 1);
+      }
+      if (derived.commitment !== milestone.keyCommitment) {
+        throw new Error('This wallet did not produce the committed key');
+      }
+
+      const contract = await getContract();
+      const tx = await contract.revealDeliverableKey(id, milestone.id, derived.key);
+      setSuccess('Revealing key...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Key revealed! Your payment is in your withdrawable balance.');
+      await loadProject();
+    } catch (err) {
+      console.error('Error revealing key:', err);
+      setError(err.message || 'Failed to reveal key');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleReclaimHeldPayment = async (milestoneId) => {
+    if (!confirm('Reclaim the unrevealed payment for this milestone? This cannot be undone.')) return;
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      const tx = await contract.reclaimHeldPayment(id, milestoneId);
+      setSuccess('Reclaiming held payment...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Held payment credited! Claim it from your withdrawable balance.');
+      await loadProject();
+    } catch (err) {
+      console.error('Error reclaiming held payment:', err);
+      setError(err.message || 'Failed to reclaim held payment');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleClaimMissedDeadline = async (milestoneId) => {
+    if (!confirm('Reclaim the funds for this overdue milestone? This cannot be undone.')) return;
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      const tx = await contract.claimMissedDeadline(id, milestoneId);
+      setSuccess('Reclaiming milestone funds...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Milestone funds credited! Claim them from your withdrawable balance.');
+      await loadProject();
+    } catch (err) {
+      console.error('Error reclaiming milestone:', err);
+      setError(err.message || 'Failed to reclaim milestone funds');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleProposeCancellation = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      const tx = await contract.proposeCancellation(id, cancelPercentage);
+      setSuccess('Proposing cancellation...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Cancellation proposed! Waiting for the other party to respond.');
+      await loadProject();
+    } catch (err) {
+      console.error('Error proposing cancellation:', err);
+      setError(err.message || 'Failed to propose cancellation');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleAcceptCancellation = async () => {
+    if (!confirm('Accept this cancellation? The remaining escrow will be paid out and the project closed.')) return;
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      const tx = await contract.acceptCancellation(
+        id,
+        cancellationProposal.percentageToFreelancer
+      );
+      setSuccess('Settling cancellation...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Project cancelled and escrow settled!');
+      await loadProject();
+    } catch (err) {
+      console.error('Error accepting cancellation:', err);
+      setError(err.message || 'Failed to accept cancellation');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleWithdrawCancellation = async () => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const contract = await getContract();
+      const tx = await contract.withdrawCancellationProposal(id);
+      setSuccess('Withdrawing proposal...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Cancellation proposal withdrawn');
+      await loadProject();
+    } catch (err) {
+      console.error('Error withdrawing cancellation:', err);
+      setError(err.message || 'Failed to withdraw proposal');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleProposeSettlement = async (milestoneId) => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.proposeSettlement(disputeIds[milestoneId], settlementPercentage);
+      setSuccess('Sending settlement offer...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Settlement offer sent! The other party can accept it.');
+      await loadProject();
+    } catch (err) {
+      console.error('Error proposing settlement:', err);
+      setError(err.message || 'Failed to propose settlement');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleAcceptSettlement = async (milestoneId, percentageToFreelancer) => {
+    if (!confirm('Accept this settlement? The dispute will be closed and the milestone paid out.')) return;
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.acceptSettlement(disputeIds[milestoneId], percentageToFreelancer);
+      setSuccess('Settling dispute...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Dispute settled and milestone paid out!');
+      await loadProject();
+    } catch (err) {
+      console.error('Error accepting settlement:', err);
+      setError(err.message || 'Failed to accept settlement');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleWithdrawSettlement = async (milestoneId) => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.withdrawSettlementOffer(disputeIds[milestoneId]);
+      setSuccess('Withdrawing offer...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Settlement offer withdrawn');
+      await loadProject();
+    } catch (err) {
+      console.error('Error withdrawing settlement:', err);
+      setError(err.message || 'Failed to withdraw offer');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleAppeal = async (milestoneId) => {
+    if (!appealReason) {
+      setError('Please explain why the decision should be reviewed');
+      return;
+    }
+
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.appeal(rulings[milestoneId].disputeId, appealReason, {
+        value: appealBond,
+      });
+      setSuccess('Filing appeal...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Appeal filed! A new panel will vote on this milestone.');
+      setAppealReason('');
+      await loadProject();
+    } catch (err) {
+      console.error('Error appealing:', err);
+      setError(err.message || 'Failed to file appeal');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleFinalizeRuling = async (milestoneId) => {
+    setActionLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const resolver = await getDisputesContract();
+      const tx = await resolver.finalizeRuling(rulings[milestoneId].disputeId);
+      setSuccess('Paying out decision...');
+      await waitForTransaction(tx);
+      setSuccess('✅ Decision paid out!');
+      await loadProject();
+    } catch (err) {
+      console.error('Error paying out decision:', err);
+      setError(err.message || 'Failed to pay out decision');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleRaiseDispute = async (milestoneId) => {
     if (!disputeReason) {
       setError('Please enter dispute reason');
@@ -162,8 +727,10 @@ function ProjectDetail({ account }) {
     setSuccess('');
 
     try {
-      const contract = await getContract();
-      const tx = await contract.raiseDispute(id, milestoneId, disputeReason);
+      const resolver = await getDisputesContract();
+      const tx = await resolver.raiseDispute(id, milestoneId, disputeReason, {
+        value: disputeBond.amount,
+      });
       setSuccess('Raising dispute...');
       await waitForTransaction(tx);
       setSuccess('✅ Dispute raised successfully!');
@@ -202,10 +769,37 @@ function ProjectDetail({ account }) {
 
   const isClient = project.client.toLowerCase() === account.toLowerCase();
   const isFreelancer = project.freelancer.toLowerCase() === account.toLowerCase();
-  const canAccept =
+  const isOverdue = (milestone) => milestone.status === 0 && now > milestone.deadline;
+  const canClaimRefund = (milestone) =>
+    isClient && project.status === 1 && isOverdue(milestone) && now > milestone.deadline + gracePeriod;
+  const canDispute = (milestone) =>
+    (isClient || isFreelancer) &&
+    project.status === 1 &&
+    ((milestone.status === 1 && now <= milestone.submittedAt + disputeWindow) ||
+      milestone.status === 3 ||
+      isOverdue(milestone));
+  const remainingEscrow = milestones
+    .filter((m) => m.status !== 2 && m.status !== 5)
+    .reduce((sum, m) => sum + parseFloat(m.amount), 0);
+  // Decisions below an even split went against the freelancer
+  const isLosingParty = (ruling) =>
+    ruling.percentageToFreelancer < 50 ? isFreelancer : isClient;
+  const isOwnProposal =
+    cancellationProposal &&
+    cancellationProposal.proposer.toLowerCase() === account.toLowerCase();
+  const isInvited = invitees.some((a) => a.toLowerCase() === account.toLowerCase());
+  const isEligible =
     project.status === 0 &&
     project.freelancer === '0x0000000000000000000000000000000000000000' &&
-    !isClient;
+    !isClient &&
+    (!project.isPrivate || isInvited);
+  const canAccept = isEligible && !project.requiresApplication;
+  const myApplication = applications.find(
+    (a) => a.freelancer.toLowerCase() === account.toLowerCase()
+  );
+  const canApply =
+    isEligible && project.requiresApplication && (!myApplication || myApplication.status === 1);
+  const pendingApplications = applications.filter((a) => a.status === 0);
 
   return (
     <div className="max-w-5xl mx-auto">
@@ -245,23 +839,40 @@ function ProjectDetail({ account }) {
               >
                 {project.statusText}
               </span>
+              {project.isPrivate && (
+                <span className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-700">
+                  <Lock className="w-4 h-4 mr-1" />
+                  Invite Only
+                </span>
+              )}
+              {project.requiresApplication && project.status === 0 && (
+                <span className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-indigo-100 text-indigo-700">
+                  <FileText className="w-4 h-4 mr-1" />
+                  Accepting Applications
+                </span>
+              )}
             </div>
             <p className="text-gray-600">Project ID: #{project.id}</p>
           </div>
           <div className="text-right">
             <p className="text-sm text-gray-600 mb-1">Total Budget</p>
             <p className="text-3xl font-bold text-green-600">
-              {parseFloat(project.totalAmount).toFixed(2)} POL
+              {parseFloat(project.totalAmount).toFixed(2)} {project.tokenSymbol}
             </p>
           </div>
         </div>
 
+        <div className="mb-4">
+          <ProjectDescription descriptionHash={project.descriptionHash} />
+        </div>
+
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t">
           <div className="flex items-center space-x-3">
             <User className="w-5 h-5 text-gray-400" />
             <div>
               <p className="text-sm text-gray-600">Client</p>
-              <p className="font-mono text-sm">{formatAddress(project.client)}</p>
+              <AddressLink address={project.client} className="block font-mono text-sm" />
+              <UserRating key={`client-${ratingsVersion}`} address={project.client} />
               {isClient && <span className="text-xs text-blue-600">(You)</span>}
             </div>
           </div>
@@ -271,7 +882,8 @@ function ProjectDetail({ account }) {
               <User className="w-5 h-5 text-gray-400" />
               <div>
                 <p className="text-sm text-gray-600">Freelancer</p>
-                <p className="font-mono text-sm">{formatAddress(project.freelancer)}</p>
+                <AddressLink address={project.freelancer} className="block font-mono text-sm" />
+                <UserRating key={`freelancer-${ratingsVersion}`} address={project.freelancer} />
                 {isFreelancer && <span className="text-xs text-blue-600">(You)</span>}
               </div>
             </div>
@@ -296,6 +908,46 @@ function ProjectDetail({ account }) {
           )}
         </div>
 
+        {project.isPrivate && isClient && project.status === 0 && (
+          <div className="mt-6 pt-6 border-t">
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Invited Freelancers ({invitees.length})
+            </p>
+            <div className="space-y-1 mb-3">
+              {invitees.map((invitee) => (
+                <p key={invitee} className="font-mono text-sm text-gray-600">
+                  <AddressLink address={invitee} />
+                </p>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={newInvitee}
+                onChange={(e) => setNewInvitee(e.target.value)}
+                placeholder="0x..."
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={handleInviteFreelancer}
+                disabled={actionLoading}
+                className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                <UserPlus className="w-5 h-5" />
+                <span>Invite</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {project.isPrivate && !isClient && !isInvited && project.status === 0 && (
+          <div className="mt-6 pt-6 border-t">
+            <p className="text-sm text-gray-600 text-center">
+              🔒 This project is invite-only. Only freelancers invited by the client can accept it.
+            </p>
+          </div>
+        )}
+
         {canAccept && (
           <div className="mt-6 pt-6 border-t">
             <button
@@ -307,9 +959,262 @@ function ProjectDetail({ account }) {
             </button>
           </div>
         )}
+
+        {myApplication && myApplication.status === 0 && project.status === 0 && (
+          <div className="mt-6 pt-6 border-t">
+            <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4">
+              <p className="text-sm font-medium text-indigo-900">Your application is under review</p>
+              <p className="text-sm text-indigo-800 mt-1">
+                {parseFloat(myApplication.proposedPrice).toFixed(2)} {project.tokenSymbol} ·{' '}
+                {myApplication.proposedDays} days · submitted {formatDate(myApplication.appliedAt)}
+              </p>
+              <button
+                onClick={handleWithdrawApplication}
+                disabled={actionLoading}
+                className="mt-3 px-4 py-2 border border-indigo-300 text-indigo-900 rounded-lg hover:bg-indigo-100 transition disabled:opacity-50 text-sm"
+              >
+                {actionLoading ? 'Withdrawing...' : 'Withdraw Application'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canApply && (
+          <div className="mt-6 pt-6 border-t">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Apply for this project</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Bid up to the {parseFloat(project.totalAmount).toFixed(2)} {project.tokenSymbol} budget.
+              The client reviews all applications and hires one freelancer.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder={`Your price (${project.tokenSymbol})`}
+                value={applicationForm.price}
+                onChange={(e) => setApplicationForm({ ...applicationForm, price: e.target.value })}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <input
+                type="number"
+                step="1"
+                min="1"
+                placeholder="Timeline (days)"
+                value={applicationForm.days}
+                onChange={(e) => setApplicationForm({ ...applicationForm, days: e.target.value })}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <input
+              type="text"
+              placeholder="Cover note hash (e.g., IPFS hash)"
+              value={applicationForm.coverNoteHash}
+              onChange={(e) => setApplicationForm({ ...applicationForm, coverNoteHash: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+            />
+            <button
+              onClick={handleApply}
+              disabled={actionLoading}
+              className="w-full bg-blue-600 text-white py-3 rounded-lg hover:bg-blue-700 transition disabled:opacity-50 font-medium"
+            >
+              {actionLoading ? 'Submitting...' : myApplication ? 'Re-apply' : 'Submit Application'}
+            </button>
+          </div>
+        )}
       </div>
 
-      <div className="bg-white rounded-lg shadow-sm border p-6">
+      {(isClient || isFreelancer) && project.status === 1 && (
+        <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
+          <div className="flex items-center space-x-2 mb-2">
+            <XCircle className="w-5 h-5 text-gray-500" />
+            <h2 className="text-xl font-semibold text-gray-900">Propose Cancellation</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            End the project early by agreement. The {remainingEscrow.toFixed(2)} {project.tokenSymbol} still in
+            escrow is split between freelancer and client once the other party accepts.
+          </p>
+
+          {cancellationProposal && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4">
+              <p className="text-sm font-medium text-yellow-900">
+                {isOwnProposal ? (
+                  'Your proposal'
+                ) : (
+                  <>
+                    Proposal from <AddressLink address={cancellationProposal.proposer} />
+                  </>
+                )}
+                {' · '}
+                {formatDate(cancellationProposal.proposedAt)}
+              </p>
+              <p className="text-sm text-yellow-800 mt-1">
+                {cancellationProposal.percentageToFreelancer}% to freelancer (
+                {((remainingEscrow * cancellationProposal.percentageToFreelancer) / 100).toFixed(2)}{' '}
+                {project.tokenSymbol}),{' '}
+                {100 - cancellationProposal.percentageToFreelancer}% refunded to client (
+                {((remainingEscrow * (100 - cancellationProposal.percentageToFreelancer)) / 100).toFixed(2)}{' '}
+                {project.tokenSymbol})
+              </p>
+              <div className="mt-3">
+                {isOwnProposal ? (
+                  <button
+                    onClick={handleWithdrawCancellation}
+                    disabled={actionLoading}
+                    className="px-4 py-2 border border-yellow-400 text-yellow-900 rounded-lg hover:bg-yellow-100 transition disabled:opacity-50 text-sm"
+                  >
+                    {actionLoading ? 'Withdrawing...' : 'Withdraw Proposal'}
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleAcceptCancellation}
+                    disabled={actionLoading}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50 text-sm"
+                  >
+                    {actionLoading ? 'Settling...' : 'Accept & Cancel Project'}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          <details className="text-sm">
+            <summary className="cursor-pointer text-gray-700 hover:text-gray-900 font-medium">
+              {cancellationProposal ? 'Make a different offer' : 'Propose a split'}
+            </summary>
+            <div className="mt-3 space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {cancelPercentage}% to freelancer · {100 - cancelPercentage}% to client
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={cancelPercentage}
+                  onChange={(e) => setCancelPercentage(Number(e.target.value))}
+                  className="w-full"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Freelancer receives {((remainingEscrow * cancelPercentage) / 100).toFixed(2)}{' '}
+                  {project.tokenSymbol}, client receives{' '}
+                  {((remainingEscrow * (100 - cancelPercentage)) / 100).toFixed(2)} {project.tokenSymbol}
+                </p>
+              </div>
+              <button
+                onClick={handleProposeCancellation}
+                disabled={actionLoading}
+                className="w-full bg-gray-800 text-white py-2 rounded-lg hover:bg-gray-900 transition disabled:opacity-50"
+              >
+                {actionLoading ? 'Proposing...' : 'Propose Cancellation'}
+              </button>
+            </div>
+          </details>
+        </div>
+      )}
+
+      {isClient && project.requiresApplication && (
+        <div className="flex space-x-1 mb-4 border-b">
+          <button
+            onClick={() => setActiveTab('milestones')}
+            className={`px-4 py-2 text-sm font-medium border-b-2 transition ${
+              activeTab === 'milestones'
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            Milestones
+          </button>
+          <button
+            onClick={() => setActiveTab('applications')}
+            className={`px-4 py-2 text-sm font-medium border-b-2 transition ${
+              activeTab === 'applications'
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            Applications ({pendingApplications.length})
+          </button>
+        </div>
+      )}
+
+      {activeTab === 'applications' && isClient && project.requiresApplication && (
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Applications</h2>
+          <p className="text-sm text-gray-500 mb-6">
+            Hiring an applicant rescales the milestones to their price and moves the deadlines to
+            their timeline, starting from the day you hire them.
+          </p>
+
+          {applications.length === 0 ? (
+            <p className="text-gray-600 text-center py-8">No freelancers have applied yet.</p>
+          ) : (
+            <div className="space-y-4">
+              {applications.map((application) => (
+                <div key={application.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between mb-3">
+                    <div>
+                      <AddressLink
+                        address={application.freelancer}
+                        className="block font-mono text-sm"
+                      />
+                      <UserRating address={application.freelancer} />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Applied {formatDate(application.appliedAt)}
+                      </p>
+                    </div>
+                    <span
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(
+                        application.statusText
+                      )}`}
+                    >
+                      {application.statusText}
+                    </span>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+                    <div>
+                      <p className="text-gray-600">Proposed Price</p>
+                      <p className="font-semibold text-gray-900">
+                        {parseFloat(application.proposedPrice).toFixed(2)} {project.tokenSymbol}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-gray-600">Timeline</p>
+                      <p className="font-semibold text-gray-900">{application.proposedDays} days</p>
+                    </div>
+                  </div>
+
+                  <div className="bg-gray-50 rounded-lg p-3 mb-3">
+                    <p className="text-xs font-medium text-gray-700 mb-1">Cover Note</p>
+                    <p className="text-sm text-gray-600 font-mono break-all">
+                      {application.coverNoteHash}
+                    </p>
+                  </div>
+
+                  {application.status === 0 && project.status === 0 && (
+                    <button
+                      onClick={() => handleSelectApplicant(application.id)}
+                      disabled={actionLoading}
+                      className="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition disabled:opacity-50 flex items-center justify-center space-x-2"
+                    >
+                      <CheckCircle className="w-5 h-5" />
+                      <span>{actionLoading ? 'Hiring...' : 'Select & Hire'}</span>
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div
+        className={`bg-white rounded-lg shadow-sm border p-6 ${
+          activeTab === 'milestones' ? '' : 'hidden'
+        }`}
+      >
         <h2 className="text-2xl font-bold text-gray-900 mb-6">Milestones</h2>
 
         <div className="space-y-6">
@@ -335,7 +1240,7 @@ function ProjectDetail({ account }) {
                   <p className="text-2xl font-bold text-gray-900">
                     {parseFloat(milestone.amount).toFixed(2)}
                   </p>
-                  <p className="text-sm text-gray-600">POL</p>
+                  <p className="text-sm text-gray-600">{project.tokenSymbol}</p>
                 </div>
               </div>
 
@@ -358,6 +1263,82 @@ function ProjectDetail({ account }) {
                   <p className="text-sm text-gray-600 font-mono break-all">
                     {milestone.deliverableHash}
                   </p>
+                  {milestone.isEncrypted && (
+                    <p className="flex items-center text-xs text-gray-500 mt-2">
+                      <Lock className="w-3 h-3 mr-1" />
+                      {milestone.revealedKey
+                        ? 'Encrypted deliverable - key revealed'
+                        : 'Encrypted until payment - only previews can be opened'}
+                    </p>
+                  )}
+                  {(isClient || isFreelancer) && (
+                    <DeliverableVerifier
+                      deliverableHash={milestone.deliverableHash}
+                      decryptionKey={milestone.revealedKey}
+                    />
+                  )}
+                  {milestone.heldPayment && isFreelancer && now <= milestone.revealDeadline && (
+                    <div className="mt-3 bg-amber-50 border border-amber-200 rounded-lg p-3">
+                      <p className="text-sm text-amber-900">
+                        {milestone.heldPayment} {project.tokenSymbol} is held until you reveal the
+                        decryption key to the client. Reveal it by{' '}
+                        {formatDate(milestone.revealDeadline)} or the client can reclaim the payment.
+                      </p>
+                      <button
+                        onClick={() => handleRevealKey(milestone)}
+                        disabled={actionLoading}
+                        className="mt-2 w-full bg-amber-600 text-white py-2 rounded-lg hover:bg-amber-700 transition disabled:opacity-50 flex items-center justify-center space-x-2"
+                      >
+                        <Unlock className="w-4 h-4" />
+                        <span>{actionLoading ? 'Revealing...' : 'Reveal Key & Claim Payment'}</span>
+                      </button>
+                    </div>
+                  )}
+                  {milestone.heldPayment && isClient && now <= milestone.revealDeadline && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      Payment released. The freelancer's payout is held until they reveal the key,
+                      which will then unlock the files here. If they haven&apos;t by{' '}
+                      {formatDate(milestone.revealDeadline)}, you can reclaim it.
+                    </p>
+                  )}
+                  {milestone.heldPayment && now > milestone.revealDeadline && (
+                    <div className="mt-3 bg-orange-50 border border-orange-200 rounded-lg p-3">
+                      <p className="text-sm text-orange-900">
+                        The key wasn&apos;t revealed in time, so the client can reclaim the held{' '}
+                        {milestone.heldPayment} {project.tokenSymbol}.
+                      </p>
+                      {isClient && (
+                        <button
+                          onClick={() => handleReclaimHeldPayment(milestone.id)}
+                          disabled={actionLoading}
+                          className="mt-2 w-full bg-orange-600 text-white py-2 rounded-lg hover:bg-orange-700 transition disabled:opacity-50"
+                        >
+                          {actionLoading ? 'Reclaiming...' : 'Reclaim Held Payment'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {milestone.rejections.length > 0 && (
+                <div className="bg-red-50 border border-red-100 rounded-lg p-4 mb-4">
+                  <p className="text-sm font-medium text-red-900 mb-3">
+                    Revision History ({milestone.revisionCount}/{maxRevisionRounds} rounds used)
+                  </p>
+                  <div className="space-y-3">
+                    {milestone.rejections.map((rejection, idx) => (
+                      <div key={idx} className="text-sm border-l-2 border-red-300 pl-3">
+                        <p className="text-xs text-gray-500 mb-1">
+                          Round {idx + 1} · {formatDate(rejection.rejectedAt)}
+                        </p>
+                        <p className="text-gray-800">{rejection.feedback}</p>
+                        <p className="text-xs text-gray-500 font-mono break-all mt-1">
+                          Rejected deliverable: {rejection.deliverableHash}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
 
@@ -372,22 +1353,59 @@ function ProjectDetail({ account }) {
                   />
                 )}
 
-                {isFreelancer && milestone.status === 0 && project.status === 1 && (
+                {isFreelancer && (milestone.status === 0 || milestone.status === 3) && project.status === 1 && (
                   <div className="space-y-3">
-                    <input
-                      type="text"
-                      placeholder="Enter deliverable hash (e.g., IPFS hash)"
-                      value={deliverableHash}
-                      onChange={(e) => setDeliverableHash(e.target.value)}
-                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    {milestone.status === 3 && (
+                      <p className="text-sm text-red-700">
+                        The client requested changes. Address the feedback above and resubmit.
+                      </p>
+                    )}
+                    <DeliverableUpload
+                      files={deliverableFiles}
+                      onChange={setDeliverableFiles}
+                      disabled={actionLoading}
                     />
+                    <label className="flex items-start space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={encryptDeliverable}
+                        onChange={(e) => setEncryptDeliverable(e.target.checked)}
+                        disabled={actionLoading}
+                        className="mt-1"
+                      />
+                      <span>
+                        Encrypt until paid
+                        <span className="block text-xs text-gray-500">
+                          The client gets the key once the milestone is paid and you reveal it to
+                          collect your payout
+                        </span>
+                      </span>
+                    </label>
+                    {encryptDeliverable && (
+                      <div>
+                        <p className="text-sm font-medium text-gray-700 mb-2">
+                          Preview files (optional, shared unencrypted)
+                        </p>
+                        <DeliverableUpload
+                          files={previewFiles}
+                          onChange={setPreviewFiles}
+                          disabled={actionLoading}
+                        />
+                      </div>
+                    )}
                     <button
-                      onClick={() => handleSubmitMilestone(milestone.id)}
+                      onClick={() => handleSubmitMilestone(milestone)}
                       disabled={actionLoading}
                       className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center justify-center space-x-2"
                     >
                       <Upload className="w-5 h-5" />
-                      <span>{actionLoading ? 'Submitting...' : 'Submit Work'}</span>
+                      <span>
+                        {actionLoading
+                          ? 'Submitting...'
+                          : milestone.status === 3
+                          ? 'Resubmit Work'
+                          : 'Submit Work'}
+                      </span>
                     </button>
                   </div>
                 )}
@@ -403,34 +1421,263 @@ function ProjectDetail({ account }) {
                       <span>{actionLoading ? 'Approving...' : 'Approve & Release Payment'}</span>
                     </button>
 
-                    <details className="text-sm">
-                      <summary className="cursor-pointer text-red-600 hover:text-red-700 font-medium">
-                        Raise Dispute
-                      </summary>
-                      <div className="mt-3 space-y-2">
-                        <textarea
-                          placeholder="Explain the issue..."
-                          value={disputeReason}
-                          onChange={(e) => setDisputeReason(e.target.value)}
-                          rows="3"
-                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
-                        />
+                    {milestone.revisionCount < maxRevisionRounds && (
+                      <details className="text-sm">
+                        <summary className="cursor-pointer text-orange-600 hover:text-orange-700 font-medium">
+                          Request Revision ({maxRevisionRounds - milestone.revisionCount} left)
+                        </summary>
+                        <div className="mt-3 space-y-2">
+                          <textarea
+                            placeholder="What needs to change?"
+                            value={rejectionFeedback}
+                            onChange={(e) => setRejectionFeedback(e.target.value)}
+                            rows="3"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                          />
+                          <button
+                            onClick={() => handleRejectMilestone(milestone.id)}
+                            disabled={actionLoading}
+                            className="w-full bg-orange-500 text-white py-2 rounded-lg hover:bg-orange-600 transition disabled:opacity-50 flex items-center justify-center space-x-2"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            <span>{actionLoading ? 'Sending...' : 'Send Back for Revision'}</span>
+                          </button>
+                        </div>
+                      </details>
+                    )}
+                  </div>
+                )}
+
+                {isOverdue(milestone) && project.status === 1 && (
+                  <div className="mt-3 bg-orange-50 border border-orange-200 rounded-lg p-3 flex items-start space-x-3">
+                    <Clock className="w-5 h-5 text-orange-600 mt-0.5 flex-shrink-0" />
+                    <div className="flex-1">
+                      <p className="text-sm font-medium text-orange-900">Deadline missed</p>
+                      <p className="text-xs text-orange-700 mt-1">
+                        {now > milestone.deadline + gracePeriod
+                          ? 'The grace period has ended. The client can reclaim these funds.'
+                          : `The client can reclaim these funds after ${formatDate(
+                              milestone.deadline + gracePeriod
+                            )}.`}
+                      </p>
+                      {canClaimRefund(milestone) && (
                         <button
-                          onClick={() => handleRaiseDispute(milestone.id)}
+                          onClick={() => handleClaimMissedDeadline(milestone.id)}
                           disabled={actionLoading}
-                          className="w-full bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                          className="mt-3 w-full bg-orange-600 text-white py-2 rounded-lg hover:bg-orange-700 transition disabled:opacity-50"
                         >
-                          {actionLoading ? 'Raising Dispute...' : 'Raise Dispute'}
+                          {actionLoading ? 'Reclaiming...' : 'Reclaim Milestone Funds'}
                         </button>
-                      </div>
-                    </details>
+                      )}
+                    </div>
                   </div>
                 )}
 
+                {milestone.status === 4 && disputeIds[milestone.id] !== undefined && (
+                  <Link
+                    to={`/dispute/${disputeIds[milestone.id]}`}
+                    className="block mt-3 text-sm font-medium text-red-600 hover:text-red-700"
+                  >
+                    {isClient || isFreelancer
+                      ? 'View dispute & add evidence →'
+                      : 'View dispute →'}
+                  </Link>
+                )}
+
+                {milestone.status === 4 && rulings[milestone.id] && (
+                  <div className="mt-3 bg-blue-50 border border-blue-200 rounded-lg p-3 space-y-2">
+                    <p className="text-sm font-medium text-blue-900">
+                      Panel decided {rulings[milestone.id].percentageToFreelancer}% to freelancer (
+                      {(
+                        (parseFloat(milestone.amount) * rulings[milestone.id].percentageToFreelancer) /
+                        100
+                      ).toFixed(2)}{' '}
+                      {project.tokenSymbol})
+                    </p>
+                    {rulings[milestone.id].isAppealed ? (
+                      <p className="text-xs text-blue-800">
+                        Under appeal: a larger panel is voting again. Funds stay in escrow until it
+                        decides.
+                      </p>
+                    ) : now <= rulings[milestone.id].appealDeadline ? (
+                      <>
+                        <p className="text-xs text-blue-800">
+                          Funds are held until {formatDate(rulings[milestone.id].appealDeadline)} in
+                          case the {rulings[milestone.id].percentageToFreelancer < 50 ? 'freelancer' : 'client'}{' '}
+                          appeals.
+                        </p>
+                        {isLosingParty(rulings[milestone.id]) && (
+                          <details className="text-sm">
+                            <summary className="cursor-pointer text-blue-700 hover:text-blue-800 font-medium">
+                              Appeal this decision
+                            </summary>
+                            <div className="mt-2 space-y-2">
+                              <textarea
+                                placeholder="Why should a new panel review this?"
+                                value={appealReason}
+                                onChange={(e) => setAppealReason(e.target.value)}
+                                rows="2"
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              />
+                              <p className="text-xs text-gray-600">
+                                Appeal bond: {formatTokenAmount(appealBond, 18)} POL. It is refunded if the
+                                new panel moves the split your way, otherwise it goes to the other party.
+                              </p>
+                              <button
+                                onClick={() => handleAppeal(milestone.id)}
+                                disabled={actionLoading}
+                                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                              >
+                                {actionLoading ? 'Filing Appeal...' : 'Post Bond & Appeal'}
+                              </button>
+                            </div>
+                          </details>
+                        )}
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => handleFinalizeRuling(milestone.id)}
+                        disabled={actionLoading}
+                        className="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                      >
+                        {actionLoading ? 'Paying Out...' : 'Pay Out Decision'}
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {milestone.status === 4 && settlementOffers[milestone.id] && (
+                  <div className="mt-3 border border-gray-200 rounded-lg p-3 space-y-3">
+                    <p className="text-sm font-medium text-gray-900">Settle without arbitration</p>
+                    {['client', 'freelancer'].map((party) => {
+                      const offer = settlementOffers[milestone.id][party];
+                      const isOwn = party === 'client' ? isClient : isFreelancer;
+                      const canAcceptOffer = !isOwn && (isClient || isFreelancer);
+                      return (
+                        <div key={party} className="flex items-center justify-between text-sm">
+                          <span className="text-gray-700">
+                            {isOwn ? 'Your offer' : `${party === 'client' ? 'Client' : 'Freelancer'} offer`}:{' '}
+                            {offer ? (
+                              <>
+                                <span className="font-medium">
+                                  {offer.percentageToFreelancer}% to freelancer (
+                                  {((parseFloat(milestone.amount) * offer.percentageToFreelancer) / 100).toFixed(2)}{' '}
+                                  {project.tokenSymbol})
+                                </span>
+                                <span className="text-xs text-gray-500"> · {formatDate(offer.proposedAt)}</span>
+                              </>
+                            ) : (
+                              <span className="text-gray-500">none</span>
+                            )}
+                          </span>
+                          {offer && isOwn && (
+                            <button
+                              onClick={() => handleWithdrawSettlement(milestone.id)}
+                              disabled={actionLoading}
+                              className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition disabled:opacity-50 text-xs"
+                            >
+                              Withdraw
+                            </button>
+                          )}
+                          {offer && canAcceptOffer && (
+                            <button
+                              onClick={() => handleAcceptSettlement(milestone.id, offer.percentageToFreelancer)}
+                              disabled={actionLoading}
+                              className="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50 text-xs"
+                            >
+                              {actionLoading ? 'Settling...' : 'Accept'}
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })}
+                    {(isClient || isFreelancer) && (
+                      <details className="text-sm">
+                        <summary className="cursor-pointer text-gray-700 hover:text-gray-900 font-medium">
+                          {settlementOffers[milestone.id][isClient ? 'freelancer' : 'client']
+                            ? 'Make a counter-offer'
+                            : 'Propose a split'}
+                        </summary>
+                        <div className="mt-3 space-y-2">
+                          <label className="block text-sm font-medium text-gray-700">
+                            {settlementPercentage}% to freelancer · {100 - settlementPercentage}% to client
+                          </label>
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            step="5"
+                            value={settlementPercentage}
+                            onChange={(e) => setSettlementPercentage(Number(e.target.value))}
+                            className="w-full"
+                          />
+                          <button
+                            onClick={() => handleProposeSettlement(milestone.id)}
+                            disabled={actionLoading}
+                            className="w-full bg-gray-800 text-white py-2 rounded-lg hover:bg-gray-900 transition disabled:opacity-50"
+                          >
+                            {actionLoading ? 'Sending...' : 'Send Settlement Offer'}
+                          </button>
+                        </div>
+                      </details>
+                    )}
+                  </div>
+                )}
+
+                {canDispute(milestone) && (
+                  <details className="text-sm mt-3">
+                    <summary className="cursor-pointer text-red-600 hover:text-red-700 font-medium">
+                      Raise Dispute
+                    </summary>
+                    <div className="mt-3 space-y-2">
+                      <textarea
+                        placeholder="Explain the issue..."
+                        value={disputeReason}
+                        onChange={(e) => setDisputeReason(e.target.value)}
+                        rows="3"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                      />
+                      <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-600 space-y-1">
+                        <p>
+                          <span className="font-medium text-gray-800">Dispute bond:</span>{' '}
+                          {disputeBond.amount > 0n
+                            ? `${formatTokenAmount(disputeBond.amount, 18)} POL`
+                            : 'none'}
+                        </p>
+                        {disputeBond.amount > 0n && (
+                          <p>
+                            Returned if the decision goes at least partly your way, otherwise paid to{' '}
+                            {disputeBond.toArbitrators ? 'the arbitrators who voted' : 'the other party'}.
+                          </p>
+                        )}
+                        <p>
+                          <span className="font-medium text-gray-800">Platform fee:</span> none on
+                          dispute payouts
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleRaiseDispute(milestone.id)}
+                        disabled={actionLoading}
+                        className="w-full bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                      >
+                        {actionLoading ? 'Raising Dispute...' : 'Raise Dispute'}
+                      </button>
+                    </div>
+                  </details>
+                )}
+
                 {milestone.status === 2 && (
                   <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-center">
                     <p className="text-sm text-green-800 font-medium">
-                      ✓ Milestone Approved - Payment Released
+                      ✓ Milestone Approved - Payment Credited
+                    </p>
+                  </div>
+                )}
+
+                {milestone.status === 3 && !isFreelancer && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-center">
+                    <p className="text-sm text-red-800 font-medium">
+                      ↺ Revision Requested - Awaiting Resubmission
                     </p>
                   </div>
                 )}
@@ -442,11 +1689,37 @@ function ProjectDetail({ account }) {
                     </p>
                   </div>
                 )}
+
+                {milestone.status === 6 && (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-center">
+                    <p className="text-sm text-gray-700 font-medium">
+                      ✕ Cancelled by Mutual Agreement
+                    </p>
+                  </div>
+                )}
+
+                {milestone.status === 5 && (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-center">
+                    <p className="text-sm text-gray-700 font-medium">
+                      ↩ Deadline Missed - Funds Refunded to Client
+                    </p>
+                  </div>
+                )}
               </div>
             </div>
           ))}
         </div>
       </div>
+
+      {project.freelancer !== '0x0000000000000000000000000000000000000000' && (
+        <ProjectReviews
+          projectId={Number(id)}
+          client={project.client}
+          freelancer={project.freelancer}
+          account={account}
+          onReviewed={() => setRatingsVersion((v) => v + 1)}
+        />
+      )}
     </div>
   );
 }
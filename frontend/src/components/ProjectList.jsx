@@ -1,57 +1,98 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Search, Calendar, DollarSign, User, Loader } from 'lucide-react';
+import {
+  Search,
+  Calendar,
+  DollarSign,
+  User,
+  Loader,
+  Lock,
+  FileText,
+  ChevronLeft,
+  ChevronRight,
+} from 'lucide-react';
 import {
   getReadOnlyContract,
-  formatEther,
-  formatAddress,
+  getReadOnlyLensContract,
+  formatTokenAmount,
+  getTokenInfo,
   ProjectStatus,
   getStatusColor,
-  formatDate,
 } from '../utils/web3';
+import ProjectDescription from './ProjectDescription.jsx';
+import AddressLink from './AddressLink.jsx';
+
+const PAGE_SIZE = 12;
+
+// Lens status filter for each dropdown option; null pages through everything
+const FILTER_STATUS = {
+  all: null,
+  available: 0,
+  active: 1,
+};
 
 function ProjectList({ account }) {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [filter, setFilter] = useState('all');
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState([0, 0, 0, 0, 0]);
 
   useEffect(() => {
     loadProjects();
-  }, []);
+  }, [account, filter, page]);
 
   const loadProjects = async () => {
     try {
       setLoading(true);
-      const contract = await getReadOnlyContract();
-
-      const projectCounter = await contract.projectCounter();
-      const count = Number(projectCounter);
-
-      const projectsData = [];
-      for (let i = 0; i < count; i++) {
-        try {
-          const project = await contract.projects(i);
-          const milestones = await contract.getProjectMilestones(i);
-
-          projectsData.push({
-            id: i,
-            title: project.title,
-            client: project.client,
-            freelancer: project.freelancer,
-            totalAmount: formatEther(project.totalAmount),
-            status: Number(project.status),
-            statusText: ProjectStatus[Number(project.status)],
-            createdAt: Number(project.createdAt),
-            acceptedAt: Number(project.acceptedAt),
-            milestoneCount: milestones.length,
-          });
-        } catch (err) {
-          console.error(`Error loading project ${i}:`, err);
-        }
-      }
+      const lens = await getReadOnlyLensContract();
+      const escrow = await getReadOnlyContract();
+      const status = FILTER_STATUS[filter];
+
+      // One call for the page, one for the headline counts
+      const [[summaries, matching], counts] = await Promise.all([
+        status === null
+          ? lens.getProjects(page * PAGE_SIZE, PAGE_SIZE)
+          : lens.getProjectsByStatus(status, page * PAGE_SIZE, PAGE_SIZE),
+        lens.getStatusCounts(),
+      ]);
+
+      const projectsData = await Promise.all(
+        summaries.map(async (summary) => {
+          const token = await getTokenInfo(summary.paymentToken);
+          const projectStatus = Number(summary.status);
+          const isClient = summary.client.toLowerCase() === account.toLowerCase();
+          const isInvited =
+            summary.isPrivate && projectStatus === 0
+              ? await escrow.isInvited(summary.id, account)
+              : false;
+
+          return {
+            id: Number(summary.id),
+            title: summary.title,
+            descriptionHash: summary.descriptionHash,
+            client: summary.client,
+            freelancer: summary.freelancer,
+            totalAmount: formatTokenAmount(summary.totalAmount, token.decimals),
+            tokenSymbol: token.symbol,
+            status: projectStatus,
+            statusText: ProjectStatus[projectStatus],
+            createdAt: Number(summary.createdAt),
+            acceptedAt: Number(summary.acceptedAt),
+            milestoneCount: Number(summary.milestoneCount),
+            completedMilestones: Number(summary.completedMilestones),
+            isPrivate: summary.isPrivate,
+            requiresApplication: summary.requiresApplication,
+            canAccept: projectStatus === 0 && !isClient && (!summary.isPrivate || isInvited),
+          };
+        })
+      );
 
       setProjects(projectsData);
+      setTotal(Number(matching));
+      setStatusCounts(counts.map(Number));
     } catch (error) {
       console.error('Error loading projects:', error);
     } finally {
@@ -59,19 +100,23 @@ function ProjectList({ account }) {
     }
   };
 
+  const handleFilterChange = (value) => {
+    setFilter(value);
+    setPage(0);
+  };
+
+  // Search and the invite check only narrow the page that was fetched
   const filteredProjects = projects.filter((project) => {
     const matchesSearch = project.title.toLowerCase().includes(searchTerm.toLowerCase());
-
-    let matchesFilter = true;
-    if (filter === 'available') {
-      matchesFilter = project.status === 0;
-    } else if (filter === 'active') {
-      matchesFilter = project.status === 1;
-    }
+    const matchesFilter = filter !== 'available' || project.canAccept;
 
     return matchesSearch && matchesFilter;
   });
 
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const firstShown = total === 0 ? 0 : page * PAGE_SIZE + 1;
+  const lastShown = Math.min(total, (page + 1) * PAGE_SIZE);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-20">
@@ -94,7 +139,7 @@ function ProjectList({ account }) {
             <Search className="w-5 h-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
             <input
               type="text"
-              placeholder="Search projects..."
+              placeholder="Search this page..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -103,7 +148,7 @@ function ProjectList({ account }) {
 
           <select
             value={filter}
-            onChange={(e) => setFilter(e.target.value)}
+            onChange={(e) => handleFilterChange(e.target.value)}
             className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
             <option value="all">All Projects</option>
@@ -116,19 +161,17 @@ function ProjectList({ account }) {
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
         <div className="bg-white rounded-lg shadow-sm border p-4">
           <p className="text-sm text-gray-600 mb-1">Total Projects</p>
-          <p className="text-2xl font-bold text-gray-900">{projects.length}</p>
+          <p className="text-2xl font-bold text-gray-900">
+            {statusCounts.reduce((sum, count) => sum + count, 0)}
+          </p>
         </div>
         <div className="bg-white rounded-lg shadow-sm border p-4">
-          <p className="text-sm text-gray-600 mb-1">Available</p>
-          <p className="text-2xl font-bold text-green-600">
-            {projects.filter((p) => p.status === 0).length}
-          </p>
+          <p className="text-sm text-gray-600 mb-1">Open</p>
+          <p className="text-2xl font-bold text-green-600">{statusCounts[0]}</p>
         </div>
         <div className="bg-white rounded-lg shadow-sm border p-4">
           <p className="text-sm text-gray-600 mb-1">Active</p>
-          <p className="text-2xl font-bold text-blue-600">
-            {projects.filter((p) => p.status === 1).length}
-          </p>
+          <p className="text-2xl font-bold text-blue-600">{statusCounts[1]}</p>
         </div>
       </div>
 
@@ -159,19 +202,37 @@ function ProjectList({ account }) {
                   >
                     {project.statusText}
                   </span>
-                  <span className="text-sm text-gray-500">#{project.id}</span>
+                  <div className="flex items-center space-x-2">
+                    {project.isPrivate && (
+                      <span className="flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        <Lock className="w-3 h-3 mr-1" />
+                        Invite Only
+                      </span>
+                    )}
+                    {project.requiresApplication && project.status === 0 && (
+                      <span className="flex items-center px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-700">
+                        <FileText className="w-3 h-3 mr-1" />
+                        Applications
+                      </span>
+                    )}
+                    <span className="text-sm text-gray-500">#{project.id}</span>
+                  </div>
                 </div>
 
                 <h3 className="text-lg font-semibold text-gray-900 mb-2 line-clamp-2">
                   {project.title}
                 </h3>
 
+                <div className="mb-4">
+                  <ProjectDescription descriptionHash={project.descriptionHash} compact />
+                </div>
+
                 <div className="flex items-center space-x-2 mb-4">
                   <DollarSign className="w-5 h-5 text-green-600" />
                   <span className="text-2xl font-bold text-gray-900">
                     {parseFloat(project.totalAmount).toFixed(2)}
                   </span>
-                  <span className="text-gray-600">POL</span>
+                  <span className="text-gray-600">{project.tokenSymbol}</span>
                 </div>
 
                 <div className="space-y-2 text-sm text-gray-600 border-t pt-4">
@@ -180,7 +241,7 @@ function ProjectList({ account }) {
                       <User className="w-4 h-4 mr-2" />
                       Client
                     </span>
-                    <span className="font-mono text-xs">{formatAddress(project.client)}</span>
+                    <AddressLink address={project.client} nested className="font-mono text-xs" />
                   </div>
 
                   {project.freelancer !== '0x0000000000000000000000000000000000000000' && (
@@ -189,7 +250,7 @@ function ProjectList({ account }) {
                         <User className="w-4 h-4 mr-2" />
                         Freelancer
                       </span>
-                      <span className="font-mono text-xs">{formatAddress(project.freelancer)}</span>
+                      <AddressLink address={project.freelancer} nested className="font-mono text-xs" />
                     </div>
                   )}
 
@@ -203,23 +264,53 @@ function ProjectList({ account }) {
 
                   <div className="flex items-center justify-between">
                     <span>Milestones</span>
-                    <span className="font-medium">{project.milestoneCount}</span>
+                    <span className="font-medium">
+                      {project.completedMilestones}/{project.milestoneCount} done
+                    </span>
                   </div>
                 </div>
 
-                {project.status === 0 &&
-                  project.client.toLowerCase() !== account.toLowerCase() && (
-                    <div className="mt-4 pt-4 border-t">
-                      <p className="text-sm text-blue-600 font-medium text-center">
-                        Click to view and accept →
-                      </p>
-                    </div>
-                  )}
+                {project.canAccept && (
+                  <div className="mt-4 pt-4 border-t">
+                    <p className="text-sm text-blue-600 font-medium text-center">
+                      {project.requiresApplication ? 'Click to view and apply →' : 'Click to view and accept →'}
+                    </p>
+                  </div>
+                )}
               </div>
             </Link>
           ))}
         </div>
       )}
+
+      {total > 0 && (
+        <div className="flex items-center justify-between mt-8">
+          <p className="text-sm text-gray-600">
+            Showing {firstShown}–{lastShown} of {total}
+          </p>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4 mr-1" />
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {page + 1} of {pageCount}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page + 1 >= pageCount}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight className="w-4 h-4 ml-1" />
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,184 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Star, Loader } from 'lucide-react';
+import {
+  getReviewsContract,
+  getReadOnlyReviewsContract,
+  formatDate,
+  waitForTransaction,
+} from '../utils/web3';
+import { storeText, isContentShared } from '../utils/contentStore';
+import ProjectDescription from './ProjectDescription.jsx';
+import AddressLink from './AddressLink.jsx';
+
+export const Stars = ({ rating }) => (
+  <span className="inline-flex">
+    {[1, 2, 3, 4, 5].map((value) => (
+      <Star
+        key={value}
+        className={`w-4 h-4 ${
+          value <= rating ? 'text-yellow-500 fill-yellow-500' : 'text-gray-300'
+        }`}
+      />
+    ))}
+  </span>
+);
+
+function ProjectReviews({ projectId, client, freelancer, account, onReviewed }) {
+  const [reviews, setReviews] = useState([]);
+  const [canReview, setCanReview] = useState(false);
+  const [hasReviewed, setHasReviewed] = useState(false);
+  const [rating, setRating] = useState(5);
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReviews = useCallback(async () => {
+    try {
+      const contract = await getReadOnlyReviewsContract();
+      const [reviewsData, open, reviewed] = await Promise.all([
+        contract.getProjectReviews(projectId),
+        contract.canBeReviewed(projectId),
+        contract.hasReviewed(projectId, account),
+      ]);
+      setReviews(
+        reviewsData.map((r, idx) => ({
+          id: idx,
+          reviewer: r.reviewer,
+          reviewee: r.reviewee,
+          rating: Number(r.rating),
+          commentHash: r.commentHash,
+          createdAt: Number(r.createdAt),
+        }))
+      );
+      setCanReview(open);
+      setHasReviewed(reviewed);
+    } catch (err) {
+      console.error('Error loading reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, account]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const commentHash = comment.trim() ? await storeText(comment.trim()) : '';
+      const contract = await getReviewsContract();
+      const tx = await contract.submitReview(projectId, rating, commentHash);
+      await waitForTransaction(tx);
+      setComment('');
+      await loadReviews();
+      if (onReviewed) onReviewed();
+    } catch (err) {
+      console.error('Error submitting review:', err);
+      setError(err.message || 'Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const isParticipant = sameAddress(account, client) || sameAddress(account, freelancer);
+  const roleOf = (address) => (sameAddress(address, client) ? 'Client' : 'Freelancer');
+
+  if (loading) {
+    return (
+      <div className="flex items-center text-sm text-gray-400 mt-6">
+        <Loader className="w-4 h-4 mr-2 animate-spin" />
+        Loading reviews...
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6 mt-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-4">Reviews</h2>
+
+      {reviews.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">
+          {canReview
+            ? 'No reviews yet.'
+            : 'Reviews open once the project is completed or cancelled.'}
+        </p>
+      ) : (
+        <div className="space-y-4 mb-4">
+          {reviews.map((review) => (
+            <div key={review.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm text-gray-700">
+                  {roleOf(review.reviewer)}{' '}
+                  <AddressLink address={review.reviewer} /> reviewed the{' '}
+                  {roleOf(review.reviewee).toLowerCase()}
+                </p>
+                <span className="text-xs text-gray-500">{formatDate(review.createdAt)}</span>
+              </div>
+              <Stars rating={review.rating} />
+              {review.commentHash && (
+                <div className="mt-2">
+                  <ProjectDescription descriptionHash={review.commentHash} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isParticipant && canReview && !hasReviewed && (
+        <div className="pt-4 border-t space-y-3">
+          <p className="text-sm font-medium text-gray-700">
+            Review the {sameAddress(account, client) ? 'freelancer' : 'client'}
+          </p>
+          <div className="flex space-x-1">
+            {[1, 2, 3, 4, 5].map((value) => (
+              <button
+                key={value}
+                onClick={() => setRating(value)}
+                disabled={submitting}
+                aria-label={`${value} star${value === 1 ? '' : 's'}`}
+              >
+                <Star
+                  className={`w-6 h-6 ${
+                    value <= rating ? 'text-yellow-500 fill-yellow-500' : 'text-gray-300'
+                  }`}
+                />
+              </button>
+            ))}
+          </div>
+          <textarea
+            placeholder="How was working together? (optional)"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows="3"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          {!isContentShared() && (
+            <p className="text-xs text-amber-700">
+              Comments can only be stored in this browser. Configure IPFS storage to add one.
+            </p>
+          )}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            onClick={handleSubmit}
+            disabled={submitting}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {submitting ? 'Submitting Review...' : 'Submit Review'}
+          </button>
+        </div>
+      )}
+
+      {isParticipant && hasReviewed && (
+        <p className="text-sm text-green-600">✓ You have reviewed this project</p>
+      )}
+    </div>
+  );
+}
+
+export default ProjectReviews;
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { NETWORKS } from '../contracts/config';
+import { getSupportedChainIds } from '../contracts/deployments';
+import { switchToChain, onChainChanged } from '../utils/web3';
+
+// Shown in place of the app when the wallet's chain has no deployment, or
+// when no chain has one yet
+function UnsupportedNetwork() {
+  const [error, setError] = useState('');
+  const chainIds = getSupportedChainIds();
+
+  useEffect(() => {
+    onChainChanged(() => {
+      window.location.reload();
+    });
+  }, []);
+
+  const handleSwitch = async (chainId) => {
+    setError('');
+    try {
+      await switchToChain(chainId);
+    } catch (err) {
+      console.error('Switch network error:', err);
+      setError(err.message || 'Failed to switch network');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="max-w-md text-center">
+        <AlertCircle className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+        {chainIds.length === 0 ? (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">No Deployment</h2>
+            <p className="text-gray-600">
+              The contracts haven&apos;t been deployed to any network the app knows. Run
+              smart-contracts/scripts/deploy.js to record a deployment.
+            </p>
+          </>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Unsupported Network</h2>
+            <p className="text-gray-600 mb-6">
+              Your wallet is connected to a network the contracts aren&apos;t deployed on.
+            </p>
+            <div className="space-y-2">
+              {chainIds.map((chainId) => (
+                <button
+                  key={chainId}
+                  onClick={() => handleSwitch(chainId)}
+                  className="w-full bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition"
+                >
+                  Switch to {NETWORKS[chainId].chainName}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+        {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default UnsupportedNetwork;
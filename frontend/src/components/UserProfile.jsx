@@ -0,0 +1,372 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { Briefcase, User, Loader, Star, CheckCircle, AlertTriangle, DollarSign } from 'lucide-react';
+import {
+  getReadOnlyContract,
+  getReadOnlyReviewsContract,
+  getTokenInfo,
+  formatTokenAmount,
+  formatAddress,
+  formatDate,
+  isValidAddress,
+  ProjectStatus,
+  getStatusColor,
+} from '../utils/web3';
+import { loadProjectCache } from '../utils/projectCache';
+import { getDeployment, getContractAddress } from '../contracts/deployments';
+import { Stars } from './ProjectReviews.jsx';
+import ProjectDescription from './ProjectDescription.jsx';
+import AddressLink from './AddressLink.jsx';
+
+const RECENT_REVIEWS = 5;
+const LOG_CHUNK_SIZE = 2000; // public Amoy RPC caps eth_getLogs ranges
+// Escrow events that move a project's funds to or back from its freelancer
+const PAYOUT_EVENTS = [
+  'PaymentReleased',
+  'MilestoneDisputeSettled',
+  'ProjectCancelledByAgreement',
+  'HeldPaymentReclaimed',
+];
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// The escrow's payout events for these projects, oldest first
+const loadPayoutEvents = async (contract, projectIds) => {
+  if (projectIds.length === 0) return [];
+
+  const provider = contract.runner;
+  const latestBlock = await provider.getBlockNumber();
+  const topics = [
+    PAYOUT_EVENTS.map((name) => contract.interface.getEvent(name).topicHash),
+    projectIds.map((id) => ethers.toBeHex(id, 32)),
+  ];
+
+  const events = [];
+  for (let start = getDeployment().deployBlock ?? 0; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+    const logs = await provider.getLogs({
+      address: getContractAddress('ProjectEscrow'),
+      topics,
+      fromBlock: start,
+      toBlock: Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock),
+    });
+    logs.forEach((log) => {
+      const event = contract.interface.parseLog(log);
+      if (event) events.push(event);
+    });
+  }
+  return events;
+};
+
+// What a payout event moved to the freelancer, net of fees. Dispute
+// settlements carry only the split and take no fee, so their share is worked
+// out from the milestone amount as the escrow does. A held payment the
+// client reclaimed never reached the freelancer
+const freelancerShare = (event, project) => {
+  switch (event.name) {
+    case 'PaymentReleased':
+      return event.args.amount;
+    case 'MilestoneDisputeSettled': {
+      const milestone = project.milestones[Number(event.args.milestoneId)];
+      return (BigInt(milestone.amount) * event.args.percentageToFreelancer) / 100n;
+    }
+    case 'ProjectCancelledByAgreement':
+      return event.args.freelancerAmount;
+    default:
+      return -event.args.amount;
+  }
+};
+
+// Freelancer payouts per payment token, formatted for display
+const sumPayouts = async (projects, events) => {
+  const totals = new Map();
+  for (const project of projects) {
+    const paid = events
+      .filter((e) => Number(e.args.projectId) === project.id)
+      .reduce((sum, e) => sum + freelancerShare(e, project), 0n);
+    if (paid > 0n) {
+      totals.set(project.paymentToken, (totals.get(project.paymentToken) || 0n) + paid);
+    }
+  }
+
+  const volumes = [];
+  for (const [tokenAddress, amount] of totals) {
+    const token = await getTokenInfo(tokenAddress);
+    volumes.push({ symbol: token.symbol, amount: formatTokenAmount(amount, token.decimals) });
+  }
+  return volumes;
+};
+
+const percent = (count, total) => (total === 0 ? '—' : `${Math.round((count / total) * 100)}%`);
+
+function UserProfile({ account }) {
+  const { address } = useParams();
+  const [projects, setProjects] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [rating, setRating] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadProfile = useCallback(async () => {
+    if (!isValidAddress(address)) {
+      setError('Invalid address');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const contract = await getReadOnlyContract();
+      const reviewsContract = await getReadOnlyReviewsContract();
+      const projectIds = (await contract.getUserProjects(address)).map((id) => Number(id));
+
+      const [total, count] = await reviewsContract.getUserRating(address);
+      setRating({ total: Number(total), count: Number(count) });
+
+      const received = [];
+      for (const projectId of projectIds) {
+        const projectReviews = await reviewsContract.getProjectReviews(projectId);
+        projectReviews
+          .filter((r) => sameAddress(r.reviewee, address))
+          .forEach((r) =>
+            received.push({
+              projectId,
+              reviewer: r.reviewer,
+              rating: Number(r.rating),
+              commentHash: r.commentHash,
+              createdAt: Number(r.createdAt),
+            })
+          );
+      }
+      setReviews(received.sort((a, b) => b.createdAt - a.createdAt).slice(0, RECENT_REVIEWS));
+
+      const payoutEvents = await loadPayoutEvents(contract, projectIds);
+
+      await loadProjectCache(async ({ projects: cachedProjects, disputes }) => {
+        const userProjects = projectIds
+          .map((id) => cachedProjects.find((p) => p.id === id))
+          .filter(Boolean);
+        const asClient = userProjects.filter((p) => sameAddress(p.client, address));
+        const asFreelancer = userProjects.filter((p) => sameAddress(p.freelancer, address));
+
+        // Rates only count projects that got as far as having both parties
+        const accepted = userProjects.filter((p) => p.acceptedAt > 0);
+        const disputedIds = new Set(disputes.map((d) => d.projectId));
+
+        setStats({
+          accepted: accepted.length,
+          completed: accepted.filter((p) => p.status === 2).length,
+          disputed: accepted.filter((p) => disputedIds.has(p.id)).length,
+          earned: await sumPayouts(asFreelancer, payoutEvents),
+          paid: await sumPayouts(asClient, payoutEvents),
+        });
+        setProjects(
+          userProjects.map((p) => ({
+            id: p.id,
+            title: p.title,
+            status: p.status,
+            statusText: ProjectStatus[p.status],
+            createdAt: p.createdAt,
+            role: sameAddress(p.client, address) ? 'client' : 'freelancer',
+            counterparty: sameAddress(p.client, address) ? p.freelancer : p.client,
+          }))
+        );
+        setLoading(false);
+      });
+    } catch (err) {
+      console.error('Error loading profile:', err);
+      setError('Failed to load profile');
+    } finally {
+      setLoading(false);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    loadProfile();
+  }, [loadProfile]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <Loader className="w-8 h-8 animate-spin text-blue-600" />
+        <span className="ml-3 text-gray-600">Loading profile...</span>
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return (
+      <div className="text-center py-20">
+        <p className="text-gray-600">{error || 'Profile not found'}</p>
+      </div>
+    );
+  }
+
+  const isSelf = sameAddress(address, account);
+  const roles = [
+    { key: 'client', label: 'As Client' },
+    { key: 'freelancer', label: 'As Freelancer' },
+  ];
+  const formatVolume = (volumes) =>
+    volumes.length === 0
+      ? '—'
+      : volumes.map((v) => `${parseFloat(v.amount).toFixed(2)} ${v.symbol}`).join(' · ');
+
+  return (
+    <div>
+      <div className="mb-8">
+        <div className="flex items-center space-x-3 mb-2">
+          <User className="w-8 h-8 text-blue-600" />
+          <h1 className="text-3xl font-bold text-gray-900 font-mono">{formatAddress(address)}</h1>
+          {isSelf && (
+            <span className="px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+              You
+            </span>
+          )}
+        </div>
+        <p className="text-sm text-gray-500 font-mono break-all">{address}</p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <p className="flex items-center text-sm text-gray-600 mb-1">
+            <Star className="w-4 h-4 mr-1" />
+            Rating
+          </p>
+          <p className="text-2xl font-bold text-gray-900">
+            {rating.count === 0 ? '—' : (rating.total / rating.count).toFixed(1)}
+          </p>
+          <p className="text-xs text-gray-500">
+            {rating.count} review{rating.count === 1 ? '' : 's'}
+          </p>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <p className="flex items-center text-sm text-gray-600 mb-1">
+            <CheckCircle className="w-4 h-4 mr-1" />
+            Completion Rate
+          </p>
+          <p className="text-2xl font-bold text-green-600">
+            {percent(stats.completed, stats.accepted)}
+          </p>
+          <p className="text-xs text-gray-500">
+            {stats.completed} of {stats.accepted} accepted projects
+          </p>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <p className="flex items-center text-sm text-gray-600 mb-1">
+            <AlertTriangle className="w-4 h-4 mr-1" />
+            Dispute Rate
+          </p>
+          <p className="text-2xl font-bold text-red-600">
+            {percent(stats.disputed, stats.accepted)}
+          </p>
+          <p className="text-xs text-gray-500">
+            {stats.disputed} of {stats.accepted} accepted projects
+          </p>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <p className="flex items-center text-sm text-gray-600 mb-1">
+            <DollarSign className="w-4 h-4 mr-1" />
+            Earned
+          </p>
+          <p className="text-sm font-bold text-purple-600">{formatVolume(stats.earned)}</p>
+          <p className="text-xs text-gray-500">received as freelancer, after fees</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <p className="flex items-center text-sm text-gray-600 mb-1">
+            <DollarSign className="w-4 h-4 mr-1" />
+            Paid
+          </p>
+          <p className="text-sm font-bold text-blue-600">{formatVolume(stats.paid)}</p>
+          <p className="text-xs text-gray-500">paid out to freelancers as client</p>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        {roles.map(({ key, label }) => {
+          const roleProjects = projects.filter((p) => p.role === key);
+          return (
+            <div key={key} className="bg-white rounded-lg shadow-sm border p-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-4">
+                {label} ({roleProjects.length})
+              </h2>
+              {roleProjects.length === 0 ? (
+                <div className="text-center py-6">
+                  <Briefcase className="w-10 h-10 text-gray-300 mx-auto mb-2" />
+                  <p className="text-sm text-gray-500">No projects</p>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {roleProjects.map((project) => (
+                    <Link
+                      key={project.id}
+                      to={`/project/${project.id}`}
+                      className="block border border-gray-200 rounded-lg p-3 hover:bg-gray-50 transition"
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="font-medium text-gray-900">{project.title}</p>
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(
+                            project.statusText
+                          )}`}
+                        >
+                          {project.statusText}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        #{project.id} · {formatDate(project.createdAt)}
+                        {project.counterparty !== '0x0000000000000000000000000000000000000000' && (
+                          <>
+                            {' · '}
+                            {key === 'client' ? 'Freelancer' : 'Client'}{' '}
+                            <AddressLink address={project.counterparty} nested />
+                          </>
+                        )}
+                      </p>
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">Recent Reviews</h2>
+        {reviews.length === 0 ? (
+          <p className="text-sm text-gray-500">No reviews yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {reviews.map((review) => (
+              <div
+                key={`${review.projectId}-${review.reviewer}`}
+                className="border border-gray-200 rounded-lg p-4"
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm text-gray-700">
+                    <AddressLink address={review.reviewer} /> on{' '}
+                    <Link to={`/project/${review.projectId}`} className="text-blue-600 hover:underline">
+                      project #{review.projectId}
+                    </Link>
+                  </p>
+                  <span className="text-xs text-gray-500">{formatDate(review.createdAt)}</span>
+                </div>
+                <Stars rating={review.rating} />
+                {review.commentHash && (
+                  <div className="mt-2">
+                    <ProjectDescription descriptionHash={review.commentHash} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UserProfile;
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { Star } from 'lucide-react';
+import { getReadOnlyReviewsContract } from '../utils/web3';
+
+function UserRating({ address }) {
+  const [rating, setRating] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const reviews = await getReadOnlyReviewsContract();
+        const [total, count] = await reviews.getUserRating(address);
+        if (!cancelled) setRating({ total: Number(total), count: Number(count) });
+      } catch (error) {
+        console.error('Error loading rating:', error);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [address]);
+
+  if (!rating) return null;
+
+  if (rating.count === 0) {
+    return <span className="text-xs text-gray-400">No reviews yet</span>;
+  }
+
+  return (
+    <span
+      className="inline-flex items-center text-xs text-gray-700"
+      title={`${rating.count} review${rating.count === 1 ? '' : 's'} from past projects`}
+    >
+      <Star className="w-3 h-3 mr-1 text-yellow-500 fill-yellow-500" />
+      {(rating.total / rating.count).toFixed(1)}
+      <span className="ml-1 text-gray-500">({rating.count})</span>
+    </span>
+  );
+}
+
+export default UserRating;
@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+
+function VotingCountdown({ deadline, isEscalated }) {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60000); // Update every minute
+    return () => clearInterval(interval);
+  }, []);
+
+  if (isEscalated) {
+    return (
+      <span className="inline-flex items-center text-xs text-red-700">
+        <Clock className="w-3 h-3 mr-1" />
+        Escalated to owner
+      </span>
+    );
+  }
+
+  const secondsLeft = deadline - now;
+  if (secondsLeft <= 0) {
+    return (
+      <span className="inline-flex items-center text-xs text-orange-700">
+        <Clock className="w-3 h-3 mr-1" />
+        Voting closed
+      </span>
+    );
+  }
+
+  const daysLeft = Math.floor(secondsLeft / (24 * 60 * 60));
+  const hoursLeft = Math.floor((secondsLeft % (24 * 60 * 60)) / (60 * 60));
+  const minutesLeft = Math.floor((secondsLeft % (60 * 60)) / 60);
+
+  return (
+    <span className="inline-flex items-center text-xs text-gray-600">
+      <Clock className="w-3 h-3 mr-1" />
+      {daysLeft}d {hoursLeft}h {minutesLeft}m left to vote
+    </span>
+  );
+}
+
+export default VotingCountdown;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Coins } from 'lucide-react';
+import {
+  getContract,
+  getReadOnlyContract,
+  getDisputesContract,
+  getReadOnlyDisputesContract,
+  getTokenInfo,
+  formatTokenAmount,
+  isNativeToken,
+  waitForTransaction,
+} from '../utils/web3';
+import { getDeployment, getContractAddress } from '../contracts/deployments';
+
+// Settled appeal bonds sit in the dispute resolver, not the escrow
+const BOND_KEY = 'bonds';
+const LOG_CHUNK_SIZE = 2000; // public Amoy RPC caps eth_getLogs ranges
+
+// Tokens the escrow has credited to each account, from its FundsCredited
+// events, so balances in tokens missing from the config still show up. The
+// next block to scan is kept too, so the periodic refresh only reads new ones
+const creditedTokens = new Map(); // account => { tokens, nextBlock }
+
+const findCreditedTokens = async (contract, account) => {
+  const key = account.toLowerCase();
+  const known = creditedTokens.get(key) || {
+    tokens: new Set(),
+    nextBlock: getDeployment().deployBlock ?? 0,
+  };
+  const provider = contract.runner;
+  const latestBlock = await provider.getBlockNumber();
+  const topics = [
+    contract.interface.getEvent('FundsCredited').topicHash,
+    ethers.zeroPadValue(account, 32),
+  ];
+
+  for (let start = known.nextBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+    const logs = await provider.getLogs({
+      address: getContractAddress('ProjectEscrow'),
+      topics,
+      fromBlock: start,
+      toBlock: Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock),
+    });
+    logs.forEach((log) => known.tokens.add(contract.interface.parseLog(log).args.token));
+  }
+  known.nextBlock = latestBlock + 1;
+  creditedTokens.set(key, known);
+  return [...known.tokens];
+};
+
+function WithdrawableBalance({ account }) {
+  const [balances, setBalances] = useState([]);
+  const [claiming, setClaiming] = useState('');
+
+  useEffect(() => {
+    loadBalances();
+    const interval = setInterval(loadBalances, 30000); // Refresh every 30 seconds
+    return () => clearInterval(interval);
+  }, [account]);
+
+  const loadBalances = async () => {
+    if (!account) return;
+
+    try {
+      const contract = await getReadOnlyContract();
+      const balancesData = [];
+      for (const tokenAddress of await findCreditedTokens(contract, account)) {
+        const amount = await contract.pendingWithdrawals(account, tokenAddress);
+        if (amount > 0n) {
+          const token = await getTokenInfo(tokenAddress);
+          balancesData.push({
+            ...token,
+            amount: formatTokenAmount(amount, token.decimals),
+          });
+        }
+      }
+      const bonds = await (await getReadOnlyDisputesContract()).bondBalances(account);
+      if (bonds > 0n) {
+        balancesData.push({
+          address: BOND_KEY,
+          symbol: 'POL (bonds)',
+          amount: formatTokenAmount(bonds, 18),
+        });
+      }
+      setBalances(balancesData);
+    } catch (error) {
+      console.error('Error loading withdrawable balance:', error);
+    }
+  };
+
+  const handleClaim = async (token) => {
+    setClaiming(token.address);
+    try {
+      const tx =
+        token.address === BOND_KEY
+          ? await (await getDisputesContract()).withdrawBond()
+          : isNativeToken(token.address)
+          ? await (await getContract()).withdraw()
+          : await (await getContract()).withdrawToken(token.address);
+      await waitForTransaction(tx);
+      await loadBalances();
+    } catch (error) {
+      console.error('Withdraw error:', error);
+      alert(error.message || 'Failed to withdraw');
+    } finally {
+      setClaiming('');
+    }
+  };
+
+  if (balances.length === 0) return null;
+
+  return (
+    <div className="flex items-center space-x-3 bg-yellow-50 px-4 py-2 rounded-lg">
+      <Coins className="w-5 h-5 text-yellow-600" />
+      <div>
+        <p className="text-xs text-yellow-800">Withdrawable balance</p>
+        <div className="flex items-center space-x-3">
+          {balances.map((token) => (
+            <div key={token.address} className="flex items-center space-x-2">
+              <span className="text-sm font-medium text-yellow-900">
+                {parseFloat(token.amount).toFixed(4)} {token.symbol}
+              </span>
+              <button
+                onClick={() => handleClaim(token)}
+                disabled={claiming !== ''}
+                className="text-xs bg-yellow-600 text-white px-2 py-1 rounded hover:bg-yellow-700 transition disabled:opacity-50"
+              >
+                {claiming === token.address ? 'Claiming...' : 'Claim'}
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WithdrawableBalance;
@@ -1,16 +1,52 @@
-export const CONTRACT_ADDRESS = "0x626A276B629f93d558Cd93a45B0A07047D61250A"; 
+// Where project descriptions and deliverables are stored. 'ipfs' writes them
+// through an IPFS node's HTTP API so other browsers can fetch them from the
+// gateway. 'local' keeps them in this browser's IndexedDB only, which no one
+// else can read, so deliverables are refused with it
+export const CONTENT_STORE = {
+  backend: 'ipfs',
+  ipfsApiUrl: 'http://127.0.0.1:5001',
+  ipfsGatewayUrl: 'https://ipfs.io',
+};
+
+export const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const NATIVE_POL = {
+  symbol: 'POL',
+  name: 'Polygon (native)',
+  address: NATIVE_TOKEN_ADDRESS,
+  decimals: 18,
+};
 
 export const AMOY_CHAIN_ID = 80002;
-export const AMOY_RPC = "https://rpc-amoy.polygon.technology";
+export const HARDHAT_CHAIN_ID = 31337;
 
-export const NETWORK_CONFIG = {
-  chainId: `0x${AMOY_CHAIN_ID.toString(16)}`, 
-  chainName: 'Polygon Amoy Testnet',
-  nativeCurrency: {
-    name: 'POL',
-    symbol: 'POL',
-    decimals: 18,
+// Chains the app runs on. Each also needs a manifest in ./deployments,
+// written by smart-contracts/scripts/deploy.js. Reads go through rpcUrl,
+// the rest is what the wallet is asked to add, and paymentTokens are the
+// currencies offered when creating a project
+export const NETWORKS = {
+  [AMOY_CHAIN_ID]: {
+    chainName: 'Polygon Amoy Testnet',
+    rpcUrl: 'https://rpc-amoy.polygon.technology',
+    blockExplorerUrl: 'https://www.oklink.com/amoy',
+    paymentTokens: [
+      NATIVE_POL,
+      {
+        symbol: 'USDC',
+        name: 'USD Coin',
+        address: '0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582',
+        decimals: 6,
+      },
+    ],
   },
-  rpcUrls: [AMOY_RPC],
-  blockExplorerUrls: ['https://www.oklink.com/amoy'],
-};
\ No newline at end of file
+  // `npx hardhat node`; its native currency is labelled POL like Amoy's
+  [HARDHAT_CHAIN_ID]: {
+    chainName: 'Hardhat Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    blockExplorerUrl: null,
+    paymentTokens: [NATIVE_POL],
+  },
+};
+
+// Read from when there is no wallet, if it has a deployment
+export const DEFAULT_CHAIN_ID = AMOY_CHAIN_ID;
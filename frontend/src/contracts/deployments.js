@@ -0,0 +1,57 @@
+import { ZeroAddress } from 'ethers';
+import { DEFAULT_CHAIN_ID, NETWORKS } from './config';
+
+// Deployment manifests written by smart-contracts/scripts/deploy.js, one per
+// chain: each contract's address and ABI, the block the escrow was deployed
+// in, and who deployed it from which commit
+const manifests = import.meta.glob('./deployments/*.json', { eager: true, import: 'default' });
+
+// A manifest with a contract at the zero address was not written by a
+// finished deployment, so its chain is treated as having none
+const isComplete = (manifest) =>
+  Object.values(manifest.contracts).every((contract) => contract.address !== ZeroAddress);
+
+const DEPLOYMENTS = Object.fromEntries(
+  Object.values(manifests)
+    .filter(isComplete)
+    .map((manifest) => [manifest.chainId, manifest])
+);
+
+let activeChainId = null;
+
+// Whether the app has both a deployment and network settings for a chain
+export const isSupportedChain = (chainId) => Boolean(DEPLOYMENTS[chainId] && NETWORKS[chainId]);
+
+export const getSupportedChainIds = () =>
+  Object.keys(DEPLOYMENTS).map(Number).filter(isSupportedChain);
+
+// Use the deployment for the wallet's chain, or the default chain's when
+// there is no wallet. A wallet on a chain without a deployment leaves none
+// selected, and the app asks to switch rather than reading another chain.
+// Runs once before the app renders, and the app reloads whenever the wallet
+// changes chain
+export const selectDeployment = async () => {
+  if (typeof window.ethereum === 'undefined') {
+    if (isSupportedChain(DEFAULT_CHAIN_ID)) activeChainId = DEFAULT_CHAIN_ID;
+    return;
+  }
+
+  try {
+    const chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+    if (isSupportedChain(chainId)) activeChainId = chainId;
+  } catch (err) {
+    console.error('Error reading wallet chain:', err);
+  }
+};
+
+export const hasDeployment = () => activeChainId !== null;
+
+export const getChainId = () => activeChainId;
+
+export const getNetwork = () => NETWORKS[activeChainId];
+
+export const getDeployment = () => DEPLOYMENTS[activeChainId];
+
+export const getContractAddress = (name) => getDeployment().contracts[name].address;
+
+export const getContractAbi = (name) => getDeployment().contracts[name].abi;
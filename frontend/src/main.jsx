@@ -2,9 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import UnsupportedNetwork from './components/UnsupportedNetwork.jsx'
+import { selectDeployment, hasDeployment } from './contracts/deployments'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Contracts are looked up in the connected chain's deployment, so it is
+// picked before anything renders
+selectDeployment().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      {hasDeployment() ? <App /> : <UnsupportedNetwork />}
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,232 @@
+import { CONTENT_STORE } from '../contracts/config';
+
+// Content-addressed storage for project descriptions and other off-chain
+// data. Content is identified by a CIDv1 (raw codec, sha2-256 multihash) that
+// is computed here in the browser, so whatever a backend hands back can be
+// re-hashed and checked against the identifier stored on-chain. Everything
+// written or verified is also kept in IndexedDB, which doubles as the
+// offline backend.
+
+const DB_NAME = 'content-store';
+const DB_VERSION = 1;
+const STORE_NAME = 'blobs';
+const URI_PREFIX = 'ipfs://';
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 0x20;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+let dbPromise = null;
+let remoteBackend; // undefined until resolved from CONTENT_STORE
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const getDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// RFC 4648 base32, lowercase and unpadded as multibase 'b' expects
+const toBase32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const toBytes = (data) =>
+  typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+
+// sha256 of the content as a lowercase hex string
+export const sha256Hex = async (data) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', toBytes(data)));
+  return [...digest].map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// CIDv1 for the content, e.g. "bafkrei..." - the same CID an IPFS node
+// gives a single raw block with these bytes
+export const computeCid = async (data) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', toBytes(data)));
+  const cid = new Uint8Array(4 + digest.length);
+  cid.set([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH]);
+  cid.set(digest, 4);
+  return `b${toBase32(cid)}`;
+};
+
+export const toContentUri = (cid) => `${URI_PREFIX}${cid}`;
+
+// Extract the CID from an on-chain reference. Returns null for anything that
+// is not a raw sha2-256 CIDv1, such as the placeholder strings older
+// projects were created with
+export const parseContentUri = (uri) => {
+  if (!uri) return null;
+  const cid = uri.startsWith(URI_PREFIX) ? uri.slice(URI_PREFIX.length) : uri;
+  return /^bafkrei[a-z2-7]{52}$/.test(cid) ? cid : null;
+};
+
+// Backend keeping content in this browser's IndexedDB. Works offline, but
+// only this browser can read what it stored
+export const createLocalBackend = () => ({
+  name: 'local',
+  async put(cid, bytes) {
+    const db = await getDb();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put(bytes, cid);
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+  async get(cid) {
+    const db = await getDb();
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const bytes = await requestToPromise(tx.objectStore(STORE_NAME).get(cid));
+    return bytes ? new Uint8Array(bytes) : null;
+  },
+});
+
+// Backend writing raw blocks through an IPFS node's HTTP API and reading
+// them back from a gateway. Blocks over 1 MiB are accepted by the node but
+// public gateways may fail to fetch them over bitswap
+export const createIpfsHttpBackend = ({ apiUrl, gatewayUrl }) => ({
+  name: 'ipfs',
+  async put(cid, bytes) {
+    const body = new FormData();
+    body.append('file', new Blob([bytes]));
+    const response = await fetch(
+      `${apiUrl}/api/v0/block/put?cid-codec=raw&mhtype=sha2-256&pin=true&allow-big-block=true`,
+      { method: 'POST', body }
+    );
+    if (!response.ok) {
+      throw new Error(`IPFS node rejected the upload (${response.status})`);
+    }
+    const { Key } = await response.json();
+    if (Key !== cid) {
+      throw new Error(`IPFS node returned ${Key}, expected ${cid}`);
+    }
+  },
+  async get(cid) {
+    const response = await fetch(`${gatewayUrl}/ipfs/${cid}`);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`IPFS gateway request failed (${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  },
+});
+
+const localBackend = createLocalBackend();
+
+const defaultRemoteBackend = () =>
+  CONTENT_STORE.backend === 'ipfs'
+    ? createIpfsHttpBackend({
+        apiUrl: CONTENT_STORE.ipfsApiUrl,
+        gatewayUrl: CONTENT_STORE.ipfsGatewayUrl,
+      })
+    : null;
+
+// Swap the remote backend, e.g. for a pinning service. Pass null to keep
+// content in this browser only
+export const setContentBackend = (backend) => {
+  remoteBackend = backend;
+};
+
+const getRemoteBackend = () => {
+  if (remoteBackend === undefined) {
+    remoteBackend = defaultRemoteBackend();
+  }
+  return remoteBackend;
+};
+
+// Whether stored content reaches a backend other browsers can read from
+export const isContentShared = () => Boolean(getRemoteBackend());
+
+// Store content and return its CID. It is written to the local cache as well
+// as the remote backend so the author can read it back offline
+export const putContent = async (data) => {
+  const bytes = toBytes(data);
+  const cid = await computeCid(bytes);
+
+  const remote = getRemoteBackend();
+  if (remote) {
+    await remote.put(cid, bytes);
+  }
+  try {
+    await localBackend.put(cid, bytes);
+  } catch (error) {
+    if (!remote) throw error;
+    console.error('Error caching content locally:', error);
+  }
+  return cid;
+};
+
+// Fetch content by CID and check it against the CID. Resolves to
+// { bytes, verified } or null when no backend has it
+export const getContent = async (cid) => {
+  let bytes = null;
+  try {
+    bytes = await localBackend.get(cid);
+  } catch (error) {
+    console.error('Local content cache unavailable:', error);
+  }
+
+  const remote = getRemoteBackend();
+  if (!bytes && remote) {
+    bytes = await remote.get(cid);
+  }
+  if (!bytes) return null;
+
+  const verified = (await computeCid(bytes)) === cid;
+  if (verified) {
+    localBackend.put(cid, bytes).catch(() => {});
+  }
+  return { bytes, verified };
+};
+
+// Store text and return the URI to record on-chain. Refused when content
+// stays in this browser, where no one else could read it
+export const storeText = async (text) => {
+  if (!isContentShared()) {
+    throw new Error(
+      'Text is only stored in this browser, so no one else could read it. ' +
+        "Set CONTENT_STORE.backend to 'ipfs' to publish it."
+    );
+  }
+  return toContentUri(await putContent(text));
+};
+
+// Resolve an on-chain URI to { text, verified }, or null when the URI is not
+// content-addressed or the content cannot be found
+export const fetchText = async (uri) => {
+  const cid = parseContentUri(uri);
+  if (!cid) return null;
+  const content = await getContent(cid);
+  if (!content) return null;
+  return { text: new TextDecoder().decode(content.bytes), verified: content.verified };
+};
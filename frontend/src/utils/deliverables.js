@@ -0,0 +1,184 @@
+import { ethers } from 'ethers';
+import {
+  putContent,
+  getContent,
+  toContentUri,
+  parseContentUri,
+  isContentShared,
+} from './contentStore';
+import { getProviderAndSigner } from './web3';
+import { getContractAddress } from '../contracts/deployments';
+
+// Milestone deliverables. Each file is stored under its own CID and a JSON
+// manifest listing them is stored too; the manifest's URI is what
+// submitMilestone records as the deliverableHash. Re-hashing the manifest
+// and every file it lists proves the download is what was submitted.
+//
+// Encrypted deliverables list unencrypted preview files under `files` and
+// AES-GCM ciphertexts under `encryptedFiles`. The key is derived from a
+// wallet signature, committed on-chain at submission and revealed by the
+// freelancer to collect the held payment.
+
+const MANIFEST_VERSION = 1;
+const IV_LENGTH = 12;
+
+const importKey = (key) =>
+  crypto.subtle.importKey('raw', ethers.getBytes(key), 'AES-GCM', false, [
+    'encrypt',
+    'decrypt',
+  ]);
+
+// Ciphertexts are stored as iv || AES-GCM output
+const encryptBytes = async (cryptoKey, bytes) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, bytes)
+  );
+  const out = new Uint8Array(IV_LENGTH + ciphertext.length);
+  out.set(iv);
+  out.set(ciphertext, IV_LENGTH);
+  return out;
+};
+
+const decryptBytes = async (cryptoKey, bytes) =>
+  new Uint8Array(
+    await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH) },
+      cryptoKey,
+      bytes.slice(IV_LENGTH)
+    )
+  );
+
+const storeFiles = async (files, cryptoKey = null) => {
+  const entries = [];
+  for (const file of files) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const stored = cryptoKey ? await encryptBytes(cryptoKey, bytes) : bytes;
+    entries.push({
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: bytes.length,
+      cid: await putContent(stored),
+    });
+  }
+  return entries;
+};
+
+const fetchEntries = (entries = []) =>
+  Promise.all(
+    entries.map(async (entry) => {
+      const content = await getContent(entry.cid);
+      return {
+        ...entry,
+        bytes: content?.bytes || null,
+        verified: Boolean(content?.verified),
+      };
+    })
+  );
+
+// The message is fixed per submission and wallet signatures are
+// deterministic, so the key can be derived again on any device at reveal
+const keyMessage = (projectId, milestoneId, revision) =>
+  [
+    'Derive deliverable encryption key',
+    `Escrow: ${getContractAddress('ProjectEscrow')}`,
+    `Project: ${projectId}`,
+    `Milestone: ${milestoneId}`,
+    `Revision: ${revision}`,
+  ].join('\n');
+
+// Ask the connected wallet for the key of a milestone submission. Returns
+// the key and the commitment recorded on-chain
+export const deriveDeliverableKey = async (projectId, milestoneId, revision) => {
+  const { signer } = await getProviderAndSigner();
+  const signature = await signer.signMessage(keyMessage(projectId, milestoneId, revision));
+  const key = ethers.keccak256(signature);
+  return { key, commitment: ethers.keccak256(key) };
+};
+
+// Store the files and their manifest. Returns the URI to submit on-chain.
+// With a key, `files` are encrypted and `previewFiles` are stored as-is.
+// Refused when content stays in this browser, where no one else could
+// download it
+export const packageDeliverable = async (files, { previewFiles = [], key = null } = {}) => {
+  if (files.length === 0) {
+    throw new Error('Add at least one file');
+  }
+  if (!isContentShared()) {
+    throw new Error(
+      'Files are only stored in this browser, so no one else could download them. ' +
+        "Set CONTENT_STORE.backend to 'ipfs' to submit files."
+    );
+  }
+
+  const manifest = key
+    ? {
+        version: MANIFEST_VERSION,
+        files: await storeFiles(previewFiles),
+        encryptedFiles: await storeFiles(files, await importKey(key)),
+      }
+    : { version: MANIFEST_VERSION, files: await storeFiles(files) };
+
+  return toContentUri(await putContent(JSON.stringify(manifest)));
+};
+
+// Fetch a deliverable and verify it against the on-chain hash. Resolves to
+// { verified, files, encryptedFiles } where each file carries its bytes and
+// own check, or throws when the hash is not a content URI or is missing
+export const downloadDeliverable = async (deliverableHash) => {
+  const manifestCid = parseContentUri(deliverableHash);
+  if (!manifestCid) {
+    throw new Error('This deliverable was not uploaded through the content store');
+  }
+
+  const manifestContent = await getContent(manifestCid);
+  if (!manifestContent) {
+    throw new Error('Deliverable not found in the content store');
+  }
+  if (!manifestContent.verified) {
+    return { verified: false, files: [], encryptedFiles: [] };
+  }
+
+  const manifest = JSON.parse(new TextDecoder().decode(manifestContent.bytes));
+  const files = await fetchEntries(manifest.files);
+  const encryptedFiles = await fetchEntries(manifest.encryptedFiles);
+
+  return {
+    verified: [...files, ...encryptedFiles].every((f) => f.verified),
+    files,
+    encryptedFiles,
+  };
+};
+
+// Download, verify and decrypt the encrypted files of a deliverable with
+// the key revealed on-chain
+export const decryptDeliverable = async (deliverableHash, key) => {
+  const { verified, encryptedFiles } = await downloadDeliverable(deliverableHash);
+  if (!verified) {
+    throw new Error('Downloaded content does not match the on-chain hash');
+  }
+
+  const cryptoKey = await importKey(key);
+  return Promise.all(
+    encryptedFiles.map(async (file) => ({
+      ...file,
+      bytes: await decryptBytes(cryptoKey, file.bytes),
+    }))
+  );
+};
+
+// Hand downloaded bytes to the browser as a file download
+export const saveFile = ({ name, type, bytes }) => {
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,292 @@
+import { getReadOnlyContract, getReadOnlyDisputesContract } from './web3';
+import { getChainId, getDeployment, getContractAddress } from '../contracts/deployments';
+
+// Client-side index of escrow projects and disputes. Contract logs tell us
+// which records changed since the last synced block, only those are re-read
+// over RPC, and the result is persisted to IndexedDB so pages render from
+// the cache on the next visit.
+
+const DB_VERSION = 1;
+const LOG_CHUNK_SIZE = 2000; // public Amoy RPC caps eth_getLogs ranges
+const REORG_DEPTH = 10; // recent blocks re-scanned on every sync
+const FETCH_BATCH_SIZE = 8;
+
+// Escrow events carrying a projectId whose project needs re-reading. The
+// first five drive the lifecycle; the rest cover the remaining status
+// transitions
+const PROJECT_EVENTS = [
+  'ProjectCreated',
+  'ProjectAccepted',
+  'MilestoneSubmitted',
+  'PaymentReleased',
+  'MilestoneDisputed',
+  'ProjectCancelled',
+  'FreelancerInvited',
+  'MilestoneRejected',
+  'DeadlineRefundClaimed',
+  'CancellationProposed',
+  'CancellationWithdrawn',
+  'ProjectCancelledByAgreement',
+  'MilestoneDisputeSettled',
+];
+// Dispute resolver events carrying a disputeId
+const DISPUTE_EVENTS = [
+  'DisputeRaised',
+  'DisputeVoted',
+  'ArbitratorRecused',
+  'DisputeDecided',
+  'DisputeAppealed',
+  'AppealBondSettled',
+  'DisputeBondSettled',
+  'SettlementProposed',
+  'SettlementWithdrawn',
+  'SettlementAccepted',
+  'DisputeEscalated',
+  'DisputeResolved',
+];
+
+let dbPromise = null;
+let statePromise = null;
+let syncPromise = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const getDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      // One cache per chain and escrow
+      const dbName = `escrow-cache-${getChainId()}-${getContractAddress('ProjectEscrow').toLowerCase()}`;
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('projects', { keyPath: 'id' });
+        db.createObjectStore('disputes', { keyPath: 'id' });
+        db.createObjectStore('meta');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const loadState = () => {
+  if (!statePromise) {
+    statePromise = (async () => {
+      const state = { lastSyncedBlock: null, projects: new Map(), disputes: new Map() };
+      try {
+        const db = await getDb();
+        const tx = db.transaction(['projects', 'disputes', 'meta'], 'readonly');
+        const [projects, disputes, lastSyncedBlock] = await Promise.all([
+          requestToPromise(tx.objectStore('projects').getAll()),
+          requestToPromise(tx.objectStore('disputes').getAll()),
+          requestToPromise(tx.objectStore('meta').get('lastSyncedBlock')),
+        ]);
+        projects.forEach((p) => state.projects.set(p.id, p));
+        disputes.forEach((d) => state.disputes.set(d.id, d));
+        state.lastSyncedBlock = lastSyncedBlock ?? null;
+      } catch (error) {
+        console.error('Project cache unavailable, keeping it in memory:', error);
+      }
+      return state;
+    })();
+  }
+  return statePromise;
+};
+
+const persist = async (projects, disputes, lastSyncedBlock) => {
+  try {
+    const db = await getDb();
+    const tx = db.transaction(['projects', 'disputes', 'meta'], 'readwrite');
+    projects.forEach((p) => tx.objectStore('projects').put(p));
+    disputes.forEach((d) => tx.objectStore('disputes').put(d));
+    tx.objectStore('meta').put(lastSyncedBlock, 'lastSyncedBlock');
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (error) {
+    console.error('Error persisting project cache:', error);
+  }
+};
+
+// Read a project into a plain object IndexedDB can store
+const fetchProject = async (contract, id) => {
+  const [project, milestones] = await Promise.all([
+    contract.projects(id),
+    contract.getProjectMilestones(id),
+  ]);
+  const status = Number(project.status);
+  const invitees = project.isPrivate ? await contract.getProjectInvitees(id) : [];
+  const proposal = status === 1 ? await contract.cancellationProposals(id) : null;
+
+  return {
+    id,
+    client: project.client,
+    freelancer: project.freelancer,
+    title: project.title,
+    descriptionHash: project.descriptionHash,
+    totalAmount: project.totalAmount,
+    status,
+    createdAt: Number(project.createdAt),
+    acceptedAt: Number(project.acceptedAt),
+    paymentToken: project.paymentToken,
+    isPrivate: project.isPrivate,
+    requiresApplication: project.requiresApplication,
+    invitees: [...invitees],
+    cancellationProposer: proposal && proposal.isActive ? proposal.proposer : null,
+    milestones: milestones.map((m) => ({
+      description: m.description,
+      amount: m.amount,
+      deadline: Number(m.deadline),
+      status: Number(m.status),
+      deliverableHash: m.deliverableHash,
+      submittedAt: Number(m.submittedAt),
+      revisionCount: Number(m.revisionCount),
+    })),
+  };
+};
+
+const fetchDispute = async (contract, id) => {
+  const [
+    dispute,
+    [voteCount, isResolved, voters, percentages],
+    [panel, recused],
+    required,
+    isAppeal,
+    appealedDispute,
+  ] = await Promise.all([
+    contract.disputes(id),
+    contract.getDisputeVotes(id),
+    contract.getDisputePanel(id),
+    contract.requiredVotes(id),
+    contract.isAppeal(id),
+    contract.appealedDispute(id),
+  ]);
+
+  return {
+    id,
+    projectId: Number(dispute.projectId),
+    milestoneId: Number(dispute.milestoneId),
+    initiator: dispute.initiator,
+    reason: dispute.reason,
+    isResolved,
+    createdAt: Number(dispute.createdAt),
+    votingDeadline: Number(dispute.votingDeadline),
+    isEscalated: dispute.isEscalated,
+    voteCount: Number(voteCount),
+    requiredVotes: Number(required),
+    voters: [...voters],
+    percentages: percentages.map((p) => Number(p)),
+    panel: [...panel],
+    recused: [...recused],
+    isAppeal,
+    appealedDispute: Number(appealedDispute),
+  };
+};
+
+const fetchInBatches = async (ids, fetcher) => {
+  const results = [];
+  for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+    const batch = ids.slice(i, i + FETCH_BATCH_SIZE);
+    results.push(...(await Promise.all(batch.map(fetcher))));
+  }
+  return results;
+};
+
+const snapshot = (state) => ({
+  projects: [...state.projects.values()].sort((a, b) => a.id - b.id),
+  disputes: [...state.disputes.values()].sort((a, b) => a.id - b.id),
+  lastSyncedBlock: state.lastSyncedBlock,
+});
+
+const runSync = async () => {
+  const state = await loadState();
+  const contract = await getReadOnlyContract();
+  const disputesContract = await getReadOnlyDisputesContract();
+  const provider = contract.runner;
+  const latestBlock = await provider.getBlockNumber();
+  const { deployBlock } = getDeployment();
+  const disputesAddress = getContractAddress('DisputeResolver');
+
+  const dirtyProjects = new Set();
+  const dirtyDisputes = new Set();
+
+  if (state.lastSyncedBlock === null && deployBlock === null) {
+    // No deploy block to replay from, so seed the cache from the counters
+    const [projectCount, disputeCount] = await Promise.all([
+      contract.projectCounter({ blockTag: latestBlock }),
+      disputesContract.disputeCounter({ blockTag: latestBlock }),
+    ]);
+    for (let i = 0; i < Number(projectCount); i++) dirtyProjects.add(i);
+    for (let i = 0; i < Number(disputeCount); i++) dirtyDisputes.add(i);
+  } else {
+    const fromBlock =
+      state.lastSyncedBlock === null
+        ? deployBlock
+        : Math.max(0, state.lastSyncedBlock - REORG_DEPTH + 1);
+    const topics = [
+      [
+        ...PROJECT_EVENTS.map((name) => contract.interface.getEvent(name).topicHash),
+        ...DISPUTE_EVENTS.map((name) => disputesContract.interface.getEvent(name).topicHash),
+      ],
+    ];
+
+    for (let start = fromBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+      const logs = await provider.getLogs({
+        address: [getContractAddress('ProjectEscrow'), disputesAddress],
+        topics,
+        fromBlock: start,
+        toBlock: Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock),
+      });
+
+      for (const log of logs) {
+        if (log.address.toLowerCase() === disputesAddress.toLowerCase()) {
+          const event = disputesContract.interface.parseLog(log);
+          if (event) dirtyDisputes.add(Number(event.args.disputeId));
+        } else {
+          const event = contract.interface.parseLog(log);
+          if (event) dirtyProjects.add(Number(event.args.projectId));
+        }
+      }
+    }
+  }
+
+  const disputes = await fetchInBatches([...dirtyDisputes], (id) => fetchDispute(disputesContract, id));
+  // A resolved vote settles the disputed milestone, so re-read its project too
+  disputes.forEach((d) => dirtyProjects.add(d.projectId));
+  const projects = await fetchInBatches([...dirtyProjects], (id) => fetchProject(contract, id));
+
+  projects.forEach((p) => state.projects.set(p.id, p));
+  disputes.forEach((d) => state.disputes.set(d.id, d));
+  state.lastSyncedBlock = latestBlock;
+  await persist(projects, disputes, latestBlock);
+
+  return snapshot(state);
+};
+
+// Bring the cache up to the latest block. Concurrent callers share one sync
+export const syncProjectCache = () => {
+  if (!syncPromise) {
+    syncPromise = runSync().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+};
+
+// Get whatever the cache currently holds without touching the network
+export const getCachedState = async () => snapshot(await loadState());
+
+// Serve cached state right away, then again once the cache has caught up
+export const loadProjectCache = async (onUpdate) => {
+  const cached = await getCachedState();
+  if (cached.lastSyncedBlock !== null) {
+    await onUpdate(cached);
+  }
+  await onUpdate(await syncProjectCache());
+};
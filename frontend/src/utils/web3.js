@@ -1,6 +1,23 @@
 import { ethers } from 'ethers';
-import ProjectEscrowABI from '../contracts/ProjectEscrow.json';
-import { CONTRACT_ADDRESS, AMOY_CHAIN_ID, NETWORK_CONFIG } from '../contracts/config';
+import { NATIVE_TOKEN_ADDRESS, NETWORKS } from '../contracts/config';
+import {
+  isSupportedChain,
+  getChainId,
+  getNetwork,
+  getContractAddress,
+  getContractAbi,
+} from '../contracts/deployments';
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+];
+
+const tokenInfoCache = {};
 
 // Check if MetaMask is installed
 export const isMetaMaskInstalled = () => {
@@ -19,8 +36,8 @@ export const connectWallet = async () => {
     });
 
     const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-    if (parseInt(chainId, 16) !== AMOY_CHAIN_ID) {
-      await switchToAmoy();
+    if (!isSupportedChain(parseInt(chainId, 16))) {
+      await switchToChain(getChainId());
     }
 
     return accounts[0];
@@ -30,18 +47,33 @@ export const connectWallet = async () => {
   }
 };
 
-// Switch to Amoy network
-export const switchToAmoy = async () => {
+// Switch the wallet to a chain the app has a deployment for, adding it to
+// the wallet if needed
+export const switchToChain = async (targetChainId) => {
+  const chainId = `0x${targetChainId.toString(16)}`;
+  const network = NETWORKS[targetChainId];
   try {
     await window.ethereum.request({
       method: 'wallet_switchEthereumChain',
-      params: [{ chainId: NETWORK_CONFIG.chainId }],
+      params: [{ chainId }],
     });
   } catch (switchError) {
     if (switchError.code === 4902) {
       await window.ethereum.request({
         method: 'wallet_addEthereumChain',
-        params: [NETWORK_CONFIG],
+        params: [
+          {
+            chainId,
+            chainName: network.chainName,
+            nativeCurrency: {
+              name: 'POL',
+              symbol: 'POL',
+              decimals: 18,
+            },
+            rpcUrls: [network.rpcUrl],
+            blockExplorerUrls: network.blockExplorerUrl ? [network.blockExplorerUrl] : null,
+          },
+        ],
       });
     } else {
       throw switchError;
@@ -60,26 +92,145 @@ export const getProviderAndSigner = async () => {
   return { provider, signer };
 };
 
+// Contract from the active chain's deployment manifest, connected to a
+// signer or provider
+const deployedContract = (name, runner) =>
+  new ethers.Contract(getContractAddress(name), getContractAbi(name), runner);
+
+// Provider for reads on the active chain that don't need the wallet
+const getReadOnlyProvider = () => new ethers.JsonRpcProvider(getNetwork().rpcUrl);
+
 // Get contract instance
 export const getContract = async () => {
   const { signer } = await getProviderAndSigner();
-  const contract = new ethers.Contract(
-    CONTRACT_ADDRESS,
-    ProjectEscrowABI.abi,
-    signer
-  );
-  return contract;
+  return deployedContract('ProjectEscrow', signer);
 };
 
 // Get read-only contract instance
 export const getReadOnlyContract = async () => {
-  const provider = new ethers.JsonRpcProvider('https://rpc-amoy.polygon.technology');
-  const contract = new ethers.Contract(
-    CONTRACT_ADDRESS,
-    ProjectEscrowABI.abi,
-    provider
+  return deployedContract('ProjectEscrow', getReadOnlyProvider());
+};
+
+// Get applications contract instance
+export const getApplicationsContract = async () => {
+  const { signer } = await getProviderAndSigner();
+  return deployedContract('ProjectApplications', signer);
+};
+
+// Get read-only applications contract instance
+export const getReadOnlyApplicationsContract = async () => {
+  return deployedContract('ProjectApplications', getReadOnlyProvider());
+};
+
+// Get dispute resolver contract instance
+export const getDisputesContract = async () => {
+  const { signer } = await getProviderAndSigner();
+  return deployedContract('DisputeResolver', signer);
+};
+
+// Get read-only dispute resolver contract instance
+export const getReadOnlyDisputesContract = async () => {
+  return deployedContract('DisputeResolver', getReadOnlyProvider());
+};
+
+// Get read-only lens contract instance for paginated reads
+export const getReadOnlyLensContract = async () => {
+  return deployedContract('ProjectEscrowLens', getReadOnlyProvider());
+};
+
+// Get evidence contract instance
+export const getEvidenceContract = async () => {
+  const { signer } = await getProviderAndSigner();
+  return deployedContract('DisputeEvidence', signer);
+};
+
+// Get read-only evidence contract instance
+export const getReadOnlyEvidenceContract = async () => {
+  return deployedContract('DisputeEvidence', getReadOnlyProvider());
+};
+
+// Get reviews contract instance
+export const getReviewsContract = async () => {
+  const { signer } = await getProviderAndSigner();
+  return deployedContract('ProjectReviews', signer);
+};
+
+// Get read-only reviews contract instance
+export const getReadOnlyReviewsContract = async () => {
+  return deployedContract('ProjectReviews', getReadOnlyProvider());
+};
+
+// Get governance timelock contract instance
+export const getTimelockContract = async () => {
+  const { signer } = await getProviderAndSigner();
+  return deployedContract('EscrowTimelock', signer);
+};
+
+// Get read-only governance timelock contract instance
+export const getReadOnlyTimelockContract = async () => {
+  return deployedContract('EscrowTimelock', getReadOnlyProvider());
+};
+
+// Queue a call to a deployed contract on the timelock, executable once the
+// minimum delay has passed. Returns the schedule transaction
+export const scheduleTimelockCall = async (contract, fn, args) => {
+  const timelock = await getTimelockContract();
+  return timelock.schedule(
+    await contract.getAddress(),
+    0,
+    contract.interface.encodeFunctionData(fn, args),
+    ethers.ZeroHash,
+    ethers.hexlify(ethers.randomBytes(32)),
+    await timelock.getMinDelay()
   );
-  return contract;
+};
+
+// Currencies offered when creating a project on the active chain
+export const getPaymentTokens = () => getNetwork().paymentTokens;
+
+// Check whether a project is funded in native POL
+export const isNativeToken = (tokenAddress) => {
+  return !tokenAddress || tokenAddress === NATIVE_TOKEN_ADDRESS;
+};
+
+// Get ERC-20 token contract instance
+export const getTokenContract = async (tokenAddress) => {
+  const { signer } = await getProviderAndSigner();
+  return new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+};
+
+// Get symbol and decimals for a payment token
+export const getTokenInfo = async (tokenAddress) => {
+  const address = tokenAddress || NATIVE_TOKEN_ADDRESS;
+  const key = address.toLowerCase();
+  if (tokenInfoCache[key]) return tokenInfoCache[key];
+
+  const known = getPaymentTokens().find((t) => t.address.toLowerCase() === key);
+  if (known) {
+    tokenInfoCache[key] = known;
+    return known;
+  }
+
+  const token = new ethers.Contract(address, ERC20_ABI, getReadOnlyProvider());
+  const info = {
+    symbol: await token.symbol(),
+    name: await token.name(),
+    address,
+    decimals: Number(await token.decimals()),
+  };
+  tokenInfoCache[key] = info;
+  return info;
+};
+
+// Approve the escrow contract to pull tokens, skipping if allowance suffices
+export const ensureTokenAllowance = async (tokenAddress, owner, amount) => {
+  const token = await getTokenContract(tokenAddress);
+  const escrowAddress = getContractAddress('ProjectEscrow');
+  const allowance = await token.allowance(owner, escrowAddress);
+  if (allowance >= amount) return null;
+
+  const tx = await token.approve(escrowAddress, amount);
+  return tx.wait();
 };
 
 // Format ether values
@@ -91,6 +242,20 @@ export const parseEther = (value) => {
   return ethers.parseEther(value.toString());
 };
 
+// Format token values with the token's decimals
+export const formatTokenAmount = (value, decimals = 18) => {
+  return ethers.formatUnits(value, decimals);
+};
+
+export const parseTokenAmount = (value, decimals = 18) => {
+  return ethers.parseUnits(value.toString(), decimals);
+};
+
+// Validate an Ethereum address
+export const isValidAddress = (address) => {
+  return ethers.isAddress(address);
+};
+
 // Format address for display
 export const formatAddress = (address) => {
   if (!address) return '';
@@ -133,6 +298,14 @@ export const MilestoneStatus = {
   2: 'Approved',
   3: 'Rejected',
   4: 'Disputed',
+  5: 'Refunded',
+  6: 'Cancelled',
+};
+
+export const ApplicationStatus = {
+  0: 'Pending',
+  1: 'Withdrawn',
+  2: 'Selected',
 };
 
 // Get status color
@@ -147,6 +320,9 @@ export const getStatusColor = (status) => {
     Submitted: 'bg-blue-100 text-blue-800',
     Approved: 'bg-green-100 text-green-800',
     Rejected: 'bg-red-100 text-red-800',
+    Refunded: 'bg-orange-100 text-orange-800',
+    Withdrawn: 'bg-gray-100 text-gray-800',
+    Selected: 'bg-green-100 text-green-800',
   };
   return colors[status] || 'bg-gray-100 text-gray-800';
 };
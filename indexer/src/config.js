@@ -0,0 +1,58 @@
+import 'dotenv/config';
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_ABI_PATH = fileURLToPath(
+  new URL(
+    '../../smart-contracts/artifacts/contracts/ProjectEscrow.sol/ProjectEscrowImproved.json',
+    import.meta.url
+  )
+);
+const DEFAULT_DISPUTES_ABI_PATH = fileURLToPath(
+  new URL(
+    '../../smart-contracts/artifacts/contracts/DisputeResolver.sol/DisputeResolver.json',
+    import.meta.url
+  )
+);
+
+const deploymentPath = (chainId) =>
+  fileURLToPath(new URL(`../../smart-contracts/deployments/${chainId}.json`, import.meta.url));
+
+const toInt = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+// Deployment recorded for CHAIN_ID by smart-contracts/scripts/deploy.js, if
+// there is one. Its addresses and deploy block are the defaults
+const readDeployment = (env) => {
+  const file = env.DEPLOYMENT_PATH || deploymentPath(toInt(env.CHAIN_ID, 31337));
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null;
+};
+
+export const loadConfig = (env = process.env) => {
+  const deployment = readDeployment(env);
+  const contractAddress = env.CONTRACT_ADDRESS || deployment?.contracts.ProjectEscrow.address;
+  const disputesAddress = env.DISPUTES_ADDRESS || deployment?.contracts.DisputeResolver.address;
+  if (!contractAddress) {
+    throw new Error('CONTRACT_ADDRESS is required when there is no deployment for CHAIN_ID');
+  }
+  if (!disputesAddress) {
+    throw new Error('DISPUTES_ADDRESS is required when there is no deployment for CHAIN_ID');
+  }
+
+  return {
+    rpcUrl: env.RPC_URL || 'http://127.0.0.1:8545',
+    contractAddress,
+    abiPath: env.ABI_PATH || DEFAULT_ABI_PATH,
+    // DisputeResolver contract, which emits the dispute events
+    disputesAddress,
+    disputesAbiPath: env.DISPUTES_ABI_PATH || DEFAULT_DISPUTES_ABI_PATH,
+    startBlock: toInt(env.START_BLOCK, deployment?.deployBlock ?? 0),
+    dbPath: env.DB_PATH || './indexer.db',
+    port: toInt(env.PORT, 3001),
+    pollIntervalMs: toInt(env.POLL_INTERVAL_MS, 2000),
+    // Blocks to stay behind the head; 0 is fine for a local Hardhat node
+    confirmations: toInt(env.CONFIRMATIONS, 0),
+    // How many recent block hashes are kept to find the fork point of a reorg
+    maxReorgDepth: toInt(env.MAX_REORG_DEPTH, 64),
+    batchSize: toInt(env.BATCH_SIZE, 2000),
+  };
+};
@@ -0,0 +1,354 @@
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of recently indexed blocks, used to locate the fork point on reorg
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    project_id INTEGER,
+    dispute_id INTEGER,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_project ON events (project_id);
+  CREATE INDEX IF NOT EXISTS events_dispute ON events (dispute_id);
+
+  CREATE TABLE IF NOT EXISTS projects (
+    id INTEGER PRIMARY KEY,
+    client TEXT NOT NULL,
+    freelancer TEXT NOT NULL,
+    title TEXT NOT NULL,
+    description_hash TEXT NOT NULL,
+    total_amount TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    accepted_at INTEGER NOT NULL,
+    payment_token TEXT NOT NULL,
+    is_private INTEGER NOT NULL,
+    requires_application INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS projects_client ON projects (client);
+  CREATE INDEX IF NOT EXISTS projects_freelancer ON projects (freelancer);
+
+  CREATE TABLE IF NOT EXISTS milestones (
+    project_id INTEGER NOT NULL,
+    milestone_id INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    deadline INTEGER NOT NULL,
+    status INTEGER NOT NULL,
+    deliverable_hash TEXT NOT NULL,
+    submitted_at INTEGER NOT NULL,
+    revision_count INTEGER NOT NULL,
+    PRIMARY KEY (project_id, milestone_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS disputes (
+    id INTEGER PRIMARY KEY,
+    project_id INTEGER NOT NULL,
+    milestone_id INTEGER NOT NULL,
+    initiator TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    is_resolved INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    voting_deadline INTEGER NOT NULL,
+    is_escalated INTEGER NOT NULL,
+    vote_count INTEGER NOT NULL,
+    votes TEXT NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+`;
+
+// Changes to databases created before SCHEMA had them, oldest first. The
+// database's user_version counts those already applied; new databases are
+// created from SCHEMA and start at the latest version
+const MIGRATIONS = [
+  // Dispute voting deadlines and escalation. Disputes indexed before then
+  // came from contracts without either
+  `ALTER TABLE disputes ADD COLUMN voting_deadline INTEGER NOT NULL DEFAULT 0;
+   ALTER TABLE disputes ADD COLUMN is_escalated INTEGER NOT NULL DEFAULT 0;`,
+];
+
+// Addresses are stored lower-cased so lookups are case-insensitive
+const lower = (address) => address.toLowerCase();
+
+export const openDatabase = (path) => {
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+  return db;
+};
+
+const migrate = (db) => {
+  const version = db.pragma('user_version', { simple: true });
+  const isNew = !db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'disputes'").get();
+
+  db.transaction(() => {
+    if (!isNew) MIGRATIONS.slice(version).forEach((sql) => db.exec(sql));
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${MIGRATIONS.length}`);
+  })();
+};
+
+// Checkpoint
+
+export const getCheckpoint = (db) => {
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'checkpoint'").get();
+  return row ? JSON.parse(row.value) : null;
+};
+
+export const saveCheckpoint = (db, blockNumber, blockHash) => {
+  db.prepare(
+    "INSERT INTO meta (key, value) VALUES ('checkpoint', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+  ).run(JSON.stringify({ blockNumber, blockHash }));
+};
+
+export const recordBlock = (db, number, hash) => {
+  db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)').run(number, hash);
+};
+
+export const pruneBlocks = (db, belowNumber) => {
+  db.prepare('DELETE FROM blocks WHERE number < ?').run(belowNumber);
+};
+
+export const getRecentBlocks = (db) => {
+  return db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC').all();
+};
+
+// Drop everything indexed after a block and return the projects and disputes
+// those events touched, so they can be re-read from the canonical chain
+export const rollbackTo = (db, blockNumber) => {
+  return db.transaction(() => {
+    const touched = db
+      .prepare('SELECT DISTINCT project_id, dispute_id FROM events WHERE block_number > ?')
+      .all(blockNumber);
+
+    db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+    db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+
+    const ancestor = db.prepare('SELECT number, hash FROM blocks WHERE number = ?').get(blockNumber);
+    if (ancestor) {
+      saveCheckpoint(db, ancestor.number, ancestor.hash);
+    } else {
+      db.prepare("DELETE FROM meta WHERE key = 'checkpoint'").run();
+    }
+
+    return {
+      projectIds: [...new Set(touched.map((t) => t.project_id).filter((id) => id !== null))],
+      disputeIds: [...new Set(touched.map((t) => t.dispute_id).filter((id) => id !== null))],
+    };
+  })();
+};
+
+// Wipe all indexed data, used when a reorg is deeper than the stored history
+export const resetDatabase = (db) => {
+  db.exec(
+    'DELETE FROM meta; DELETE FROM blocks; DELETE FROM events; DELETE FROM projects; DELETE FROM milestones; DELETE FROM disputes;'
+  );
+};
+
+// Writes
+
+export const insertEvent = (db, event) => {
+  db.prepare(
+    `INSERT OR REPLACE INTO events
+      (block_number, log_index, block_hash, tx_hash, name, project_id, dispute_id, args)
+     VALUES (@blockNumber, @logIndex, @blockHash, @txHash, @name, @projectId, @disputeId, @args)`
+  ).run({ ...event, args: JSON.stringify(event.args) });
+};
+
+export const upsertProject = (db, project, blockNumber) => {
+  db.prepare(
+    `INSERT OR REPLACE INTO projects
+      (id, client, freelancer, title, description_hash, total_amount, status, created_at,
+       accepted_at, payment_token, is_private, requires_application, updated_block)
+     VALUES (@id, @client, @freelancer, @title, @descriptionHash, @totalAmount, @status, @createdAt,
+       @acceptedAt, @paymentToken, @isPrivate, @requiresApplication, @updatedBlock)`
+  ).run({
+    ...project,
+    client: lower(project.client),
+    freelancer: lower(project.freelancer),
+    paymentToken: lower(project.paymentToken),
+    isPrivate: project.isPrivate ? 1 : 0,
+    requiresApplication: project.requiresApplication ? 1 : 0,
+    updatedBlock: blockNumber,
+  });
+
+  db.prepare('DELETE FROM milestones WHERE project_id = ?').run(project.id);
+  const insertMilestone = db.prepare(
+    `INSERT INTO milestones
+      (project_id, milestone_id, description, amount, deadline, status, deliverable_hash,
+       submitted_at, revision_count)
+     VALUES (@projectId, @milestoneId, @description, @amount, @deadline, @status, @deliverableHash,
+       @submittedAt, @revisionCount)`
+  );
+  project.milestones.forEach((milestone, index) => {
+    insertMilestone.run({ ...milestone, projectId: project.id, milestoneId: index });
+  });
+};
+
+export const deleteProject = (db, id) => {
+  db.prepare('DELETE FROM projects WHERE id = ?').run(id);
+  db.prepare('DELETE FROM milestones WHERE project_id = ?').run(id);
+};
+
+export const upsertDispute = (db, dispute, blockNumber) => {
+  db.prepare(
+    `INSERT OR REPLACE INTO disputes
+      (id, project_id, milestone_id, initiator, reason, is_resolved, created_at, voting_deadline,
+       is_escalated, vote_count, votes, updated_block)
+     VALUES (@id, @projectId, @milestoneId, @initiator, @reason, @isResolved, @createdAt,
+       @votingDeadline, @isEscalated, @voteCount, @votes, @updatedBlock)`
+  ).run({
+    ...dispute,
+    initiator: lower(dispute.initiator),
+    isResolved: dispute.isResolved ? 1 : 0,
+    isEscalated: dispute.isEscalated ? 1 : 0,
+    votes: JSON.stringify(dispute.votes),
+    updatedBlock: blockNumber,
+  });
+};
+
+export const deleteDispute = (db, id) => {
+  db.prepare('DELETE FROM disputes WHERE id = ?').run(id);
+};
+
+// Reads, shaped like the frontend's project cache records
+
+const toProject = (row, milestones) => ({
+  id: row.id,
+  client: row.client,
+  freelancer: row.freelancer,
+  title: row.title,
+  descriptionHash: row.description_hash,
+  totalAmount: row.total_amount,
+  status: row.status,
+  createdAt: row.created_at,
+  acceptedAt: row.accepted_at,
+  paymentToken: row.payment_token,
+  isPrivate: row.is_private === 1,
+  requiresApplication: row.requires_application === 1,
+  milestones: milestones.map((m) => ({
+    description: m.description,
+    amount: m.amount,
+    deadline: m.deadline,
+    status: m.status,
+    deliverableHash: m.deliverable_hash,
+    submittedAt: m.submitted_at,
+    revisionCount: m.revision_count,
+  })),
+});
+
+const toDispute = (row) => ({
+  id: row.id,
+  projectId: row.project_id,
+  milestoneId: row.milestone_id,
+  initiator: row.initiator,
+  reason: row.reason,
+  isResolved: row.is_resolved === 1,
+  createdAt: row.created_at,
+  votingDeadline: row.voting_deadline,
+  isEscalated: row.is_escalated === 1,
+  voteCount: row.vote_count,
+  votes: JSON.parse(row.votes),
+});
+
+const getMilestones = (db, projectId) =>
+  db.prepare('SELECT * FROM milestones WHERE project_id = ? ORDER BY milestone_id').all(projectId);
+
+export const listProjects = (db, { status, client, freelancer, limit = 50, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = {};
+  if (status !== undefined) {
+    conditions.push('status = @status');
+    params.status = status;
+  }
+  if (client) {
+    conditions.push('client = @client');
+    params.client = lower(client);
+  }
+  if (freelancer) {
+    conditions.push('freelancer = @freelancer');
+    params.freelancer = lower(freelancer);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM projects ${where}`).get(params).count;
+  const rows = db
+    .prepare(`SELECT * FROM projects ${where} ORDER BY id LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset });
+
+  return {
+    total,
+    projects: rows.map((row) => toProject(row, getMilestones(db, row.id))),
+  };
+};
+
+export const getProject = (db, id) => {
+  const row = db.prepare('SELECT * FROM projects WHERE id = ?').get(id);
+  if (!row) return null;
+
+  const events = db
+    .prepare('SELECT * FROM events WHERE project_id = ? ORDER BY block_number, log_index')
+    .all(id)
+    .map((e) => ({
+      name: e.name,
+      blockNumber: e.block_number,
+      transactionHash: e.tx_hash,
+      args: JSON.parse(e.args),
+    }));
+  const disputes = db
+    .prepare('SELECT * FROM disputes WHERE project_id = ? ORDER BY id')
+    .all(id)
+    .map(toDispute);
+
+  return { ...toProject(row, getMilestones(db, id)), disputes, events };
+};
+
+export const getUser = (db, address) => {
+  const user = lower(address);
+  const rows = db
+    .prepare('SELECT * FROM projects WHERE client = ? OR freelancer = ? ORDER BY id')
+    .all(user, user);
+  const projects = rows.map((row) => toProject(row, getMilestones(db, row.id)));
+
+  const asClient = projects.filter((p) => p.client === user);
+  const asFreelancer = projects.filter((p) => p.freelancer === user);
+  const disputesRaised = db
+    .prepare('SELECT COUNT(*) AS count FROM disputes WHERE initiator = ?')
+    .get(user).count;
+
+  return {
+    address: user,
+    asClient,
+    asFreelancer,
+    stats: {
+      projectsAsClient: asClient.length,
+      projectsAsFreelancer: asFreelancer.length,
+      completed: projects.filter((p) => p.status === 2).length,
+      disputesRaised,
+    },
+  };
+};
+
+export const listDisputes = (db, { resolved } = {}) => {
+  const rows =
+    resolved === undefined
+      ? db.prepare('SELECT * FROM disputes ORDER BY id').all()
+      : db.prepare('SELECT * FROM disputes WHERE is_resolved = ? ORDER BY id').all(resolved ? 1 : 0);
+  return rows.map(toDispute);
+};
@@ -0,0 +1,43 @@
+import { readFileSync } from 'node:fs';
+import { ethers } from 'ethers';
+import { loadConfig } from './config.js';
+import { openDatabase } from './db.js';
+import { createIndexer } from './indexer.js';
+import { createServer } from './server.js';
+
+const main = () => {
+  const config = loadConfig();
+  const { abi } = JSON.parse(readFileSync(config.abiPath, 'utf8'));
+  const { abi: disputesAbi } = JSON.parse(readFileSync(config.disputesAbiPath, 'utf8'));
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const contract = new ethers.Contract(config.contractAddress, abi, provider);
+  const disputes = new ethers.Contract(config.disputesAddress, disputesAbi, provider);
+  const db = openDatabase(config.dbPath);
+
+  const indexer = createIndexer({ db, provider, contract, disputes, config });
+  const server = createServer(db);
+
+  indexer.start();
+  server.listen(config.port, () => {
+    console.log(`Indexing ${config.contractAddress} from ${config.rpcUrl}`);
+    console.log(`API listening on http://localhost:${config.port}`);
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close(() => {
+      db.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Indexer failed to start:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,234 @@
+import {
+  getCheckpoint,
+  saveCheckpoint,
+  recordBlock,
+  pruneBlocks,
+  getRecentBlocks,
+  rollbackTo,
+  resetDatabase,
+  insertEvent,
+  upsertProject,
+  deleteProject,
+  upsertDispute,
+  deleteDispute,
+} from './db.js';
+
+// JSON-friendly copy of decoded event arguments
+const serializeArgs = (event) => {
+  const args = {};
+  event.fragment.inputs.forEach((input, index) => {
+    const value = event.args[index];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+};
+
+// Read a project as of a block, or null if it does not exist there
+const fetchProject = async (contract, id, blockTag) => {
+  const projectCount = await contract.projectCounter({ blockTag });
+  if (id >= Number(projectCount)) return null;
+
+  const [project, milestones] = await Promise.all([
+    contract.projects(id, { blockTag }),
+    contract.getProjectMilestones(id, { blockTag }),
+  ]);
+
+  return {
+    id,
+    client: project.client,
+    freelancer: project.freelancer,
+    title: project.title,
+    descriptionHash: project.descriptionHash,
+    totalAmount: project.totalAmount.toString(),
+    status: Number(project.status),
+    createdAt: Number(project.createdAt),
+    acceptedAt: Number(project.acceptedAt),
+    paymentToken: project.paymentToken,
+    isPrivate: project.isPrivate,
+    requiresApplication: project.requiresApplication,
+    milestones: milestones.map((m) => ({
+      description: m.description,
+      amount: m.amount.toString(),
+      deadline: Number(m.deadline),
+      status: Number(m.status),
+      deliverableHash: m.deliverableHash,
+      submittedAt: Number(m.submittedAt),
+      revisionCount: Number(m.revisionCount),
+    })),
+  };
+};
+
+const fetchDispute = async (disputes, id, blockTag) => {
+  const disputeCount = await disputes.disputeCounter({ blockTag });
+  if (id >= Number(disputeCount)) return null;
+
+  const [dispute, [voteCount, isResolved, voters, percentages]] = await Promise.all([
+    disputes.disputes(id, { blockTag }),
+    disputes.getDisputeVotes(id, { blockTag }),
+  ]);
+
+  return {
+    id,
+    projectId: Number(dispute.projectId),
+    milestoneId: Number(dispute.milestoneId),
+    initiator: dispute.initiator,
+    reason: dispute.reason,
+    isResolved,
+    createdAt: Number(dispute.createdAt),
+    votingDeadline: Number(dispute.votingDeadline),
+    isEscalated: dispute.isEscalated,
+    voteCount: Number(voteCount),
+    votes: voters.map((voter, i) => ({
+      admin: voter.toLowerCase(),
+      percentage: Number(percentages[i]),
+    })),
+  };
+};
+
+export const createIndexer = ({ db, provider, contract, disputes, config, logger = console }) => {
+  let timer = null;
+  let running = false;
+
+  // Walk back through stored block hashes to the newest one still canonical
+  const findCommonAncestor = async () => {
+    for (const stored of getRecentBlocks(db)) {
+      const block = await provider.getBlock(stored.number);
+      if (block && block.hash === stored.hash) return stored;
+    }
+    return null;
+  };
+
+  // Re-read touched projects and disputes at a block and store them
+  const refresh = async (dirty, blockNumber, blockHash) => {
+    const touchedDisputes = await Promise.all(
+      [...dirty.disputeIds].map(async (id) => [id, await fetchDispute(disputes, id, blockNumber)])
+    );
+    // Votes and resolutions move the disputed milestone, so refresh its project too
+    touchedDisputes.forEach(([, dispute]) => dispute && dirty.projectIds.add(dispute.projectId));
+    const projects = await Promise.all(
+      [...dirty.projectIds].map(async (id) => [id, await fetchProject(contract, id, blockNumber)])
+    );
+
+    db.transaction(() => {
+      touchedDisputes.forEach(([id, dispute]) =>
+        dispute ? upsertDispute(db, dispute, blockNumber) : deleteDispute(db, id)
+      );
+      projects.forEach(([id, project]) =>
+        project ? upsertProject(db, project, blockNumber) : deleteProject(db, id)
+      );
+      recordBlock(db, blockNumber, blockHash);
+      saveCheckpoint(db, blockNumber, blockHash);
+      pruneBlocks(db, blockNumber - config.maxReorgDepth);
+    })();
+
+    dirty.projectIds.clear();
+    dirty.disputeIds.clear();
+  };
+
+  const indexRange = async (fromBlock, toBlock, dirty) => {
+    const [logs, block] = await Promise.all([
+      provider.getLogs({
+        address: [config.contractAddress, config.disputesAddress],
+        fromBlock,
+        toBlock,
+      }),
+      provider.getBlock(toBlock),
+    ]);
+
+    db.transaction(() => {
+      for (const log of logs) {
+        const source =
+          log.address.toLowerCase() === config.disputesAddress.toLowerCase() ? disputes : contract;
+        const event = source.interface.parseLog(log);
+        if (!event) continue;
+
+        const args = serializeArgs(event);
+        const projectId = args.projectId !== undefined ? Number(args.projectId) : null;
+        const disputeId = args.disputeId !== undefined ? Number(args.disputeId) : null;
+        if (projectId !== null) dirty.projectIds.add(projectId);
+        if (disputeId !== null) dirty.disputeIds.add(disputeId);
+
+        insertEvent(db, {
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+          blockHash: log.blockHash,
+          txHash: log.transactionHash,
+          name: event.name,
+          projectId,
+          disputeId,
+          args,
+        });
+        recordBlock(db, log.blockNumber, log.blockHash);
+      }
+    })();
+
+    await refresh(dirty, toBlock, block.hash);
+    if (logs.length > 0) {
+      logger.log(`Indexed ${logs.length} events in blocks ${fromBlock}-${toBlock}`);
+    }
+  };
+
+  // Index everything up to the confirmed head, rolling back first on reorg
+  const sync = async () => {
+    const head = await provider.getBlockNumber();
+    const target = head - config.confirmations;
+    const dirty = { projectIds: new Set(), disputeIds: new Set() };
+
+    let checkpoint = getCheckpoint(db);
+    if (checkpoint) {
+      const block = await provider.getBlock(checkpoint.blockNumber);
+      if (!block || block.hash !== checkpoint.blockHash) {
+        const ancestor = await findCommonAncestor();
+        if (ancestor) {
+          logger.log(`Reorg detected, rolling back to block ${ancestor.number}`);
+          const touched = rollbackTo(db, ancestor.number);
+          touched.projectIds.forEach((id) => dirty.projectIds.add(id));
+          touched.disputeIds.forEach((id) => dirty.disputeIds.add(id));
+        } else {
+          logger.log('Reorg deeper than stored history, re-indexing from start block');
+          resetDatabase(db);
+        }
+        checkpoint = getCheckpoint(db);
+      }
+    }
+
+    let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : config.startBlock;
+    while (fromBlock <= target) {
+      const toBlock = Math.min(fromBlock + config.batchSize - 1, target);
+      await indexRange(fromBlock, toBlock, dirty);
+      fromBlock = toBlock + 1;
+    }
+
+    // The chain may have shrunk below the checkpoint; settle rolled-back records anyway
+    if (dirty.projectIds.size > 0 || dirty.disputeIds.size > 0) {
+      const block = await provider.getBlock(target);
+      await refresh(dirty, target, block.hash);
+    }
+
+    return getCheckpoint(db);
+  };
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sync();
+    } catch (error) {
+      logger.error('Sync failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    poll();
+    timer = setInterval(poll, config.pollIntervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { sync, start, stop };
+};
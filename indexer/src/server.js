@@ -0,0 +1,96 @@
+import http from 'node:http';
+import { getCheckpoint, listProjects, getProject, getUser, listDisputes } from './db.js';
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const parseInteger = (value) => {
+  if (value === null) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+const parseBoolean = (value) => {
+  if (value === null) return undefined;
+  return value === 'true';
+};
+
+const routes = [
+  {
+    pattern: /^\/projects$/,
+    handler: (db, params, query) => {
+      const filters = {
+        status: parseInteger(query.get('status')),
+        limit: parseInteger(query.get('limit')) ?? 50,
+        offset: parseInteger(query.get('offset')) ?? 0,
+        client: query.get('client') || undefined,
+        freelancer: query.get('freelancer') || undefined,
+      };
+      if ([filters.status, filters.limit, filters.offset].some(Number.isNaN)) {
+        return [400, { error: 'status, limit and offset must be non-negative integers' }];
+      }
+      return [200, listProjects(db, { ...filters, limit: Math.min(filters.limit, 200) })];
+    },
+  },
+  {
+    pattern: /^\/projects\/(\d+)$/,
+    handler: (db, [id]) => {
+      const project = getProject(db, Number(id));
+      return project ? [200, project] : [404, { error: 'Project not found' }];
+    },
+  },
+  {
+    pattern: /^\/users\/([^/]+)$/,
+    handler: (db, [address]) => {
+      if (!ADDRESS_PATTERN.test(address)) {
+        return [400, { error: 'Invalid address' }];
+      }
+      return [200, getUser(db, address)];
+    },
+  },
+  {
+    pattern: /^\/disputes$/,
+    handler: (db, params, query) => [
+      200,
+      { disputes: listDisputes(db, { resolved: parseBoolean(query.get('resolved')) }) },
+    ],
+  },
+  {
+    pattern: /^\/status$/,
+    handler: (db) => [200, { checkpoint: getCheckpoint(db) }],
+  },
+];
+
+export const handleRequest = (db, method, url) => {
+  if (method !== 'GET') {
+    return [405, { error: 'Method not allowed' }];
+  }
+
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  for (const route of routes) {
+    const match = pathname.match(route.pattern);
+    if (match) {
+      return route.handler(db, match.slice(1), searchParams);
+    }
+  }
+  return [404, { error: 'Not found' }];
+};
+
+export const createServer = (db) => {
+  return http.createServer((req, res) => {
+    try {
+      const [statusCode, body] = handleRequest(db, req.method, req.url);
+      sendJson(res, statusCode, body);
+    } catch (error) {
+      console.error('Request failed:', error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+};
@@ -0,0 +1,201 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Database from 'better-sqlite3';
+import {
+  openDatabase,
+  getCheckpoint,
+  saveCheckpoint,
+  recordBlock,
+  rollbackTo,
+  insertEvent,
+  upsertProject,
+  upsertDispute,
+  listProjects,
+  getProject,
+  getUser,
+  listDisputes,
+} from '../src/db.js';
+
+const CLIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const FREELANCER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const project = (id, overrides = {}) => ({
+  id,
+  client: CLIENT,
+  freelancer: FREELANCER,
+  title: `Project ${id}`,
+  descriptionHash: 'hash',
+  totalAmount: '1000000000000000000',
+  status: 1,
+  createdAt: 1,
+  acceptedAt: 2,
+  paymentToken: '0x0000000000000000000000000000000000000000',
+  isPrivate: false,
+  requiresApplication: false,
+  milestones: [
+    {
+      description: 'M1',
+      amount: '1000000000000000000',
+      deadline: 100,
+      status: 0,
+      deliverableHash: '',
+      submittedAt: 0,
+      revisionCount: 0,
+    },
+  ],
+  ...overrides,
+});
+
+const event = (blockNumber, name, projectId, disputeId = null) => ({
+  blockNumber,
+  logIndex: 0,
+  blockHash: `0xblock${blockNumber}`,
+  txHash: `0xtx${blockNumber}`,
+  name,
+  projectId,
+  disputeId,
+  args: { projectId: String(projectId) },
+});
+
+describe('db', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+  });
+
+  it('stores and reads back projects with milestones', () => {
+    upsertProject(db, project(0), 5);
+    upsertProject(db, project(1, { status: 2 }), 5);
+
+    const { total, projects } = listProjects(db, { status: 2 });
+    assert.equal(total, 1);
+    assert.equal(projects[0].id, 1);
+    assert.equal(projects[0].milestones.length, 1);
+    assert.equal(projects[0].client, CLIENT.toLowerCase());
+  });
+
+  it('filters projects by participant case-insensitively', () => {
+    upsertProject(db, project(0), 5);
+    const { projects } = listProjects(db, { freelancer: FREELANCER.toUpperCase().replace('0X', '0x') });
+    assert.equal(projects.length, 1);
+  });
+
+  it('includes events and disputes in project details', () => {
+    upsertProject(db, project(0), 5);
+    insertEvent(db, event(3, 'ProjectCreated', 0));
+    upsertDispute(
+      db,
+      {
+        id: 0,
+        projectId: 0,
+        milestoneId: 0,
+        initiator: CLIENT,
+        reason: 'Late',
+        isResolved: false,
+        createdAt: 4,
+        votingDeadline: 604804,
+        isEscalated: false,
+        voteCount: 0,
+        votes: [],
+      },
+      5
+    );
+
+    const details = getProject(db, 0);
+    assert.deepEqual(details.events.map((e) => e.name), ['ProjectCreated']);
+    assert.equal(details.disputes[0].reason, 'Late');
+    assert.equal(details.disputes[0].votingDeadline, 604804);
+    assert.equal(listDisputes(db, { resolved: false }).length, 1);
+    assert.equal(listDisputes(db, { resolved: true }).length, 0);
+    assert.equal(getProject(db, 9), null);
+  });
+
+  it('summarises a user across roles', () => {
+    upsertProject(db, project(0), 5);
+    upsertProject(db, project(1, { status: 2 }), 5);
+
+    const user = getUser(db, FREELANCER);
+    assert.equal(user.stats.projectsAsFreelancer, 2);
+    assert.equal(user.stats.projectsAsClient, 0);
+    assert.equal(user.stats.completed, 1);
+  });
+
+  it('rolls back events after a fork point and reports what they touched', () => {
+    recordBlock(db, 3, '0xblock3');
+    insertEvent(db, event(3, 'ProjectCreated', 0));
+    recordBlock(db, 6, '0xblock6');
+    insertEvent(db, event(6, 'ProjectAccepted', 1));
+    insertEvent(db, { ...event(7, 'DisputeVoted', null, 2), args: {} });
+    saveCheckpoint(db, 7, '0xblock7');
+
+    const touched = rollbackTo(db, 3);
+
+    assert.deepEqual(touched.projectIds, [1]);
+    assert.deepEqual(touched.disputeIds, [2]);
+    assert.deepEqual(getCheckpoint(db), { blockNumber: 3, blockHash: '0xblock3' });
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events').get().count, 1);
+  });
+
+  it('migrates a database created before disputes had deadlines', (t) => {
+    const dir = mkdtempSync(join(tmpdir(), 'indexer-db-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const path = join(dir, 'indexer.db');
+
+    // The disputes table as the first indexer release created it
+    const old = new Database(path);
+    old.exec(`
+      CREATE TABLE disputes (
+        id INTEGER PRIMARY KEY,
+        project_id INTEGER NOT NULL,
+        milestone_id INTEGER NOT NULL,
+        initiator TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        is_resolved INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        vote_count INTEGER NOT NULL,
+        votes TEXT NOT NULL,
+        updated_block INTEGER NOT NULL
+      );
+      INSERT INTO disputes VALUES (0, 0, 0, '${CLIENT.toLowerCase()}', 'Late', 1, 4, 0, '[]', 5);
+    `);
+    old.close();
+
+    const migrated = openDatabase(path);
+    upsertDispute(
+      migrated,
+      {
+        id: 1,
+        projectId: 0,
+        milestoneId: 0,
+        initiator: CLIENT,
+        reason: 'Incomplete',
+        isResolved: false,
+        createdAt: 6,
+        votingDeadline: 604806,
+        isEscalated: true,
+        voteCount: 0,
+        votes: [],
+      },
+      7
+    );
+
+    const disputes = listDisputes(migrated);
+    assert.deepEqual(
+      disputes.map((d) => [d.id, d.votingDeadline, d.isEscalated]),
+      [
+        [0, 0, false],
+        [1, 604806, true],
+      ]
+    );
+    migrated.close();
+
+    // Opening it again leaves it as it is
+    const reopened = openDatabase(path);
+    assert.equal(listDisputes(reopened).length, 2);
+    reopened.close();
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interface, ZeroAddress } from 'ethers';
+import { openDatabase, getCheckpoint, getProject, listProjects } from '../src/db.js';
+import { createIndexer } from '../src/indexer.js';
+
+const ESCROW = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const DISPUTES = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const CLIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const escrowInterface = new Interface([
+  'event ProjectCreated(uint256 indexed projectId, address indexed client, string title, uint256 totalAmount)',
+]);
+const disputesInterface = new Interface([
+  'event DisputeRaised(uint256 indexed disputeId, uint256 indexed projectId, address initiator)',
+]);
+
+const config = {
+  contractAddress: ESCROW,
+  disputesAddress: DISPUTES,
+  startBlock: 0,
+  confirmations: 0,
+  maxReorgDepth: 64,
+  // One block per range so every block hash is kept for reorg checks
+  batchSize: 1,
+};
+
+// A stubbed chain: each block has a hash naming the fork it belongs to and
+// the titles of the projects created in it. Project ids follow creation
+// order, and contract reads return the state as of the requested block
+const createChain = () => {
+  let blocks = [];
+  const getLogsCalls = [];
+
+  const block = (fork, titles = []) => ({ hash: `0x${fork}${blocks.length}`, titles });
+
+  const createdUpTo = (blockTag) =>
+    blocks.slice(0, blockTag + 1).flatMap((b, number) => b.titles.map((title) => ({ title, number })));
+
+  const provider = {
+    getBlockNumber: async () => blocks.length - 1,
+    getBlock: async (number) => (blocks[number] ? { number, hash: blocks[number].hash } : null),
+    getLogs: async ({ fromBlock, toBlock }) => {
+      getLogsCalls.push([fromBlock, toBlock]);
+      const logs = [];
+      let projectId = createdUpTo(fromBlock - 1).length;
+      for (let number = fromBlock; number <= toBlock; number++) {
+        blocks[number].titles.forEach((title, index) => {
+          const { data, topics } = escrowInterface.encodeEventLog('ProjectCreated', [
+            projectId++,
+            CLIENT,
+            title,
+            1n,
+          ]);
+          logs.push({
+            address: ESCROW,
+            data,
+            topics,
+            blockNumber: number,
+            blockHash: blocks[number].hash,
+            index,
+            transactionHash: `${blocks[number].hash}-tx${index}`,
+          });
+        });
+      }
+      return logs;
+    },
+  };
+
+  const contract = {
+    interface: escrowInterface,
+    projectCounter: async ({ blockTag }) => BigInt(createdUpTo(blockTag).length),
+    projects: async (id, { blockTag }) => {
+      const { title, number } = createdUpTo(blockTag)[id];
+      return {
+        client: CLIENT,
+        freelancer: ZeroAddress,
+        title,
+        descriptionHash: 'hash',
+        totalAmount: 1n,
+        status: 0n,
+        createdAt: BigInt(number),
+        acceptedAt: 0n,
+        paymentToken: ZeroAddress,
+        isPrivate: false,
+        requiresApplication: false,
+      };
+    },
+    getProjectMilestones: async () => [],
+  };
+
+  const disputes = { interface: disputesInterface, disputeCounter: async () => 0n };
+
+  return {
+    provider,
+    contract,
+    disputes,
+    getLogsCalls,
+    // Append blocks to the current fork
+    mine: (fork, ...titlesPerBlock) => {
+      titlesPerBlock.forEach((titles) => blocks.push(block(fork, titles)));
+    },
+    // Replace every block from a height onwards, as a reorg does
+    reorgFrom: (number) => {
+      blocks = blocks.slice(0, number);
+    },
+  };
+};
+
+describe('indexer', () => {
+  let db;
+  let chain;
+  let messages;
+
+  const indexer = () =>
+    createIndexer({
+      db,
+      provider: chain.provider,
+      contract: chain.contract,
+      disputes: chain.disputes,
+      config,
+      logger: { log: (message) => messages.push(message), error: () => {} },
+    });
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    chain = createChain();
+    messages = [];
+    // Blocks 0-5 on fork a; projects created in blocks 2 and 4
+    chain.mine('a', [], [], ['Logo'], [], ['Website'], []);
+  });
+
+  it('indexes every block up to the head and checkpoints it', async () => {
+    const checkpoint = await indexer().sync();
+
+    assert.deepEqual(checkpoint, { blockNumber: 5, blockHash: '0xa5' });
+    assert.deepEqual(
+      listProjects(db).projects.map((p) => p.title),
+      ['Logo', 'Website']
+    );
+  });
+
+  it('resumes from the stored checkpoint after a restart', async () => {
+    await indexer().sync();
+    chain.mine('a', ['App']);
+    chain.getLogsCalls.length = 0;
+
+    // A new indexer over the same database, as after a restart
+    const checkpoint = await indexer().sync();
+
+    assert.deepEqual(chain.getLogsCalls, [[6, 6]]);
+    assert.deepEqual(checkpoint, { blockNumber: 6, blockHash: '0xa6' });
+    assert.equal(getProject(db, 2).title, 'App');
+    assert.equal(getProject(db, 0).events.length, 1);
+  });
+
+  it('rolls back to the common ancestor and re-indexes the new fork', async () => {
+    await indexer().sync();
+    // Blocks from 4 are replaced; project 1 is now created in block 5
+    chain.reorgFrom(4);
+    chain.mine('b', [], ['Replacement'], []);
+
+    const checkpoint = await indexer().sync();
+
+    assert.ok(messages.includes('Reorg detected, rolling back to block 3'));
+    assert.deepEqual(checkpoint, { blockNumber: 6, blockHash: '0xb6' });
+    const project = getProject(db, 1);
+    assert.equal(project.title, 'Replacement');
+    assert.deepEqual(
+      project.events.map((e) => e.blockNumber),
+      [5]
+    );
+    assert.equal(getProject(db, 0).title, 'Logo');
+  });
+
+  it('drops projects that only existed on the orphaned fork', async () => {
+    await indexer().sync();
+    chain.reorgFrom(3);
+    chain.mine('b', [], [], []);
+
+    await indexer().sync();
+
+    assert.ok(messages.includes('Reorg detected, rolling back to block 2'));
+    assert.equal(getProject(db, 1), null);
+    assert.equal(getProject(db, 0).title, 'Logo');
+  });
+
+  it('re-indexes from the start block when no stored block is canonical', async () => {
+    await indexer().sync();
+    chain.reorgFrom(0);
+    chain.mine('c', [], ['Fresh'], [], [], [], [], []);
+    chain.getLogsCalls.length = 0;
+
+    const checkpoint = await indexer().sync();
+
+    assert.ok(messages.includes('Reorg deeper than stored history, re-indexing from start block'));
+    assert.deepEqual(chain.getLogsCalls[0], [0, 0]);
+    assert.deepEqual(checkpoint, { blockNumber: 6, blockHash: '0xc6' });
+    assert.deepEqual(
+      listProjects(db).projects.map((p) => p.title),
+      ['Fresh']
+    );
+    assert.equal(getCheckpoint(db).blockHash, '0xc6');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, upsertProject, saveCheckpoint } from '../src/db.js';
+import { handleRequest } from '../src/server.js';
+
+const CLIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('server', () => {
+  let db;
+
+  before(() => {
+    db = openDatabase(':memory:');
+    upsertProject(
+      db,
+      {
+        id: 0,
+        client: CLIENT,
+        freelancer: '0x0000000000000000000000000000000000000000',
+        title: 'Logo design',
+        descriptionHash: 'hash',
+        totalAmount: '1',
+        status: 0,
+        createdAt: 1,
+        acceptedAt: 0,
+        paymentToken: '0x0000000000000000000000000000000000000000',
+        isPrivate: false,
+        requiresApplication: false,
+        milestones: [],
+      },
+      1
+    );
+    saveCheckpoint(db, 1, '0xabc');
+  });
+
+  it('lists projects', () => {
+    const [status, body] = handleRequest(db, 'GET', '/projects?status=0');
+    assert.equal(status, 200);
+    assert.equal(body.total, 1);
+    assert.equal(body.projects[0].title, 'Logo design');
+  });
+
+  it('rejects malformed pagination', () => {
+    const [status] = handleRequest(db, 'GET', '/projects?limit=-1');
+    assert.equal(status, 400);
+  });
+
+  it('returns a single project or 404', () => {
+    assert.equal(handleRequest(db, 'GET', '/projects/0')[0], 200);
+    assert.equal(handleRequest(db, 'GET', '/projects/5')[0], 404);
+  });
+
+  it('validates user addresses', () => {
+    assert.equal(handleRequest(db, 'GET', `/users/${CLIENT}`)[1].stats.projectsAsClient, 1);
+    assert.equal(handleRequest(db, 'GET', '/users/not-an-address')[0], 400);
+  });
+
+  it('serves disputes and the sync checkpoint', () => {
+    assert.deepEqual(handleRequest(db, 'GET', '/disputes')[1], { disputes: [] });
+    assert.equal(handleRequest(db, 'GET', '/status')[1].checkpoint.blockNumber, 1);
+  });
+
+  it('only allows GET', () => {
+    assert.equal(handleRequest(db, 'POST', '/projects')[0], 405);
+  });
+});
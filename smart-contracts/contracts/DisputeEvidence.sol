@@ -0,0 +1,109 @@
+pragma solidity ^0.8.19;
+
+import "./ProjectEscrow.sol";
+import "./DisputeResolver.sol";
+
+// Evidence log for escrow disputes. Both participants can add entries with a
+// statement and content hashes of supporting files while the dispute is
+// open; arbitrators read them before voting
+contract DisputeEvidence {
+    struct Evidence {
+        address submitter;
+        string statement;
+        string[] fileHashes;
+        uint256 submittedAt;
+    }
+
+    uint256 public constant MAX_FILES_PER_ENTRY = 10;
+
+    ProjectEscrowImproved public immutable escrow;
+    DisputeResolver public immutable disputeResolver;
+
+    // Mappings
+    mapping(uint256 => Evidence[]) internal disputeEvidence;
+
+    // Events
+    event EvidenceSubmitted(
+        uint256 indexed disputeId,
+        address indexed submitter,
+        uint256 evidenceId,
+        string statement,
+        string[] fileHashes
+    );
+
+    constructor(DisputeResolver _disputeResolver) {
+        disputeResolver = _disputeResolver;
+        escrow = _disputeResolver.escrow();
+    }
+
+
+    // Add an evidence entry to an open dispute
+
+    function submitEvidence(
+        uint256 _disputeId,
+        string memory _statement,
+        string[] memory _fileHashes
+    ) external returns (uint256) {
+        require(!escrow.paused(), "Pausable: paused");
+        require(
+            _disputeId < disputeResolver.disputeCounter(),
+            "Dispute does not exist"
+        );
+        (uint256 projectId, , , , bool isResolved, , , , ) = disputeResolver
+            .disputes(_disputeId);
+        require(!isResolved, "Dispute already resolved");
+
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(projectId);
+        require(
+            msg.sender == client || msg.sender == freelancer,
+            "Only project participants can call this"
+        );
+        require(
+            bytes(_statement).length > 0 || _fileHashes.length > 0,
+            "Evidence required"
+        );
+        require(_fileHashes.length <= MAX_FILES_PER_ENTRY, "Too many files");
+        for (uint256 i = 0; i < _fileHashes.length; i++) {
+            require(bytes(_fileHashes[i]).length > 0, "Empty file hash");
+        }
+
+        uint256 evidenceId = disputeEvidence[_disputeId].length;
+        disputeEvidence[_disputeId].push(
+            Evidence({
+                submitter: msg.sender,
+                statement: _statement,
+                fileHashes: _fileHashes,
+                submittedAt: block.timestamp
+            })
+        );
+
+        emit EvidenceSubmitted(
+            _disputeId,
+            msg.sender,
+            evidenceId,
+            _statement,
+            _fileHashes
+        );
+
+        return evidenceId;
+    }
+
+
+    // Get all evidence entries for a dispute, oldest first
+
+    function getEvidence(
+        uint256 _disputeId
+    ) external view returns (Evidence[] memory) {
+        return disputeEvidence[_disputeId];
+    }
+
+
+    // Get how many evidence entries a dispute has
+
+    function getEvidenceCount(
+        uint256 _disputeId
+    ) external view returns (uint256) {
+        return disputeEvidence[_disputeId].length;
+    }
+}
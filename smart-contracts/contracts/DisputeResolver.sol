@@ -0,0 +1,896 @@
+pragma solidity ^0.8.19;
+
+import "./ProjectEscrow.sol";
+
+// Arbitration for escrow disputes. Participants raise disputes here and
+// arbiters vote on the share of the milestone owed to the freelancer. Each
+// dispute snapshots its panel of arbitrators when it is raised, leaving out
+// the project's own client and freelancer. Once the quorum is reached the
+// votes are combined by the configured outcome rule and the escrow pays
+// out. A dispute that misses its voting deadline either escalates to the
+// owner or settles at the default split, so funds are never locked
+// indefinitely. With an appeal period set, decisions are held for that long
+// first: the losing side can post a bond to have arbiters who did not vote
+// on it decide again with the appeal quorum, and the bond is refunded only
+// if the appeal moves the outcome their way. Raising a dispute can also
+// require a bond, returned when the outcome goes at least partly the
+// initiator's way
+contract DisputeResolver {
+    enum OutcomeRule {
+        MEAN,
+        MEDIAN
+    }
+
+    enum FallbackRule {
+        ESCALATE_TO_OWNER,
+        DEFAULT_SPLIT
+    }
+
+    enum BondRecipient {
+        COUNTERPARTY,
+        ARBITRATORS
+    }
+
+    struct Dispute {
+        uint256 projectId;
+        uint256 milestoneId;
+        address initiator;
+        string reason;
+        bool isResolved;
+        uint256 createdAt;
+        uint256 votingDeadline;
+        bool isEscalated;
+        uint256 percentageToFreelancer; // final split once resolved
+    }
+
+    // A panel decision held open for appeal before it pays out
+    struct Ruling {
+        uint256 percentageToFreelancer;
+        uint256 appealDeadline;
+        bool isAppealed;
+        address appellant;
+        uint256 bond;
+        uint256 appealId; // dispute re-voting the decision
+    }
+
+    // A participant's standing offer to settle a dispute themselves
+    struct SettlementOffer {
+        uint256 percentageToFreelancer;
+        uint256 proposedAt;
+        bool isActive;
+    }
+
+    uint256 public constant MAX_VOTING_PERIOD = 30 days;
+
+    ProjectEscrowImproved public immutable escrow;
+
+    // Arbitration settings. The quorum and outcome rule apply to open
+    // disputes as well; the voting period only to disputes raised later
+    uint256 public disputeCounter;
+    uint256 public quorum = 2;
+    uint256 public votingPeriod = 7 days;
+    OutcomeRule public outcomeRule = OutcomeRule.MEAN;
+    FallbackRule public fallbackRule = FallbackRule.ESCALATE_TO_OWNER;
+    uint256 public defaultSplitPercentage = 50;
+
+    // Appeal settings. The period is read when a decision is made, the bond
+    // when an appeal is filed and the quorum while the appeal is voted on. A
+    // zero appeal period pays decisions out immediately
+    uint256 public appealPeriod;
+    uint256 public appealQuorum = 3;
+    uint256 public appealBond = 0.01 ether;
+
+    // Bond for raising a dispute, zero to make disputes free. A forfeited
+    // bond goes to the other participant or is shared by the arbitrators
+    // who voted
+    uint256 public disputeBond;
+    BondRecipient public forfeitedBondRecipient = BondRecipient.COUNTERPARTY;
+
+    // Mappings
+    mapping(uint256 => Dispute) public disputes;
+    mapping(uint256 => address[]) internal disputeVoters;
+    mapping(uint256 => mapping(address => uint256)) internal votes; // voter => percentage to freelancer
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => address[]) internal disputePanel;
+    mapping(uint256 => mapping(address => bool)) public isPanelist;
+    mapping(uint256 => mapping(address => bool)) public hasRecused;
+    mapping(uint256 => uint256) public recusalCount;
+    mapping(uint256 => mapping(address => SettlementOffer))
+        public settlementOffers; // participant => standing offer
+    mapping(uint256 => Ruling) public rulings; // decisions open for appeal
+    mapping(uint256 => bool) public isAppeal;
+    mapping(uint256 => uint256) public appealedDispute; // appeal => original
+    mapping(uint256 => uint256) public disputeBonds; // dispute => bond held
+    mapping(address => uint256) public bondBalances; // settled bonds
+
+    // Events
+    event DisputeRaised(
+        uint256 indexed disputeId,
+        uint256 indexed projectId,
+        address initiator
+    );
+    event DisputeVoted(
+        uint256 indexed disputeId,
+        address indexed admin,
+        uint256 percentage
+    );
+    event ArbitratorRecused(
+        uint256 indexed disputeId,
+        address indexed arbitrator
+    );
+    event SettlementProposed(
+        uint256 indexed disputeId,
+        address indexed proposer,
+        uint256 percentageToFreelancer
+    );
+    event SettlementWithdrawn(
+        uint256 indexed disputeId,
+        address indexed proposer
+    );
+    event SettlementAccepted(
+        uint256 indexed disputeId,
+        address indexed acceptedBy,
+        uint256 percentageToFreelancer
+    );
+    event DisputeEscalated(uint256 indexed disputeId);
+    event DisputeDecided(
+        uint256 indexed disputeId,
+        uint256 percentageToFreelancer,
+        uint256 appealDeadline
+    );
+    event DisputeAppealed(
+        uint256 indexed disputeId,
+        uint256 indexed appealId,
+        address appellant,
+        uint256 bond
+    );
+    event AppealBondSettled(
+        uint256 indexed disputeId,
+        address indexed recipient,
+        uint256 amount
+    );
+    event DisputeBondSettled(
+        uint256 indexed disputeId,
+        address indexed recipient,
+        uint256 amount
+    );
+    event BondWithdrawn(address indexed account, uint256 amount);
+    event DisputeResolved(
+        uint256 indexed disputeId,
+        uint256 percentageToFreelancer
+    );
+    event ArbitrationConfigUpdated(
+        uint256 quorum,
+        uint256 votingPeriod,
+        OutcomeRule outcomeRule,
+        FallbackRule fallbackRule,
+        uint256 defaultSplitPercentage
+    );
+    event AppealConfigUpdated(
+        uint256 appealPeriod,
+        uint256 appealQuorum,
+        uint256 appealBond
+    );
+    event DisputeBondConfigUpdated(
+        uint256 disputeBond,
+        BondRecipient forfeitedBondRecipient
+    );
+
+    modifier onlyOwner() {
+        require(
+            msg.sender == escrow.owner(),
+            "Ownable: caller is not the owner"
+        );
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!escrow.paused(), "Pausable: paused");
+        _;
+    }
+
+    modifier disputeExists(uint256 _disputeId) {
+        require(_disputeId < disputeCounter, "Dispute does not exist");
+        _;
+    }
+
+    constructor(ProjectEscrowImproved _escrow) {
+        escrow = _escrow;
+    }
+
+
+    // Update the arbitration settings (only escrow owner)
+
+    function setArbitrationConfig(
+        uint256 _quorum,
+        uint256 _votingPeriod,
+        OutcomeRule _outcomeRule,
+        FallbackRule _fallbackRule,
+        uint256 _defaultSplitPercentage
+    ) external onlyOwner {
+        require(_quorum > 0, "Quorum must be > 0");
+        require(
+            _votingPeriod > 0 && _votingPeriod <= MAX_VOTING_PERIOD,
+            "Invalid voting period"
+        );
+        require(_defaultSplitPercentage <= 100, "Invalid percentage");
+
+        quorum = _quorum;
+        votingPeriod = _votingPeriod;
+        outcomeRule = _outcomeRule;
+        fallbackRule = _fallbackRule;
+        defaultSplitPercentage = _defaultSplitPercentage;
+
+        emit ArbitrationConfigUpdated(
+            _quorum,
+            _votingPeriod,
+            _outcomeRule,
+            _fallbackRule,
+            _defaultSplitPercentage
+        );
+    }
+
+
+    // Update the appeal settings (only escrow owner). A zero period turns
+    // appeals off
+
+    function setAppealConfig(
+        uint256 _appealPeriod,
+        uint256 _appealQuorum,
+        uint256 _appealBond
+    ) external onlyOwner {
+        require(_appealQuorum > 0, "Quorum must be > 0");
+        require(_appealPeriod <= MAX_VOTING_PERIOD, "Invalid appeal period");
+
+        appealPeriod = _appealPeriod;
+        appealQuorum = _appealQuorum;
+        appealBond = _appealBond;
+
+        emit AppealConfigUpdated(_appealPeriod, _appealQuorum, _appealBond);
+    }
+
+
+    // Update the dispute bond and who receives forfeited bonds (only escrow
+    // owner). Applies to disputes raised later
+
+    function setDisputeBondConfig(
+        uint256 _disputeBond,
+        BondRecipient _forfeitedBondRecipient
+    ) external onlyOwner {
+        disputeBond = _disputeBond;
+        forfeitedBondRecipient = _forfeitedBondRecipient;
+
+        emit DisputeBondConfigUpdated(_disputeBond, _forfeitedBondRecipient);
+    }
+
+
+    // Raise a dispute for a milestone, posting the dispute bond. The escrow
+    // checks the caller is a participant and that the milestone can be
+    // disputed. Current arbiters form the panel, minus the project's
+    // participants
+
+    function raiseDispute(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        string memory _reason
+    ) external payable returns (uint256) {
+        require(msg.value == disputeBond, "Incorrect dispute bond");
+        escrow.openDispute(_projectId, _milestoneId, msg.sender);
+
+        uint256 disputeId = disputeCounter++;
+        disputeBonds[disputeId] = msg.value;
+        Dispute storage dispute = disputes[disputeId];
+        dispute.projectId = _projectId;
+        dispute.milestoneId = _milestoneId;
+        dispute.initiator = msg.sender;
+        dispute.reason = _reason;
+        dispute.createdAt = block.timestamp;
+        dispute.votingDeadline = block.timestamp + votingPeriod;
+        _snapshotPanel(disputeId, _projectId);
+
+        emit DisputeRaised(disputeId, _projectId, msg.sender);
+
+        return disputeId;
+    }
+
+
+    // Vote on the share of the milestone owed to the freelancer. Only the
+    // dispute's panel can vote; the vote that reaches the quorum resolves it
+
+    function voteOnDispute(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) external disputeExists(_disputeId) whenNotPaused {
+        require(
+            isPanelist[_disputeId][msg.sender],
+            "Not on dispute panel"
+        );
+        require(!hasRecused[_disputeId][msg.sender], "Arbitrator recused");
+        Dispute storage dispute = disputes[_disputeId];
+        require(!dispute.isResolved, "Dispute already resolved");
+        require(
+            rulings[_disputeId].appealDeadline == 0,
+            "Dispute already decided"
+        );
+        require(!dispute.isEscalated, "Dispute escalated to owner");
+        require(
+            block.timestamp <= dispute.votingDeadline,
+            "Voting period ended"
+        );
+        require(_percentageToFreelancer <= 100, "Invalid percentage");
+        require(!hasVoted[_disputeId][msg.sender], "Already voted");
+
+        hasVoted[_disputeId][msg.sender] = true;
+        votes[_disputeId][msg.sender] = _percentageToFreelancer;
+        disputeVoters[_disputeId].push(msg.sender);
+
+        emit DisputeVoted(_disputeId, msg.sender, _percentageToFreelancer);
+
+        _resolveIfDecided(_disputeId);
+    }
+
+
+    // Step down from a dispute's panel before voting. Recusals shrink the
+    // votes required when fewer panelists than the quorum remain
+
+    function recuse(
+        uint256 _disputeId
+    ) external disputeExists(_disputeId) whenNotPaused {
+        require(
+            isPanelist[_disputeId][msg.sender],
+            "Not on dispute panel"
+        );
+        Dispute storage dispute = disputes[_disputeId];
+        require(!dispute.isResolved, "Dispute already resolved");
+        require(
+            rulings[_disputeId].appealDeadline == 0,
+            "Dispute already decided"
+        );
+        require(!dispute.isEscalated, "Dispute escalated to owner");
+        require(!hasRecused[_disputeId][msg.sender], "Already recused");
+        require(!hasVoted[_disputeId][msg.sender], "Already voted");
+
+        hasRecused[_disputeId][msg.sender] = true;
+        recusalCount[_disputeId]++;
+
+        emit ArbitratorRecused(_disputeId, msg.sender);
+
+        if (block.timestamp <= dispute.votingDeadline) {
+            _resolveIfDecided(_disputeId);
+        }
+    }
+
+
+    // Offer the other party a split of the disputed milestone. Each
+    // participant has one standing offer and proposing again replaces it, so
+    // the two offers work as offer and counter-offer
+
+    function proposeSettlement(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) external disputeExists(_disputeId) whenNotPaused {
+        _counterparty(_disputeId);
+        require(_percentageToFreelancer <= 100, "Invalid percentage");
+
+        settlementOffers[_disputeId][msg.sender] = SettlementOffer({
+            percentageToFreelancer: _percentageToFreelancer,
+            proposedAt: block.timestamp,
+            isActive: true
+        });
+
+        emit SettlementProposed(
+            _disputeId,
+            msg.sender,
+            _percentageToFreelancer
+        );
+    }
+
+
+    // Withdraw your own standing settlement offer
+
+    function withdrawSettlementOffer(
+        uint256 _disputeId
+    ) external disputeExists(_disputeId) whenNotPaused {
+        SettlementOffer storage offer = settlementOffers[_disputeId][
+            msg.sender
+        ];
+        require(offer.isActive, "No active offer");
+
+        offer.isActive = false;
+
+        emit SettlementWithdrawn(_disputeId, msg.sender);
+    }
+
+
+    // Accept the other party's standing offer. The dispute resolves with the
+    // same payout as an arbitrated decision, and since both sides agreed the
+    // dispute bond is returned. The expected percentage guards against the
+    // offer changing in flight
+
+    function acceptSettlement(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) external disputeExists(_disputeId) whenNotPaused {
+        SettlementOffer storage offer = settlementOffers[_disputeId][
+            _counterparty(_disputeId)
+        ];
+        require(offer.isActive, "No active offer");
+        require(
+            offer.percentageToFreelancer == _percentageToFreelancer,
+            "Offer has changed"
+        );
+
+        offer.isActive = false;
+
+        emit SettlementAccepted(
+            _disputeId,
+            msg.sender,
+            _percentageToFreelancer
+        );
+
+        uint256 rootId = isAppeal[_disputeId]
+            ? appealedDispute[_disputeId]
+            : _disputeId;
+        _creditBond(rootId, disputes[rootId].initiator, disputeBonds[rootId]);
+        disputeBonds[rootId] = 0;
+
+        _resolve(_disputeId, _percentageToFreelancer);
+    }
+
+
+    // Close a dispute whose voting period ended. Anyone can call this. If
+    // the quorum was lowered after enough votes came in the votes decide,
+    // otherwise the fallback rule applies
+
+    function finalizeExpiredDispute(
+        uint256 _disputeId
+    ) external disputeExists(_disputeId) whenNotPaused {
+        Dispute storage dispute = disputes[_disputeId];
+        require(!dispute.isResolved, "Dispute already resolved");
+        require(
+            rulings[_disputeId].appealDeadline == 0,
+            "Dispute already decided"
+        );
+        require(!dispute.isEscalated, "Dispute escalated to owner");
+        require(
+            block.timestamp > dispute.votingDeadline,
+            "Voting period not over"
+        );
+
+        uint256 required = requiredVotes(_disputeId);
+        if (required > 0 && disputeVoters[_disputeId].length >= required) {
+            _decide(_disputeId, _outcome(_disputeId));
+        } else if (fallbackRule == FallbackRule.DEFAULT_SPLIT) {
+            _decide(_disputeId, defaultSplitPercentage);
+        } else {
+            dispute.isEscalated = true;
+            emit DisputeEscalated(_disputeId);
+        }
+    }
+
+
+    // Decide an escalated dispute (only escrow owner)
+
+    function resolveEscalatedDispute(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) external onlyOwner disputeExists(_disputeId) whenNotPaused {
+        Dispute storage dispute = disputes[_disputeId];
+        require(dispute.isEscalated, "Dispute not escalated");
+        require(!dispute.isResolved, "Dispute already resolved");
+        require(
+            rulings[_disputeId].appealDeadline == 0,
+            "Dispute already decided"
+        );
+        require(_percentageToFreelancer <= 100, "Invalid percentage");
+
+        _decide(_disputeId, _percentageToFreelancer);
+    }
+
+
+    // Appeal a decision during its appeal window by posting the appeal bond
+    // (only the losing party). The appeal is a new dispute on the same
+    // milestone, decided by arbiters who did not vote on the decision. There
+    // must be at least the appeal quorum of them
+
+    function appeal(
+        uint256 _disputeId,
+        string memory _reason
+    ) external payable disputeExists(_disputeId) whenNotPaused {
+        Ruling storage ruling = rulings[_disputeId];
+        Dispute storage dispute = disputes[_disputeId];
+        require(ruling.appealDeadline != 0, "Dispute not decided");
+        require(!dispute.isResolved, "Dispute already resolved");
+        require(!ruling.isAppealed, "Already appealed");
+        require(
+            block.timestamp <= ruling.appealDeadline,
+            "Appeal window closed"
+        );
+        require(
+            msg.sender == _losingParty(_disputeId),
+            "Only losing party can appeal"
+        );
+        require(msg.value == appealBond, "Incorrect appeal bond");
+
+        uint256 appealId = disputeCounter++;
+        Dispute storage appealDispute = disputes[appealId];
+        appealDispute.projectId = dispute.projectId;
+        appealDispute.milestoneId = dispute.milestoneId;
+        appealDispute.initiator = msg.sender;
+        appealDispute.reason = _reason;
+        appealDispute.createdAt = block.timestamp;
+        appealDispute.votingDeadline = block.timestamp + votingPeriod;
+        isAppeal[appealId] = true;
+        appealedDispute[appealId] = _disputeId;
+        _snapshotPanel(appealId, dispute.projectId);
+        require(
+            disputePanel[appealId].length >= appealQuorum,
+            "Not enough arbiters for appeal"
+        );
+
+        ruling.isAppealed = true;
+        ruling.appellant = msg.sender;
+        ruling.bond = msg.value;
+        ruling.appealId = appealId;
+
+        emit DisputeRaised(appealId, dispute.projectId, msg.sender);
+        emit DisputeAppealed(_disputeId, appealId, msg.sender, msg.value);
+    }
+
+
+    // Pay out a decision nobody appealed once its appeal window is over.
+    // Anyone can call this
+
+    function finalizeRuling(
+        uint256 _disputeId
+    ) external disputeExists(_disputeId) whenNotPaused {
+        Ruling storage ruling = rulings[_disputeId];
+        require(ruling.appealDeadline != 0, "Dispute not decided");
+        require(!disputes[_disputeId].isResolved, "Dispute already resolved");
+        require(!ruling.isAppealed, "Decision under appeal");
+        require(
+            block.timestamp > ruling.appealDeadline,
+            "Appeal window still open"
+        );
+
+        _resolve(_disputeId, ruling.percentageToFreelancer);
+    }
+
+
+    // Withdraw refunded or forfeited dispute and appeal bonds
+
+    function withdrawBond() external {
+        uint256 amount = bondBalances[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        bondBalances[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit BondWithdrawn(msg.sender, amount);
+    }
+
+
+
+    // The other participant of an open dispute's project. Reverts for
+    // callers who are not a participant
+
+    function _counterparty(
+        uint256 _disputeId
+    ) internal view returns (address) {
+        Dispute storage dispute = disputes[_disputeId];
+        require(!dispute.isResolved, "Dispute already resolved");
+        require(
+            rulings[_disputeId].appealDeadline == 0,
+            "Dispute already decided"
+        );
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(dispute.projectId);
+        if (msg.sender == client) return freelancer;
+        require(
+            msg.sender == freelancer,
+            "Only project participants can call this"
+        );
+        return client;
+    }
+
+
+    // The participant a decision went against: the freelancer below an even
+    // split, the client above it
+
+    function _losingParty(
+        uint256 _disputeId
+    ) internal view returns (address) {
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(disputes[_disputeId].projectId);
+        return
+            rulings[_disputeId].percentageToFreelancer < 50
+                ? freelancer
+                : client;
+    }
+
+
+    // Current arbiters form the panel, minus the project's participants and,
+    // for an appeal, the arbiters who voted on the appealed decision
+
+    function _snapshotPanel(uint256 _disputeId, uint256 _projectId) internal {
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(_projectId);
+        bytes32 role = escrow.ARBITER_ROLE();
+        uint256 count = escrow.getRoleMemberCount(role);
+        for (uint256 i = 0; i < count; i++) {
+            _addPanelist(
+                _disputeId,
+                escrow.getRoleMember(role, i),
+                client,
+                freelancer
+            );
+        }
+    }
+
+    function _addPanelist(
+        uint256 _disputeId,
+        address _account,
+        address _client,
+        address _freelancer
+    ) internal {
+        if (_account == _client || _account == _freelancer) return;
+        if (
+            isAppeal[_disputeId] &&
+            hasVoted[appealedDispute[_disputeId]][_account]
+        ) return;
+        disputePanel[_disputeId].push(_account);
+        isPanelist[_disputeId][_account] = true;
+    }
+
+    function _resolveIfDecided(uint256 _disputeId) internal {
+        uint256 required = requiredVotes(_disputeId);
+        if (required > 0 && disputeVoters[_disputeId].length >= required) {
+            _decide(_disputeId, _outcome(_disputeId));
+        }
+    }
+
+
+    // Act on an arbitrated outcome. Outside appeals, a decision that is not
+    // an even split is held for the appeal period when one is set
+
+    function _decide(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) internal {
+        if (
+            appealPeriod == 0 ||
+            isAppeal[_disputeId] ||
+            _percentageToFreelancer == 50
+        ) {
+            _resolve(_disputeId, _percentageToFreelancer);
+            return;
+        }
+
+        Ruling storage ruling = rulings[_disputeId];
+        ruling.percentageToFreelancer = _percentageToFreelancer;
+        ruling.appealDeadline = block.timestamp + appealPeriod;
+
+        emit DisputeDecided(
+            _disputeId,
+            _percentageToFreelancer,
+            ruling.appealDeadline
+        );
+    }
+
+    function _resolve(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) internal {
+        Dispute storage dispute = disputes[_disputeId];
+        dispute.isResolved = true;
+        dispute.percentageToFreelancer = _percentageToFreelancer;
+
+        escrow.settleDispute(
+            dispute.projectId,
+            dispute.milestoneId,
+            _percentageToFreelancer
+        );
+
+        emit DisputeResolved(_disputeId, _percentageToFreelancer);
+
+        uint256 rootId = _disputeId;
+        if (isAppeal[_disputeId]) {
+            rootId = appealedDispute[_disputeId];
+            Dispute storage original = disputes[rootId];
+            original.isResolved = true;
+            original.percentageToFreelancer = _percentageToFreelancer;
+            emit DisputeResolved(rootId, _percentageToFreelancer);
+            _settleAppealBond(rootId, _percentageToFreelancer);
+        }
+        _settleDisputeBond(rootId, _disputeId, _percentageToFreelancer);
+    }
+
+
+    // Return the dispute bond if the final split gave the initiator anything
+    // at all. Otherwise it goes to the other participant, or is shared by
+    // the arbitrators who voted in the deciding round when there were any
+
+    function _settleDisputeBond(
+        uint256 _disputeId,
+        uint256 _decidingId,
+        uint256 _percentageToFreelancer
+    ) internal {
+        uint256 bond = disputeBonds[_disputeId];
+        if (bond == 0) return;
+        disputeBonds[_disputeId] = 0;
+
+        address initiator = disputes[_disputeId].initiator;
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(disputes[_disputeId].projectId);
+        bool byFreelancer = initiator == freelancer;
+        if (
+            byFreelancer
+                ? _percentageToFreelancer > 0
+                : _percentageToFreelancer < 100
+        ) {
+            _creditBond(_disputeId, initiator, bond);
+            return;
+        }
+
+        address[] storage voters = disputeVoters[_decidingId];
+        if (
+            forfeitedBondRecipient == BondRecipient.ARBITRATORS &&
+            voters.length > 0
+        ) {
+            uint256 share = bond / voters.length;
+            for (uint256 i = 1; i < voters.length; i++) {
+                _creditBond(_disputeId, voters[i], share);
+            }
+            // The first voter also takes the rounding remainder
+            _creditBond(
+                _disputeId,
+                voters[0],
+                bond - share * (voters.length - 1)
+            );
+        } else {
+            _creditBond(_disputeId, byFreelancer ? client : freelancer, bond);
+        }
+    }
+
+    function _creditBond(
+        uint256 _disputeId,
+        address _recipient,
+        uint256 _amount
+    ) internal {
+        if (_amount == 0) return;
+        bondBalances[_recipient] += _amount;
+        emit DisputeBondSettled(_disputeId, _recipient, _amount);
+    }
+
+
+    // Refund the appeal bond if the appeal moved the split towards the
+    // appellant, otherwise pay it to the other participant
+
+    function _settleAppealBond(
+        uint256 _disputeId,
+        uint256 _percentageToFreelancer
+    ) internal {
+        Ruling storage ruling = rulings[_disputeId];
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(disputes[_disputeId].projectId);
+
+        address recipient;
+        if (ruling.appellant == freelancer) {
+            recipient = _percentageToFreelancer > ruling.percentageToFreelancer
+                ? freelancer
+                : client;
+        } else {
+            recipient = _percentageToFreelancer < ruling.percentageToFreelancer
+                ? client
+                : freelancer;
+        }
+        bondBalances[recipient] += ruling.bond;
+
+        emit AppealBondSettled(_disputeId, recipient, ruling.bond);
+    }
+
+
+    // Combine the votes cast so far. The median of an even number of votes
+    // is the mean of the two middle ones
+
+    function _outcome(uint256 _disputeId) internal view returns (uint256) {
+        address[] storage voters = disputeVoters[_disputeId];
+        uint256 count = voters.length;
+        uint256[] memory values = new uint256[](count);
+        uint256 total = 0;
+        for (uint256 i = 0; i < count; i++) {
+            values[i] = votes[_disputeId][voters[i]];
+            total += values[i];
+        }
+
+        if (outcomeRule == OutcomeRule.MEAN) {
+            return total / count;
+        }
+
+        // Insertion sort; vote counts are small
+        for (uint256 i = 1; i < count; i++) {
+            uint256 value = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > value) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = value;
+        }
+        if (count % 2 == 1) {
+            return values[count / 2];
+        }
+        return (values[count / 2 - 1] + values[count / 2]) / 2;
+    }
+
+
+    // Votes needed to decide a dispute: the quorum (the appeal quorum for
+    // appeals), capped at the panelists who have not recused. Zero means no
+    // one can vote and the dispute waits for the fallback rule
+
+    function requiredVotes(
+        uint256 _disputeId
+    ) public view returns (uint256) {
+        uint256 eligible = disputePanel[_disputeId].length -
+            recusalCount[_disputeId];
+        uint256 target = isAppeal[_disputeId] ? appealQuorum : quorum;
+        return eligible < target ? eligible : target;
+    }
+
+
+    // Get a dispute's panel and which panelists recused
+
+    function getDisputePanel(
+        uint256 _disputeId
+    )
+        external
+        view
+        disputeExists(_disputeId)
+        returns (address[] memory panel, bool[] memory recused)
+    {
+        panel = disputePanel[_disputeId];
+        recused = new bool[](panel.length);
+        for (uint256 i = 0; i < panel.length; i++) {
+            recused[i] = hasRecused[_disputeId][panel[i]];
+        }
+    }
+
+
+    // Whether an address may sit on new dispute panels
+
+    function isArbitrator(address _account) public view returns (bool) {
+        return escrow.hasRole(escrow.ARBITER_ROLE(), _account);
+    }
+
+
+    // Get dispute voting status
+
+    function getDisputeVotes(
+        uint256 _disputeId
+    )
+        external
+        view
+        disputeExists(_disputeId)
+        returns (
+            uint256 voteCount,
+            bool isResolved,
+            address[] memory voters,
+            uint256[] memory percentages
+        )
+    {
+        voters = disputeVoters[_disputeId];
+        percentages = new uint256[](voters.length);
+        for (uint256 i = 0; i < voters.length; i++) {
+            percentages[i] = votes[_disputeId][voters[i]];
+        }
+
+        return (
+            voters.length,
+            disputes[_disputeId].isResolved,
+            voters,
+            percentages
+        );
+    }
+}
@@ -0,0 +1,17 @@
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+// Governance delay for the escrow's sensitive settings. The deploy script
+// hands this contract the escrow's role admin and fee manager roles, so
+// role changes, platform fee changes and unpausing must be scheduled here
+// by a proposer, wait out the minimum delay, and can be cancelled until an
+// executor runs them. The timelock administers itself: changing the delay
+// or its proposers is also a delayed proposal
+contract EscrowTimelock is TimelockController {
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors
+    ) TimelockController(_minDelay, _proposers, _executors, address(0)) {}
+}
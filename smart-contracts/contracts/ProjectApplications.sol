@@ -0,0 +1,230 @@
+pragma solidity ^0.8.19;
+
+import "./ProjectEscrow.sol";
+
+// Application and bidding workflow for escrow projects. Freelancers apply to
+// open projects with their own price and timeline, and the client hires one
+// applicant; the escrow only learns about the final selection
+contract ProjectApplications {
+    enum ApplicationStatus {
+        PENDING,
+        WITHDRAWN,
+        SELECTED
+    }
+
+    struct Application {
+        address freelancer;
+        uint256 proposedPrice;
+        uint256 proposedDuration; // seconds to complete the project
+        string coverNoteHash;
+        uint256 appliedAt;
+        ApplicationStatus status;
+    }
+
+    ProjectEscrowImproved public immutable escrow;
+
+    // Mappings
+    mapping(uint256 => Application[]) public projectApplications;
+    mapping(uint256 => mapping(address => uint256)) private applicationIndex; // index + 1, 0 if none
+    mapping(address => uint256[]) public freelancerApplications;
+
+    // Events
+    event ApplicationSubmitted(
+        uint256 indexed projectId,
+        address indexed freelancer,
+        uint256 applicationId,
+        uint256 proposedPrice,
+        uint256 proposedDuration,
+        string coverNoteHash
+    );
+    event ApplicationWithdrawn(
+        uint256 indexed projectId,
+        address indexed freelancer,
+        uint256 applicationId
+    );
+    event ApplicantSelected(
+        uint256 indexed projectId,
+        address indexed freelancer,
+        uint256 applicationId,
+        uint256 agreedPrice
+    );
+
+    constructor(ProjectEscrowImproved _escrow) {
+        escrow = _escrow;
+    }
+
+
+    // Apply to an open project. Re-applying after a withdrawal reuses the
+    // freelancer's previous slot
+
+    function applyToProject(
+        uint256 _projectId,
+        uint256 _proposedPrice,
+        uint256 _proposedDuration,
+        string memory _coverNoteHash
+    ) external returns (uint256) {
+        require(!escrow.paused(), "Pausable: paused");
+        require(
+            _projectId < escrow.projectCounter(),
+            "Project does not exist"
+        );
+        (
+            ,
+            address client,
+            ,
+            ,
+            ,
+            uint256 totalAmount,
+            ProjectEscrowImproved.ProjectStatus status,
+            ,
+            ,
+            ,
+            ,
+            bool isPrivate,
+
+        ) = escrow.projects(_projectId);
+
+        require(
+            status == ProjectEscrowImproved.ProjectStatus.CREATED,
+            "Project not available"
+        );
+        require(msg.sender != client, "Client cannot apply to own project");
+        require(
+            !isPrivate || escrow.isInvited(_projectId, msg.sender),
+            "Not invited to this project"
+        );
+        require(
+            _proposedPrice > 0 && _proposedPrice <= totalAmount,
+            "Price must be within budget"
+        );
+        require(_proposedDuration > 0, "Duration must be > 0");
+        require(bytes(_coverNoteHash).length > 0, "Cover note required");
+
+        Application memory application = Application({
+            freelancer: msg.sender,
+            proposedPrice: _proposedPrice,
+            proposedDuration: _proposedDuration,
+            coverNoteHash: _coverNoteHash,
+            appliedAt: block.timestamp,
+            status: ApplicationStatus.PENDING
+        });
+
+        uint256 applicationId;
+        uint256 index = applicationIndex[_projectId][msg.sender];
+        if (index == 0) {
+            applicationId = projectApplications[_projectId].length;
+            projectApplications[_projectId].push(application);
+            applicationIndex[_projectId][msg.sender] = applicationId + 1;
+            freelancerApplications[msg.sender].push(_projectId);
+        } else {
+            applicationId = index - 1;
+            require(
+                projectApplications[_projectId][applicationId].status ==
+                    ApplicationStatus.WITHDRAWN,
+                "Already applied"
+            );
+            projectApplications[_projectId][applicationId] = application;
+        }
+
+        emit ApplicationSubmitted(
+            _projectId,
+            msg.sender,
+            applicationId,
+            _proposedPrice,
+            _proposedDuration,
+            _coverNoteHash
+        );
+
+        return applicationId;
+    }
+
+
+    // Freelancer withdraws a pending application
+
+    function withdrawApplication(uint256 _projectId) external {
+        uint256 index = applicationIndex[_projectId][msg.sender];
+        require(index > 0, "No application found");
+
+        Application storage application = projectApplications[_projectId][
+            index - 1
+        ];
+        require(
+            application.status == ApplicationStatus.PENDING,
+            "Application not pending"
+        );
+
+        application.status = ApplicationStatus.WITHDRAWN;
+
+        emit ApplicationWithdrawn(_projectId, msg.sender, index - 1);
+    }
+
+
+    // Client hires an applicant at their proposed price and timeline. The
+    // escrow checks the project is still open, refunds any unused budget and
+    // reschedules the milestones to the timeline
+
+    function selectApplicant(
+        uint256 _projectId,
+        uint256 _applicationId
+    ) external {
+        (, address client, , , , , , , , , , , ) = escrow.projects(_projectId);
+        require(msg.sender == client, "Only client can call this");
+        require(
+            _applicationId < projectApplications[_projectId].length,
+            "Invalid application"
+        );
+
+        Application storage application = projectApplications[_projectId][
+            _applicationId
+        ];
+        require(
+            application.status == ApplicationStatus.PENDING,
+            "Application not pending"
+        );
+
+        application.status = ApplicationStatus.SELECTED;
+        escrow.assignFreelancer(
+            _projectId,
+            application.freelancer,
+            application.proposedPrice,
+            application.proposedDuration
+        );
+
+        emit ApplicantSelected(
+            _projectId,
+            application.freelancer,
+            _applicationId,
+            application.proposedPrice
+        );
+    }
+
+
+    // Get all applications for a project
+
+    function getProjectApplications(
+        uint256 _projectId
+    ) external view returns (Application[] memory) {
+        return projectApplications[_projectId];
+    }
+
+
+    // Get the projects a freelancer has applied to
+
+    function getFreelancerApplications(
+        address _freelancer
+    ) external view returns (uint256[] memory) {
+        return freelancerApplications[_freelancer];
+    }
+
+
+    // Get a freelancer's application for a project (reverts if none)
+
+    function getApplication(
+        uint256 _projectId,
+        address _freelancer
+    ) external view returns (Application memory) {
+        uint256 index = applicationIndex[_projectId][_freelancer];
+        require(index > 0, "No application found");
+        return projectApplications[_projectId][index - 1];
+    }
+}
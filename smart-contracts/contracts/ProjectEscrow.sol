@@ -2,9 +2,19 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+contract ProjectEscrowImproved is
+    ReentrancyGuard,
+    Ownable,
+    AccessControlEnumerable,
+    Pausable
+{
+    using SafeERC20 for IERC20;
 
-contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
     // Enums for different states
     enum ProjectStatus {
         CREATED,
@@ -18,7 +28,9 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         SUBMITTED,
         APPROVED,
         REJECTED,
-        DISPUTED
+        DISPUTED,
+        REFUNDED,
+        CANCELLED
     }
 
     // Milestone structure
@@ -29,6 +41,14 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         MilestoneStatus status;
         string deliverableHash;
         uint256 submittedAt;
+        uint256 revisionCount;
+    }
+
+    // Client feedback recorded each time a submission is sent back
+    struct Rejection {
+        string feedback;
+        string deliverableHash;
+        uint256 rejectedAt;
     }
 
     // Project structure
@@ -43,38 +63,57 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         uint256 createdAt;
         uint256 acceptedAt;
         bool fundsDeposited;
+        address paymentToken; // address(0) for native POL
+        bool isPrivate; // only invited freelancers can accept
+        bool requiresApplication; // freelancers apply and the client selects one
     }
 
-    // Dispute structure with voting
-    struct Dispute {
-        uint256 projectId;
-        uint256 milestoneId;
-        address initiator;
-        string reason;
-        bool isResolved;
-        uint256 createdAt;
-        mapping(address => bool) hasVoted;
-        mapping(address => uint256) votes; // admin => percentage to freelancer
-        uint256 voteCount;
+    // Pending early-termination offer between client and freelancer
+    struct CancellationProposal {
+        address proposer;
+        uint256 percentageToFreelancer;
+        uint256 proposedAt;
+        bool isActive;
     }
 
+    // Roles. Role admins grant and revoke every role, including their own;
+    // the owner keeps only the fee income and the satellite contract wiring
+    bytes32 public constant ROLE_ADMIN_ROLE = DEFAULT_ADMIN_ROLE;
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
     // State variables
     uint256 public projectCounter;
-    uint256 public disputeCounter;
-    uint256 public platformFeePercent = 2;
+    uint256 public platformFeePercent;
     uint256 public constant DISPUTE_TIMEOUT = 3 days;
     uint256 public constant AUTO_APPROVE_TIMEOUT = 7 days;
-    uint256 public constant REQUIRED_ADMIN_VOTES = 2;
+    uint256 public constant MAX_REVISION_ROUNDS = 3;
+    uint256 public constant DEADLINE_GRACE_PERIOD = 3 days;
+    uint256 public constant KEY_REVEAL_PERIOD = 14 days;
 
     // Mappings
     mapping(uint256 => Project) public projects;
-    mapping(uint256 => Milestone[]) public projectMilestones;
-    mapping(uint256 => Dispute) public disputes;
-    mapping(address => uint256[]) public userProjects;
-    mapping(address => uint256) public userRatings;
-    mapping(address => uint256) public userRatingCount;
-    mapping(address => bool) public isAdmin;
-    address[] public adminList;
+    mapping(uint256 => Milestone[]) internal projectMilestones;
+    mapping(uint256 => mapping(uint256 => Rejection[]))
+        internal milestoneRejections;
+    mapping(uint256 => CancellationProposal) public cancellationProposals;
+    mapping(uint256 => mapping(address => bool)) public isInvited;
+    mapping(uint256 => address[]) internal projectInvitees;
+    mapping(address => uint256[]) internal userProjects;
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals; // user => token => amount
+    address public applicationManager; // ProjectApplications contract
+    address public disputeManager; // DisputeResolver contract
+
+    // Encrypted deliverables: the freelancer commits to the decryption key at
+    // submission and their payout for the milestone is held until they
+    // reveal a key matching the commitment, which hands it to the client.
+    // If no key is revealed by the reveal deadline, KEY_REVEAL_PERIOD after
+    // the payment was held, the client can reclaim it instead
+    mapping(uint256 => mapping(uint256 => bytes32)) public keyCommitments;
+    mapping(uint256 => mapping(uint256 => uint256)) public heldPayments;
+    mapping(uint256 => mapping(uint256 => bytes32)) public revealedKeys;
+    mapping(uint256 => mapping(uint256 => uint256)) public revealDeadlines;
 
     // Events
     event ProjectCreated(
@@ -87,6 +126,11 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         address indexed freelancer
     );
     event FundsDeposited(uint256 indexed projectId, uint256 amount);
+    event ProjectCancelled(uint256 indexed projectId);
+    event FreelancerInvited(
+        uint256 indexed projectId,
+        address indexed freelancer
+    );
     event MilestoneSubmitted(
         uint256 indexed projectId,
         uint256 milestoneId,
@@ -94,122 +138,173 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
     );
     event MilestoneApproved(uint256 indexed projectId, uint256 milestoneId);
     event MilestoneAutoApproved(uint256 indexed projectId, uint256 milestoneId);
+    event MilestoneRejected(
+        uint256 indexed projectId,
+        uint256 milestoneId,
+        uint256 revisionCount,
+        string feedback
+    );
     event PaymentReleased(
         uint256 indexed projectId,
         uint256 milestoneId,
         uint256 amount
     );
-    event DisputeRaised(
-        uint256 indexed disputeId,
+    event DeadlineRefundClaimed(
         uint256 indexed projectId,
-        address initiator
+        uint256 milestoneId,
+        uint256 amount
+    );
+    event CancellationProposed(
+        uint256 indexed projectId,
+        address indexed proposer,
+        uint256 percentageToFreelancer
+    );
+    event CancellationWithdrawn(
+        uint256 indexed projectId,
+        address indexed proposer
     );
-    event DisputeVoted(
-        uint256 indexed disputeId,
-        address indexed admin,
-        uint256 percentage
+    event ProjectCancelledByAgreement(
+        uint256 indexed projectId,
+        uint256 freelancerAmount,
+        uint256 clientAmount
     );
-    event DisputeResolved(
-        uint256 indexed disputeId,
+    event MilestoneDisputed(
+        uint256 indexed projectId,
+        uint256 milestoneId,
+        address initiator
+    );
+    event MilestoneDisputeSettled(
+        uint256 indexed projectId,
+        uint256 milestoneId,
         uint256 percentageToFreelancer
     );
-    event UserRated(address indexed user, uint256 rating);
-    event AdminAdded(address indexed admin);
-    event AdminRemoved(address indexed admin);
+    event FundsCredited(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event FundsWithdrawn(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
     event ContractPaused(address indexed by);
     event ContractUnpaused(address indexed by);
+    event ApplicationManagerUpdated(address indexed manager);
+    event DisputeManagerUpdated(address indexed manager);
+    event DeliverableKeyRevealed(
+        uint256 indexed projectId,
+        uint256 milestoneId,
+        bytes32 key
+    );
+    event HeldPaymentReclaimed(
+        uint256 indexed projectId,
+        uint256 milestoneId,
+        uint256 amount
+    );
 
-    // Modifiers
+    // Modifiers. Each delegates to an internal check so the require and its
+    // revert string are compiled once rather than inlined at every use
     modifier onlyClient(uint256 _projectId) {
-        require(
-            msg.sender == projects[_projectId].client,
-            "Only client can call this"
-        );
+        _checkClient(_projectId);
         _;
     }
 
     modifier onlyFreelancer(uint256 _projectId) {
-        require(
-            msg.sender == projects[_projectId].freelancer,
-            "Only freelancer can call this"
-        );
+        _checkFreelancer(_projectId);
         _;
     }
 
     modifier onlyParticipant(uint256 _projectId) {
-        require(
-            msg.sender == projects[_projectId].client ||
-                msg.sender == projects[_projectId].freelancer,
-            "Only project participants can call this"
-        );
+        _checkParticipant(_projectId, msg.sender);
         _;
     }
 
     modifier projectExists(uint256 _projectId) {
-        require(_projectId < projectCounter, "Project does not exist");
+        _checkProjectExists(_projectId);
         _;
     }
 
-    modifier onlyAdmin() {
+    function _checkClient(uint256 _projectId) internal view {
         require(
-            isAdmin[msg.sender] || msg.sender == owner(),
-            "Only admin can call this"
+            msg.sender == projects[_projectId].client,
+            "Only client can call this"
         );
-        _;
     }
 
-    constructor() Ownable() {
-        // Add contract deployer as first admin
-        isAdmin[msg.sender] = true;
-        adminList.push(msg.sender);
+    function _checkFreelancer(uint256 _projectId) internal view {
+        require(
+            msg.sender == projects[_projectId].freelancer,
+            "Only freelancer can call this"
+        );
     }
 
-    // Admin management functions
-    function addAdmin(address _admin) external onlyOwner {
-        require(!isAdmin[_admin], "Already an admin");
-        require(_admin != address(0), "Invalid address");
-
-        isAdmin[_admin] = true;
-        adminList.push(_admin);
-
-        emit AdminAdded(_admin);
+    function _checkParticipant(
+        uint256 _projectId,
+        address _account
+    ) internal view {
+        require(
+            _account == projects[_projectId].client ||
+                _account == projects[_projectId].freelancer,
+            "Only project participants can call this"
+        );
     }
 
-    function removeAdmin(address _admin) external onlyOwner {
-        require(isAdmin[_admin], "Not an admin");
-        require(adminList.length > 1, "Cannot remove last admin");
+    function _checkProjectExists(uint256 _projectId) internal view {
+        require(_projectId < projectCounter, "Project does not exist");
+    }
 
-        isAdmin[_admin] = false;
+    constructor() Ownable() {
+        _initializeEscrow(msg.sender);
+    }
 
-        // Remove from adminList
-        for (uint256 i = 0; i < adminList.length; i++) {
-            if (adminList[i] == _admin) {
-                adminList[i] = adminList[adminList.length - 1];
-                adminList.pop();
-                break;
-            }
-        }
+    // Starting state, kept out of the constructor so the upgradeable variant
+    // can set it up behind a proxy. The admin owns the escrow and starts out
+    // holding every role
+    function _initializeEscrow(address _admin) internal {
+        _transferOwnership(_admin);
+        platformFeePercent = 2;
+        _grantRole(ROLE_ADMIN_ROLE, _admin);
+        _grantRole(ARBITER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+        _grantRole(FEE_MANAGER_ROLE, _admin);
+    }
 
-        emit AdminRemoved(_admin);
+    // Keep at least one role admin so roles can't be locked for good
+    function _revokeRole(bytes32 _role, address _account) internal override {
+        require(
+            _role != ROLE_ADMIN_ROLE ||
+                !hasRole(_role, _account) ||
+                getRoleMemberCount(_role) > 1,
+            "Cannot remove last admin"
+        );
+        super._revokeRole(_role, _account);
     }
 
-    function getAdminList() external view returns (address[] memory) {
-        return adminList;
+    // A plain revert string instead of AccessControl's hex-encoded one, whose
+    // string building would not fit in the escrow's size budget
+    function _checkRole(
+        bytes32 _role,
+        address _account
+    ) internal view override {
+        require(hasRole(_role, _account), "Missing role");
     }
 
     // Emergency pause functions
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
         emit ContractPaused(msg.sender);
     }
 
-    function unpause() external onlyOwner {
+    // Resuming is left to role admins so that, with the roles held by the
+    // governance timelock, pausing stays instant but unpausing is queued
+    function unpause() external onlyRole(ROLE_ADMIN_ROLE) {
         _unpause();
         emit ContractUnpaused(msg.sender);
     }
 
     
-    // Create a new project with milestones
+    // Create a new project with milestones, funded in native POL
      
     function createProject(
         string memory _title,
@@ -218,6 +313,120 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         uint256[] memory _milestoneAmounts,
         uint256[] memory _milestoneDeadlines
     ) external payable whenNotPaused returns (uint256) {
+        return
+            _createProject(
+                _title,
+                _descriptionHash,
+                _milestoneDescriptions,
+                _milestoneAmounts,
+                _milestoneDeadlines,
+                address(0)
+            );
+    }
+
+    
+    // Create a new project funded in an ERC-20 token. The client must have
+    // approved this contract for the milestone total beforehand
+     
+    function createTokenProject(
+        string memory _title,
+        string memory _descriptionHash,
+        string[] memory _milestoneDescriptions,
+        uint256[] memory _milestoneAmounts,
+        uint256[] memory _milestoneDeadlines,
+        address _paymentToken
+    ) external whenNotPaused returns (uint256) {
+        require(_paymentToken != address(0), "Invalid token");
+        return
+            _createProject(
+                _title,
+                _descriptionHash,
+                _milestoneDescriptions,
+                _milestoneAmounts,
+                _milestoneDeadlines,
+                _paymentToken
+            );
+    }
+
+    
+    // Create a project with hiring options: a non-empty invitee list makes
+    // it invite-only, and _requiresApplication routes hiring through the
+    // application manager instead of instant acceptance. Pass address(0) as
+    // the token to fund it in native POL
+     
+    function createProjectWithOptions(
+        string memory _title,
+        string memory _descriptionHash,
+        string[] memory _milestoneDescriptions,
+        uint256[] memory _milestoneAmounts,
+        uint256[] memory _milestoneDeadlines,
+        address _paymentToken,
+        address[] memory _invitees,
+        bool _requiresApplication
+    ) external payable whenNotPaused returns (uint256) {
+        uint256 projectId = _createProject(
+            _title,
+            _descriptionHash,
+            _milestoneDescriptions,
+            _milestoneAmounts,
+            _milestoneDeadlines,
+            _paymentToken
+        );
+
+        Project storage project = projects[projectId];
+        project.isPrivate = _invitees.length > 0;
+        project.requiresApplication = _requiresApplication;
+        for (uint256 i = 0; i < _invitees.length; i++) {
+            _inviteFreelancer(projectId, _invitees[i]);
+        }
+
+        return projectId;
+    }
+
+    
+    // Add another invitee to an invite-only project before it is accepted
+     
+    function inviteFreelancer(
+        uint256 _projectId,
+        address _freelancer
+    )
+        external
+        projectExists(_projectId)
+        onlyClient(_projectId)
+        whenNotPaused
+    {
+        Project storage project = projects[_projectId];
+        require(project.isPrivate, "Project is not invite-only");
+        require(
+            project.status == ProjectStatus.CREATED,
+            "Project not available"
+        );
+
+        _inviteFreelancer(_projectId, _freelancer);
+    }
+
+    function _inviteFreelancer(uint256 _projectId, address _freelancer) internal {
+        require(_freelancer != address(0), "Invalid address");
+        require(
+            _freelancer != projects[_projectId].client,
+            "Cannot invite client"
+        );
+        require(!isInvited[_projectId][_freelancer], "Already invited");
+
+        isInvited[_projectId][_freelancer] = true;
+        projectInvitees[_projectId].push(_freelancer);
+
+        emit FreelancerInvited(_projectId, _freelancer);
+    }
+
+    function _createProject(
+        string memory _title,
+        string memory _descriptionHash,
+        string[] memory _milestoneDescriptions,
+        uint256[] memory _milestoneAmounts,
+        uint256[] memory _milestoneDeadlines,
+        address _paymentToken
+    ) internal returns (uint256) {
         require(
             _milestoneDescriptions.length > 0,
             "At least one milestone required"
@@ -238,7 +447,22 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
             totalAmount += _milestoneAmounts[i];
         }
 
-        require(msg.value >= totalAmount, "Insufficient funds deposited");
+        if (_paymentToken == address(0)) {
+            require(msg.value >= totalAmount, "Insufficient funds deposited");
+        } else {
+            // Native POL sent alongside would never be credited to anyone
+            require(msg.value == 0, "POL sent with token project");
+
+            // Balance check rejects fee-on-transfer tokens that would leave
+            // the escrow underfunded
+            IERC20 token = IERC20(_paymentToken);
+            uint256 balanceBefore = token.balanceOf(address(this));
+            token.safeTransferFrom(msg.sender, address(this), totalAmount);
+            require(
+                token.balanceOf(address(this)) - balanceBefore == totalAmount,
+                "Token transfer amount mismatch"
+            );
+        }
 
         uint256 projectId = projectCounter++;
         Project storage newProject = projects[projectId];
@@ -250,6 +474,7 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         newProject.status = ProjectStatus.CREATED;
         newProject.createdAt = block.timestamp;
         newProject.fundsDeposited = true;
+        newProject.paymentToken = _paymentToken;
 
         for (uint256 i = 0; i < _milestoneDescriptions.length; i++) {
             Milestone memory milestone = Milestone({
@@ -258,15 +483,16 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
                 deadline: _milestoneDeadlines[i],
                 status: MilestoneStatus.PENDING,
                 deliverableHash: "",
-                submittedAt: 0
+                submittedAt: 0,
+                revisionCount: 0
             });
             projectMilestones[projectId].push(milestone);
         }
 
         userProjects[msg.sender].push(projectId);
 
-        if (msg.value > totalAmount) {
-            payable(msg.sender).transfer(msg.value - totalAmount);
+        if (_paymentToken == address(0) && msg.value > totalAmount) {
+            _credit(newProject, msg.sender, msg.value - totalAmount);
         }
 
         emit ProjectCreated(projectId, msg.sender, totalAmount);
@@ -281,24 +507,90 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
     function acceptProject(
         uint256 _projectId
     ) external projectExists(_projectId) whenNotPaused {
+        require(
+            !projects[_projectId].requiresApplication,
+            "Project requires an application"
+        );
+        _assignFreelancer(_projectId, msg.sender);
+    }
+
+    
+    // Called by the application manager once the client selects an
+    // applicant. A bid below the budget scales every milestone down
+    // pro rata and credits the difference back to the client. Deadlines
+    // move to the bid's timeline: the client's schedule is stretched or
+    // squeezed to start today and have the last milestone due _duration on
+     
+    function assignFreelancer(
+        uint256 _projectId,
+        address _freelancer,
+        uint256 _agreedPrice,
+        uint256 _duration
+    ) external projectExists(_projectId) whenNotPaused {
+        require(
+            msg.sender == applicationManager,
+            "Only application manager can call this"
+        );
+        Project storage project = projects[_projectId];
+        require(
+            _agreedPrice > 0 && _agreedPrice <= project.totalAmount,
+            "Invalid agreed price"
+        );
+        Milestone[] storage milestones = projectMilestones[_projectId];
+        uint256 last = milestones.length - 1;
+        // The last deadline was in the future at creation, so the span is
+        // non-zero
+        uint256 span = milestones[last].deadline - project.createdAt;
+        uint256 remaining = _agreedPrice;
+
+        for (uint256 i = 0; i <= last; i++) {
+            Milestone storage milestone = milestones[i];
+            milestone.deadline =
+                block.timestamp +
+                ((milestone.deadline - project.createdAt) * _duration) /
+                span;
+            // The last milestone absorbs rounding so amounts sum to the
+            // price, which also keeps it above zero
+            if (i < last) {
+                milestone.amount =
+                    (milestone.amount * _agreedPrice) /
+                    project.totalAmount;
+                require(milestone.amount > 0, "Price too low for milestones");
+                remaining -= milestone.amount;
+            }
+        }
+        milestones[last].amount = remaining;
+
+        if (_agreedPrice < project.totalAmount) {
+            _credit(project, project.client, project.totalAmount - _agreedPrice);
+            project.totalAmount = _agreedPrice;
+        }
+
+        _assignFreelancer(_projectId, _freelancer);
+    }
+
+    function _assignFreelancer(uint256 _projectId, address _freelancer) internal {
         Project storage project = projects[_projectId];
         require(
             project.status == ProjectStatus.CREATED,
             "Project not available"
         );
-        require(project.freelancer == address(0), "Project already accepted");
         require(
-            msg.sender != project.client,
+            _freelancer != project.client,
             "Client cannot accept own project"
         );
+        require(
+            !project.isPrivate || isInvited[_projectId][_freelancer],
+            "Not invited to this project"
+        );
 
-        project.freelancer = payable(msg.sender);
+        project.freelancer = payable(_freelancer);
         project.status = ProjectStatus.ACTIVE;
         project.acceptedAt = block.timestamp;
 
-        userProjects[msg.sender].push(_projectId);
+        userProjects[_freelancer].push(_projectId);
 
-        emit ProjectAccepted(_projectId, msg.sender);
+        emit ProjectAccepted(_projectId, _freelancer);
     }
 
     // Freelancer submits work for a milestone
@@ -306,24 +598,40 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         uint256 _projectId,
         uint256 _milestoneId,
         string memory _deliverableHash
+    ) external {
+        _submitMilestone(_projectId, _milestoneId, _deliverableHash, bytes32(0));
+    }
+
+    // Freelancer submits encrypted work: the hash points at a preview plus
+    // the encrypted files, and the commitment is keccak256 of the key
+    function submitEncryptedMilestone(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        string memory _previewHash,
+        bytes32 _keyCommitment
+    ) external {
+        require(_keyCommitment != bytes32(0), "Key commitment required");
+        _submitMilestone(_projectId, _milestoneId, _previewHash, _keyCommitment);
+    }
+
+    function _submitMilestone(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        string memory _deliverableHash,
+        bytes32 _keyCommitment
     )
-        external
+        internal
         projectExists(_projectId)
         onlyFreelancer(_projectId)
         whenNotPaused
     {
-        Project storage project = projects[_projectId];
-        require(project.status == ProjectStatus.ACTIVE, "Project not active");
-        require(
-            _milestoneId < projectMilestones[_projectId].length,
-            "Invalid milestone"
-        );
-
-        Milestone storage milestone = projectMilestones[_projectId][
-            _milestoneId
-        ];
+        (
+            Project storage project,
+            Milestone storage milestone
+        ) = _getActiveMilestone(_projectId, _milestoneId);
         require(
-            milestone.status == MilestoneStatus.PENDING,
+            milestone.status == MilestoneStatus.PENDING ||
+                milestone.status == MilestoneStatus.REJECTED,
             "Milestone not pending"
         );
         require(
@@ -334,6 +642,7 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         milestone.status = MilestoneStatus.SUBMITTED;
         milestone.deliverableHash = _deliverableHash;
         milestone.submittedAt = block.timestamp;
+        keyCommitments[_projectId][_milestoneId] = _keyCommitment;
 
         emit MilestoneSubmitted(_projectId, _milestoneId, _deliverableHash);
     }
@@ -350,22 +659,57 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         nonReentrant
         whenNotPaused
     {
-        Project storage project = projects[_projectId];
-        require(project.status == ProjectStatus.ACTIVE, "Project not active");
+        (
+            Project storage project,
+            Milestone storage milestone
+        ) = _getSubmittedMilestone(_projectId, _milestoneId);
+
+        _releaseMilestonePayment(project, milestone, _projectId, _milestoneId);
+    }
+
+    // Client sends a submitted milestone back for revision with feedback
+
+    function rejectMilestone(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        string memory _feedback
+    )
+        external
+        projectExists(_projectId)
+        onlyClient(_projectId)
+        whenNotPaused
+    {
+        (
+            Project storage project,
+            Milestone storage milestone
+        ) = _getSubmittedMilestone(_projectId, _milestoneId);
+        require(bytes(_feedback).length > 0, "Feedback required");
         require(
-            _milestoneId < projectMilestones[_projectId].length,
-            "Invalid milestone"
+            milestone.revisionCount < MAX_REVISION_ROUNDS,
+            "No revision rounds left"
         );
-
-        Milestone storage milestone = projectMilestones[_projectId][
-            _milestoneId
-        ];
         require(
-            milestone.status == MilestoneStatus.SUBMITTED,
-            "Milestone not submitted"
+            block.timestamp < milestone.submittedAt + AUTO_APPROVE_TIMEOUT,
+            "Review period expired"
         );
 
-        _releaseMilestonePayment(project, milestone, _projectId, _milestoneId);
+        milestoneRejections[_projectId][_milestoneId].push(
+            Rejection({
+                feedback: _feedback,
+                deliverableHash: milestone.deliverableHash,
+                rejectedAt: block.timestamp
+            })
+        );
+
+        milestone.status = MilestoneStatus.REJECTED;
+        milestone.revisionCount++;
+
+        emit MilestoneRejected(
+            _projectId,
+            _milestoneId,
+            milestone.revisionCount,
+            _feedback
+        );
     }
 
     // Auto-approve milestone if client hasn't responded in 7 days Anyone can call this function
@@ -373,27 +717,54 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         uint256 _projectId,
         uint256 _milestoneId
     ) external projectExists(_projectId) nonReentrant whenNotPaused {
-        Project storage project = projects[_projectId];
+        (
+            Project storage project,
+            Milestone storage milestone
+        ) = _getSubmittedMilestone(_projectId, _milestoneId);
+        require(
+            block.timestamp >= milestone.submittedAt + AUTO_APPROVE_TIMEOUT,
+            "Auto-approval timeout not reached"
+        );
+
+        emit MilestoneAutoApproved(_projectId, _milestoneId);
+        _releaseMilestonePayment(project, milestone, _projectId, _milestoneId);
+    }
+
+    // Load a milestone of an active project, reverting if either is invalid
+
+    function _getActiveMilestone(
+        uint256 _projectId,
+        uint256 _milestoneId
+    )
+        internal
+        view
+        returns (Project storage project, Milestone storage milestone)
+    {
+        project = projects[_projectId];
         require(project.status == ProjectStatus.ACTIVE, "Project not active");
         require(
             _milestoneId < projectMilestones[_projectId].length,
             "Invalid milestone"
         );
 
-        Milestone storage milestone = projectMilestones[_projectId][
-            _milestoneId
-        ];
+        milestone = projectMilestones[_projectId][_milestoneId];
+    }
+
+    // Load a milestone awaiting the client's review
+
+    function _getSubmittedMilestone(
+        uint256 _projectId,
+        uint256 _milestoneId
+    )
+        internal
+        view
+        returns (Project storage project, Milestone storage milestone)
+    {
+        (project, milestone) = _getActiveMilestone(_projectId, _milestoneId);
         require(
             milestone.status == MilestoneStatus.SUBMITTED,
             "Milestone not submitted"
         );
-        require(
-            block.timestamp >= milestone.submittedAt + AUTO_APPROVE_TIMEOUT,
-            "Auto-approval timeout not reached"
-        );
-
-        emit MilestoneAutoApproved(_projectId, _milestoneId);
-        _releaseMilestonePayment(project, milestone, _projectId, _milestoneId);
     }
 
     // Internal function to release milestone payment
@@ -409,149 +780,249 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
         uint256 platformFee = (milestone.amount * platformFeePercent) / 100;
         uint256 freelancerAmount = milestone.amount - platformFee;
 
-        project.freelancer.transfer(freelancerAmount);
-        payable(owner()).transfer(platformFee);
+        _payFreelancer(project, _projectId, _milestoneId, freelancerAmount);
+        _credit(project, payable(owner()), platformFee);
 
         emit MilestoneApproved(_projectId, _milestoneId);
         emit PaymentReleased(_projectId, _milestoneId, freelancerAmount);
 
-        if (allMilestonesApproved(_projectId)) {
+        if (allMilestonesSettled(_projectId)) {
             project.status = ProjectStatus.COMPLETED;
         }
     }
 
-    // Raise a dispute for a milestone
+    // Client reclaims funds for a milestone the freelancer never delivered
 
-    function raiseDispute(
+    function claimMissedDeadline(
         uint256 _projectId,
-        uint256 _milestoneId,
-        string memory _reason
+        uint256 _milestoneId
     )
         external
         projectExists(_projectId)
-        onlyParticipant(_projectId)
+        onlyClient(_projectId)
+        nonReentrant
         whenNotPaused
-        returns (uint256)
     {
-        Project storage project = projects[_projectId];
-        require(project.status == ProjectStatus.ACTIVE, "Project not active");
+        (
+            Project storage project,
+            Milestone storage milestone
+        ) = _getActiveMilestone(_projectId, _milestoneId);
         require(
-            _milestoneId < projectMilestones[_projectId].length,
-            "Invalid milestone"
+            milestone.status == MilestoneStatus.PENDING,
+            "Milestone not pending"
+        );
+        require(
+            block.timestamp > milestone.deadline + DEADLINE_GRACE_PERIOD,
+            "Grace period not over"
         );
 
-        Milestone storage milestone = projectMilestones[_projectId][
-            _milestoneId
-        ];
+        milestone.status = MilestoneStatus.REFUNDED;
+        _credit(project, project.client, milestone.amount);
+
+        emit DeadlineRefundClaimed(_projectId, _milestoneId, milestone.amount);
+
+        if (allMilestonesSettled(_projectId)) {
+            project.status = ProjectStatus.COMPLETED;
+        }
+    }
+
+    // Pay the freelancer for a milestone, holding the amount instead if the
+    // deliverable is encrypted and its key has not been revealed yet
+
+    function _payFreelancer(
+        Project storage project,
+        uint256 _projectId,
+        uint256 _milestoneId,
+        uint256 _amount
+    ) internal {
+        if (keyCommitments[_projectId][_milestoneId] != bytes32(0)) {
+            heldPayments[_projectId][_milestoneId] += _amount;
+            revealDeadlines[_projectId][_milestoneId] =
+                block.timestamp +
+                KEY_REVEAL_PERIOD;
+        } else {
+            _credit(project, project.freelancer, _amount);
+        }
+    }
+
+    // Freelancer reveals the deliverable key to collect a held payment. The
+    // key is checked against the commitment and published for the client
+
+    function revealDeliverableKey(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        bytes32 _key
+    ) external projectExists(_projectId) onlyFreelancer(_projectId) {
+        uint256 amount = heldPayments[_projectId][_milestoneId];
+        require(amount > 0, "No payment held");
         require(
-            milestone.status == MilestoneStatus.SUBMITTED,
-            "Can only dispute submitted milestones"
+            block.timestamp <= revealDeadlines[_projectId][_milestoneId],
+            "Reveal period over"
         );
         require(
-            block.timestamp <= milestone.submittedAt + DISPUTE_TIMEOUT,
-            "Dispute period expired"
+            keccak256(abi.encodePacked(_key)) ==
+                keyCommitments[_projectId][_milestoneId],
+            "Key does not match commitment"
         );
 
-        uint256 disputeId = disputeCounter++;
-        Dispute storage dispute = disputes[disputeId];
-        dispute.projectId = _projectId;
-        dispute.milestoneId = _milestoneId;
-        dispute.initiator = msg.sender;
-        dispute.reason = _reason;
-        dispute.isResolved = false;
-        dispute.createdAt = block.timestamp;
-        dispute.voteCount = 0;
+        heldPayments[_projectId][_milestoneId] = 0;
+        revealedKeys[_projectId][_milestoneId] = _key;
 
-        project.status = ProjectStatus.DISPUTED;
-        milestone.status = MilestoneStatus.DISPUTED;
+        emit DeliverableKeyRevealed(_projectId, _milestoneId, _key);
+        _credit(projects[_projectId], projects[_projectId].freelancer, amount);
+    }
 
-        emit DisputeRaised(disputeId, _projectId, msg.sender);
 
-        return disputeId;
+    // Client reclaims a held payment the freelancer never unlocked by
+    // revealing the deliverable key in time
+
+    function reclaimHeldPayment(
+        uint256 _projectId,
+        uint256 _milestoneId
+    ) external projectExists(_projectId) onlyClient(_projectId) {
+        uint256 amount = heldPayments[_projectId][_milestoneId];
+        require(amount > 0, "No payment held");
+        require(
+            block.timestamp > revealDeadlines[_projectId][_milestoneId],
+            "Reveal period not over"
+        );
+
+        heldPayments[_projectId][_milestoneId] = 0;
+
+        emit HeldPaymentReclaimed(_projectId, _milestoneId, amount);
+        _credit(projects[_projectId], projects[_projectId].client, amount);
     }
-*
-    // Multi-admin dispute voting system
-    
-    function voteOnDispute(
-        uint256 _disputeId,
-        uint256 _percentageToFreelancer
-    ) external onlyAdmin whenNotPaused {
-        require(_disputeId < disputeCounter, "Dispute does not exist");
-        Dispute storage dispute = disputes[_disputeId];
-        require(!dispute.isResolved, "Dispute already resolved");
-        require(_percentageToFreelancer <= 100, "Invalid percentage");
-        require(!dispute.hasVoted[msg.sender], "Already voted");
 
-        dispute.hasVoted[msg.sender] = true;
-        dispute.votes[msg.sender] = _percentageToFreelancer;
-        dispute.voteCount++;
+    // Credit escrowed funds to a recipient's withdrawable balance. Payouts
+    // are pulled via withdraw() so a reverting recipient can't block a project
+
+    function _credit(
+        Project storage project,
+        address _to,
+        uint256 _amount
+    ) internal {
+        pendingWithdrawals[_to][project.paymentToken] += _amount;
+        emit FundsCredited(_to, project.paymentToken, _amount);
+    }
 
-        emit DisputeVoted(_disputeId, msg.sender, _percentageToFreelancer);
+    // Withdraw credited native POL. Not pausable so credited funds stay
+    // reachable during an emergency stop
 
-        // If enough votes, execute resolution
-        if (dispute.voteCount >= REQUIRED_ADMIN_VOTES) {
-            _executeDisputeResolution(_disputeId);
+    function withdraw() external nonReentrant {
+        _withdraw(address(0));
+    }
+
+    // Withdraw credited ERC-20 tokens
+
+    function withdrawToken(address _token) external nonReentrant {
+        require(_token != address(0), "Invalid token");
+        _withdraw(_token);
+    }
+
+    function _withdraw(address _token) internal {
+        uint256 amount = pendingWithdrawals[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingWithdrawals[msg.sender][_token] = 0;
+
+        if (_token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            IERC20(_token).safeTransfer(msg.sender, amount);
         }
+
+        emit FundsWithdrawn(msg.sender, _token, amount);
     }
 
-    
-    // Execute dispute resolution based on average of votes
-     
-    function _executeDisputeResolution(
-        uint256 _disputeId
-    ) internal nonReentrant {
-        Dispute storage dispute = disputes[_disputeId];
-        require(!dispute.isResolved, "Already resolved");
-
-        // Calculate average percentage from all votes
-        uint256 totalPercentage = 0;
-        uint256 validVotes = 0;
-
-        for (uint256 i = 0; i < adminList.length; i++) {
-            address admin = adminList[i];
-            if (dispute.hasVoted[admin]) {
-                totalPercentage += dispute.votes[admin];
-                validVotes++;
-            }
+    // Put a milestone into dispute on behalf of a participant. Submitted work
+    // can be disputed within the dispute window, a rejection can always be
+    // contested, and a pending milestone can be disputed once its deadline
+    // has passed. Voting and arbitration live in the dispute manager
+
+    function openDispute(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        address _initiator
+    ) external projectExists(_projectId) whenNotPaused {
+        _checkDisputeManager();
+        (
+            Project storage project,
+            Milestone storage milestone
+        ) = _getActiveMilestone(_projectId, _milestoneId);
+        _checkParticipant(_projectId, _initiator);
+        if (milestone.status == MilestoneStatus.SUBMITTED) {
+            require(
+                block.timestamp <= milestone.submittedAt + DISPUTE_TIMEOUT,
+                "Dispute period expired"
+            );
+        } else if (milestone.status == MilestoneStatus.PENDING) {
+            require(
+                block.timestamp > milestone.deadline,
+                "Milestone deadline not passed"
+            );
+        } else {
+            require(
+                milestone.status == MilestoneStatus.REJECTED,
+                "Milestone cannot be disputed"
+            );
         }
 
-        uint256 avgPercentage = totalPercentage / validVotes;
+        project.status = ProjectStatus.DISPUTED;
+        milestone.status = MilestoneStatus.DISPUTED;
 
-        uint256 projectId = dispute.projectId;
-        uint256 milestoneId = dispute.milestoneId;
+        emit MilestoneDisputed(_projectId, _milestoneId, _initiator);
+    }
 
-        Project storage project = projects[projectId];
-        Milestone storage milestone = projectMilestones[projectId][milestoneId];
 
-        uint256 freelancerAmount = (milestone.amount * avgPercentage) / 100;
+    // Split a disputed milestone as decided by the dispute manager
+
+    function settleDispute(
+        uint256 _projectId,
+        uint256 _milestoneId,
+        uint256 _percentageToFreelancer
+    ) external nonReentrant {
+        _checkDisputeManager();
+        require(_percentageToFreelancer <= 100, "Invalid percentage");
+        Project storage project = projects[_projectId];
+        Milestone storage milestone = projectMilestones[_projectId][
+            _milestoneId
+        ];
+        require(
+            milestone.status == MilestoneStatus.DISPUTED,
+            "Milestone not disputed"
+        );
+
+        uint256 freelancerAmount = (milestone.amount *
+            _percentageToFreelancer) / 100;
         uint256 clientAmount = milestone.amount - freelancerAmount;
 
         if (freelancerAmount > 0) {
-            project.freelancer.transfer(freelancerAmount);
+            _payFreelancer(project, _projectId, _milestoneId, freelancerAmount);
         }
         if (clientAmount > 0) {
-            project.client.transfer(clientAmount);
+            _credit(project, project.client, clientAmount);
         }
 
-        dispute.isResolved = true;
         milestone.status = MilestoneStatus.APPROVED;
-        project.status = ProjectStatus.ACTIVE;
-
-        emit DisputeResolved(_disputeId, avgPercentage);
+        project.status = allMilestonesSettled(_projectId)
+            ? ProjectStatus.COMPLETED
+            : ProjectStatus.ACTIVE;
+
+        emit MilestoneDisputeSettled(
+            _projectId,
+            _milestoneId,
+            _percentageToFreelancer
+        );
     }
 
-    // Rate a user after project completion
-     
-    function rateUser(address _user, uint256 _rating) external whenNotPaused {
-        require(_rating >= 1 && _rating <= 5, "Rating must be between 1 and 5");
-
-        userRatings[_user] += _rating;
-        userRatingCount[_user]++;
-
-        emit UserRated(_user, _rating);
+    function _checkDisputeManager() internal view {
+        require(
+            msg.sender == disputeManager,
+            "Only dispute manager can call this"
+        );
     }
 
-    
     // Cancel project before freelancer accepts
      
     function cancelProject(
@@ -568,13 +1039,119 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
             project.status == ProjectStatus.CREATED,
             "Can only cancel created projects"
         );
+
+        project.status = ProjectStatus.CANCELLED;
+        _credit(project, project.client, project.totalAmount);
+
+        emit ProjectCancelled(_projectId);
+    }
+
+    
+    // Propose ending an active project early, splitting the unreleased
+    // escrow. A new proposal from either side replaces the previous one
+     
+    function proposeCancellation(
+        uint256 _projectId,
+        uint256 _percentageToFreelancer
+    )
+        external
+        projectExists(_projectId)
+        onlyParticipant(_projectId)
+        whenNotPaused
+    {
+        Project storage project = projects[_projectId];
+        require(project.status == ProjectStatus.ACTIVE, "Project not active");
+        require(_percentageToFreelancer <= 100, "Invalid percentage");
+
+        cancellationProposals[_projectId] = CancellationProposal({
+            proposer: msg.sender,
+            percentageToFreelancer: _percentageToFreelancer,
+            proposedAt: block.timestamp,
+            isActive: true
+        });
+
+        emit CancellationProposed(
+            _projectId,
+            msg.sender,
+            _percentageToFreelancer
+        );
+    }
+
+    
+    // Withdraw your own pending cancellation proposal
+     
+    function withdrawCancellationProposal(
+        uint256 _projectId
+    ) external projectExists(_projectId) whenNotPaused {
+        CancellationProposal storage proposal = cancellationProposals[
+            _projectId
+        ];
+        require(proposal.isActive, "No active proposal");
+        require(msg.sender == proposal.proposer, "Only proposer can withdraw");
+
+        proposal.isActive = false;
+
+        emit CancellationWithdrawn(_projectId, msg.sender);
+    }
+
+    
+    // Counterparty accepts the proposal and the remaining escrow is settled.
+    // The expected percentage guards against the proposal changing in flight
+     
+    function acceptCancellation(
+        uint256 _projectId,
+        uint256 _percentageToFreelancer
+    )
+        external
+        projectExists(_projectId)
+        onlyParticipant(_projectId)
+        nonReentrant
+        whenNotPaused
+    {
+        Project storage project = projects[_projectId];
+        require(project.status == ProjectStatus.ACTIVE, "Project not active");
+
+        CancellationProposal storage proposal = cancellationProposals[
+            _projectId
+        ];
+        require(proposal.isActive, "No active proposal");
         require(
-            project.freelancer == address(0),
-            "Cannot cancel accepted project"
+            msg.sender != proposal.proposer,
+            "Cannot accept own proposal"
+        );
+        require(
+            proposal.percentageToFreelancer == _percentageToFreelancer,
+            "Proposal has changed"
         );
 
+        uint256 remaining = 0;
+        Milestone[] storage milestones = projectMilestones[_projectId];
+        for (uint256 i = 0; i < milestones.length; i++) {
+            if (!_isSettled(milestones[i])) {
+                remaining += milestones[i].amount;
+                milestones[i].status = MilestoneStatus.CANCELLED;
+            }
+        }
+
+        uint256 freelancerAmount = (remaining * _percentageToFreelancer) /
+            100;
+        uint256 clientAmount = remaining - freelancerAmount;
+
+        proposal.isActive = false;
         project.status = ProjectStatus.CANCELLED;
-        project.client.transfer(project.totalAmount);
+
+        if (freelancerAmount > 0) {
+            _credit(project, project.freelancer, freelancerAmount);
+        }
+        if (clientAmount > 0) {
+            _credit(project, project.client, clientAmount);
+        }
+
+        emit ProjectCancelledByAgreement(
+            _projectId,
+            freelancerAmount,
+            clientAmount
+        );
     }
 
     
@@ -587,11 +1164,31 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
     }
 
     
-    // Get user's average rating
+    // Get rejection history for a milestone
      
-    function getUserRating(address _user) external view returns (uint256) {
-        if (userRatingCount[_user] == 0) return 0;
-        return userRatings[_user] / userRatingCount[_user];
+    function getMilestoneRejections(
+        uint256 _projectId,
+        uint256 _milestoneId
+    ) external view projectExists(_projectId) returns (Rejection[] memory) {
+        return milestoneRejections[_projectId][_milestoneId];
+    }
+
+    
+    // Get invited freelancers for a project
+     
+    function getProjectInvitees(
+        uint256 _projectId
+    ) external view projectExists(_projectId) returns (address[] memory) {
+        return projectInvitees[_projectId];
+    }
+
+    
+    // Get a project's status without copying its strings, for cheap scans
+     
+    function getProjectStatus(
+        uint256 _projectId
+    ) external view returns (ProjectStatus) {
+        return projects[_projectId].status;
     }
 
     
@@ -604,92 +1201,58 @@ contract ProjectEscrowImproved is ReentrancyGuard, Ownable, Pausable {
     }
 
     
-    // Check if all milestones are approved
+    // Check if all milestones are paid out or refunded
      
-    function allMilestonesApproved(
+    function allMilestonesSettled(
         uint256 _projectId
     ) internal view returns (bool) {
         Milestone[] storage milestones = projectMilestones[_projectId];
         for (uint256 i = 0; i < milestones.length; i++) {
-            if (milestones[i].status != MilestoneStatus.APPROVED) {
+            if (!_isSettled(milestones[i])) {
                 return false;
             }
         }
         return true;
     }
 
+    function _isSettled(
+        Milestone storage milestone
+    ) internal view returns (bool) {
+        return
+            milestone.status == MilestoneStatus.APPROVED ||
+            milestone.status == MilestoneStatus.REFUNDED;
+    }
+
     
-    // Update platform fee (only owner)
+    // Update platform fee (only fee managers)
      
-    function setPlatformFee(uint256 _feePercent) external onlyOwner {
+    function setPlatformFee(
+        uint256 _feePercent
+    ) external onlyRole(FEE_MANAGER_ROLE) {
         require(_feePercent <= 10, "Fee cannot exceed 10%");
         platformFeePercent = _feePercent;
     }
 
     
-    // Get contract balance
-    
-    function getContractBalance() external view returns (uint256) {
-        return address(this).balance;
+    // Point the escrow at the contract allowed to assign selected applicants
+     
+    function setApplicationManager(address _manager) external onlyOwner {
+        applicationManager = _manager;
+        emit ApplicationManagerUpdated(_manager);
     }
 
     
-    // Check if milestone can be auto-approved
-    
-    function canAutoApprove(
-        uint256 _projectId,
-        uint256 _milestoneId
-    ) external view returns (bool) {
-        if (_projectId >= projectCounter) return false;
-        if (_milestoneId >= projectMilestones[_projectId].length) return false;
-
-        Milestone storage milestone = projectMilestones[_projectId][
-            _milestoneId
-        ];
-
-        return (milestone.status == MilestoneStatus.SUBMITTED &&
-            block.timestamp >= milestone.submittedAt + AUTO_APPROVE_TIMEOUT);
+    // Point the escrow at the contract that runs dispute arbitration
+     
+    function setDisputeManager(address _manager) external onlyOwner {
+        disputeManager = _manager;
+        emit DisputeManagerUpdated(_manager);
     }
 
     
-    // Get dispute voting status
+    // Get contract balance
     
-    function getDisputeVotes(
-        uint256 _disputeId
-    )
-        external
-        view
-        returns (
-            uint256 voteCount,
-            bool isResolved,
-            address[] memory voters,
-            uint256[] memory percentages
-        )
-    {
-        require(_disputeId < disputeCounter, "Dispute does not exist");
-        Dispute storage dispute = disputes[_disputeId];
-
-        address[] memory tempVoters = new address[](adminList.length);
-        uint256[] memory tempPercentages = new uint256[](adminList.length);
-        uint256 count = 0;
-
-        for (uint256 i = 0; i < adminList.length; i++) {
-            address admin = adminList[i];
-            if (dispute.hasVoted[admin]) {
-                tempVoters[count] = admin;
-                tempPercentages[count] = dispute.votes[admin];
-                count++;
-            }
-        }
-
-        voters = new address[](count);
-        percentages = new uint256[](count);
-
-        for (uint256 i = 0; i < count; i++) {
-            voters[i] = tempVoters[i];
-            percentages[i] = tempPercentages[i];
-        }
-
-        return (dispute.voteCount, dispute.isResolved, voters, percentages);
+    function getContractBalance() external view returns (uint256) {
+        return address(this).balance;
     }
 }
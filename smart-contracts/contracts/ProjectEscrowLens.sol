@@ -0,0 +1,281 @@
+pragma solidity ^0.8.19;
+
+import "./ProjectEscrow.sol";
+import "./DisputeResolver.sol";
+
+// Batched read-only views over the escrow so frontends can load a page of
+// projects or the open dispute queue in a single eth_call instead of one
+// call per project. Kept out of the escrow itself to stay under the
+// contract size limit
+contract ProjectEscrowLens {
+    struct ProjectSummary {
+        uint256 id;
+        address client;
+        address freelancer;
+        string title;
+        string descriptionHash;
+        uint256 totalAmount;
+        ProjectEscrowImproved.ProjectStatus status;
+        uint256 createdAt;
+        uint256 acceptedAt;
+        address paymentToken;
+        bool isPrivate;
+        bool requiresApplication;
+        uint256 milestoneCount;
+        uint256 completedMilestones;
+    }
+
+    struct DisputeSummary {
+        uint256 id;
+        uint256 projectId;
+        uint256 milestoneId;
+        string projectTitle;
+        address initiator;
+        string reason;
+        uint256 createdAt;
+        uint256 votingDeadline;
+        bool isEscalated;
+        uint256 voteCount;
+        uint256 requiredVotes;
+        address[] voters;
+        uint256[] percentages;
+        address[] panel;
+        bool[] recused;
+        uint256 decidedPercentage; // decision held for appeal
+        uint256 appealDeadline; // zero until decided
+        bool isAppealed;
+        bool isAppeal;
+        uint256 appealedDispute; // original dispute of an appeal
+    }
+
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    ProjectEscrowImproved public immutable escrow;
+    DisputeResolver public immutable disputeResolver;
+
+    constructor(DisputeResolver _disputeResolver) {
+        disputeResolver = _disputeResolver;
+        escrow = _disputeResolver.escrow();
+    }
+
+
+    // Get a page of projects in creation order, plus the total count
+
+    function getProjects(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (ProjectSummary[] memory page, uint256 total) {
+        total = escrow.projectCounter();
+        if (_offset >= total) {
+            return (new ProjectSummary[](0), total);
+        }
+
+        uint256 end = _offset + _pageSize(_limit);
+        if (end > total) end = total;
+
+        page = new ProjectSummary[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _summarize(i);
+        }
+    }
+
+
+    // Get a page of the projects in a given status, plus how many match.
+    // Scans every project, so the cost grows with projectCounter
+
+    function getProjectsByStatus(
+        ProjectEscrowImproved.ProjectStatus _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (ProjectSummary[] memory page, uint256 total) {
+        uint256 count = escrow.projectCounter();
+        uint256 pageSize = _pageSize(_limit);
+        uint256[] memory ids = new uint256[](pageSize);
+        uint256 found = 0;
+
+        for (uint256 i = 0; i < count; i++) {
+            if (_statusOf(i) != _status) continue;
+            if (total >= _offset && found < pageSize) {
+                ids[found++] = i;
+            }
+            total++;
+        }
+
+        page = new ProjectSummary[](found);
+        for (uint256 i = 0; i < found; i++) {
+            page[i] = _summarize(ids[i]);
+        }
+    }
+
+
+    // Number of projects in each status, indexed by ProjectStatus
+
+    function getStatusCounts() external view returns (uint256[5] memory counts) {
+        uint256 count = escrow.projectCounter();
+        for (uint256 i = 0; i < count; i++) {
+            counts[uint256(_statusOf(i))]++;
+        }
+    }
+
+
+    // Get every unresolved dispute with its panel, votes so far and any
+    // decision awaiting appeal
+
+    function getOpenDisputes() external view returns (DisputeSummary[] memory) {
+        uint256 count = disputeResolver.disputeCounter();
+        uint256[] memory ids = new uint256[](count);
+        uint256 found = 0;
+
+        for (uint256 i = 0; i < count; i++) {
+            (, , , , bool isResolved, , , , ) = disputeResolver.disputes(i);
+            if (!isResolved) {
+                ids[found++] = i;
+            }
+        }
+
+        DisputeSummary[] memory open = new DisputeSummary[](found);
+        for (uint256 i = 0; i < found; i++) {
+            open[i] = _summarizeDispute(ids[i]);
+        }
+        return open;
+    }
+
+
+    // Check if milestone can be auto-approved
+
+    function canAutoApprove(
+        uint256 _projectId,
+        uint256 _milestoneId
+    ) external view returns (bool) {
+        (
+            bool found,
+            ProjectEscrowImproved.Milestone memory milestone
+        ) = _milestone(_projectId, _milestoneId);
+        return
+            found &&
+            milestone.status ==
+            ProjectEscrowImproved.MilestoneStatus.SUBMITTED &&
+            block.timestamp >=
+            milestone.submittedAt + escrow.AUTO_APPROVE_TIMEOUT();
+    }
+
+
+    // Check if the client can reclaim an overdue milestone
+
+    function canClaimMissedDeadline(
+        uint256 _projectId,
+        uint256 _milestoneId
+    ) external view returns (bool) {
+        (
+            bool found,
+            ProjectEscrowImproved.Milestone memory milestone
+        ) = _milestone(_projectId, _milestoneId);
+        return
+            found &&
+            _statusOf(_projectId) ==
+            ProjectEscrowImproved.ProjectStatus.ACTIVE &&
+            milestone.status ==
+            ProjectEscrowImproved.MilestoneStatus.PENDING &&
+            block.timestamp >
+            milestone.deadline + escrow.DEADLINE_GRACE_PERIOD();
+    }
+
+    function _milestone(
+        uint256 _projectId,
+        uint256 _milestoneId
+    )
+        internal
+        view
+        returns (bool found, ProjectEscrowImproved.Milestone memory milestone)
+    {
+        if (_projectId >= escrow.projectCounter()) return (false, milestone);
+        ProjectEscrowImproved.Milestone[] memory milestones = escrow
+            .getProjectMilestones(_projectId);
+        if (_milestoneId >= milestones.length) return (false, milestone);
+        return (true, milestones[_milestoneId]);
+    }
+
+    function _pageSize(uint256 _limit) internal pure returns (uint256) {
+        require(_limit > 0, "Limit must be > 0");
+        return _limit > MAX_PAGE_SIZE ? MAX_PAGE_SIZE : _limit;
+    }
+
+    function _statusOf(
+        uint256 _projectId
+    ) internal view returns (ProjectEscrowImproved.ProjectStatus) {
+        return escrow.getProjectStatus(_projectId);
+    }
+
+    function _summarize(
+        uint256 _projectId
+    ) internal view returns (ProjectSummary memory summary) {
+        summary.id = _projectId;
+        (
+            ,
+            summary.client,
+            summary.freelancer,
+            summary.title,
+            summary.descriptionHash,
+            summary.totalAmount,
+            summary.status,
+            summary.createdAt,
+            summary.acceptedAt,
+            ,
+            summary.paymentToken,
+            summary.isPrivate,
+            summary.requiresApplication
+        ) = escrow.projects(_projectId);
+
+        ProjectEscrowImproved.Milestone[] memory milestones = escrow
+            .getProjectMilestones(_projectId);
+        summary.milestoneCount = milestones.length;
+        for (uint256 i = 0; i < milestones.length; i++) {
+            if (
+                milestones[i].status ==
+                ProjectEscrowImproved.MilestoneStatus.APPROVED
+            ) {
+                summary.completedMilestones++;
+            }
+        }
+    }
+
+    function _summarizeDispute(
+        uint256 _disputeId
+    ) internal view returns (DisputeSummary memory summary) {
+        summary.id = _disputeId;
+        (
+            summary.projectId,
+            summary.milestoneId,
+            summary.initiator,
+            summary.reason,
+            ,
+            summary.createdAt,
+            summary.votingDeadline,
+            summary.isEscalated,
+
+        ) = disputeResolver.disputes(_disputeId);
+        (
+            summary.voteCount,
+            ,
+            summary.voters,
+            summary.percentages
+        ) = disputeResolver.getDisputeVotes(_disputeId);
+        summary.requiredVotes = disputeResolver.requiredVotes(_disputeId);
+        (summary.panel, summary.recused) = disputeResolver.getDisputePanel(
+            _disputeId
+        );
+        (
+            summary.decidedPercentage,
+            summary.appealDeadline,
+            summary.isAppealed,
+            ,
+            ,
+
+        ) = disputeResolver.rulings(_disputeId);
+        summary.isAppeal = disputeResolver.isAppeal(_disputeId);
+        summary.appealedDispute = disputeResolver.appealedDispute(_disputeId);
+        (, , , summary.projectTitle, , , , , , , , , ) = escrow.projects(
+            summary.projectId
+        );
+    }
+}
@@ -0,0 +1,27 @@
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./ProjectEscrow.sol";
+
+// Imported so Hardhat compiles the proxy contracts the deploy script uses
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+// The escrow deployed as the implementation behind a transparent proxy, so
+// fixes can ship without stranding projects and funds on an old address.
+// The proxy holds all state and calls initialize in place of the
+// constructor. Initializable comes first so its flags take the lowest slot
+// and new escrow state variables only ever append to the layout; the
+// upgrade script refuses implementations that move existing ones
+contract ProjectEscrowUpgradeable is Initializable, ProjectEscrowImproved {
+    constructor() {
+        _disableInitializers();
+    }
+
+
+    // Set up the proxy's state, once
+
+    function initialize(address _admin) external initializer {
+        _initializeEscrow(_admin);
+    }
+}
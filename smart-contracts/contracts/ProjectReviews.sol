@@ -0,0 +1,132 @@
+pragma solidity ^0.8.19;
+
+import "./ProjectEscrow.sol";
+
+// Reviews tied to a project. The client and the freelancer can each review
+// the other once, after the project is completed or cancelled by agreement,
+// so a rating only ever comes from someone who worked with the user
+contract ProjectReviews {
+    struct Review {
+        address reviewer;
+        address reviewee;
+        uint8 rating; // 1 to 5
+        string commentHash;
+        uint256 createdAt;
+    }
+
+    ProjectEscrowImproved public immutable escrow;
+
+    // Mappings
+    mapping(uint256 => Review[]) internal projectReviews;
+    mapping(uint256 => mapping(address => bool)) public hasReviewed;
+    mapping(address => uint256) public ratingTotal;
+    mapping(address => uint256) public reviewCount;
+
+    // Events
+    event ReviewSubmitted(
+        uint256 indexed projectId,
+        address indexed reviewer,
+        address indexed reviewee,
+        uint8 rating,
+        string commentHash
+    );
+
+    constructor(ProjectEscrowImproved _escrow) {
+        escrow = _escrow;
+    }
+
+
+    // Review the other participant of a project (only client or freelancer,
+    // once each)
+
+    function submitReview(
+        uint256 _projectId,
+        uint8 _rating,
+        string memory _commentHash
+    ) external {
+        require(!escrow.paused(), "Pausable: paused");
+        require(
+            _projectId < escrow.projectCounter(),
+            "Project does not exist"
+        );
+        require(canBeReviewed(_projectId), "Project not finished");
+        require(
+            _rating >= 1 && _rating <= 5,
+            "Rating must be between 1 and 5"
+        );
+        require(!hasReviewed[_projectId][msg.sender], "Already reviewed");
+
+        (, address client, address freelancer, , , , , , , , , , ) = escrow
+            .projects(_projectId);
+        address reviewee;
+        if (msg.sender == client) {
+            reviewee = freelancer;
+        } else {
+            require(
+                msg.sender == freelancer,
+                "Only project participants can call this"
+            );
+            reviewee = client;
+        }
+
+        hasReviewed[_projectId][msg.sender] = true;
+        ratingTotal[reviewee] += _rating;
+        reviewCount[reviewee]++;
+        projectReviews[_projectId].push(
+            Review({
+                reviewer: msg.sender,
+                reviewee: reviewee,
+                rating: _rating,
+                commentHash: _commentHash,
+                createdAt: block.timestamp
+            })
+        );
+
+        emit ReviewSubmitted(
+            _projectId,
+            msg.sender,
+            reviewee,
+            _rating,
+            _commentHash
+        );
+    }
+
+
+    // Whether a project has reached its final state: every milestone
+    // settled, which completes it, or cancelled once a freelancer was on it.
+    // Projects cancelled before anyone accepted have no one to review
+
+    function canBeReviewed(uint256 _projectId) public view returns (bool) {
+        ProjectEscrowImproved.ProjectStatus status = escrow.getProjectStatus(
+            _projectId
+        );
+        if (status == ProjectEscrowImproved.ProjectStatus.COMPLETED) {
+            return true;
+        }
+        (, , address freelancer, , , , , , , , , , ) = escrow.projects(
+            _projectId
+        );
+        return
+            status == ProjectEscrowImproved.ProjectStatus.CANCELLED &&
+            freelancer != address(0);
+    }
+
+
+    // Get a project's reviews, oldest first
+
+    function getProjectReviews(
+        uint256 _projectId
+    ) external view returns (Review[] memory) {
+        return projectReviews[_projectId];
+    }
+
+
+    // Get the sum and number of ratings a user has received. Frontends
+    // divide to show the average
+
+    function getUserRating(
+        address _user
+    ) external view returns (uint256 total, uint256 count) {
+        return (ratingTotal[_user], reviewCount[_user]);
+    }
+}
@@ -0,0 +1,12 @@
+pragma solidity ^0.8.19;
+
+import "../ProjectEscrowUpgradeable.sol";
+
+// Next escrow version for upgrade tests, appending a state variable
+contract ProjectEscrowV2Mock is ProjectEscrowUpgradeable {
+    uint256 public upgradeCount;
+
+    function bumpUpgradeCount() external {
+        upgradeCount++;
+    }
+}
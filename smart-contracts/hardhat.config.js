@@ -6,10 +6,17 @@ module.exports = {
   solidity: {
     version: "0.8.19",
     settings: {
+      viaIR: true,
       optimizer: {
         enabled: true,
         runs: 200,
       },
+      // Storage layouts are compared by scripts/upgrade.js before upgrading
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
@@ -1,29 +1,156 @@
 const hre = require("hardhat");
+const { getStorageLayout } = require("./lib/storageLayout");
+const { chainId, gitCommit, contractEntry, writeDeployment } = require("./lib/deployments");
+
+const ESCROW_CONTRACT = "ProjectEscrowUpgradeable";
 
 async function main() {
-  console.log("Starting deployment of ProjectEscrowImproved...");
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Starting deployment of ProjectEscrowImproved behind an upgradeable proxy...");
 
-  const ProjectEscrow = await hre.ethers.getContractFactory("ProjectEscrowImproved");
+  const ProjectEscrow = await hre.ethers.getContractFactory(ESCROW_CONTRACT);
   
-  console.log("Deploying contract...");
+  console.log("Deploying implementation...");
   
-  const escrow = await ProjectEscrow.deploy();
-  await escrow.waitForDeployment();
+  const implementation = await ProjectEscrow.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("✅ Implementation deployed to:", implementationAddress);
+
+  const ProxyAdmin = await hre.ethers.getContractFactory("ProxyAdmin");
+  const proxyAdmin = await ProxyAdmin.deploy();
+  await proxyAdmin.waitForDeployment();
+  const proxyAdminAddress = await proxyAdmin.getAddress();
+  console.log("✅ ProxyAdmin deployed to:", proxyAdminAddress);
+
+  // The proxy runs initialize in place of the constructor
+  const Proxy = await hre.ethers.getContractFactory("TransparentUpgradeableProxy");
+  const proxy = await Proxy.deploy(
+    implementationAddress,
+    proxyAdminAddress,
+    ProjectEscrow.interface.encodeFunctionData("initialize", [deployer.address])
+  );
+  await proxy.waitForDeployment();
   
-  const address = await escrow.getAddress();
+  const address = await proxy.getAddress();
+  const escrow = ProjectEscrow.attach(address);
   
-  console.log("✅ ProjectEscrowImproved deployed to:", address);
-  console.log("📝 SAVE THIS ADDRESS!");
+  console.log("✅ ProjectEscrowImproved proxy deployed to:", address);
   
+  // Local nodes mine on demand, so extra confirmations would never arrive
+  const isLocal = ["hardhat", "localhost"].includes(hre.network.name);
   console.log("\nWaiting for confirmations...");
-  await escrow.deploymentTransaction().wait(5);
+  const receipt = await proxy.deploymentTransaction().wait(isLocal ? 1 : 5);
   
   console.log("✅ Confirmed!");
+  console.log("📦 Deployed in block:", receipt.blockNumber);
+
+  console.log("\nDeploying ProjectApplications...");
+  const ProjectApplications = await hre.ethers.getContractFactory("ProjectApplications");
+  const applications = await ProjectApplications.deploy(address);
+  await applications.waitForDeployment();
+
+  const applicationsAddress = await applications.getAddress();
+  console.log("✅ ProjectApplications deployed to:", applicationsAddress);
+
+  const setManagerTx = await escrow.setApplicationManager(applicationsAddress);
+  await setManagerTx.wait();
+  console.log("✅ Escrow application manager set");
+
+  console.log("\nDeploying DisputeResolver...");
+  const DisputeResolver = await hre.ethers.getContractFactory("DisputeResolver");
+  const resolver = await DisputeResolver.deploy(address);
+  await resolver.waitForDeployment();
+
+  const resolverAddress = await resolver.getAddress();
+  console.log("✅ DisputeResolver deployed to:", resolverAddress);
+
+  const setDisputeManagerTx = await escrow.setDisputeManager(resolverAddress);
+  await setDisputeManagerTx.wait();
+  console.log("✅ Escrow dispute manager set");
+
+  console.log("\nDeploying ProjectEscrowLens...");
+  const ProjectEscrowLens = await hre.ethers.getContractFactory("ProjectEscrowLens");
+  const lens = await ProjectEscrowLens.deploy(resolverAddress);
+  await lens.waitForDeployment();
+  console.log("✅ ProjectEscrowLens deployed to:", await lens.getAddress());
+
+  console.log("\nDeploying DisputeEvidence...");
+  const DisputeEvidence = await hre.ethers.getContractFactory("DisputeEvidence");
+  const evidence = await DisputeEvidence.deploy(resolverAddress);
+  await evidence.waitForDeployment();
+  console.log("✅ DisputeEvidence deployed to:", await evidence.getAddress());
+
+  console.log("\nDeploying ProjectReviews...");
+  const ProjectReviews = await hre.ethers.getContractFactory("ProjectReviews");
+  const reviews = await ProjectReviews.deploy(address);
+  await reviews.waitForDeployment();
+  console.log("✅ ProjectReviews deployed to:", await reviews.getAddress());
+
+  // Fee changes, role changes, unpausing and owner-only calls go through the
+  // timelock. The deployer proposes and executes, and keeps the pauser and
+  // arbiter roles
+  const timelockDelay = Number(process.env.TIMELOCK_DELAY || 2 * 24 * 60 * 60);
+  console.log("\nDeploying EscrowTimelock...");
+  const EscrowTimelock = await hre.ethers.getContractFactory("EscrowTimelock");
+  const timelock = await EscrowTimelock.deploy(timelockDelay, [deployer.address], [deployer.address]);
+  await timelock.waitForDeployment();
+
+  const timelockAddress = await timelock.getAddress();
+  console.log("✅ EscrowTimelock deployed to:", timelockAddress, `(${timelockDelay}s delay)`);
+
+  const roleAdminRole = await escrow.ROLE_ADMIN_ROLE();
+  const feeManagerRole = await escrow.FEE_MANAGER_ROLE();
+  await (await escrow.grantRole(roleAdminRole, timelockAddress)).wait();
+  await (await escrow.grantRole(feeManagerRole, timelockAddress)).wait();
+  await (await escrow.renounceRole(feeManagerRole, deployer.address)).wait();
+  await (await escrow.renounceRole(roleAdminRole, deployer.address)).wait();
+  console.log("✅ Role admin and fee manager roles handed to the timelock");
+
+  // Upgrades are queued the same way
+  await (await proxyAdmin.transferOwnership(timelockAddress)).wait();
+  console.log("✅ ProxyAdmin ownership handed to the timelock");
+
+  // So are the owner's powers: repointing the application and dispute
+  // managers, the dispute resolver's settings and escalated decisions. Fee
+  // income is credited to the timelock and withdrawn through it too
+  await (await escrow.transferOwnership(timelockAddress)).wait();
+  console.log("✅ Escrow ownership handed to the timelock");
+
+  // The manifest gives the frontend every address and ABI, and
+  // scripts/upgrade.js the storage layout to check new implementations
+  // against
+  await writeDeployment({
+    chainId: await chainId(),
+    network: hre.network.name,
+    deployBlock: receipt.blockNumber,
+    deployer: deployer.address,
+    commit: gitCommit(),
+    contracts: {
+      ProjectEscrow: await contractEntry(ESCROW_CONTRACT, address, {
+        implementation: implementationAddress,
+      }),
+      ProxyAdmin: await contractEntry("ProxyAdmin", proxyAdminAddress),
+      ProjectApplications: await contractEntry("ProjectApplications", applicationsAddress),
+      DisputeResolver: await contractEntry("DisputeResolver", resolverAddress),
+      ProjectEscrowLens: await contractEntry("ProjectEscrowLens", await lens.getAddress()),
+      DisputeEvidence: await contractEntry("DisputeEvidence", await evidence.getAddress()),
+      ProjectReviews: await contractEntry("ProjectReviews", await reviews.getAddress()),
+      EscrowTimelock: await contractEntry("EscrowTimelock", timelockAddress),
+    },
+    implementations: {
+      [implementationAddress]: {
+        contract: ESCROW_CONTRACT,
+        storageLayout: await getStorageLayout(ESCROW_CONTRACT),
+      },
+    },
+  });
+
   console.log("\n🔗 View on PolygonScan:");
   console.log(`https://www.oklink.com/amoy/address/${address}`);
   
   // Log admin info
-  console.log("\n👤 Contract deployer (first admin):", (await hre.ethers.getSigners())[0].address);
+  console.log("\n👤 Contract deployer (pauser, arbiter, timelock proposer):", deployer.address);
 }
 
 main()
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const hre = require("hardhat");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const FRONTEND_DEPLOYMENTS_DIR = path.join(
+  __dirname, "..", "..", "..", "frontend", "src", "contracts", "deployments"
+);
+
+const chainId = async () => Number((await hre.ethers.provider.getNetwork()).chainId);
+
+const manifestName = async () => `${await chainId()}.json`;
+
+// Commit the contracts were deployed from, marked when the tree had
+// uncommitted changes
+function gitCommit() {
+  try {
+    const commit = execSync("git rev-parse HEAD", { encoding: "utf8" }).trim();
+    const dirty = execSync("git status --porcelain", { encoding: "utf8" }).trim() !== "";
+    return dirty ? `${commit}-dirty` : commit;
+  } catch {
+    return null;
+  }
+}
+
+// Manifest entry for a deployed contract, with the ABI of the compiled
+// contract behind the address
+async function contractEntry(contractName, address, extra = {}) {
+  const { abi } = await hre.artifacts.readArtifact(contractName);
+  return { address, contract: contractName, ...extra, abi };
+}
+
+// Deployment recorded for the current chain by scripts/deploy.js
+async function readDeployment() {
+  const file = path.join(DEPLOYMENTS_DIR, await manifestName());
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment recorded for chain ${await chainId()}, run scripts/deploy.js first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// Save the chain's deployment, and the same without the escrow's
+// implementation history for the frontend, which picks the manifest of the
+// connected chain. The in-process hardhat network is gone once the script
+// exits, so nothing is written for it
+async function writeDeployment(deployment) {
+  if (hre.network.name === "hardhat") return;
+
+  const name = await manifestName();
+  writeJson(path.join(DEPLOYMENTS_DIR, name), deployment);
+  const frontendDeployment = { ...deployment };
+  delete frontendDeployment.implementations;
+  writeJson(path.join(FRONTEND_DEPLOYMENTS_DIR, name), frontendDeployment);
+  console.log(`📝 Deployment recorded in deployments/${name} and synced to the frontend`);
+}
+
+module.exports = { chainId, gitCommit, contractEntry, readDeployment, writeDeployment };
@@ -0,0 +1,64 @@
+const ProjectStatus = ["CREATED", "ACTIVE", "COMPLETED", "CANCELLED", "DISPUTED"];
+
+// Move projects from the legacy escrow (ProjectEscrowLegacy's ABI) to the
+// upgradeable one. Legacy projects are native POL only, with no invite or
+// application options, and cancelling one sends the client's refund straight
+// back, so a move is cancel then create. With `execute` unset nothing is
+// sent and only the plan is logged. Returns the moved project ids
+async function migrateProjects(oldEscrow, escrow, { signer, execute = false, log = console.log }) {
+  const now = (await signer.provider.getBlock("latest")).timestamp;
+  const projectCount = Number(await oldEscrow.projectCounter());
+  const moved = [];
+  let settled = 0;
+
+  for (let id = 0; id < projectCount; id++) {
+    const project = await oldEscrow.projects(id);
+    const status = ProjectStatus[Number(project.status)];
+    const name = `#${id} "${project.title}"`;
+
+    if (status === "COMPLETED" || status === "CANCELLED") {
+      settled++;
+      continue;
+    }
+    if (status !== "CREATED") {
+      log(`⏳ ${name} is ${status}, it stays on the old escrow until it is finished`);
+      continue;
+    }
+
+    // Deadlines must be in the future to recreate the milestones, so these
+    // need new ones from their client
+    const milestones = await oldEscrow.getProjectMilestones(id);
+    if (milestones.some((m) => Number(m.deadline) <= now)) {
+      log(`⚠️  ${name} has passed milestone deadlines, its client must cancel and recreate it by hand`);
+      continue;
+    }
+
+    if (!execute || project.client !== signer.address) {
+      log(`➡️  ${name} can be moved by its client ${project.client}`);
+      continue;
+    }
+
+    await (await oldEscrow.connect(signer).cancelProject(id)).wait();
+    const receipt = await (
+      await escrow.connect(signer).createProject(
+        project.title,
+        project.descriptionHash,
+        milestones.map((m) => m.description),
+        milestones.map((m) => m.amount),
+        milestones.map((m) => m.deadline),
+        { value: project.totalAmount }
+      )
+    ).wait();
+    const created = receipt.logs
+      .map((entry) => escrow.interface.parseLog(entry))
+      .find((event) => event && event.name === "ProjectCreated");
+    log(`✅ ${name} moved to #${created.args.projectId}`);
+    moved.push({ from: id, to: Number(created.args.projectId) });
+  }
+
+  log(`\n${settled} finished project(s) stay on the old escrow as history`);
+  if (execute) log(`${moved.length} project(s) moved`);
+  return moved;
+}
+
+module.exports = { migrateProjects };
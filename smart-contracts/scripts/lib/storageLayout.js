@@ -0,0 +1,100 @@
+const hre = require("hardhat");
+
+// Describe a solc storage type without its AST ids, which change from one
+// compilation to the next
+function describeType(typeId, types) {
+  const type = types[typeId];
+  const described = {
+    label: type.label,
+    encoding: type.encoding,
+    numberOfBytes: type.numberOfBytes,
+  };
+  if (type.key) described.key = describeType(type.key, types);
+  if (type.value) described.value = describeType(type.value, types);
+  if (type.base) described.base = describeType(type.base, types);
+  if (type.members) {
+    described.members = type.members.map((member) => ({
+      label: member.label,
+      slot: member.slot,
+      offset: member.offset,
+      type: describeType(member.type, types),
+    }));
+  }
+  return described;
+}
+
+// Storage layout of a compiled contract, as recorded in the deployments
+// manifest. Needs the storageLayout output enabled in hardhat.config.js
+async function getStorageLayout(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const { storage, types } =
+    buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+  return storage.map((variable) => ({
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: describeType(variable.type, types),
+  }));
+}
+
+// Problems with reading `previous` storage through `next`. Mappings may
+// gain struct members, since each value gets its own slots; anything laid
+// out in place or in an array must keep its exact shape
+function compareTypes(previous, next, path, canGrow = false) {
+  if (previous.label !== next.label) {
+    return [`${path}: type changed from ${previous.label} to ${next.label}`];
+  }
+  if (previous.encoding === "mapping") {
+    return [
+      ...compareTypes(previous.key, next.key, `${path} key`),
+      ...compareTypes(previous.value, next.value, `${path} value`, true),
+    ];
+  }
+  if (previous.encoding === "dynamic_array") {
+    return compareTypes(previous.base, next.base, `${path}[]`);
+  }
+  if (previous.members) {
+    if (!canGrow && previous.numberOfBytes !== next.numberOfBytes) {
+      return [`${path}: ${previous.label} changed size`];
+    }
+    return compareVariables(previous.members, next.members, path);
+  }
+  if (previous.base) {
+    return compareTypes(previous.base, next.base, `${path}[]`);
+  }
+  return [];
+}
+
+// Each existing variable must keep its name, position and type; new ones
+// can only be added after them
+function compareVariables(previous, next, path) {
+  const errors = [];
+  previous.forEach((variable, i) => {
+    const name = path ? `${path}.${variable.label}` : variable.label;
+    const replacement = next[i];
+    if (!replacement) {
+      errors.push(`${name}: removed`);
+    } else if (replacement.label !== variable.label) {
+      errors.push(`${name}: replaced by ${replacement.label}`);
+    } else if (replacement.slot !== variable.slot || replacement.offset !== variable.offset) {
+      errors.push(
+        `${name}: moved from slot ${variable.slot}+${variable.offset} to ${replacement.slot}+${replacement.offset}`
+      );
+    } else {
+      errors.push(...compareTypes(variable.type, replacement.type, name));
+    }
+  });
+  return errors;
+}
+
+// Reasons a proxy using `previous` can't be upgraded to an implementation
+// using `next`; empty when the upgrade is safe
+function checkStorageUpgrade(previous, next) {
+  return compareVariables(previous, next, "");
+}
+
+module.exports = { getStorageLayout, checkStorageUpgrade };
@@ -0,0 +1,42 @@
+const hre = require("hardhat");
+const { readDeployment } = require("./lib/deployments");
+const { migrateProjects } = require("./lib/migration");
+
+// Move projects off the legacy, non-upgradeable escrow at OLD_ESCROW_ADDRESS
+// onto the proxy recorded by scripts/deploy.js. The old contract has no
+// way to hand over escrowed funds, so only projects nobody has accepted yet
+// can move: their client cancels on the old escrow, which refunds them
+// directly, and recreates the project with the same terms on the new one.
+// Accepted projects have to finish on the old escrow, which keeps working.
+//
+// By default this only reports what would happen. With EXECUTE=1 it moves
+// the projects whose client is the signer, so each client runs it for their
+// own projects
+async function main() {
+  const oldAddress = process.env.OLD_ESCROW_ADDRESS;
+  if (!oldAddress) {
+    throw new Error("OLD_ESCROW_ADDRESS is required");
+  }
+  const execute = Boolean(process.env.EXECUTE);
+
+  const deployment = await readDeployment();
+  const [signer] = await hre.ethers.getSigners();
+  const oldEscrow = await hre.ethers.getContractAt("ProjectEscrowLegacy", oldAddress);
+  const escrow = await hre.ethers.getContractAt(
+    "ProjectEscrowUpgradeable",
+    deployment.contracts.ProjectEscrow.address
+  );
+
+  console.log("Old escrow:", oldAddress);
+  console.log("New escrow:", await escrow.getAddress());
+  console.log(execute ? `Moving projects created by ${signer.address}\n` : "Dry run, set EXECUTE=1 to move projects\n");
+
+  await migrateProjects(oldEscrow, escrow, { signer, execute });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+const hre = require("hardhat");
+const { getStorageLayout, checkStorageUpgrade } = require("./lib/storageLayout");
+const { contractEntry, readDeployment, writeDeployment } = require("./lib/deployments");
+
+// Upgrade the escrow proxy recorded by scripts/deploy.js to a new build of
+// ESCROW_CONTRACT (ProjectEscrowUpgradeable by default). The new storage
+// layout is checked against the implementation the proxy runs now before
+// anything is deployed; CHECK_ONLY=1 stops after the check.
+//
+// Upgrades queued in the timelock only show up in the deployments manifest,
+// and the ABI the frontend uses, on the next run after they are executed,
+// so run with CHECK_ONLY=1 once one goes through
+async function main() {
+  const contractName = process.env.ESCROW_CONTRACT || "ProjectEscrowUpgradeable";
+  const deployment = await readDeployment();
+  const [signer] = await hre.ethers.getSigners();
+
+  const proxyAddress = deployment.contracts.ProjectEscrow.address;
+  const proxyAdminAddress = deployment.contracts.ProxyAdmin.address;
+  const timelockAddress = deployment.contracts.EscrowTimelock.address;
+  const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", proxyAdminAddress);
+  const currentImplementation = await proxyAdmin.getProxyImplementation(proxyAddress);
+  console.log("Escrow proxy:", proxyAddress);
+  console.log("Current implementation:", currentImplementation);
+
+  const current = deployment.implementations[currentImplementation];
+  if (!current) {
+    throw new Error(`No storage layout recorded for ${currentImplementation}`);
+  }
+  if (deployment.contracts.ProjectEscrow.implementation !== currentImplementation) {
+    await recordImplementation(deployment, currentImplementation);
+  }
+
+  console.log(`\nChecking ${contractName} against ${current.contract}...`);
+  const storageLayout = await getStorageLayout(contractName);
+  const errors = checkStorageUpgrade(current.storageLayout, storageLayout);
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error("  ✗", error));
+    throw new Error("New implementation is not storage compatible");
+  }
+  console.log("✅ Storage layout is compatible");
+  if (process.env.CHECK_ONLY) return;
+
+  console.log("\nDeploying implementation...");
+  const ProjectEscrow = await hre.ethers.getContractFactory(contractName);
+  const implementation = await ProjectEscrow.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("✅ Implementation deployed to:", implementationAddress);
+
+  deployment.implementations[implementationAddress] = { contract: contractName, storageLayout };
+  await writeDeployment(deployment);
+
+  const upgradeData = proxyAdmin.interface.encodeFunctionData("upgrade", [
+    proxyAddress,
+    implementationAddress,
+  ]);
+  const owner = await proxyAdmin.owner();
+
+  if (owner === signer.address) {
+    await (await proxyAdmin.upgrade(proxyAddress, implementationAddress)).wait();
+    console.log("✅ Proxy upgraded");
+    await recordImplementation(deployment, implementationAddress);
+  } else if (owner === timelockAddress) {
+    // Queued like any other governance change; it can be executed from the
+    // admin dashboard once the delay has passed
+    const timelock = await hre.ethers.getContractAt("EscrowTimelock", owner);
+    const delay = await timelock.getMinDelay();
+    const salt = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+    await (
+      await timelock.schedule(proxyAdminAddress, 0, upgradeData, hre.ethers.ZeroHash, salt, delay)
+    ).wait();
+    console.log(`✅ Upgrade queued in the timelock, executable in ${delay}s`);
+    console.log("   salt:", salt);
+  } else {
+    throw new Error(`ProxyAdmin is owned by ${owner}, which this script can't act for`);
+  }
+}
+
+// Point the manifest's escrow entry at the implementation the proxy runs,
+// with that implementation's ABI
+async function recordImplementation(deployment, implementationAddress) {
+  const { contract } = deployment.implementations[implementationAddress];
+  deployment.contracts.ProjectEscrow = await contractEntry(
+    contract,
+    deployment.contracts.ProjectEscrow.address,
+    { implementation: implementationAddress }
+  );
+  await writeDeployment(deployment);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DisputeEvidence", function () {
+  let escrow;
+  let resolver;
+  let evidence;
+  let owner;
+  let client;
+  let freelancer;
+  let admin2;
+  let outsider;
+
+  const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+
+  beforeEach(async function () {
+    [owner, client, freelancer, admin2, outsider] = await ethers.getSigners();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowImproved");
+    escrow = await ProjectEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    const DisputeResolver = await ethers.getContractFactory("DisputeResolver");
+    resolver = await DisputeResolver.deploy(await escrow.getAddress());
+    await resolver.waitForDeployment();
+    await escrow.setDisputeManager(await resolver.getAddress());
+
+    const DisputeEvidence = await ethers.getContractFactory("DisputeEvidence");
+    evidence = await DisputeEvidence.deploy(await resolver.getAddress());
+    await evidence.waitForDeployment();
+
+    const now = await time.latest();
+    await escrow.connect(client).createProject(
+      "Test Project",
+      "hash",
+      ["Milestone 1"],
+      [ethers.parseEther("1")],
+      [now + 7 * 24 * 60 * 60],
+      { value: ethers.parseEther("1") }
+    );
+    await escrow.grantRole(ARBITER_ROLE, admin2.address);
+    await escrow.connect(freelancer).acceptProject(0);
+    await escrow.connect(freelancer).submitMilestone(0, 0, "QmHash");
+    await resolver.connect(client).raiseDispute(0, 0, "Work incomplete");
+  });
+
+  it("Should let both participants add multiple entries", async function () {
+    await expect(
+      evidence.connect(client).submitEvidence(0, "Pages 3-5 are missing", ["ipfs://bafkreiclient"])
+    )
+      .to.emit(evidence, "EvidenceSubmitted")
+      .withArgs(0, client.address, 0, "Pages 3-5 are missing", ["ipfs://bafkreiclient"]);
+
+    await evidence.connect(freelancer).submitEvidence(0, "Those pages were out of scope", []);
+    await evidence.connect(freelancer).submitEvidence(0, "", ["ipfs://bafkreibrief", "ipfs://bafkreichat"]);
+
+    const entries = await evidence.getEvidence(0);
+    expect(entries.length).to.equal(3);
+    expect(entries[0].submitter).to.equal(client.address);
+    expect(entries[1].statement).to.equal("Those pages were out of scope");
+    expect(entries[2].fileHashes).to.deep.equal(["ipfs://bafkreibrief", "ipfs://bafkreichat"]);
+    expect(await evidence.getEvidenceCount(0)).to.equal(3);
+  });
+
+  it("Should only accept evidence from project participants", async function () {
+    await expect(
+      evidence.connect(outsider).submitEvidence(0, "I saw it", [])
+    ).to.be.revertedWith("Only project participants can call this");
+  });
+
+  it("Should reject empty or oversized entries", async function () {
+    await expect(
+      evidence.connect(client).submitEvidence(0, "", [])
+    ).to.be.revertedWith("Evidence required");
+
+    const tooMany = Array.from({ length: 11 }, (_, i) => `ipfs://file${i}`);
+    await expect(
+      evidence.connect(client).submitEvidence(0, "Files", tooMany)
+    ).to.be.revertedWith("Too many files");
+
+    await expect(
+      evidence.connect(client).submitEvidence(0, "Files", [""])
+    ).to.be.revertedWith("Empty file hash");
+  });
+
+  it("Should close the evidence log once the dispute is resolved", async function () {
+    await resolver.connect(owner).voteOnDispute(0, 50);
+    await resolver.connect(admin2).voteOnDispute(0, 50);
+
+    await expect(
+      evidence.connect(client).submitEvidence(0, "Late evidence", [])
+    ).to.be.revertedWith("Dispute already resolved");
+  });
+
+  it("Should reject unknown disputes and submissions while paused", async function () {
+    await expect(
+      evidence.connect(client).submitEvidence(1, "Evidence", [])
+    ).to.be.revertedWith("Dispute does not exist");
+
+    await escrow.pause();
+    await expect(
+      evidence.connect(client).submitEvidence(0, "Evidence", [])
+    ).to.be.revertedWith("Pausable: paused");
+  });
+});
@@ -0,0 +1,660 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DisputeResolver", function () {
+  let escrow;
+  let resolver;
+  let owner;
+  let client;
+  let freelancer;
+  let admin2;
+  let admin3;
+  let outsider;
+
+  const DAY = 24 * 60 * 60;
+  const MEAN = 0;
+  const MEDIAN = 1;
+  const ESCALATE_TO_OWNER = 0;
+  const DEFAULT_SPLIT = 1;
+  const COUNTERPARTY = 0;
+  const ARBITRATORS = 1;
+  const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+
+  async function openDispute(bond = 0n) {
+    const now = await time.latest();
+    const projectId = await escrow.projectCounter();
+    await escrow.connect(client).createProject(
+      "Test Project",
+      "hash",
+      ["Milestone 1"],
+      [ethers.parseEther("1")],
+      [now + 7 * DAY],
+      { value: ethers.parseEther("1") }
+    );
+    await escrow.connect(freelancer).acceptProject(projectId);
+    await escrow.connect(freelancer).submitMilestone(projectId, 0, "QmHash");
+    await resolver.connect(client).raiseDispute(projectId, 0, "Work incomplete", { value: bond });
+    return (await resolver.disputeCounter()) - 1n;
+  }
+
+  const pending = (account) =>
+    escrow.pendingWithdrawals(account.address, ethers.ZeroAddress);
+
+  beforeEach(async function () {
+    [owner, client, freelancer, admin2, admin3, outsider] = await ethers.getSigners();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowImproved");
+    escrow = await ProjectEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    const DisputeResolver = await ethers.getContractFactory("DisputeResolver");
+    resolver = await DisputeResolver.deploy(await escrow.getAddress());
+    await resolver.waitForDeployment();
+    await escrow.setDisputeManager(await resolver.getAddress());
+
+    await escrow.grantRole(ARBITER_ROLE, admin2.address);
+    await escrow.grantRole(ARBITER_ROLE, admin3.address);
+  });
+
+  describe("Configuration", function () {
+    it("Should let the escrow owner update the arbitration settings", async function () {
+      await expect(resolver.setArbitrationConfig(3, 2 * DAY, MEDIAN, DEFAULT_SPLIT, 40))
+        .to.emit(resolver, "ArbitrationConfigUpdated")
+        .withArgs(3, 2 * DAY, MEDIAN, DEFAULT_SPLIT, 40);
+
+      expect(await resolver.quorum()).to.equal(3);
+      expect(await resolver.votingPeriod()).to.equal(2 * DAY);
+      expect(await resolver.outcomeRule()).to.equal(MEDIAN);
+      expect(await resolver.fallbackRule()).to.equal(DEFAULT_SPLIT);
+      expect(await resolver.defaultSplitPercentage()).to.equal(40);
+    });
+
+    it("Should reject invalid settings and other callers", async function () {
+      await expect(
+        resolver.connect(admin2).setArbitrationConfig(3, DAY, MEAN, ESCALATE_TO_OWNER, 50)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        resolver.setArbitrationConfig(0, DAY, MEAN, ESCALATE_TO_OWNER, 50)
+      ).to.be.revertedWith("Quorum must be > 0");
+
+      await expect(
+        resolver.setArbitrationConfig(2, 31 * DAY, MEAN, ESCALATE_TO_OWNER, 50)
+      ).to.be.revertedWith("Invalid voting period");
+
+      await expect(
+        resolver.setArbitrationConfig(2, DAY, MEAN, ESCALATE_TO_OWNER, 101)
+      ).to.be.revertedWith("Invalid percentage");
+    });
+
+    it("Should resolve at the configured quorum", async function () {
+      await resolver.setArbitrationConfig(3, 7 * DAY, MEAN, ESCALATE_TO_OWNER, 50);
+      const disputeId = await openDispute();
+
+      await resolver.connect(owner).voteOnDispute(disputeId, 90);
+      await resolver.connect(admin2).voteOnDispute(disputeId, 30);
+      expect((await resolver.disputes(disputeId)).isResolved).to.be.false;
+
+      await expect(resolver.connect(admin3).voteOnDispute(disputeId, 60))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 60);
+    });
+
+    it("Should take the median when configured", async function () {
+      await resolver.setArbitrationConfig(3, 7 * DAY, MEDIAN, ESCALATE_TO_OWNER, 50);
+      const disputeId = await openDispute();
+
+      await resolver.connect(owner).voteOnDispute(disputeId, 100);
+      await resolver.connect(admin2).voteOnDispute(disputeId, 0);
+      await expect(resolver.connect(admin3).voteOnDispute(disputeId, 20))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 20);
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.2"));
+      expect(await pending(client)).to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("Should only let participants raise disputes", async function () {
+      const now = await time.latest();
+      await escrow.connect(client).createProject(
+        "Test Project",
+        "hash",
+        ["Milestone 1"],
+        [ethers.parseEther("1")],
+        [now + 7 * DAY],
+        { value: ethers.parseEther("1") }
+      );
+      await escrow.connect(freelancer).acceptProject(0);
+      await escrow.connect(freelancer).submitMilestone(0, 0, "QmHash");
+
+      await expect(
+        resolver.connect(outsider).raiseDispute(0, 0, "Not mine")
+      ).to.be.revertedWith("Only project participants can call this");
+    });
+  });
+
+  describe("Voting Deadline", function () {
+    let disputeId;
+
+    beforeEach(async function () {
+      disputeId = await openDispute();
+    });
+
+    it("Should set the voting deadline from the voting period", async function () {
+      const dispute = await resolver.disputes(disputeId);
+      expect(dispute.votingDeadline).to.equal(dispute.createdAt + BigInt(7 * DAY));
+    });
+
+    it("Should reject votes after the deadline", async function () {
+      await time.increase(7 * DAY + 1);
+
+      await expect(
+        resolver.connect(owner).voteOnDispute(disputeId, 50)
+      ).to.be.revertedWith("Voting period ended");
+    });
+
+    it("Should not finalize before the deadline", async function () {
+      await expect(
+        resolver.connect(outsider).finalizeExpiredDispute(disputeId)
+      ).to.be.revertedWith("Voting period not over");
+    });
+
+    it("Should escalate to the owner when the quorum is missed", async function () {
+      await resolver.connect(admin2).voteOnDispute(disputeId, 80);
+      await time.increase(7 * DAY + 1);
+
+      await expect(resolver.connect(outsider).finalizeExpiredDispute(disputeId))
+        .to.emit(resolver, "DisputeEscalated")
+        .withArgs(disputeId);
+
+      await expect(
+        resolver.connect(admin3).voteOnDispute(disputeId, 50)
+      ).to.be.revertedWith("Dispute escalated to owner");
+
+      await expect(
+        resolver.connect(admin2).resolveEscalatedDispute(disputeId, 30)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(resolver.connect(owner).resolveEscalatedDispute(disputeId, 30))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 30);
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.3"));
+      expect(await pending(client)).to.equal(ethers.parseEther("0.7"));
+      const project = await escrow.projects(0);
+      expect(project.status).to.equal(2); // its only milestone is settled
+    });
+
+    it("Should not let the owner decide a dispute that has not escalated", async function () {
+      await expect(
+        resolver.connect(owner).resolveEscalatedDispute(disputeId, 30)
+      ).to.be.revertedWith("Dispute not escalated");
+    });
+
+    it("Should fall back to the default split when configured", async function () {
+      await resolver.setArbitrationConfig(2, 7 * DAY, MEAN, DEFAULT_SPLIT, 25);
+      await time.increase(7 * DAY + 1);
+
+      await expect(resolver.connect(outsider).finalizeExpiredDispute(disputeId))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 25);
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.25"));
+      expect(await pending(client)).to.equal(ethers.parseEther("0.75"));
+    });
+
+    it("Should decide by the votes cast when the quorum was lowered", async function () {
+      await resolver.connect(admin2).voteOnDispute(disputeId, 80);
+      await resolver.setArbitrationConfig(1, 7 * DAY, MEAN, ESCALATE_TO_OWNER, 50);
+      await time.increase(7 * DAY + 1);
+
+      await expect(resolver.connect(outsider).finalizeExpiredDispute(disputeId))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 80);
+    });
+
+    it("Should keep the deadline of open disputes when the period changes", async function () {
+      const { votingDeadline } = await resolver.disputes(disputeId);
+      await resolver.setArbitrationConfig(2, DAY, MEAN, ESCALATE_TO_OWNER, 50);
+
+      expect((await resolver.disputes(disputeId)).votingDeadline).to.equal(votingDeadline);
+      await time.increase(2 * DAY);
+      await resolver.connect(owner).voteOnDispute(disputeId, 50);
+    });
+  });
+
+  describe("Panels", function () {
+    it("Should snapshot the arbiters at creation without the participants", async function () {
+      await escrow.grantRole(ARBITER_ROLE, freelancer.address);
+      const disputeId = await openDispute();
+
+      const [panel, recused] = await resolver.getDisputePanel(disputeId);
+      expect(panel).to.deep.equal([owner.address, admin2.address, admin3.address]);
+      expect(recused).to.deep.equal([false, false, false]);
+
+      await expect(
+        resolver.connect(freelancer).voteOnDispute(disputeId, 100)
+      ).to.be.revertedWith("Not on dispute panel");
+    });
+
+    it("Should not let arbiters added later vote", async function () {
+      const disputeId = await openDispute();
+      await escrow.grantRole(ARBITER_ROLE, outsider.address);
+
+      await expect(
+        resolver.connect(outsider).voteOnDispute(disputeId, 100)
+      ).to.be.revertedWith("Not on dispute panel");
+    });
+
+    it("Should count the votes of arbiters removed after voting", async function () {
+      const disputeId = await openDispute();
+      await resolver.connect(admin2).voteOnDispute(disputeId, 100);
+      await escrow.revokeRole(ARBITER_ROLE, admin2.address);
+
+      await expect(resolver.connect(admin3).voteOnDispute(disputeId, 0))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 50);
+
+      const [voteCount, , voters] = await resolver.getDisputeVotes(disputeId);
+      expect(voteCount).to.equal(2);
+      expect(voters).to.deep.equal([admin2.address, admin3.address]);
+    });
+
+    it("Should let panelists recuse before voting", async function () {
+      const disputeId = await openDispute();
+
+      await expect(resolver.connect(admin2).recuse(disputeId))
+        .to.emit(resolver, "ArbitratorRecused")
+        .withArgs(disputeId, admin2.address);
+
+      const [, recused] = await resolver.getDisputePanel(disputeId);
+      expect(recused).to.deep.equal([false, true, false]);
+      expect(await resolver.requiredVotes(disputeId)).to.equal(2);
+
+      await expect(
+        resolver.connect(admin2).voteOnDispute(disputeId, 50)
+      ).to.be.revertedWith("Arbitrator recused");
+      await expect(
+        resolver.connect(admin2).recuse(disputeId)
+      ).to.be.revertedWith("Already recused");
+    });
+
+    it("Should not let voters or outsiders recuse", async function () {
+      const disputeId = await openDispute();
+      await resolver.connect(owner).voteOnDispute(disputeId, 50);
+
+      await expect(
+        resolver.connect(owner).recuse(disputeId)
+      ).to.be.revertedWith("Already voted");
+      await expect(
+        resolver.connect(outsider).recuse(disputeId)
+      ).to.be.revertedWith("Not on dispute panel");
+    });
+
+    it("Should resolve once recusals leave fewer panelists than the quorum", async function () {
+      const disputeId = await openDispute();
+      await resolver.connect(owner).voteOnDispute(disputeId, 70);
+      await resolver.connect(admin2).recuse(disputeId);
+
+      await expect(resolver.connect(admin3).recuse(disputeId))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 70);
+    });
+  });
+
+  describe("Settlements", function () {
+    let disputeId;
+
+    beforeEach(async function () {
+      disputeId = await openDispute();
+    });
+
+    it("Should settle on an accepted counter-offer", async function () {
+      await expect(resolver.connect(client).proposeSettlement(disputeId, 30))
+        .to.emit(resolver, "SettlementProposed")
+        .withArgs(disputeId, client.address, 30);
+      await resolver.connect(freelancer).proposeSettlement(disputeId, 70);
+      await resolver.connect(client).proposeSettlement(disputeId, 60);
+
+      await expect(resolver.connect(freelancer).acceptSettlement(disputeId, 60))
+        .to.emit(resolver, "SettlementAccepted")
+        .withArgs(disputeId, freelancer.address, 60)
+        .and.to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 60);
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.6"));
+      expect(await pending(client)).to.equal(ethers.parseEther("0.4"));
+      expect((await escrow.getProjectMilestones(0))[0].status).to.equal(2);
+      expect((await escrow.projects(0)).status).to.equal(2);
+    });
+
+    it("Should not accept own, changed or withdrawn offers", async function () {
+      await resolver.connect(client).proposeSettlement(disputeId, 30);
+
+      await expect(
+        resolver.connect(client).acceptSettlement(disputeId, 30)
+      ).to.be.revertedWith("No active offer");
+      await expect(
+        resolver.connect(freelancer).acceptSettlement(disputeId, 40)
+      ).to.be.revertedWith("Offer has changed");
+
+      await expect(resolver.connect(client).withdrawSettlementOffer(disputeId))
+        .to.emit(resolver, "SettlementWithdrawn")
+        .withArgs(disputeId, client.address);
+      await expect(
+        resolver.connect(freelancer).acceptSettlement(disputeId, 30)
+      ).to.be.revertedWith("No active offer");
+    });
+
+    it("Should only let participants negotiate", async function () {
+      await expect(
+        resolver.connect(admin2).proposeSettlement(disputeId, 50)
+      ).to.be.revertedWith("Only project participants can call this");
+      await expect(
+        resolver.connect(client).proposeSettlement(disputeId, 101)
+      ).to.be.revertedWith("Invalid percentage");
+    });
+
+    it("Should close negotiation once arbitrators decide", async function () {
+      await resolver.connect(client).proposeSettlement(disputeId, 30);
+      await resolver.connect(owner).voteOnDispute(disputeId, 80);
+      await resolver.connect(admin2).voteOnDispute(disputeId, 80);
+
+      await expect(
+        resolver.connect(freelancer).acceptSettlement(disputeId, 30)
+      ).to.be.revertedWith("Dispute already resolved");
+    });
+
+    it("Should let the parties settle an escalated dispute", async function () {
+      await time.increase(7 * DAY + 1);
+      await resolver.finalizeExpiredDispute(disputeId);
+
+      await resolver.connect(freelancer).proposeSettlement(disputeId, 50);
+      await expect(resolver.connect(client).acceptSettlement(disputeId, 50))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 50);
+    });
+  });
+
+  describe("Appeals", function () {
+    const BOND = ethers.parseEther("0.05");
+    let disputeId;
+    let appealArbiters;
+
+    async function decide(first, second) {
+      await resolver.connect(owner).voteOnDispute(disputeId, first);
+      return resolver.connect(admin2).voteOnDispute(disputeId, second);
+    }
+
+    beforeEach(async function () {
+      // Enough arbiters who stay out of the first vote to hear appeals
+      appealArbiters = (await ethers.getSigners()).slice(6, 8);
+      for (const arbiter of appealArbiters) {
+        await escrow.grantRole(ARBITER_ROLE, arbiter.address);
+      }
+      await resolver.setAppealConfig(3 * DAY, 3, BOND);
+      disputeId = await openDispute();
+    });
+
+    it("Should let the escrow owner update the appeal settings", async function () {
+      await expect(resolver.setAppealConfig(2 * DAY, 4, BOND))
+        .to.emit(resolver, "AppealConfigUpdated")
+        .withArgs(2 * DAY, 4, BOND);
+      expect(await resolver.appealPeriod()).to.equal(2 * DAY);
+      expect(await resolver.appealQuorum()).to.equal(4);
+      expect(await resolver.appealBond()).to.equal(BOND);
+
+      await expect(
+        resolver.connect(admin2).setAppealConfig(DAY, 3, BOND)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(resolver.setAppealConfig(DAY, 0, BOND)).to.be.revertedWith(
+        "Quorum must be > 0"
+      );
+      await expect(resolver.setAppealConfig(31 * DAY, 3, BOND)).to.be.revertedWith(
+        "Invalid appeal period"
+      );
+    });
+
+    it("Should hold a decision until the appeal window closes", async function () {
+      await expect(decide(20, 20)).to.emit(resolver, "DisputeDecided");
+      const ruling = await resolver.rulings(disputeId);
+      expect(ruling.percentageToFreelancer).to.equal(20);
+      expect(ruling.appealDeadline).to.equal((await time.latest()) + 3 * DAY);
+
+      expect(await pending(freelancer)).to.equal(0);
+      expect((await escrow.getProjectMilestones(0))[0].status).to.equal(4);
+      await expect(
+        resolver.connect(admin3).voteOnDispute(disputeId, 100)
+      ).to.be.revertedWith("Dispute already decided");
+      await expect(resolver.finalizeRuling(disputeId)).to.be.revertedWith(
+        "Appeal window still open"
+      );
+
+      await time.increase(3 * DAY + 1);
+      await expect(
+        resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND })
+      ).to.be.revertedWith("Appeal window closed");
+      await expect(resolver.connect(outsider).finalizeRuling(disputeId))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 20);
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.2"));
+      expect(await pending(client)).to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("Should only accept an appeal from the losing party with the bond", async function () {
+      await decide(20, 20);
+
+      await expect(
+        resolver.connect(client).appeal(disputeId, "More", { value: BOND })
+      ).to.be.revertedWith("Only losing party can appeal");
+      await expect(
+        resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND - 1n })
+      ).to.be.revertedWith("Incorrect appeal bond");
+
+      const appealId = await resolver.disputeCounter();
+      await expect(
+        resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND })
+      )
+        .to.emit(resolver, "DisputeAppealed")
+        .withArgs(disputeId, appealId, freelancer.address, BOND)
+        .and.to.emit(resolver, "DisputeRaised")
+        .withArgs(appealId, 0, freelancer.address);
+
+      expect(await resolver.isAppeal(appealId)).to.be.true;
+      expect(await resolver.appealedDispute(appealId)).to.equal(disputeId);
+      expect(await resolver.requiredVotes(appealId)).to.equal(3);
+      const [panel] = await resolver.getDisputePanel(appealId);
+      expect([...panel]).to.have.members([admin3.address, ...appealArbiters.map((a) => a.address)]);
+
+      await expect(
+        resolver.connect(freelancer).appeal(disputeId, "Again", { value: BOND })
+      ).to.be.revertedWith("Already appealed");
+      await time.increase(3 * DAY + 1);
+      await expect(resolver.finalizeRuling(disputeId)).to.be.revertedWith(
+        "Decision under appeal"
+      );
+    });
+
+    it("Should refund the bond when the appeal moves the split", async function () {
+      await decide(20, 20);
+      const appealId = await resolver.disputeCounter();
+      await resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND });
+
+      await resolver.connect(appealArbiters[0]).voteOnDispute(appealId, 50);
+      await resolver.connect(appealArbiters[1]).voteOnDispute(appealId, 60);
+      await expect(resolver.connect(admin3).voteOnDispute(appealId, 70))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(appealId, 60)
+        .and.to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 60)
+        .and.to.emit(resolver, "AppealBondSettled")
+        .withArgs(disputeId, freelancer.address, BOND);
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.6"));
+      expect((await resolver.disputes(disputeId)).isResolved).to.be.true;
+      expect(await resolver.bondBalances(freelancer.address)).to.equal(BOND);
+
+      await expect(resolver.connect(freelancer).withdrawBond())
+        .to.changeEtherBalances([resolver, freelancer], [-BOND, BOND]);
+      await expect(resolver.connect(freelancer).withdrawBond()).to.be.revertedWith(
+        "Nothing to withdraw"
+      );
+    });
+
+    it("Should forfeit the bond to the other party when the appeal fails", async function () {
+      await decide(80, 80);
+      const appealId = await resolver.disputeCounter();
+      await resolver.connect(client).appeal(disputeId, "Too generous", { value: BOND });
+
+      await resolver.connect(appealArbiters[0]).voteOnDispute(appealId, 80);
+      await resolver.connect(appealArbiters[1]).voteOnDispute(appealId, 90);
+      await expect(resolver.connect(admin3).voteOnDispute(appealId, 100))
+        .to.emit(resolver, "AppealBondSettled")
+        .withArgs(disputeId, freelancer.address, BOND)
+        .and.not.to.emit(resolver, "DisputeDecided");
+
+      expect(await pending(freelancer)).to.equal(ethers.parseEther("0.9"));
+      expect(await resolver.bondBalances(client.address)).to.equal(0);
+      expect(await resolver.bondBalances(freelancer.address)).to.equal(BOND);
+    });
+
+    it("Should not let the first panel's voters hear the appeal", async function () {
+      await decide(20, 20);
+      const appealId = await resolver.disputeCounter();
+      await resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND });
+
+      expect(await resolver.isPanelist(appealId, owner.address)).to.be.false;
+      expect(await resolver.isPanelist(appealId, admin2.address)).to.be.false;
+      await expect(
+        resolver.connect(owner).voteOnDispute(appealId, 20)
+      ).to.be.revertedWith("Not on dispute panel");
+    });
+
+    it("Should refuse an appeal with too few arbiters left to hear it", async function () {
+      for (const arbiter of appealArbiters) {
+        await escrow.revokeRole(ARBITER_ROLE, arbiter.address);
+      }
+      await decide(20, 20);
+
+      // Only admin3 did not vote, short of the appeal quorum of 3
+      await expect(
+        resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND })
+      ).to.be.revertedWith("Not enough arbiters for appeal");
+      expect((await resolver.rulings(disputeId)).isAppealed).to.be.false;
+
+      await resolver.setAppealConfig(3 * DAY, 1, BOND);
+      const appealId = await resolver.disputeCounter();
+      await resolver.connect(freelancer).appeal(disputeId, "Unfair", { value: BOND });
+      const [panel] = await resolver.getDisputePanel(appealId);
+      expect(panel).to.deep.equal([admin3.address]);
+    });
+
+    it("Should pay out at once on an even split or with appeals off", async function () {
+      await expect(decide(50, 50))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 50);
+
+      await resolver.setAppealConfig(0, 3, BOND);
+      disputeId = await openDispute();
+      await expect(decide(20, 20))
+        .to.emit(resolver, "DisputeResolved")
+        .withArgs(disputeId, 20);
+    });
+  });
+
+  describe("Dispute Bonds", function () {
+    const BOND = ethers.parseEther("0.02");
+
+    beforeEach(async function () {
+      await resolver.setDisputeBondConfig(BOND, COUNTERPARTY);
+    });
+
+    it("Should let the escrow owner set the bond", async function () {
+      await expect(resolver.setDisputeBondConfig(BOND * 2n, ARBITRATORS))
+        .to.emit(resolver, "DisputeBondConfigUpdated")
+        .withArgs(BOND * 2n, ARBITRATORS);
+      expect(await resolver.disputeBond()).to.equal(BOND * 2n);
+      expect(await resolver.forfeitedBondRecipient()).to.equal(ARBITRATORS);
+
+      await expect(
+        resolver.connect(admin2).setDisputeBondConfig(0, COUNTERPARTY)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should hold the exact bond with the dispute", async function () {
+      await expect(openDispute(BOND - 1n)).to.be.revertedWith("Incorrect dispute bond");
+
+      const disputeId = await openDispute(BOND);
+      expect(await resolver.disputeBonds(disputeId)).to.equal(BOND);
+      expect(await ethers.provider.getBalance(await resolver.getAddress())).to.equal(BOND);
+    });
+
+    it("Should return the bond when the outcome goes partly the initiator's way", async function () {
+      const disputeId = await openDispute(BOND);
+
+      await resolver.connect(owner).voteOnDispute(disputeId, 90);
+      await expect(resolver.connect(admin2).voteOnDispute(disputeId, 90))
+        .to.emit(resolver, "DisputeBondSettled")
+        .withArgs(disputeId, client.address, BOND);
+
+      expect(await resolver.bondBalances(client.address)).to.equal(BOND);
+      expect(await resolver.disputeBonds(disputeId)).to.equal(0);
+    });
+
+    it("Should pay a forfeited bond to the counterparty", async function () {
+      const disputeId = await openDispute(BOND);
+
+      await resolver.connect(owner).voteOnDispute(disputeId, 100);
+      await resolver.connect(admin2).voteOnDispute(disputeId, 100);
+
+      expect(await resolver.bondBalances(client.address)).to.equal(0);
+      expect(await resolver.bondBalances(freelancer.address)).to.equal(BOND);
+      await expect(resolver.connect(freelancer).withdrawBond())
+        .to.changeEtherBalances([resolver, freelancer], [-BOND, BOND]);
+    });
+
+    it("Should share a forfeited bond among the arbitrators who voted", async function () {
+      await resolver.setDisputeBondConfig(BOND, ARBITRATORS);
+      const disputeId = await openDispute(BOND);
+
+      await resolver.connect(owner).voteOnDispute(disputeId, 100);
+      await resolver.connect(admin2).voteOnDispute(disputeId, 100);
+
+      expect(await resolver.bondBalances(owner.address)).to.equal(BOND / 2n);
+      expect(await resolver.bondBalances(admin2.address)).to.equal(BOND / 2n);
+      expect(await resolver.bondBalances(admin3.address)).to.equal(0);
+    });
+
+    it("Should return the bond on a negotiated settlement", async function () {
+      const disputeId = await openDispute(BOND);
+
+      await resolver.connect(freelancer).proposeSettlement(disputeId, 100);
+      await expect(resolver.connect(client).acceptSettlement(disputeId, 100))
+        .to.emit(resolver, "DisputeBondSettled")
+        .withArgs(disputeId, client.address, BOND);
+    });
+
+    it("Should settle the bond on the outcome of an appeal", async function () {
+      const appealBond = ethers.parseEther("0.05");
+      const appealArbiters = (await ethers.getSigners()).slice(6, 8);
+      for (const arbiter of appealArbiters) {
+        await escrow.grantRole(ARBITER_ROLE, arbiter.address);
+      }
+      await resolver.setAppealConfig(DAY, 3, appealBond);
+      const disputeId = await openDispute(BOND);
+
+      await resolver.connect(owner).voteOnDispute(disputeId, 100);
+      await resolver.connect(admin2).voteOnDispute(disputeId, 100);
+      const appealId = await resolver.disputeCounter();
+      await resolver.connect(client).appeal(disputeId, "Work was incomplete", { value: appealBond });
+
+      await resolver.connect(appealArbiters[0]).voteOnDispute(appealId, 60);
+      await resolver.connect(appealArbiters[1]).voteOnDispute(appealId, 60);
+      await resolver.connect(admin3).voteOnDispute(appealId, 60);
+
+      expect(await resolver.bondBalances(client.address)).to.equal(BOND + appealBond);
+    });
+  });
+});
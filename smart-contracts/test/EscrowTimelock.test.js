@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("EscrowTimelock", function () {
+  let escrow;
+  let resolver;
+  let timelock;
+  let owner;
+  let admin2;
+  let outsider;
+
+  const DELAY = 2 * 24 * 60 * 60;
+  const ROLE_ADMIN_ROLE = ethers.ZeroHash;
+  const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+  const FEE_MANAGER_ROLE = ethers.id("FEE_MANAGER_ROLE");
+  const PROPOSER_ROLE = ethers.id("PROPOSER_ROLE");
+
+  const missingRole = (signer, role) =>
+    `AccessControl: account ${signer.address.toLowerCase()} is missing role ${role}`;
+
+  // Queue an escrow (or other target) call and return its operation id
+  async function schedule(fn, args, salt = ethers.ZeroHash, target = escrow) {
+    const targetAddress = await target.getAddress();
+    const data = target.interface.encodeFunctionData(fn, args);
+    await timelock.schedule(targetAddress, 0, data, ethers.ZeroHash, salt, DELAY);
+    const id = await timelock.hashOperation(targetAddress, 0, data, ethers.ZeroHash, salt);
+    return { id, execute: () => timelock.execute(targetAddress, 0, data, ethers.ZeroHash, salt) };
+  }
+
+  beforeEach(async function () {
+    [owner, admin2, outsider] = await ethers.getSigners();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowImproved");
+    escrow = await ProjectEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    const DisputeResolver = await ethers.getContractFactory("DisputeResolver");
+    resolver = await DisputeResolver.deploy(await escrow.getAddress());
+    await resolver.waitForDeployment();
+    await escrow.setDisputeManager(await resolver.getAddress());
+
+    const EscrowTimelock = await ethers.getContractFactory("EscrowTimelock");
+    timelock = await EscrowTimelock.deploy(DELAY, [owner.address], [owner.address]);
+    await timelock.waitForDeployment();
+
+    // Same handover as scripts/deploy.js
+    const timelockAddress = await timelock.getAddress();
+    await escrow.grantRole(ROLE_ADMIN_ROLE, timelockAddress);
+    await escrow.grantRole(FEE_MANAGER_ROLE, timelockAddress);
+    await escrow.renounceRole(FEE_MANAGER_ROLE, owner.address);
+    await escrow.renounceRole(ROLE_ADMIN_ROLE, owner.address);
+    await escrow.transferOwnership(timelockAddress);
+  });
+
+  it("Should only change the fee once the delay has passed", async function () {
+    await expect(escrow.setPlatformFee(5)).to.be.revertedWith("Missing role");
+
+    const { id, execute } = await schedule("setPlatformFee", [5]);
+    expect(await timelock.isOperationPending(id)).to.be.true;
+    await expect(execute()).to.be.revertedWith("TimelockController: operation is not ready");
+
+    await time.increase(DELAY);
+    expect(await timelock.isOperationReady(id)).to.be.true;
+    await execute();
+
+    expect(await escrow.platformFeePercent()).to.equal(5);
+    expect(await timelock.isOperationDone(id)).to.be.true;
+  });
+
+  it("Should queue role changes", async function () {
+    await expect(
+      escrow.grantRole(ARBITER_ROLE, admin2.address)
+    ).to.be.revertedWith("Missing role");
+
+    const { execute } = await schedule("grantRole", [ARBITER_ROLE, admin2.address]);
+    await time.increase(DELAY);
+    await execute();
+    expect(await escrow.hasRole(ARBITER_ROLE, admin2.address)).to.be.true;
+
+    const revoke = await schedule("revokeRole", [ARBITER_ROLE, admin2.address]);
+    await time.increase(DELAY);
+    await revoke.execute();
+    expect(await escrow.hasRole(ARBITER_ROLE, admin2.address)).to.be.false;
+  });
+
+  it("Should pause at once but queue unpausing", async function () {
+    await escrow.pause();
+    await expect(escrow.unpause()).to.be.revertedWith("Missing role");
+
+    const { execute } = await schedule("unpause", []);
+    await time.increase(DELAY);
+    await expect(execute()).to.emit(escrow, "ContractUnpaused");
+    expect(await escrow.paused()).to.be.false;
+  });
+
+  it("Should queue owner-only escrow and resolver changes", async function () {
+    await expect(
+      escrow.setDisputeManager(outsider.address)
+    ).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(
+      resolver.setArbitrationConfig(1, 3600, 0, 0, 50)
+    ).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(
+      resolver.setDisputeBondConfig(ethers.parseEther("1"), 0)
+    ).to.be.revertedWith("Ownable: caller is not the owner");
+
+    const config = await schedule("setArbitrationConfig", [1, 3600, 0, 0, 50], ethers.ZeroHash, resolver);
+    const manager = await schedule("setDisputeManager", [outsider.address]);
+    await expect(config.execute()).to.be.revertedWith("TimelockController: operation is not ready");
+    await expect(manager.execute()).to.be.revertedWith("TimelockController: operation is not ready");
+
+    await time.increase(DELAY);
+    await config.execute();
+    await manager.execute();
+    expect(await resolver.quorum()).to.equal(1);
+    expect(await escrow.disputeManager()).to.equal(outsider.address);
+  });
+
+  it("Should let proposers cancel during the delay", async function () {
+    const { id, execute } = await schedule("setPlatformFee", [10]);
+
+    await expect(timelock.connect(outsider).cancel(id)).to.be.reverted;
+    await expect(timelock.cancel(id)).to.emit(timelock, "Cancelled").withArgs(id);
+
+    await time.increase(DELAY);
+    await expect(execute()).to.be.revertedWith("TimelockController: operation is not ready");
+    expect(await escrow.platformFeePercent()).to.equal(2);
+  });
+
+  it("Should not let others propose or shorten the delay", async function () {
+    const data = escrow.interface.encodeFunctionData("setPlatformFee", [0]);
+    await expect(
+      timelock
+        .connect(outsider)
+        .schedule(await escrow.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY)
+    ).to.be.revertedWith(missingRole(outsider, PROPOSER_ROLE));
+
+    await expect(
+      timelock.schedule(await escrow.getAddress(), 0, data, ethers.ZeroHash, ethers.ZeroHash, DELAY - 1)
+    ).to.be.revertedWith("TimelockController: insufficient delay");
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { migrateProjects } = require("../scripts/lib/migration");
+
+describe("Migration from the legacy escrow", function () {
+  let oldEscrow;
+  let escrow;
+  let owner;
+  let client;
+  let otherClient;
+  let freelancer;
+
+  const amounts = [ethers.parseEther("1"), ethers.parseEther("2")];
+  const total = ethers.parseEther("3");
+
+  beforeEach(async function () {
+    [owner, client, otherClient, freelancer] = await ethers.getSigners();
+
+    const Legacy = await ethers.getContractFactory("ProjectEscrowLegacy");
+    oldEscrow = await Legacy.deploy();
+    await oldEscrow.waitForDeployment();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowUpgradeable");
+    const implementation = await ProjectEscrow.deploy();
+    await implementation.waitForDeployment();
+    const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+    const proxyAdmin = await ProxyAdmin.deploy();
+    await proxyAdmin.waitForDeployment();
+    const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+    const proxy = await Proxy.deploy(
+      await implementation.getAddress(),
+      await proxyAdmin.getAddress(),
+      ProjectEscrow.interface.encodeFunctionData("initialize", [owner.address])
+    );
+    await proxy.waitForDeployment();
+    escrow = ProjectEscrow.attach(await proxy.getAddress());
+  });
+
+  async function createLegacyProject(signer, title) {
+    const now = await time.latest();
+    await oldEscrow.connect(signer).createProject(
+      title,
+      "QmTest",
+      ["Design", "Build"],
+      amounts,
+      [now + 86400, now + 2 * 86400],
+      { value: total }
+    );
+  }
+
+  it("Should move the signer's open projects and leave the rest", async function () {
+    await createLegacyProject(client, "Open");
+    await createLegacyProject(client, "Accepted");
+    await oldEscrow.connect(freelancer).acceptProject(1);
+    await createLegacyProject(client, "Cancelled");
+    await oldEscrow.connect(client).cancelProject(2);
+    await createLegacyProject(otherClient, "Someone else's");
+
+    const log = [];
+    const moved = await migrateProjects(oldEscrow, escrow, {
+      signer: client,
+      execute: true,
+      log: (line) => log.push(line),
+    });
+
+    expect(moved).to.deep.equal([{ from: 0, to: 0 }]);
+    expect((await oldEscrow.projects(0)).status).to.equal(3); // CANCELLED
+    expect((await oldEscrow.projects(1)).status).to.equal(1); // still ACTIVE
+    expect((await oldEscrow.projects(3)).status).to.equal(0); // left for its client
+
+    const project = await escrow.projects(0);
+    expect(project.client).to.equal(client.address);
+    expect(project.title).to.equal("Open");
+    expect(project.totalAmount).to.equal(total);
+    const milestones = await escrow.getProjectMilestones(0);
+    expect(milestones.map((m) => m.amount)).to.deep.equal(amounts);
+
+    // The old escrow keeps the accepted project's and the other client's funds
+    expect(await ethers.provider.getBalance(await oldEscrow.getAddress())).to.equal(total * 2n);
+    expect(await ethers.provider.getBalance(await escrow.getAddress())).to.equal(total);
+    expect(log.some((line) => line.includes("stays on the old escrow"))).to.be.true;
+  });
+
+  it("Should only report the plan on a dry run", async function () {
+    await createLegacyProject(client, "Open");
+
+    const moved = await migrateProjects(oldEscrow, escrow, { signer: client, log: () => {} });
+
+    expect(moved).to.deep.equal([]);
+    expect((await oldEscrow.projects(0)).status).to.equal(0);
+    expect(await escrow.projectCounter()).to.equal(0);
+  });
+
+  it("Should skip projects whose deadlines have passed", async function () {
+    await createLegacyProject(client, "Stale");
+    await time.increase(86400 + 1);
+
+    const moved = await migrateProjects(oldEscrow, escrow, {
+      signer: client,
+      execute: true,
+      log: () => {},
+    });
+
+    expect(moved).to.deep.equal([]);
+    expect((await oldEscrow.projects(0)).status).to.equal(0);
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProjectApplications", function () {
+  let escrow;
+  let applications;
+  let owner;
+  let client;
+  let freelancer;
+  let freelancer2;
+  let outsider;
+
+  const WEEK = 7 * 24 * 60 * 60;
+
+  async function createProject(requiresApplication, invitees = []) {
+    const now = await time.latest();
+    await escrow.connect(client).createProjectWithOptions(
+      "Open Project",
+      "hash",
+      ["M1", "M2"],
+      [ethers.parseEther("1"), ethers.parseEther("3")],
+      [now + WEEK, now + 2 * WEEK],
+      ethers.ZeroAddress,
+      invitees,
+      requiresApplication,
+      { value: ethers.parseEther("4") }
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, client, freelancer, freelancer2, outsider] = await ethers.getSigners();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowImproved");
+    escrow = await ProjectEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    const ProjectApplications = await ethers.getContractFactory("ProjectApplications");
+    applications = await ProjectApplications.deploy(await escrow.getAddress());
+    await applications.waitForDeployment();
+
+    await escrow.setApplicationManager(await applications.getAddress());
+    await createProject(true);
+  });
+
+  describe("Applying", function () {
+    it("Should record an application with price, timeline and cover note", async function () {
+      await expect(
+        applications.connect(freelancer).applyToProject(0, ethers.parseEther("3"), 10 * 24 * 60 * 60, "QmCover")
+      )
+        .to.emit(applications, "ApplicationSubmitted")
+        .withArgs(0, freelancer.address, 0, ethers.parseEther("3"), 10 * 24 * 60 * 60, "QmCover");
+
+      const list = await applications.getProjectApplications(0);
+      expect(list.length).to.equal(1);
+      expect(list[0].freelancer).to.equal(freelancer.address);
+      expect(list[0].coverNoteHash).to.equal("QmCover");
+      expect(list[0].status).to.equal(0); // PENDING
+      expect(await applications.getFreelancerApplications(freelancer.address)).to.deep.equal([0n]);
+    });
+
+    it("Should reject bids above the budget or without a cover note", async function () {
+      await expect(
+        applications.connect(freelancer).applyToProject(0, ethers.parseEther("5"), 100, "QmCover")
+      ).to.be.revertedWith("Price must be within budget");
+      await expect(
+        applications.connect(freelancer).applyToProject(0, ethers.parseEther("3"), 100, "")
+      ).to.be.revertedWith("Cover note required");
+    });
+
+    it("Should not allow the client or duplicate applications", async function () {
+      await expect(
+        applications.connect(client).applyToProject(0, ethers.parseEther("3"), 100, "QmCover")
+      ).to.be.revertedWith("Client cannot apply to own project");
+
+      await applications.connect(freelancer).applyToProject(0, ethers.parseEther("3"), 100, "QmCover");
+      await expect(
+        applications.connect(freelancer).applyToProject(0, ethers.parseEther("2"), 100, "QmCover2")
+      ).to.be.revertedWith("Already applied");
+    });
+
+    it("Should allow re-applying after withdrawing", async function () {
+      await applications.connect(freelancer).applyToProject(0, ethers.parseEther("3"), 100, "QmCover");
+      await expect(applications.connect(freelancer).withdrawApplication(0))
+        .to.emit(applications, "ApplicationWithdrawn")
+        .withArgs(0, freelancer.address, 0);
+
+      await applications.connect(freelancer).applyToProject(0, ethers.parseEther("2"), 100, "QmCover2");
+      const application = await applications.getApplication(0, freelancer.address);
+      expect(application.proposedPrice).to.equal(ethers.parseEther("2"));
+      expect(application.status).to.equal(0);
+      expect((await applications.getProjectApplications(0)).length).to.equal(1);
+    });
+
+    it("Should only accept invitees on invite-only projects", async function () {
+      await createProject(true, [freelancer.address]);
+
+      await expect(
+        applications.connect(outsider).applyToProject(1, ethers.parseEther("3"), 100, "QmCover")
+      ).to.be.revertedWith("Not invited to this project");
+      await applications.connect(freelancer).applyToProject(1, ethers.parseEther("3"), 100, "QmCover");
+    });
+  });
+
+  describe("Selecting", function () {
+    beforeEach(async function () {
+      await applications.connect(freelancer).applyToProject(0, ethers.parseEther("4"), 100, "QmCover");
+      await applications.connect(freelancer2).applyToProject(0, ethers.parseEther("2"), 200, "QmCover2");
+    });
+
+    it("Should block instant acceptance on application-only projects", async function () {
+      await expect(
+        escrow.connect(freelancer).acceptProject(0)
+      ).to.be.revertedWith("Project requires an application");
+    });
+
+    it("Should only let the client select an applicant", async function () {
+      await expect(
+        applications.connect(outsider).selectApplicant(0, 0)
+      ).to.be.revertedWith("Only client can call this");
+    });
+
+    it("Should activate the project for the selected freelancer", async function () {
+      await expect(applications.connect(client).selectApplicant(0, 0))
+        .to.emit(applications, "ApplicantSelected")
+        .withArgs(0, freelancer.address, 0, ethers.parseEther("4"))
+        .and.to.emit(escrow, "ProjectAccepted")
+        .withArgs(0, freelancer.address);
+
+      const project = await escrow.projects(0);
+      expect(project.freelancer).to.equal(freelancer.address);
+      expect(project.status).to.equal(1); // ACTIVE
+      expect(project.totalAmount).to.equal(ethers.parseEther("4"));
+      expect((await applications.getApplication(0, freelancer.address)).status).to.equal(2); // SELECTED
+    });
+
+    it("Should scale milestones to a lower bid and credit the client", async function () {
+      await applications.connect(client).selectApplicant(0, 1);
+
+      const project = await escrow.projects(0);
+      expect(project.totalAmount).to.equal(ethers.parseEther("2"));
+
+      const milestones = await escrow.getProjectMilestones(0);
+      expect(milestones[0].amount).to.equal(ethers.parseEther("0.5"));
+      expect(milestones[1].amount).to.equal(ethers.parseEther("1.5"));
+
+      expect(
+        await escrow.pendingWithdrawals(client.address, ethers.ZeroAddress)
+      ).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should move milestone deadlines to the selected applicant's timeline", async function () {
+      const { createdAt } = await escrow.projects(0);
+      const before = await escrow.getProjectMilestones(0);
+      const span = before[1].deadline - createdAt;
+
+      await applications.connect(client).selectApplicant(0, 1);
+      const selectedAt = BigInt(await time.latest());
+
+      // 200 seconds proposed; each deadline keeps its share of the schedule
+      const milestones = await escrow.getProjectMilestones(0);
+      expect(milestones[0].deadline).to.equal(
+        selectedAt + ((before[0].deadline - createdAt) * 200n) / span
+      );
+      expect(milestones[1].deadline).to.equal(selectedAt + 200n);
+    });
+
+    it("Should not scale a milestone down to nothing on a low bid", async function () {
+      const now = await time.latest();
+      await escrow.connect(client).createProjectWithOptions(
+        "Uneven Project",
+        "hash",
+        ["Kickoff", "Build", "Launch"],
+        [2n, 10n, 20n],
+        [now + WEEK, now + 2 * WEEK, now + 3 * WEEK],
+        ethers.ZeroAddress,
+        [],
+        true,
+        { value: 32n }
+      );
+      await applications.connect(freelancer).applyToProject(1, 20n, 100, "QmCover");
+      await applications.connect(freelancer2).applyToProject(1, 8n, 100, "QmCover");
+
+      // 2 * 8 / 32 rounds the kickoff milestone down to zero
+      await expect(
+        applications.connect(client).selectApplicant(1, 1)
+      ).to.be.revertedWith("Price too low for milestones");
+
+      // Rounding left over goes to the last milestone
+      await applications.connect(client).selectApplicant(1, 0);
+      const milestones = await escrow.getProjectMilestones(1);
+      expect(milestones.map((m) => m.amount)).to.deep.equal([1n, 6n, 13n]);
+      expect((await escrow.projects(1)).totalAmount).to.equal(20n);
+    });
+
+    it("Should not select once the project is taken", async function () {
+      await applications.connect(client).selectApplicant(0, 0);
+      await expect(
+        applications.connect(client).selectApplicant(0, 1)
+      ).to.be.revertedWith("Project not available");
+    });
+
+    it("Should not select withdrawn applications", async function () {
+      await applications.connect(freelancer).withdrawApplication(0);
+      await expect(
+        applications.connect(client).selectApplicant(0, 0)
+      ).to.be.revertedWith("Application not pending");
+    });
+
+    it("Should only let the application manager assign freelancers", async function () {
+      await expect(
+        escrow.connect(client).assignFreelancer(0, freelancer.address, ethers.parseEther("1"), WEEK)
+      ).to.be.revertedWith("Only application manager can call this");
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProjectEscrowLens", function () {
+  let escrow;
+  let resolver;
+  let lens;
+  let owner;
+  let admin2;
+  let client;
+  let freelancer;
+
+  const WEEK = 7 * 24 * 60 * 60;
+  const PROJECT_COUNT = 30;
+  const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+
+  async function createProject(title) {
+    const now = await time.latest();
+    await escrow.connect(client).createProject(
+      title,
+      "hash",
+      ["M1", "M2", "M3"],
+      [ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")],
+      [now + WEEK, now + 2 * WEEK, now + 3 * WEEK],
+      { value: ethers.parseEther("3") }
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, admin2, client, freelancer] = await ethers.getSigners();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowImproved");
+    escrow = await ProjectEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    const DisputeResolver = await ethers.getContractFactory("DisputeResolver");
+    resolver = await DisputeResolver.deploy(await escrow.getAddress());
+    await resolver.waitForDeployment();
+    await escrow.setDisputeManager(await resolver.getAddress());
+
+    const ProjectEscrowLens = await ethers.getContractFactory("ProjectEscrowLens");
+    lens = await ProjectEscrowLens.deploy(await resolver.getAddress());
+    await lens.waitForDeployment();
+
+    // Every third project is accepted, every fifth unaccepted one cancelled
+    for (let i = 0; i < PROJECT_COUNT; i++) {
+      await createProject(`Project ${i}`);
+      if (i % 3 === 0) {
+        await escrow.connect(freelancer).acceptProject(i);
+      } else if (i % 5 === 0) {
+        await escrow.connect(client).cancelProject(i);
+      }
+    }
+  });
+
+  describe("Projects", function () {
+    it("Should return a page of projects with milestone counts", async function () {
+      await escrow.connect(freelancer).submitMilestone(0, 0, "QmHash");
+      await escrow.connect(client).approveMilestone(0, 0);
+
+      const [page, total] = await lens.getProjects(0, 10);
+      expect(total).to.equal(PROJECT_COUNT);
+      expect(page.length).to.equal(10);
+      expect(page[0].title).to.equal("Project 0");
+      expect(page[0].freelancer).to.equal(freelancer.address);
+      expect(page[0].milestoneCount).to.equal(3);
+      expect(page[0].completedMilestones).to.equal(1);
+      expect(page[9].id).to.equal(9);
+    });
+
+    it("Should truncate the last page and return nothing past the end", async function () {
+      const [lastPage] = await lens.getProjects(25, 10);
+      expect(lastPage.map((p) => p.id)).to.deep.equal([25n, 26n, 27n, 28n, 29n]);
+
+      const [empty, total] = await lens.getProjects(40, 10);
+      expect(empty.length).to.equal(0);
+      expect(total).to.equal(PROJECT_COUNT);
+    });
+
+    it("Should reject a zero limit and cap oversized pages", async function () {
+      await expect(lens.getProjects(0, 0)).to.be.revertedWith("Limit must be > 0");
+
+      const [page] = await lens.getProjects(0, 1000);
+      expect(page.length).to.equal(PROJECT_COUNT);
+    });
+
+    it("Should page through projects in a given status", async function () {
+      const [active, activeTotal] = await lens.getProjectsByStatus(1, 0, 4);
+      expect(activeTotal).to.equal(10);
+      expect(active.map((p) => p.id)).to.deep.equal([0n, 3n, 6n, 9n]);
+
+      const [rest] = await lens.getProjectsByStatus(1, 8, 4);
+      expect(rest.map((p) => p.id)).to.deep.equal([24n, 27n]);
+
+      const [cancelled, cancelledTotal] = await lens.getProjectsByStatus(3, 0, 10);
+      expect(cancelledTotal).to.equal(4);
+      expect(cancelled.map((p) => p.id)).to.deep.equal([5n, 10n, 20n, 25n]);
+    });
+
+    it("Should count projects per status", async function () {
+      const counts = await lens.getStatusCounts();
+      expect(counts.map(Number)).to.deep.equal([16, 10, 0, 4, 0]);
+    });
+  });
+
+  describe("Disputes", function () {
+    it("Should list only unresolved disputes with their votes", async function () {
+      await escrow.grantRole(ARBITER_ROLE, admin2.address);
+      for (const projectId of [0, 3]) {
+        await escrow.connect(freelancer).submitMilestone(projectId, 0, "QmHash");
+        await resolver.connect(client).raiseDispute(projectId, 0, `Dispute on ${projectId}`);
+      }
+
+      await resolver.connect(owner).voteOnDispute(0, 100);
+      await resolver.connect(admin2).voteOnDispute(0, 100);
+      await resolver.connect(owner).voteOnDispute(1, 40);
+
+      const open = await lens.getOpenDisputes();
+      expect(open.length).to.equal(1);
+      expect(open[0].id).to.equal(1);
+      expect(open[0].projectId).to.equal(3);
+      expect(open[0].projectTitle).to.equal("Project 3");
+      expect(open[0].reason).to.equal("Dispute on 3");
+      expect(open[0].voteCount).to.equal(1);
+      expect(open[0].voters).to.deep.equal([owner.address]);
+      expect(open[0].percentages).to.deep.equal([40n]);
+      expect(open[0].requiredVotes).to.equal(2);
+      expect(open[0].panel).to.deep.equal([owner.address, admin2.address]);
+      expect(open[0].recused).to.deep.equal([false, false]);
+    });
+
+    it("Should list decisions awaiting appeal alongside their appeals", async function () {
+      const bond = ethers.parseEther("0.01");
+      await escrow.grantRole(ARBITER_ROLE, admin2.address);
+      // The appeal is heard by arbiters who did not decide it
+      const appealArbiters = (await ethers.getSigners()).slice(4, 7);
+      for (const arbiter of appealArbiters) {
+        await escrow.grantRole(ARBITER_ROLE, arbiter.address);
+      }
+      await resolver.setAppealConfig(24 * 60 * 60, 3, bond);
+      await escrow.connect(freelancer).submitMilestone(0, 0, "QmHash");
+      await resolver.connect(client).raiseDispute(0, 0, "Incomplete");
+      await resolver.connect(owner).voteOnDispute(0, 20);
+      await resolver.connect(admin2).voteOnDispute(0, 20);
+      await resolver.connect(freelancer).appeal(0, "Unfair", { value: bond });
+
+      const open = await lens.getOpenDisputes();
+      expect(open.map((d) => d.id)).to.deep.equal([0n, 1n]);
+      expect(open[0].decidedPercentage).to.equal(20);
+      expect(open[0].appealDeadline).to.be.greaterThan(0);
+      expect(open[0].isAppealed).to.be.true;
+      expect(open[1].isAppeal).to.be.true;
+      expect(open[1].appealedDispute).to.equal(0);
+      expect(open[1].requiredVotes).to.equal(3);
+      expect(open[1].panel).to.deep.equal(appealArbiters.map((a) => a.address));
+    });
+  });
+
+  describe("Gas", function () {
+    // Public RPCs cap eth_call gas (often at the block gas limit), so
+    // page reads must stay linear and cheap per project
+    it("Should keep the cost of a page proportional to its size", async function () {
+      const pageGas = await lens.getProjects.estimateGas(0, 20);
+      expect(pageGas).to.be.lessThan(20n * 100_000n);
+
+      const [smallPageGas, largePageGas] = await Promise.all([
+        lens.getProjects.estimateGas(0, 5),
+        lens.getProjects.estimateGas(0, 25),
+      ]);
+      expect(largePageGas).to.be.lessThan(smallPageGas * 6n);
+    });
+
+    it("Should scan statuses without loading whole projects", async function () {
+      const countsGas = await lens.getStatusCounts.estimateGas();
+      expect(countsGas).to.be.lessThan(BigInt(PROJECT_COUNT) * 8_000n + 50_000n);
+
+      const byStatusGas = await lens.getProjectsByStatus.estimateGas(1, 0, 10);
+      const pageGas = await lens.getProjects.estimateGas(0, 10);
+      expect(byStatusGas).to.be.lessThan(pageGas + BigInt(PROJECT_COUNT) * 8_000n);
+    });
+
+    it("Should read the open dispute queue cheaply", async function () {
+      await escrow.connect(freelancer).submitMilestone(0, 0, "QmHash");
+      await resolver.connect(client).raiseDispute(0, 0, "Incomplete");
+      await resolver.connect(owner).voteOnDispute(0, 50);
+
+      expect(await lens.getOpenDisputes.estimateGas()).to.be.lessThan(200_000n);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getStorageLayout, checkStorageUpgrade } = require("../scripts/lib/storageLayout");
+
+describe("ProjectEscrowUpgradeable", function () {
+  let escrow;
+  let implementation;
+  let proxyAdmin;
+  let owner;
+  let client;
+  let outsider;
+
+  const ROLE_ADMIN_ROLE = ethers.ZeroHash;
+  const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+  const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+  const FEE_MANAGER_ROLE = ethers.id("FEE_MANAGER_ROLE");
+
+  beforeEach(async function () {
+    [owner, client, outsider] = await ethers.getSigners();
+
+    // Same setup as scripts/deploy.js
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowUpgradeable");
+    implementation = await ProjectEscrow.deploy();
+    await implementation.waitForDeployment();
+
+    const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+    proxyAdmin = await ProxyAdmin.deploy();
+    await proxyAdmin.waitForDeployment();
+
+    const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+    const proxy = await Proxy.deploy(
+      await implementation.getAddress(),
+      await proxyAdmin.getAddress(),
+      ProjectEscrow.interface.encodeFunctionData("initialize", [owner.address])
+    );
+    await proxy.waitForDeployment();
+    escrow = ProjectEscrow.attach(await proxy.getAddress());
+  });
+
+  async function upgradeToV2() {
+    const V2 = await ethers.getContractFactory("ProjectEscrowV2Mock");
+    const next = await V2.deploy();
+    await next.waitForDeployment();
+    await proxyAdmin.upgrade(await escrow.getAddress(), await next.getAddress());
+    return V2.attach(await escrow.getAddress());
+  }
+
+  it("Should initialize the proxy like the constructor", async function () {
+    expect(await escrow.owner()).to.equal(owner.address);
+    expect(await escrow.platformFeePercent()).to.equal(2);
+    for (const role of [ROLE_ADMIN_ROLE, ARBITER_ROLE, PAUSER_ROLE, FEE_MANAGER_ROLE]) {
+      expect(await escrow.hasRole(role, owner.address)).to.be.true;
+    }
+  });
+
+  it("Should not initialize twice", async function () {
+    await expect(
+      escrow.initialize(outsider.address)
+    ).to.be.revertedWith("Initializable: contract is already initialized");
+    await expect(
+      implementation.initialize(outsider.address)
+    ).to.be.revertedWith("Initializable: contract is already initialized");
+  });
+
+  it("Should keep projects and funds across an upgrade", async function () {
+    const now = await time.latest();
+    await escrow.connect(client).createProject(
+      "Test Project",
+      "QmTest",
+      ["M1"],
+      [ethers.parseEther("1")],
+      [now + 7 * 24 * 60 * 60],
+      { value: ethers.parseEther("1") }
+    );
+
+    const upgraded = await upgradeToV2();
+    await upgraded.bumpUpgradeCount();
+
+    expect(await upgraded.upgradeCount()).to.equal(1);
+    expect(await upgraded.projectCounter()).to.equal(1);
+    expect((await upgraded.projects(0)).client).to.equal(client.address);
+    expect(await upgraded.getContractBalance()).to.equal(ethers.parseEther("1"));
+    expect(await upgraded.hasRole(ROLE_ADMIN_ROLE, owner.address)).to.be.true;
+  });
+
+  it("Should only let the ProxyAdmin owner upgrade", async function () {
+    await expect(
+      proxyAdmin.connect(outsider).upgrade(await escrow.getAddress(), await implementation.getAddress())
+    ).to.be.revertedWith("Ownable: caller is not the owner");
+  });
+
+  describe("Storage layout check", function () {
+    it("Should accept appended state", async function () {
+      const current = await getStorageLayout("ProjectEscrowUpgradeable");
+      const next = await getStorageLayout("ProjectEscrowV2Mock");
+      expect(checkStorageUpgrade(current, next)).to.deep.equal([]);
+    });
+
+    it("Should reject removed, moved and retyped state", async function () {
+      const current = await getStorageLayout("ProjectEscrowUpgradeable");
+      const counter = current.findIndex((v) => v.label === "projectCounter");
+
+      const removed = current.filter((v) => v.label !== "revealDeadlines");
+      expect(checkStorageUpgrade(current, removed)).to.deep.equal(["revealDeadlines: removed"]);
+
+      const swapped = [...current];
+      [swapped[counter], swapped[counter + 1]] = [swapped[counter + 1], swapped[counter]];
+      expect(checkStorageUpgrade(current, swapped)).to.include(
+        "projectCounter: replaced by platformFeePercent"
+      );
+
+      const retyped = current.map((v) =>
+        v.label === "projectCounter" ? { ...v, type: { ...v.type, label: "uint128" } } : v
+      );
+      expect(checkStorageUpgrade(current, retyped)).to.deep.equal([
+        "projectCounter: type changed from uint256 to uint128",
+      ]);
+    });
+
+    it("Should reject resized structs outside mappings", async function () {
+      const current = await getStorageLayout("ProjectEscrowUpgradeable");
+      const milestones = current.find((v) => v.label === "projectMilestones");
+      const milestone = milestones.type.value.base;
+      const grown = {
+        ...milestone,
+        numberOfBytes: String(Number(milestone.numberOfBytes) + 32),
+        members: [
+          ...milestone.members,
+          { label: "extra", slot: "7", offset: 0, type: { label: "uint256", encoding: "inplace", numberOfBytes: "32" } },
+        ],
+      };
+      const next = current.map((v) =>
+        v === milestones
+          ? { ...v, type: { ...v.type, value: { ...v.type.value, base: grown } } }
+          : v
+      );
+
+      expect(checkStorageUpgrade(current, next)).to.deep.equal([
+        "projectMilestones value[]: struct ProjectEscrowImproved.Milestone changed size",
+      ]);
+    });
+  });
+});
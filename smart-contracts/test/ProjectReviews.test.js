@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProjectReviews", function () {
+  let escrow;
+  let resolver;
+  let reviews;
+  let owner;
+  let client;
+  let freelancer;
+  let admin2;
+  let outsider;
+
+  const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+
+  async function createActiveProject(milestoneCount = 1) {
+    const now = await time.latest();
+    const projectId = await escrow.projectCounter();
+    const indexes = [...Array(milestoneCount).keys()];
+    await escrow.connect(client).createProject(
+      "Test Project",
+      "hash",
+      indexes.map((i) => `Milestone ${i + 1}`),
+      indexes.map(() => ethers.parseEther("1")),
+      indexes.map((i) => now + (i + 1) * 7 * 24 * 60 * 60),
+      { value: ethers.parseEther(String(milestoneCount)) }
+    );
+    await escrow.connect(freelancer).acceptProject(projectId);
+    await escrow.connect(freelancer).submitMilestone(projectId, 0, "QmHash");
+    return projectId;
+  }
+
+  beforeEach(async function () {
+    [owner, client, freelancer, admin2, outsider] = await ethers.getSigners();
+
+    const ProjectEscrow = await ethers.getContractFactory("ProjectEscrowImproved");
+    escrow = await ProjectEscrow.deploy();
+    await escrow.waitForDeployment();
+
+    const DisputeResolver = await ethers.getContractFactory("DisputeResolver");
+    resolver = await DisputeResolver.deploy(await escrow.getAddress());
+    await resolver.waitForDeployment();
+    await escrow.setDisputeManager(await resolver.getAddress());
+
+    const ProjectReviews = await ethers.getContractFactory("ProjectReviews");
+    reviews = await ProjectReviews.deploy(await escrow.getAddress());
+    await reviews.waitForDeployment();
+
+    await escrow.grantRole(ARBITER_ROLE, admin2.address);
+  });
+
+  it("Should let each participant review the other once a project completes", async function () {
+    const projectId = await createActiveProject();
+    await expect(
+      reviews.connect(client).submitReview(projectId, 5, "ipfs://review")
+    ).to.be.revertedWith("Project not finished");
+
+    await escrow.connect(client).approveMilestone(projectId, 0);
+    expect(await reviews.canBeReviewed(projectId)).to.be.true;
+
+    await expect(reviews.connect(client).submitReview(projectId, 5, "ipfs://great"))
+      .to.emit(reviews, "ReviewSubmitted")
+      .withArgs(projectId, client.address, freelancer.address, 5, "ipfs://great");
+    await reviews.connect(freelancer).submitReview(projectId, 4, "");
+
+    const projectReviews = await reviews.getProjectReviews(projectId);
+    expect(projectReviews.length).to.equal(2);
+    expect(projectReviews[0].reviewee).to.equal(freelancer.address);
+    expect(projectReviews[1].reviewer).to.equal(freelancer.address);
+    expect(projectReviews[1].rating).to.equal(4);
+
+    const [total, count] = await reviews.getUserRating(freelancer.address);
+    expect(total).to.equal(5);
+    expect(count).to.equal(1);
+  });
+
+  it("Should reject repeat reviews, outsiders and invalid ratings", async function () {
+    const projectId = await createActiveProject();
+    await escrow.connect(client).approveMilestone(projectId, 0);
+
+    await expect(
+      reviews.connect(client).submitReview(projectId, 0, "")
+    ).to.be.revertedWith("Rating must be between 1 and 5");
+    await expect(
+      reviews.connect(client).submitReview(projectId, 6, "")
+    ).to.be.revertedWith("Rating must be between 1 and 5");
+    await expect(
+      reviews.connect(outsider).submitReview(projectId, 1, "")
+    ).to.be.revertedWith("Only project participants can call this");
+    await expect(
+      reviews.connect(client).submitReview(projectId + 1n, 5, "")
+    ).to.be.revertedWith("Project does not exist");
+
+    await reviews.connect(client).submitReview(projectId, 3, "");
+    await expect(
+      reviews.connect(client).submitReview(projectId, 5, "")
+    ).to.be.revertedWith("Already reviewed");
+  });
+
+  it("Should open reviews once a dispute settles the last milestone", async function () {
+    const projectId = await createActiveProject();
+    await resolver.connect(client).raiseDispute(projectId, 0, "Work incomplete");
+    expect(await reviews.canBeReviewed(projectId)).to.be.false;
+
+    await resolver.connect(owner).voteOnDispute(0, 30);
+    await resolver.connect(admin2).voteOnDispute(0, 30);
+
+    expect(await reviews.canBeReviewed(projectId)).to.be.true;
+    await reviews.connect(freelancer).submitReview(projectId, 2, "ipfs://unfair");
+    const [total, count] = await reviews.getUserRating(client.address);
+    expect(total).to.equal(2);
+    expect(count).to.equal(1);
+  });
+
+  it("Should keep reviews closed after a dispute mid-project", async function () {
+    const projectId = await createActiveProject(2);
+    await resolver.connect(client).raiseDispute(projectId, 0, "Work incomplete");
+    await resolver.connect(owner).voteOnDispute(0, 30);
+    await resolver.connect(admin2).voteOnDispute(0, 30);
+
+    expect(await escrow.getProjectStatus(projectId)).to.equal(1); // ACTIVE
+    expect(await reviews.canBeReviewed(projectId)).to.be.false;
+    await expect(
+      reviews.connect(freelancer).submitReview(projectId, 2, "")
+    ).to.be.revertedWith("Project not finished");
+
+    await escrow.connect(freelancer).submitMilestone(projectId, 1, "QmHash");
+    await escrow.connect(client).approveMilestone(projectId, 1);
+    expect(await reviews.canBeReviewed(projectId)).to.be.true;
+  });
+
+  it("Should open reviews once a project is cancelled by agreement", async function () {
+    const projectId = await createActiveProject(2);
+    await escrow.connect(client).proposeCancellation(projectId, 50);
+    expect(await reviews.canBeReviewed(projectId)).to.be.false;
+
+    await escrow.connect(freelancer).acceptCancellation(projectId, 50);
+    expect(await reviews.canBeReviewed(projectId)).to.be.true;
+    await reviews.connect(client).submitReview(projectId, 3, "");
+    const [total, count] = await reviews.getUserRating(freelancer.address);
+    expect(total).to.equal(3);
+    expect(count).to.equal(1);
+  });
+
+  it("Should not open reviews for projects cancelled before acceptance", async function () {
+    const now = await time.latest();
+    await escrow.connect(client).createProject(
+      "Test Project",
+      "hash",
+      ["Milestone 1"],
+      [ethers.parseEther("1")],
+      [now + 7 * 24 * 60 * 60],
+      { value: ethers.parseEther("1") }
+    );
+    await escrow.connect(client).cancelProject(0);
+
+    expect(await reviews.canBeReviewed(0)).to.be.false;
+  });
+
+  it("Should not accept reviews while paused", async function () {
+    const projectId = await createActiveProject();
+    await escrow.connect(client).approveMilestone(projectId, 0);
+    await escrow.pause();
+
+    await expect(
+      reviews.connect(client).submitReview(projectId, 5, "")
+    ).to.be.revertedWith("Pausable: paused");
+  });
+});